@@ -0,0 +1,151 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  captureAriaSnapshot,
+  compareAriaSnapshots,
+  getAriaSnapshotPath,
+  captureAndSaveAriaSnapshot,
+  loadAndCompareAriaSnapshot,
+} from "../playwright/accessibility-tracker.js";
+
+const BASELINE = `- heading "Checkout" [level=1]
+- button "Pay now"
+- link "Cancel"`;
+
+/**
+ * Mock Playwright page whose story root returns the given ARIA snapshot
+ */
+const createPage = (ariaSnapshot) => {
+  const locator = {
+    first: () => locator,
+    ariaSnapshot: jest.fn().mockResolvedValue(ariaSnapshot),
+  };
+  return { locator: jest.fn(() => locator) };
+};
+
+describe("Accessibility Tracker", () => {
+  describe("compareAriaSnapshots", () => {
+    test("passes for identical snapshots", () => {
+      expect(compareAriaSnapshots(BASELINE, `${BASELINE}\n`)).toEqual({
+        passed: true,
+        differences: [],
+      });
+    });
+
+    test("reports changed role/name lines only", () => {
+      const actual = BASELINE.replace('button "Pay now"', 'button "Pay"');
+
+      expect(compareAriaSnapshots(BASELINE, actual).differences).toEqual([
+        '+ - button "Pay"',
+        '- - button "Pay now"',
+      ]);
+    });
+
+    test("limits the number of reported lines", () => {
+      const expected = Array.from({ length: 30 }, (_, i) => `- text: a${i}`);
+      const actual = Array.from({ length: 30 }, (_, i) => `- text: b${i}`);
+
+      const result = compareAriaSnapshots(
+        expected.join("\n"),
+        actual.join("\n"),
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.differences).toHaveLength(21);
+      expect(result.differences[20]).toBe("... 40 more changed line(s)");
+    });
+  });
+
+  describe("getAriaSnapshotPath", () => {
+    test("stores the ARIA snapshot next to the PNG by default", () => {
+      expect(getAriaSnapshotPath("/snaps/button--primary.png")).toBe(
+        "/snaps/button--primary.aria.yml",
+      );
+      expect(getAriaSnapshotPath("/snaps/button--primary.png", "/aria")).toBe(
+        "/aria/button--primary.aria.yml",
+      );
+    });
+  });
+
+  describe("captureAriaSnapshot", () => {
+    test("captures the snapshot of the story root", async () => {
+      const page = createPage(BASELINE);
+
+      expect(await captureAriaSnapshot(page, "#storybook-root")).toBe(BASELINE);
+      expect(page.locator).toHaveBeenCalledWith("#storybook-root");
+    });
+
+    test("returns null when the snapshot cannot be captured", async () => {
+      const errorSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const page = {
+        locator: () => ({
+          first() {
+            return this;
+          },
+          ariaSnapshot: () => Promise.reject(new Error("not supported")),
+        }),
+      };
+
+      expect(await captureAriaSnapshot(page)).toBeNull();
+      errorSpy.mockRestore();
+    });
+
+    test("fails clearly when Playwright has no ariaSnapshot", async () => {
+      const locator = { first: () => locator };
+      const page = { locator: () => locator };
+
+      await expect(captureAriaSnapshot(page)).rejects.toThrow(
+        "Accessibility snapshots require @playwright/test 1.49 or later",
+      );
+    });
+  });
+
+  describe("save and compare", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "aria-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("fails verification when a role or name changes", async () => {
+      const snapshotPath = path.join(tmpDir, "checkout--default.png");
+
+      await captureAndSaveAriaSnapshot(createPage(BASELINE), snapshotPath);
+      expect(
+        fs.readFileSync(
+          path.join(tmpDir, "checkout--default.aria.yml"),
+          "utf8",
+        ),
+      ).toBe(`${BASELINE}\n`);
+
+      const unchanged = await loadAndCompareAriaSnapshot(
+        createPage(BASELINE),
+        snapshotPath,
+      );
+      expect(unchanged.passed).toBe(true);
+
+      const changed = await loadAndCompareAriaSnapshot(
+        createPage(BASELINE.replace("link", "button")),
+        snapshotPath,
+      );
+      expect(changed.passed).toBe(false);
+    });
+
+    test("passes when no baseline exists yet", async () => {
+      const result = await loadAndCompareAriaSnapshot(
+        createPage(BASELINE),
+        path.join(tmpDir, "missing.png"),
+      );
+
+      expect(result).toEqual({ passed: true, differences: [] });
+    });
+  });
+});
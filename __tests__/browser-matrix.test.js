@@ -0,0 +1,86 @@
+import path from "path";
+import {
+  parseBrowsers,
+  getBrowserSnapshotDir,
+  buildBrowserProjects,
+  getProjectArgs,
+} from "../lib/browser-matrix.js";
+
+describe("Browser Matrix", () => {
+  describe("parseBrowsers", () => {
+    test("splits and deduplicates a comma-separated list", () => {
+      expect(parseBrowsers("chromium, firefox,chromium")).toEqual([
+        "chromium",
+        "firefox",
+      ]);
+    });
+    test("accepts configured project names", () => {
+      const config = { playwright: { projects: [{ name: "mobile-safari" }] } };
+      expect(parseBrowsers("mobile-safari", config)).toEqual(["mobile-safari"]);
+    });
+    test("rejects unknown browsers", () => {
+      expect(() => parseBrowsers("chromium,edge")).toThrow(
+        "Unknown browser(s): edge",
+      );
+    });
+  });
+
+  describe("getBrowserSnapshotDir", () => {
+    test("keeps the base directory for the default browser", () => {
+      expect(getBrowserSnapshotDir("/snaps", "chromium", {})).toBe("/snaps");
+      expect(getBrowserSnapshotDir("/snaps", null, {})).toBe("/snaps");
+    });
+    test("uses a subdirectory for other browsers", () => {
+      expect(getBrowserSnapshotDir("/snaps", "webkit", {})).toBe(
+        path.join("/snaps", "webkit"),
+      );
+    });
+    test("respects a configured default project", () => {
+      const config = { playwright: { project: "firefox" } };
+      expect(getBrowserSnapshotDir("/snaps", "firefox", config)).toBe("/snaps");
+      expect(getBrowserSnapshotDir("/snaps", "chromium", config)).toBe(
+        path.join("/snaps", "chromium"),
+      );
+    });
+  });
+
+  describe("buildBrowserProjects", () => {
+    test("reuses configured projects and adds missing browsers", () => {
+      const config = {
+        playwright: {
+          projects: [{ name: "firefox", use: { locale: "en-US" } }],
+        },
+      };
+
+      expect(
+        buildBrowserProjects(["chromium", "firefox"], config, "/snaps"),
+      ).toEqual([
+        {
+          name: "chromium",
+          use: { browserName: "chromium" },
+          snapshotDir: "/snaps",
+        },
+        {
+          name: "firefox",
+          use: { browserName: "firefox", locale: "en-US" },
+          snapshotDir: path.join("/snaps", "firefox"),
+        },
+      ]);
+    });
+  });
+
+  describe("getProjectArgs", () => {
+    test("defaults to the configured project", () => {
+      expect(getProjectArgs([], {})).toEqual(["--project=chromium"]);
+      expect(getProjectArgs([], { playwright: { project: "webkit" } })).toEqual(
+        ["--project=webkit"],
+      );
+    });
+    test("passes every browser", () => {
+      expect(getProjectArgs(["firefox", "webkit"], {})).toEqual([
+        "--project=firefox",
+        "--project=webkit",
+      ]);
+    });
+  });
+});
@@ -29,9 +29,11 @@ describe("CLI Index", () => {
     expect(cliIndexContent).toContain("updateCommand");
     expect(cliIndexContent).toContain("diffCommand");
     expect(cliIndexContent).toContain("reportCommand");
+    expect(cliIndexContent).toContain("reviewCommand");
     expect(cliIndexContent).toContain("orphansCommand");
     expect(cliIndexContent).toContain("dryRunCommand");
     expect(cliIndexContent).toContain("recommendMobileCommand");
+    expect(cliIndexContent).toContain("configCommand");
   });
 
   it("should configure yargs with scriptName", async () => {
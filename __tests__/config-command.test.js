@@ -0,0 +1,210 @@
+/**
+ * Config Command Tests
+ */
+
+import { jest } from "@jest/globals";
+
+const mockValidateConfigFile = jest.fn();
+const mockResolveConfig = jest.fn();
+
+const mockConsoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+const mockConsoleError = jest
+  .spyOn(console, "error")
+  .mockImplementation(() => {});
+const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+jest.unstable_mockModule("../config-loader.js", () => ({
+  loadConfig: jest.fn(),
+  resolveConfig: mockResolveConfig,
+  validateConfigFile: mockValidateConfigFile,
+}));
+
+describe("Config Command", () => {
+  let handlers;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    const { configCommand } = await import("../cli/commands/config.js");
+
+    // Registers nested commands by running each builder
+    handlers = {};
+    const mockYargs = {
+      command: jest.fn((name, description, builder, handler) => {
+        handlers[name.split(" ")[0]] = handler;
+        builder?.(mockYargs);
+        return mockYargs;
+      }),
+      option: jest.fn(() => mockYargs),
+      example: jest.fn(() => mockYargs),
+      demandCommand: jest.fn(() => mockYargs),
+    };
+    configCommand(mockYargs);
+  });
+
+  afterAll(() => {
+    mockConsoleLog.mockRestore();
+    mockConsoleError.mockRestore();
+    mockExit.mockRestore();
+  });
+
+  describe("validate", () => {
+    it("should report a valid config", async () => {
+      mockValidateConfigFile.mockResolvedValue({
+        configPath: "/project/visual-tests.config.js",
+        errors: [],
+        warnings: [],
+      });
+
+      await handlers.validate({ config: "visual-tests.config.js" });
+
+      expect(mockValidateConfigFile).toHaveBeenCalledWith(
+        "visual-tests.config.js",
+      );
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringContaining("Config is valid"),
+      );
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    it("should list errors and exit with code 1", async () => {
+      mockValidateConfigFile.mockResolvedValue({
+        configPath: "/project/visual-tests.config.js",
+        errors: [
+          {
+            path: "storybook.port",
+            message: "expected an integer between 1 and 65535, got 0",
+          },
+        ],
+        warnings: [
+          {
+            path: "storybok",
+            message: 'unknown key, did you mean "storybook"?',
+          },
+        ],
+      });
+
+      await handlers.validate({});
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "storybook.port: expected an integer between 1 and 65535, got 0",
+        ),
+      );
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringContaining('did you mean "storybook"?'),
+      );
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    it("should only fail on warnings in strict mode", async () => {
+      mockValidateConfigFile.mockResolvedValue({
+        configPath: "/project/visual-tests.config.js",
+        errors: [],
+        warnings: [{ path: "extra", message: "unknown key" }],
+      });
+
+      await handlers.validate({ strict: false });
+      expect(mockExit).not.toHaveBeenCalled();
+
+      await handlers.validate({ strict: true });
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    it("should fail when the config file cannot be loaded", async () => {
+      mockValidateConfigFile.mockRejectedValue(
+        new Error("Config file not found: missing.js"),
+      );
+
+      await handlers.validate({ config: "missing.js" });
+
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringContaining("Error validating config"),
+        "Config file not found: missing.js",
+      );
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe("print", () => {
+    beforeEach(() => {
+      mockResolveConfig.mockResolvedValue({
+        config: {
+          storybook: { port: "6006", host: "storybook.local" },
+          snapshot: { testMatcher: { tags: ["visual-mobile"] } },
+          mobile: true,
+        },
+        sources: new Map([
+          ["storybook.port", "default"],
+          ["storybook.host", "env:STORYBOOK_HOST"],
+          ["snapshot.testMatcher.tags", "mobile"],
+          ["mobile", "cli"],
+        ]),
+        configPath: `${process.cwd()}/visual-tests.config.js`,
+      });
+    });
+
+    it("should resolve the config like a run with the same flags", async () => {
+      await handlers.print({
+        config: "visual-tests.config.js",
+        mobile: true,
+        locale: "de-DE",
+        profile: "ci",
+        storybookPort: "7007",
+      });
+
+      expect(mockResolveConfig).toHaveBeenCalledWith({
+        configFile: "visual-tests.config.js",
+        profile: "ci",
+        mobile: true,
+        locale: "de-DE",
+        storybook: { port: "7007" },
+      });
+    });
+
+    it("should print each value with its source", async () => {
+      await handlers.print({ mobile: true });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringContaining("Config file: visual-tests.config.js"),
+      );
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /snapshot\.testMatcher\.tags = \["visual-mobile"\] .*\(mobile\)/,
+        ),
+      );
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /storybook\.host = "storybook\.local" .*\(env STORYBOOK_HOST\)/,
+        ),
+      );
+    });
+
+    it("should print only the requested key path as JSON", async () => {
+      await handlers.print({ path: "storybook", json: true });
+
+      const output = JSON.parse(mockConsoleLog.mock.calls.at(-1)[0]);
+      expect(output.values).toEqual({
+        "storybook.port": { value: "6006", source: "default" },
+        "storybook.host": {
+          value: "storybook.local",
+          source: "env:STORYBOOK_HOST",
+        },
+      });
+    });
+
+    it("should fail when the config cannot be resolved", async () => {
+      mockResolveConfig.mockRejectedValue(
+        new Error("Invalid locale: fr. Available locales: de-DE"),
+      );
+
+      await handlers.print({ locale: "fr" });
+
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringContaining("Error resolving config"),
+        "Invalid locale: fr. Available locales: de-DE",
+      );
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+  });
+});
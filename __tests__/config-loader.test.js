@@ -1,4 +1,13 @@
-import { loadConfig, getConfigValue } from "../config-loader.js";
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  loadConfig,
+  resolveConfig,
+  getConfigValue,
+  defineConfig,
+} from "../config-loader.js";
 import {
   DEFAULT_STORYBOOK_PORT,
   DEFAULT_ENABLE_IMAGE_SNAPSHOTS,
@@ -64,6 +73,194 @@ describe("Config Loader", () => {
       expect(config.snapshot.locale.locales).toHaveLength(3);
     });
 
+    test("activates every configured mobile viewport", async () => {
+      const configFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-")),
+        "visual-tests.config.json",
+      );
+      fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+          snapshot: {
+            mobile: {
+              enabled: true,
+              viewports: [
+                { width: 375, height: 667, name: "iPhone SE" },
+                { width: 390, height: 844 },
+              ],
+            },
+          },
+        }),
+      );
+
+      const config = await loadConfig({ configFile, mobile: true });
+
+      expect(config.activeViewports).toHaveLength(2);
+      expect(config.activeViewport).toEqual(config.activeViewports[0]);
+      expect(config.playwright.use.viewport).toEqual({
+        width: 375,
+        height: 667,
+      });
+    });
+
+    test("parses per-axis and per-testId position thresholds", async () => {
+      const config = await loadConfig({
+        snapshot: {
+          position: {
+            sizeCheck: "false",
+            thresholds: {
+              position: { x: "2", y: 10 },
+              overrides: { chart: { size: "20" } },
+            },
+          },
+        },
+      });
+
+      expect(config.snapshot.position.sizeCheck).toBe(false);
+      expect(config.snapshot.position.thresholds).toEqual({
+        position: { x: 2, y: 10 },
+        size: 5,
+        overrides: { chart: { size: 20 } },
+      });
+    });
+
+    test("turns on the checks of configured thresholds", async () => {
+      const defaults = await loadConfig();
+      expect(defaults.snapshot.position.positionCheck).toBe(false);
+      expect(defaults.snapshot.position.sizeCheck).toBe(false);
+
+      const withPosition = await loadConfig({
+        snapshot: { position: { thresholds: { position: 8 } } },
+      });
+      expect(withPosition.snapshot.position.positionCheck).toBe(true);
+      expect(withPosition.snapshot.position.sizeCheck).toBe(false);
+
+      const withOverride = await loadConfig({
+        snapshot: {
+          position: { thresholds: { overrides: { chart: { size: 20 } } } },
+        },
+      });
+      expect(withOverride.snapshot.position.positionCheck).toBe(false);
+      expect(withOverride.snapshot.position.sizeCheck).toBe(true);
+    });
+
+    test("keeps explicitly disabled checks off when a threshold is configured", async () => {
+      const { config, sources } = await resolveConfig({
+        snapshot: {
+          position: { positionCheck: false, thresholds: { position: 8 } },
+        },
+      });
+
+      expect(config.snapshot.position.positionCheck).toBe(false);
+      expect(sources.get("snapshot.position.positionCheck")).toBe("cli");
+    });
+
+    test("rejects negative position thresholds", async () => {
+      await expect(
+        loadConfig({
+          snapshot: {
+            position: {
+              thresholds: { overrides: { chart: { position: -1 } } },
+            },
+          },
+        }),
+      ).rejects.toThrow("Invalid position (chart) threshold: -1");
+    });
+
+    test("parses story co-location settings for diff mode", async () => {
+      const config = await loadConfig({
+        snapshot: {
+          diff: {
+            storyExtensions: ".tsx,.mdx",
+            colocation: { strategies: "folder,mirror" },
+          },
+        },
+      });
+
+      expect(config.snapshot.diff.storyExtensions).toEqual([".tsx", ".mdx"]);
+      expect(config.snapshot.diff.colocation).toEqual({
+        strategies: ["folder", "mirror"],
+        folderName: "__stories__",
+        sourceRoot: "src/",
+        mirrorRoot: "stories/",
+      });
+    });
+
+    test("keeps trigger mapping globs with alternatives intact", async () => {
+      const config = await loadConfig({
+        snapshot: {
+          diff: {
+            globalTriggers: ".storybook/**,package-lock.json",
+            triggerMappings: { "src/theme/**": "src/**/*.{ts,tsx}" },
+          },
+        },
+      });
+
+      expect(config.snapshot.diff.globalTriggers).toEqual([
+        ".storybook/**",
+        "package-lock.json",
+      ]);
+      expect(config.snapshot.diff.triggerMappings).toEqual({
+        "src/theme/**": ["src/**/*.{ts,tsx}"],
+      });
+    });
+
+    test("rejects unknown story co-location strategies", async () => {
+      await expect(
+        loadConfig({
+          snapshot: { diff: { colocation: { strategies: ["nearby"] } } },
+        }),
+      ).rejects.toThrow("Invalid story colocation strategy: nearby");
+    });
+
+    test("rejects config files that fail the schema", async () => {
+      const configFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-")),
+        "visual-tests.config.json",
+      );
+      fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+          storybook: { port: "not-a-port" },
+          snapshot: { diff: { storyLevel: "sometimes" } },
+        }),
+      );
+
+      await expect(loadConfig({ configFile })).rejects.toThrow(
+        `Invalid config file ${configFile}:\n` +
+          '  - storybook.port: expected an integer between 1 and 65535, got "not-a-port"\n' +
+          '  - snapshot.diff.storyLevel: expected a boolean, got "sometimes"',
+      );
+    });
+
+    test("fails instead of falling back to defaults when the file cannot be loaded", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-"));
+      const brokenFile = path.join(dir, "visual-tests.config.json");
+      fs.writeFileSync(brokenFile, "{ not json");
+
+      await expect(loadConfig({ configFile: brokenFile })).rejects.toThrow(
+        `Failed to load config file ${brokenFile}`,
+      );
+      await expect(
+        loadConfig({ configFile: path.join(dir, "missing.config.js") }),
+      ).rejects.toThrow("Config file not found");
+    });
+
+    test("parses and validates diff fetch options", async () => {
+      const config = await loadConfig({
+        snapshot: {
+          diff: { autoFetch: "false", fetchDepth: "100", maxFetchAttempts: 2 },
+        },
+      });
+      expect(config.snapshot.diff.autoFetch).toBe(false);
+      expect(config.snapshot.diff.fetchDepth).toBe(100);
+      expect(config.snapshot.diff.maxFetchAttempts).toBe(2);
+
+      await expect(
+        loadConfig({ snapshot: { diff: { fetchDepth: 0 } } }),
+      ).rejects.toThrow("Invalid diff fetchDepth: 0");
+    });
+
     test("ensures new snapshot structure is present", async () => {
       const config = await loadConfig();
       expect(config.snapshot).toBeDefined();
@@ -80,6 +277,306 @@ describe("Config Loader", () => {
     });
   });
 
+  describe("resolveConfig", () => {
+    let configFile;
+
+    beforeEach(() => {
+      configFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-")),
+        "visual-tests.config.mjs",
+      );
+      fs.writeFileSync(
+        configFile,
+        `export default {
+          storybook: { host: process.env.VISUAL_CONFIG_TEST_HOST || "localhost" },
+          snapshot: {
+            testMatcher: { tags: ["visual"] },
+            mobile: {
+              enabled: true,
+              testMatcher: { tags: ["visual-mobile"] },
+              viewports: [{ width: 375, height: 667 }],
+            },
+            locale: {
+              enabled: true,
+              locales: [{ code: "de-DE", name: "German" }],
+            },
+          },
+        };`,
+      );
+      process.env.VISUAL_CONFIG_TEST_HOST = "storybook.local";
+    });
+
+    afterEach(() => {
+      delete process.env.VISUAL_CONFIG_TEST_HOST;
+    });
+
+    test("records the source of every value", async () => {
+      const { config, sources, configPath } = await resolveConfig({
+        configFile,
+        storybook: { port: "7007" },
+      });
+
+      expect(configPath).toBe(configFile);
+      expect(config.storybook.host).toBe("storybook.local");
+      expect(sources.get("storybook.host")).toBe("env:VISUAL_CONFIG_TEST_HOST");
+      expect(sources.get("storybook.port")).toBe("cli");
+      expect(sources.get("storybook.command")).toBe("default");
+      expect(sources.get("snapshot.testMatcher.tags")).toBe("file");
+    });
+
+    test("attributes mobile and locale overlays", async () => {
+      const { config, sources } = await resolveConfig({
+        configFile,
+        mobile: true,
+        locale: "de-DE",
+      });
+
+      expect(config.snapshot.testMatcher.tags).toEqual(["visual-mobile"]);
+      expect(sources.get("snapshot.testMatcher.tags")).toBe("mobile");
+      expect(sources.get("playwright.use.viewport.width")).toBe("mobile");
+      expect(config.locale.code).toBe("de-DE");
+      expect(sources.get("locale.code")).toBe("locale");
+      expect(sources.has("locale")).toBe(false);
+    });
+  });
+
+  describe("profiles", () => {
+    let projectDir;
+    let configFile;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-"));
+      configFile = path.join(projectDir, "visual-tests.config.json");
+      fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+          playwright: { workers: 4 },
+          snapshot: {
+            testMatcher: { tags: ["visual"] },
+            image: { threshold: 0.2 },
+            mobile: {
+              enabled: true,
+              testMatcher: { tags: ["visual-mobile"] },
+            },
+          },
+          profiles: {
+            ci: {
+              playwright: { workers: 1 },
+              snapshot: {
+                image: { threshold: 0.1 },
+                paths: { logsDir: "ci-logs" },
+                mobile: { testMatcher: { tags: ["visual-mobile-ci"] } },
+              },
+            },
+            nightly: { snapshot: { testMatcher: { tags: ["visual-all"] } } },
+          },
+        }),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test("ignores profiles unless one is selected", async () => {
+      const config = await loadConfig({ configFile });
+
+      expect(config.playwright.workers).toBe(4);
+      expect(config.snapshot.image.threshold).toBe(0.2);
+      expect(config.profiles).toBeUndefined();
+    });
+
+    test("deep-merges the selected profile over the file settings", async () => {
+      const { config, sources } = await resolveConfig({
+        configFile,
+        profile: "ci",
+      });
+
+      expect(config.playwright.workers).toBe(1);
+      expect(config.snapshot.image.threshold).toBe(0.1);
+      expect(config.snapshot.paths.logsDir).toBe("ci-logs");
+      expect(config.snapshot.testMatcher.tags).toEqual(["visual"]);
+      expect(sources.get("playwright.workers")).toBe("profile:ci");
+      expect(sources.get("snapshot.testMatcher.tags")).toBe("file");
+    });
+
+    test("applies profile overrides of the mobile overlay", async () => {
+      const config = await loadConfig({
+        configFile,
+        profile: "ci",
+        mobile: true,
+      });
+
+      expect(config.snapshot.testMatcher.tags).toEqual(["visual-mobile-ci"]);
+    });
+
+    test("keeps programmatic options above the profile", async () => {
+      const config = await loadConfig({
+        configFile,
+        profile: "ci",
+        playwright: { workers: 2 },
+      });
+
+      expect(config.playwright.workers).toBe(2);
+    });
+
+    test("rejects unknown profiles", async () => {
+      await expect(
+        loadConfig({ configFile, profile: "staging" }),
+      ).rejects.toThrow(
+        "Unknown profile: staging. Available profiles: ci, nightly",
+      );
+    });
+  });
+
+  describe("workspace packages", () => {
+    let projectDir;
+    let configFile;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-"));
+      configFile = path.join(projectDir, "visual-tests.config.json");
+      fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+          snapshot: {
+            testMatcher: { tags: ["visual"] },
+            paths: { logsDir: "logs" },
+            mobile: {
+              enabled: true,
+              testMatcher: { tags: ["visual-mobile"] },
+            },
+          },
+          workspace: {
+            storybooks: [
+              {
+                name: "@acme/ui",
+                url: "http://localhost:6007",
+                snapshotsDir: "packages/ui/__visual_snapshots__",
+                testMatcher: { tags: ["ui-visual"] },
+              },
+            ],
+          },
+        }),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test("applies the Storybook, snapshots and logs of the package", async () => {
+      const { config, sources } = await resolveConfig({
+        configFile,
+        package: "@acme/ui",
+      });
+
+      expect(config.storybook.port).toBe("6007");
+      expect(config.snapshot.paths.snapshotsDir).toBe(
+        "packages/ui/__visual_snapshots__",
+      );
+      expect(config.snapshot.paths.logsDir).toBe(
+        path.join("logs", "packages", "acme-ui"),
+      );
+      expect(config.snapshot.testMatcher.tags).toEqual(["ui-visual"]);
+      expect(config.package).toBe("@acme/ui");
+      expect(sources.get("storybook.port")).toBe("package:@acme/ui");
+    });
+
+    test("keeps the mobile overrides above the package", async () => {
+      const config = await loadConfig({
+        configFile,
+        package: "@acme/ui",
+        mobile: true,
+      });
+
+      expect(config.snapshot.testMatcher.tags).toEqual(["visual-mobile"]);
+    });
+
+    test("rejects unknown packages", async () => {
+      await expect(
+        loadConfig({ configFile, package: "@acme/docs" }),
+      ).rejects.toThrow(
+        "Unknown workspace package: @acme/docs. Available packages: @acme/ui",
+      );
+    });
+  });
+
+  describe("config file formats", () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-config-"));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test("loads CommonJS config files", async () => {
+      const configFile = path.join(projectDir, "visual-tests.config.cjs");
+      fs.writeFileSync(
+        configFile,
+        "module.exports = { storybook: { port: 7007 } };",
+      );
+
+      const config = await loadConfig({ configFile });
+
+      expect(config.storybook.port).toBe(7007);
+    });
+
+    test("transpiles TypeScript config files with the project's typescript package", async () => {
+      // Stand-in for the typescript package: strips the type annotation
+      const tsDir = path.join(projectDir, "node_modules", "typescript");
+      fs.mkdirSync(tsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(tsDir, "index.js"),
+        `module.exports = {
+          ModuleKind: { ESNext: 99 },
+          ScriptTarget: { ES2022: 9 },
+          transpileModule: (source) => ({
+            outputText: source.replace(/: \\w+ =/g, " ="),
+          }),
+        };`,
+      );
+      fs.writeFileSync(
+        path.join(projectDir, "visual-tests.config.ts"),
+        `const port: number = 7008;
+        export default { storybook: { port } };`,
+      );
+      jest.spyOn(process, "cwd").mockReturnValue(projectDir);
+
+      const { config, configPath } = await resolveConfig();
+
+      expect(configPath).toBe(path.join(projectDir, "visual-tests.config.ts"));
+      expect(config.storybook.port).toBe(7008);
+      // The transpiled copy is removed again
+      expect(fs.readdirSync(projectDir).sort()).toEqual([
+        "node_modules",
+        "visual-tests.config.ts",
+      ]);
+    });
+
+    (process.features.typescript ? test.skip : test)(
+      "explains how to load TypeScript config files without a compiler",
+      async () => {
+        const configFile = path.join(projectDir, "visual-tests.config.mts");
+        fs.writeFileSync(configFile, "export default {};");
+
+        await expect(loadConfig({ configFile })).rejects.toThrow(
+          "TypeScript config files need Node.js with type stripping (22.6+) or the typescript package installed",
+        );
+      },
+    );
+
+    test("defineConfig returns the config unchanged", () => {
+      const config = { snapshot: { testMatcher: { tags: ["visual"] } } };
+
+      expect(defineConfig(config)).toBe(config);
+    });
+  });
+
   describe("getConfigValue", () => {
     const config = {
       nested: {
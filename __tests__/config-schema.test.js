@@ -0,0 +1,205 @@
+import {
+  validateConfigSchema,
+  DEPRECATED_CONFIG_KEYS,
+} from "../lib/config-schema.js";
+import exampleConfig from "../examples/visual-tests.config.js";
+
+describe("Config Schema", () => {
+  test("accepts the example config without problems", () => {
+    expect(validateConfigSchema(exampleConfig)).toEqual({
+      errors: [],
+      warnings: [],
+    });
+  });
+
+  test("accepts booleans, numbers and lists given as strings", () => {
+    const { errors } = validateConfigSchema({
+      storybook: { port: "6006", reuseExistingServer: "false" },
+      snapshot: {
+        testMatcher: { tags: "visual,visual-mobile" },
+        diff: {
+          fetchDepth: "100",
+          colocation: { strategies: "sibling,mirror" },
+        },
+        position: { thresholds: { position: { x: "2", y: 10 } } },
+      },
+    });
+
+    expect(errors).toEqual([]);
+  });
+
+  test("reports type, range and enum errors with their key path", () => {
+    const { errors } = validateConfigSchema({
+      storybook: { port: 70000, host: 8080 },
+      snapshot: {
+        image: { threshold: 2 },
+        diff: { fetchDepth: "deep", colocation: { strategies: ["nearby"] } },
+        locale: { locales: [{ code: "ar", direction: "right" }] },
+        position: { enabled: "yes" },
+      },
+    });
+
+    expect(errors).toEqual([
+      {
+        path: "storybook.port",
+        message: "expected an integer between 1 and 65535, got 70000",
+      },
+      { path: "storybook.host", message: "expected a string, got 8080" },
+      {
+        path: "snapshot.image.threshold",
+        message: "expected a number between 0 and 1, got 2",
+      },
+      {
+        path: "snapshot.diff.fetchDepth",
+        message: 'expected an integer >= 1, got "deep"',
+      },
+      {
+        path: "snapshot.diff.colocation.strategies[0]",
+        message: 'expected one of "sibling", "folder", "mirror", got "nearby"',
+      },
+      {
+        path: "snapshot.locale.locales[0].direction",
+        message: 'expected one of "ltr", "rtl", got "right"',
+      },
+      {
+        path: "snapshot.position.enabled",
+        message: 'expected a boolean, got "yes"',
+      },
+    ]);
+  });
+
+  test("reports missing required keys", () => {
+    const { errors } = validateConfigSchema({
+      snapshot: { mobile: { viewports: [{ width: 375 }] } },
+    });
+
+    expect(errors).toEqual([
+      { path: "snapshot.mobile.viewports[0].height", message: "is required" },
+    ]);
+  });
+
+  test("warns about unknown keys with a suggestion", () => {
+    const { errors, warnings } = validateConfigSchema({
+      storybok: {},
+      snapshot: { position: { orderChek: true }, somethingElse: 1 },
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      { path: "storybok", message: 'unknown key, did you mean "storybook"?' },
+      {
+        path: "snapshot.position.orderChek",
+        message: 'unknown key, did you mean "orderCheck"?',
+      },
+      { path: "snapshot.somethingElse", message: "unknown key" },
+    ]);
+  });
+
+  test("allows any key where Playwright accepts its own options", () => {
+    const { warnings } = validateConfigSchema({
+      playwright: {
+        use: { locale: "de-DE", colorScheme: "dark" },
+        projects: [{ name: "mobile", use: {}, testIgnore: "*.ignored" }],
+      },
+    });
+
+    expect(warnings).toEqual([]);
+  });
+
+  test("warns about deprecated keys with a migration note", () => {
+    const { warnings } = validateConfigSchema({
+      paths: { logsDir: "logs" },
+      snapshot: { position: { positionThreshold: 5 } },
+    });
+
+    expect(warnings).toEqual([
+      {
+        path: "paths",
+        message: `is deprecated, ${DEPRECATED_CONFIG_KEYS.paths}`,
+      },
+      {
+        path: "snapshot.position.positionThreshold",
+        message: `is deprecated, ${DEPRECATED_CONFIG_KEYS["snapshot.position.positionThreshold"]}`,
+      },
+    ]);
+  });
+
+  test("checks profiles against the same schema", () => {
+    const { errors, warnings } = validateConfigSchema({
+      profiles: {
+        ci: {
+          playwright: { workers: 1 },
+          snapshot: { image: { threshold: 3 } },
+        },
+        local: { storybok: {} },
+      },
+    });
+
+    expect(errors).toEqual([
+      {
+        path: "profiles.ci.snapshot.image.threshold",
+        message: "expected a number between 0 and 1, got 3",
+      },
+    ]);
+    expect(warnings).toEqual([
+      {
+        path: "profiles.local.storybok",
+        message: 'unknown key, did you mean "storybook"?',
+      },
+    ]);
+  });
+
+  test("checks workspace Storybooks", () => {
+    const { errors, warnings } = validateConfigSchema({
+      workspace: {
+        storybooks: [
+          { name: "@acme/ui", storybook: { port: "6007" } },
+          { url: "http://localhost:6008", snapshotDir: "app" },
+        ],
+      },
+    });
+
+    expect(errors).toEqual([
+      { path: "workspace.storybooks[1].name", message: "is required" },
+    ]);
+    expect(warnings).toEqual([
+      {
+        path: "workspace.storybooks[1].snapshotDir",
+        message: 'unknown key, did you mean "snapshotsDir"?',
+      },
+    ]);
+  });
+
+  test("accepts composed Storybook refs as URLs or objects", () => {
+    const { errors } = validateConfigSchema({
+      storybook: {
+        refs: {
+          "design-system": "https://design.acme.dev",
+          icons: { title: "Icons", url: "http://localhost:6007" },
+          legacy: { title: "Legacy", disable: true },
+        },
+      },
+    });
+
+    expect(errors).toEqual([
+      { path: "storybook.refs.legacy.url", message: "is required" },
+    ]);
+  });
+
+  test("skips unset values", () => {
+    expect(
+      validateConfigSchema({
+        storybook: { port: undefined, host: null },
+      }),
+    ).toEqual({ errors: [], warnings: [] });
+  });
+
+  test("rejects configs that are not objects", () => {
+    expect(validateConfigSchema([]).errors).toEqual([
+      {
+        path: "(root)",
+        message: "expected the config to export an object, got an array",
+      },
+    ]);
+  });
+});
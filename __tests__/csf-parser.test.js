@@ -0,0 +1,301 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseCsfStatements,
+  getStoryExports,
+  findChangedStoryExports,
+  storyNameFromExport,
+  sanitizeStoryIdPart,
+} from "../lib/csf-parser.js";
+import {
+  findAffectedStories,
+  filterStoriesByChanges,
+} from "../lib/diff-analyzer.js";
+
+const STORY_FILE = `import type { Meta, StoryObj } from "@storybook/react";
+import { Button } from "./Button";
+
+const meta = {
+  title: "Components/Button",
+  component: Button,
+} satisfies Meta<typeof Button>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+const baseArgs = {
+  label: "Button",
+};
+
+/** The default button */
+export const Primary: Story = {
+  args: {
+    ...baseArgs,
+    primary: true,
+  },
+};
+
+export const Secondary: Story = {
+  args: baseArgs,
+};
+
+export const Large: Story = {
+  args: { size: "large", label: "Large" },
+};
+
+export const LargeDisabled: Story = {
+  ...Large,
+  args: { ...Large.args, disabled: true },
+};
+`;
+
+/**
+ * 1-based line number of the first line containing the text
+ */
+const lineOf = (text) =>
+  STORY_FILE.split("\n").findIndex((line) => line.includes(text)) + 1;
+
+describe("CSF Parser", () => {
+  describe("parseCsfStatements", () => {
+    test("splits a CSF3 file into top-level statements", () => {
+      const statements = parseCsfStatements(STORY_FILE);
+
+      expect(statements.map(({ kind, name }) => [kind, name])).toEqual([
+        ["import", undefined],
+        ["import", undefined],
+        ["meta", "meta"],
+        ["meta", undefined],
+        ["declaration", "Story"],
+        ["declaration", "baseArgs"],
+        ["story", "Primary"],
+        ["story", "Secondary"],
+        ["story", "Large"],
+        ["story", "LargeDisabled"],
+      ]);
+    });
+
+    test("attaches leading comments to the following statement", () => {
+      const primary = parseCsfStatements(STORY_FILE).find(
+        (statement) => statement.name === "Primary",
+      );
+
+      expect(primary.start).toBe(lineOf("/** The default button */"));
+      expect(primary.end).toBe(lineOf("export const Secondary") - 1);
+    });
+
+    test("recognises CSF2 assignments and inline default exports", () => {
+      const statements = parseCsfStatements(`export default { title: "Card" };
+const Template = (args) => <Card {...args} />;
+export const Basic = Template.bind({});
+Basic.args = { title: "Hello" };
+`);
+
+      expect(statements.map(({ kind }) => kind)).toEqual([
+        "meta",
+        "declaration",
+        "story",
+        "assignment",
+      ]);
+      expect(statements[3].target).toBe("Basic");
+    });
+  });
+
+  describe("getStoryExports", () => {
+    test("lists story exports, skipping meta and type exports", () => {
+      expect(
+        getStoryExports(`
+          export default { title: "Button" };
+          export const meta = {};
+          export type Props = {};
+          export const Primary = {};
+          export function Secondary() {}
+        `),
+      ).toEqual(["Primary", "Secondary"]);
+    });
+  });
+
+  describe("findChangedStoryExports", () => {
+    test("maps changed lines to the story they belong to", () => {
+      const line = lineOf('size: "large"');
+
+      expect(findChangedStoryExports(STORY_FILE, [[line, line]])).toEqual([
+        "Large",
+        "LargeDisabled",
+      ]);
+    });
+
+    test("selects only the edited story when no other story uses it", () => {
+      const line = lineOf("args: baseArgs");
+
+      expect(findChangedStoryExports(STORY_FILE, [[line, line]])).toEqual([
+        "Secondary",
+      ]);
+    });
+
+    test("selects the stories using a changed shared args object", () => {
+      const line = lineOf('label: "Button"');
+
+      expect(findChangedStoryExports(STORY_FILE, [[line, line]])).toEqual([
+        "Primary",
+        "Secondary",
+      ]);
+    });
+
+    test("returns null when the meta object changes", () => {
+      const line = lineOf("component: Button");
+
+      expect(findChangedStoryExports(STORY_FILE, [[line, line]])).toBeNull();
+    });
+
+    test("returns null when imports change", () => {
+      expect(findChangedStoryExports(STORY_FILE, [[2, 2]])).toBeNull();
+    });
+
+    test("ignores changes to blank lines between statements", () => {
+      const line = lineOf("export const Secondary") - 1;
+
+      expect(findChangedStoryExports(STORY_FILE, [[line, line]])).toEqual([]);
+    });
+
+    test("follows CSF2 assignments to their story", () => {
+      const content = `export default { title: "Card" };
+const Template = (args) => <Card {...args} />;
+export const Basic = Template.bind({});
+export const Other = Template.bind({});
+Basic.args = { title: "Hello" };
+`;
+
+      expect(findChangedStoryExports(content, [[5, 5]])).toEqual(["Basic"]);
+      expect(findChangedStoryExports(content, [[2, 2]])).toEqual([
+        "Basic",
+        "Other",
+      ]);
+    });
+  });
+
+  describe("story IDs", () => {
+    test("converts export names to Storybook story names", () => {
+      expect(storyNameFromExport("Primary")).toBe("Primary");
+      expect(storyNameFromExport("LargeDisabled")).toBe("Large Disabled");
+      expect(storyNameFromExport("WithIcon2")).toBe("With Icon 2");
+      expect(storyNameFromExport("HTMLContent")).toBe("HTML Content");
+      expect(storyNameFromExport("with_long_name")).toBe("With Long Name");
+    });
+
+    test("sanitizes names into story ID segments", () => {
+      expect(sanitizeStoryIdPart("Components/Button")).toBe(
+        "components-button",
+      );
+      expect(sanitizeStoryIdPart("Large Disabled")).toBe("large-disabled");
+    });
+  });
+
+  describe("diff integration", () => {
+    let projectRoot;
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "csf-parser-"));
+      const storyPath = path.join(
+        projectRoot,
+        "src/components/Button.stories.tsx",
+      );
+      fs.mkdirSync(path.dirname(storyPath), { recursive: true });
+      fs.writeFileSync(storyPath, STORY_FILE);
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    const config = {
+      snapshot: {
+        paths: { componentPaths: ["src/components/"] },
+        diff: { importGraph: { enabled: false } },
+      },
+    };
+
+    const stories = [
+      {
+        id: "components-button--primary",
+        importPath: "./src/components/Button.stories.tsx",
+      },
+      {
+        id: "components-button--large",
+        importPath: "./src/components/Button.stories.tsx",
+      },
+      {
+        id: "components-button--large-disabled",
+        importPath: "./src/components/Button.stories.tsx",
+      },
+      {
+        id: "components-card--basic",
+        importPath: "./src/components/Card.stories.tsx",
+      },
+    ];
+
+    test("narrows a changed story file to the changed stories", () => {
+      const storyFile = "src/components/Button.stories.tsx";
+      const line = lineOf("primary: true");
+
+      const affected = findAffectedStories(
+        [storyFile],
+        config,
+        projectRoot,
+        new Map([[storyFile, [[line, line]]]]),
+        "working-tree",
+      );
+
+      expect(affected.storyExports.get(storyFile)).toEqual(["Primary"]);
+      expect(
+        filterStoriesByChanges(stories, affected).map((story) => story.id),
+      ).toEqual(["components-button--primary"]);
+    });
+
+    test("matches index entries by exportName when available", () => {
+      const affected = {
+        allStoryFiles: ["src/components/Button.stories.tsx"],
+        storyExports: new Map([
+          ["src/components/Button.stories.tsx", ["Large"]],
+        ]),
+      };
+      const renamed = [
+        {
+          id: "components-button--big",
+          exportName: "Large",
+          importPath: "./src/components/Button.stories.tsx",
+        },
+        {
+          id: "components-button--primary",
+          exportName: "Primary",
+          importPath: "./src/components/Button.stories.tsx",
+        },
+      ];
+
+      expect(
+        filterStoriesByChanges(renamed, affected).map((story) => story.id),
+      ).toEqual(["components-button--big"]);
+    });
+
+    test("keeps whole files when story-level selection is disabled", () => {
+      const storyFile = "src/components/Button.stories.tsx";
+      const line = lineOf("primary: true");
+
+      const affected = findAffectedStories(
+        [storyFile],
+        {
+          snapshot: {
+            ...config.snapshot,
+            diff: { ...config.snapshot.diff, storyLevel: false },
+          },
+        },
+        projectRoot,
+        new Map([[storyFile, [[line, line]]]]),
+        "working-tree",
+      );
+
+      expect(affected.storyExports.size).toBe(0);
+      expect(filterStoriesByChanges(stories, affected)).toHaveLength(3);
+    });
+  });
+});
@@ -26,11 +26,15 @@ describe("Diff Analyzer", () => {
     isComponentFile,
     findStoryFilesForComponent,
     getChangedFiles,
+    getChangedLineRanges,
     branchExists,
     remoteBranchExists,
     getDefaultRemote,
+    resolveTargetRef,
     mapComponentsToStories,
     findAffectedStories,
+    filterStoriesByChanges,
+    matchesGlob,
     estimateStoryExports;
 
   beforeEach(async () => {
@@ -40,11 +44,15 @@ describe("Diff Analyzer", () => {
     isComponentFile = module.isComponentFile;
     findStoryFilesForComponent = module.findStoryFilesForComponent;
     getChangedFiles = module.getChangedFiles;
+    getChangedLineRanges = module.getChangedLineRanges;
     branchExists = module.branchExists;
     remoteBranchExists = module.remoteBranchExists;
     getDefaultRemote = module.getDefaultRemote;
+    resolveTargetRef = module.resolveTargetRef;
     mapComponentsToStories = module.mapComponentsToStories;
     findAffectedStories = module.findAffectedStories;
+    filterStoriesByChanges = module.filterStoriesByChanges;
+    matchesGlob = module.matchesGlob;
     estimateStoryExports = module.estimateStoryExports;
   });
 
@@ -63,6 +71,16 @@ describe("Diff Analyzer", () => {
       expect(isStoryFile("Button.tsx")).toBe(false);
       expect(isStoryFile("Button.test.tsx")).toBe(false);
     });
+
+    it("should identify MDX and Svelte story files", () => {
+      expect(isStoryFile("src/Button.stories.mdx")).toBe(true);
+      expect(isStoryFile("src/Button.stories.svelte")).toBe(true);
+    });
+
+    it("should only accept configured story extensions", () => {
+      expect(isStoryFile("src/Button.stories.mdx", [".tsx"])).toBe(false);
+      expect(isStoryFile("src/Button.stories.tsx", [".tsx"])).toBe(true);
+    });
   });
 
   describe("isComponentFile", () => {
@@ -102,6 +120,30 @@ describe("Diff Analyzer", () => {
       ).toBe(false);
     });
 
+    it("should accept JSX, Vue, Svelte and CSS module components", () => {
+      expect(
+        isComponentFile("src/components/Button.jsx", ["src/components/"]),
+      ).toBe(true);
+      expect(
+        isComponentFile("src/components/Button.vue", ["src/components/"]),
+      ).toBe(true);
+      expect(
+        isComponentFile("src/components/Button.svelte", ["src/components/"]),
+      ).toBe(true);
+      expect(
+        isComponentFile("src/components/Button.module.css", ["src/components/"]),
+      ).toBe(true);
+      expect(
+        isComponentFile("src/components/Button.test.jsx", ["src/components/"]),
+      ).toBe(false);
+    });
+
+    it("should only accept configured component extensions", () => {
+      expect(
+        isComponentFile("src/components/Button.vue", ["src/components/"], [".tsx"]),
+      ).toBe(false);
+    });
+
     it("should reject files outside component paths", () => {
       expect(isComponentFile("src/utils/Button.tsx", ["src/components/"])).toBe(
         false,
@@ -131,6 +173,56 @@ describe("Diff Analyzer", () => {
       expect(stories.length).toBeGreaterThan(0);
     });
 
+    it("should map CSS modules to the stories of their component", () => {
+      const componentPath = path.join(
+        process.cwd(),
+        "src/components/Button.module.css",
+      );
+      mockFs.existsSync.mockImplementation((filePath) => {
+        return filePath.endsWith("Button.stories.jsx");
+      });
+
+      const stories = findStoryFilesForComponent(componentPath);
+      expect(stories).toEqual([
+        path.join("src", "components", "Button.stories.jsx"),
+      ]);
+    });
+
+    it("should find stories in a __stories__ folder", () => {
+      const componentPath = path.join(process.cwd(), "src/components/Button.vue");
+      mockFs.existsSync.mockImplementation((filePath) => {
+        return filePath.endsWith(
+          path.join("components", "__stories__", "Button.stories.ts"),
+        );
+      });
+
+      const stories = findStoryFilesForComponent(componentPath, process.cwd(), {
+        colocation: { strategies: ["sibling", "folder"] },
+      });
+      expect(stories).toEqual([
+        path.join("src", "components", "__stories__", "Button.stories.ts"),
+      ]);
+    });
+
+    it("should find stories in a mirrored stories tree", () => {
+      const componentPath = path.join(
+        process.cwd(),
+        "src/components/forms/Input.tsx",
+      );
+      mockFs.existsSync.mockImplementation((filePath) => {
+        return filePath.endsWith(
+          path.join("stories", "components", "forms", "Input.stories.tsx"),
+        );
+      });
+
+      const stories = findStoryFilesForComponent(componentPath, process.cwd(), {
+        colocation: { strategies: ["mirror"], sourceRoot: "src/", mirrorRoot: "stories/" },
+      });
+      expect(stories).toEqual([
+        path.join("stories", "components", "forms", "Input.stories.tsx"),
+      ]);
+    });
+
     it("should return empty array if no story files found", () => {
       const componentPath = path.join(process.cwd(), "src/components/Button.tsx");
       mockFs.existsSync.mockReturnValue(false);
@@ -172,6 +264,139 @@ describe("Diff Analyzer", () => {
     });
   });
 
+  describe("getChangedFiles modes", () => {
+    it("should include staged changes against the merge base", () => {
+      mockExecSync.mockImplementation((command) => {
+        if (command.startsWith("git merge-base")) return "abc123\n";
+        return "src/Button.tsx\n";
+      });
+
+      const files = getChangedFiles("main", process.cwd(), { mode: "staged" });
+
+      expect(files).toEqual(["src/Button.tsx"]);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git merge-base main HEAD",
+        expect.any(Object),
+      );
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git diff --name-only --cached abc123",
+        expect.any(Object),
+      );
+    });
+
+    it("should include unstaged changes and untracked story files", () => {
+      mockExecSync.mockImplementation((command) => {
+        if (command.startsWith("git merge-base")) return "abc123\n";
+        if (command.startsWith("git ls-files")) {
+          return "src/New.stories.tsx\nnotes.txt\nsrc/Button.tsx\n";
+        }
+        return "src/Button.tsx\nsrc/Button.stories.tsx\n";
+      });
+
+      const files = getChangedFiles("main", process.cwd(), {
+        mode: "working-tree",
+      });
+
+      expect(files).toEqual([
+        "src/Button.tsx",
+        "src/Button.stories.tsx",
+        "src/New.stories.tsx",
+      ]);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git diff --name-only abc123",
+        expect.any(Object),
+      );
+    });
+
+    it("should unquote paths git prints in quotes", () => {
+      mockExecSync.mockReturnValue(
+        'src/My Button.tsx\n"src/\\303\\204\\tab.tsx"\n',
+      );
+
+      expect(getChangedFiles("main", process.cwd())).toEqual([
+        "src/My Button.tsx",
+        "src/Ä\tab.tsx",
+      ]);
+    });
+
+    it("should reject unknown modes", () => {
+      expect(() =>
+        getChangedFiles("main", process.cwd(), { mode: "stash" }),
+      ).toThrow("Invalid diff mode: stash");
+    });
+  });
+
+  describe("getChangedLineRanges", () => {
+    it("should parse hunks of the unified diff per file", () => {
+      mockExecSync.mockReturnValue(
+        [
+          "diff --git a/src/Button.stories.tsx b/src/Button.stories.tsx",
+          "--- a/src/Button.stories.tsx",
+          "+++ b/src/Button.stories.tsx",
+          "@@ -10,2 +10,3 @@ export const Primary = {",
+          "@@ -20 +21 @@ export const Large = {",
+          "@@ -30,4 +31,0 @@",
+          "diff --git a/src/Card.stories.tsx b/src/Card.stories.tsx",
+          "--- /dev/null",
+          "+++ b/src/Card.stories.tsx",
+          "@@ -0,0 +1,5 @@",
+        ].join("\n"),
+      );
+
+      const ranges = getChangedLineRanges("main", [
+        "src/Button.stories.tsx",
+        "src/Card.stories.tsx",
+      ]);
+
+      expect(ranges.get("src/Button.stories.tsx")).toEqual([
+        [10, 12],
+        [21, 21],
+        [31, 31],
+      ]);
+      expect(ranges.get("src/Card.stories.tsx")).toEqual([[1, 5]]);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ main...HEAD --",
+        ),
+        expect.any(Object),
+      );
+    });
+
+    it("should handle paths with spaces and quoted paths", () => {
+      mockExecSync.mockReturnValue(
+        [
+          "diff --git a/src/My Button.stories.tsx b/src/My Button.stories.tsx",
+          "--- a/src/My Button.stories.tsx\t",
+          "+++ b/src/My Button.stories.tsx\t",
+          "@@ -4 +4,2 @@",
+          'diff --git "a/src/\\303\\204\\"q.stories.tsx" "b/src/\\303\\204\\"q.stories.tsx"',
+          '--- "a/src/\\303\\204\\"q.stories.tsx"',
+          '+++ "b/src/\\303\\204\\"q.stories.tsx"',
+          "@@ -2 +2 @@",
+        ].join("\n"),
+      );
+
+      const ranges = getChangedLineRanges("main", [
+        "src/My Button.stories.tsx",
+        'src/Ä"q.stories.tsx',
+      ]);
+
+      expect(ranges.get("src/My Button.stories.tsx")).toEqual([[4, 5]]);
+      expect(ranges.get('src/Ä"q.stories.tsx')).toEqual([[2, 2]]);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '-- "src/My Button.stories.tsx" "src/Ä\\"q.stories.tsx"',
+        ),
+        expect.any(Object),
+      );
+    });
+
+    it("should not run git without files", () => {
+      expect(getChangedLineRanges("main", []).size).toBe(0);
+      expect(mockExecSync).not.toHaveBeenCalled();
+    });
+  });
+
   describe("branchExists", () => {
     it("should return true if branch exists", () => {
       mockExecSync.mockImplementation(() => {});
@@ -234,6 +459,149 @@ describe("Diff Analyzer", () => {
     });
   });
 
+  describe("resolveTargetRef", () => {
+    /**
+     * Fake git: known refs resolve, `merge-base` succeeds once `deepened`
+     * fetches reach `mergeBaseAfter`, and fetches can be made to fail
+     */
+    const mockGit = ({
+      refs = [],
+      shallow = false,
+      mergeBaseAfter = 0,
+      fetchFails = false,
+    } = {}) => {
+      const state = { refs: new Set(refs), deepened: 0 };
+
+      mockExecSync.mockImplementation((command) => {
+        if (command === "git remote") return "origin\n";
+        if (command.startsWith("git rev-parse --verify ")) {
+          if (state.refs.has(command.split(" ").pop())) return "";
+          throw new Error("unknown ref");
+        }
+        if (command === "git rev-parse --is-shallow-repository") {
+          return shallow ? "true\n" : "false\n";
+        }
+        if (command.startsWith("git fetch ")) {
+          if (fetchFails) throw new Error("fetch failed");
+          if (command.includes("--deepen=")) state.deepened++;
+          state.refs.add("origin/main");
+          return "";
+        }
+        if (command.startsWith("git merge-base ")) {
+          if (state.deepened >= mergeBaseAfter) return "abc1234\n";
+          throw new Error("no merge base");
+        }
+        throw new Error(`Unexpected command: ${command}`);
+      });
+    };
+
+    it("should use the local branch when it exists", () => {
+      mockGit({ refs: ["main"] });
+
+      expect(resolveTargetRef("main")).toEqual({
+        ref: "main",
+        mergeBase: "abc1234",
+        source: "local",
+        fullRun: false,
+        reason: null,
+        steps: [],
+      });
+    });
+
+    it("should fall back to the remote-tracking branch", () => {
+      mockGit({ refs: ["origin/main"] });
+
+      const resolution = resolveTargetRef("main");
+
+      expect(resolution.ref).toBe("origin/main");
+      expect(resolution.source).toBe("remote");
+      expect(resolution.steps).toEqual([
+        "main not found locally, using origin/main",
+      ]);
+    });
+
+    it("should fetch the branch when no ref exists", () => {
+      mockGit();
+
+      const resolution = resolveTargetRef("main", "/project", {
+        fetchDepth: 20,
+      });
+
+      expect(resolution).toMatchObject({
+        ref: "origin/main",
+        source: "fetched",
+        fullRun: false,
+      });
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git fetch --no-tags --depth=20 origin +refs/heads/main:refs/remotes/origin/main",
+        expect.objectContaining({ cwd: "/project" }),
+      );
+    });
+
+    it("should deepen a shallow clone until a merge base exists", () => {
+      mockGit({ refs: ["origin/main"], shallow: true, mergeBaseAfter: 2 });
+
+      const resolution = resolveTargetRef("main", "/project", {
+        fetchDepth: 10,
+      });
+
+      expect(resolution.mergeBase).toBe("abc1234");
+      expect(resolution.fullRun).toBe(false);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git fetch --no-tags --deepen=10 origin +refs/heads/main:refs/remotes/origin/main",
+        expect.any(Object),
+      );
+      expect(
+        resolution.steps.filter((step) => step.includes("deepening")),
+      ).toHaveLength(2);
+    });
+
+    it("should request a full run after the maximum number of deepen steps", () => {
+      mockGit({ refs: ["main"], shallow: true, mergeBaseAfter: 10 });
+
+      const resolution = resolveTargetRef("main", "/project", {
+        maxFetchAttempts: 3,
+      });
+
+      expect(resolution).toMatchObject({
+        ref: null,
+        fullRun: true,
+        reason: "No merge base between HEAD and main",
+      });
+      expect(mockExecSync).toHaveBeenCalledWith(
+        "git fetch --no-tags --deepen=50 origin",
+        expect.any(Object),
+      );
+      expect(
+        resolution.steps.filter((step) => step.includes("deepening")),
+      ).toHaveLength(3);
+    });
+
+    it("should request a full run when the branch cannot be found", () => {
+      mockGit({ fetchFails: true });
+
+      expect(resolveTargetRef("main")).toMatchObject({
+        ref: null,
+        fullRun: true,
+        reason: "main was not found locally or on origin",
+      });
+    });
+
+    it("should not fetch when autoFetch is disabled", () => {
+      mockGit({ shallow: true });
+
+      const resolution = resolveTargetRef("main", "/project", {
+        autoFetch: false,
+      });
+
+      expect(resolution.fullRun).toBe(true);
+      expect(mockExecSync).not.toHaveBeenCalledWith(
+        expect.stringContaining("git fetch"),
+        expect.any(Object),
+      );
+    });
+  });
+
   describe("mapComponentsToStories", () => {
     it("should map components to their story files", () => {
       const componentFiles = ["src/components/Button.tsx"];
@@ -302,6 +670,23 @@ describe("Diff Analyzer", () => {
       expect(result.allStoryFiles.length).toBeGreaterThan(0);
     });
 
+    it("should identify story files in a mirrored stories tree", () => {
+      const changedFiles = ["stories/components/Button.stories.tsx"];
+      const config = {
+        snapshot: {
+          paths: { componentPaths: ["src/components/"] },
+          diff: {
+            importGraph: { enabled: false },
+            colocation: { strategies: ["mirror"] },
+          },
+        },
+      };
+
+      const result = findAffectedStories(changedFiles, config);
+
+      expect(result.storyFiles).toEqual(["stories/components/Button.stories.tsx"]);
+    });
+
     it("should filter out files not in component paths", () => {
       const changedFiles = [
         "src/components/Button.tsx",
@@ -317,6 +702,185 @@ describe("Diff Analyzer", () => {
 
       expect(result.otherFiles).toContain("src/utils/helper.ts");
     });
+
+    describe("story-level selection", () => {
+      const storyFile = "src/components/Button.stories.tsx";
+      const config = {
+        snapshot: {
+          paths: { componentPaths: ["src/components/"] },
+          diff: { importGraph: { enabled: false } },
+        },
+      };
+      const committed = [
+        "export default { title: 'Button' };",
+        "export const Primary = {};",
+        "export const Large = {};",
+      ].join("\n");
+      const unstaged = ["export default { title: 'Button' };", ""].join("\n");
+      const ranges = new Map([[storyFile, [[3, 3]]]]);
+
+      beforeEach(() => {
+        mockExecSync.mockReturnValue(committed);
+        mockFs.readFileSync.mockReturnValue(unstaged);
+      });
+
+      it("should read story files at HEAD for committed changes", () => {
+        const result = findAffectedStories(
+          [storyFile],
+          config,
+          "/project",
+          ranges,
+        );
+
+        expect(result.storyExports.get(storyFile)).toEqual(["Large"]);
+        expect(mockExecSync).toHaveBeenCalledWith(
+          `git show "HEAD:${storyFile}"`,
+          expect.objectContaining({ cwd: "/project" }),
+        );
+        expect(mockFs.readFileSync).not.toHaveBeenCalled();
+      });
+
+      it("should read story files from the index for staged changes", () => {
+        const result = findAffectedStories(
+          [storyFile],
+          config,
+          "/project",
+          ranges,
+          "staged",
+        );
+
+        expect(result.storyExports.get(storyFile)).toEqual(["Large"]);
+        expect(mockExecSync).toHaveBeenCalledWith(
+          `git show ":${storyFile}"`,
+          expect.any(Object),
+        );
+      });
+
+      it("should read story files on disk in working-tree mode", () => {
+        mockFs.readFileSync.mockReturnValue(committed);
+
+        const result = findAffectedStories(
+          [storyFile],
+          config,
+          "/project",
+          ranges,
+          "working-tree",
+        );
+
+        expect(result.storyExports.get(storyFile)).toEqual(["Large"]);
+        expect(mockFs.readFileSync).toHaveBeenCalledWith(
+          path.join("/project", storyFile),
+          "utf8",
+        );
+        expect(mockExecSync).not.toHaveBeenCalled();
+      });
+
+      it("should keep all stories when the revision cannot be read", () => {
+        mockExecSync.mockImplementation(() => {
+          throw new Error("fatal: path does not exist in 'HEAD'");
+        });
+
+        const result = findAffectedStories(
+          [storyFile],
+          config,
+          "/project",
+          ranges,
+        );
+
+        expect(result.storyExports.has(storyFile)).toBe(false);
+        expect(result.allStoryFiles).toContain(storyFile);
+      });
+    });
+  });
+
+  describe("matchesGlob", () => {
+    it("should match directory globs", () => {
+      expect(matchesGlob(".storybook/preview.tsx", ".storybook/**")).toBe(true);
+      expect(matchesGlob(".storybook/preview.tsx", ".storybook/")).toBe(true);
+      expect(matchesGlob("src/.storybook/preview.tsx", ".storybook/**")).toBe(
+        false,
+      );
+    });
+
+    it("should match single segments, double stars and alternatives", () => {
+      expect(matchesGlob("src/theme/tokens.ts", "src/theme/*.ts")).toBe(true);
+      expect(matchesGlob("src/theme/dark/tokens.ts", "src/theme/*.ts")).toBe(
+        false,
+      );
+      expect(matchesGlob("src/theme/dark/tokens.ts", "src/**/*.ts")).toBe(true);
+      expect(matchesGlob("src/theme.ts", "src/**/*.ts")).toBe(true);
+      expect(matchesGlob("src/app.scss", "src/*.{css,scss}")).toBe(true);
+      expect(matchesGlob("src/app.less", "src/*.{css,scss}")).toBe(false);
+    });
+
+    it("should match patterns without a slash against the file name", () => {
+      expect(matchesGlob("package-lock.json", "package-lock.json")).toBe(true);
+      expect(matchesGlob("packages/ui/package-lock.json", "package-lock.json")).toBe(true);
+      expect(matchesGlob("src/styles/app.global.css", "*.global.css")).toBe(true);
+    });
+  });
+
+  describe("global triggers", () => {
+    const config = {
+      snapshot: {
+        paths: { componentPaths: ["src/components/"] },
+        diff: {
+          importGraph: { enabled: false },
+          globalTriggers: [".storybook/**", "package-lock.json"],
+          triggerMappings: {
+            "src/theme/forms/**": ["src/components/forms/**"],
+          },
+        },
+      },
+    };
+
+    const stories = [
+      { id: "button--primary", importPath: "./src/components/Button.stories.tsx" },
+      { id: "input--default", importPath: "./src/components/forms/Input.stories.tsx" },
+    ];
+
+    it("should request a full run for global trigger files", () => {
+      const result = findAffectedStories(
+        [".storybook/preview.tsx", "src/utils/helper.ts"],
+        config,
+      );
+
+      expect(result.fullRun).toBe(true);
+      expect(result.globalTriggerFiles).toEqual([".storybook/preview.tsx"]);
+      expect(result.otherFiles).toContain(".storybook/preview.tsx");
+      expect(filterStoriesByChanges(stories, result)).toEqual(stories);
+    });
+
+    it("should use the default global triggers", () => {
+      const result = findAffectedStories(["yarn.lock"], {
+        snapshot: {
+          paths: { componentPaths: ["src/components/"] },
+          diff: { importGraph: { enabled: false } },
+        },
+      });
+
+      expect(result.fullRun).toBe(true);
+    });
+
+    it("should select the story files mapped to a trigger", () => {
+      const result = findAffectedStories(["src/theme/forms/inputs.ts"], config);
+
+      expect(result.fullRun).toBe(false);
+      expect(result.triggeredStoryPatterns.get("src/theme/forms/inputs.ts")).toEqual(
+        ["src/components/forms/**"],
+      );
+      expect(
+        filterStoriesByChanges(stories, result).map((story) => story.id),
+      ).toEqual(["input--default"]);
+    });
+
+    it("should not escalate unrelated changes", () => {
+      const result = findAffectedStories(["src/utils/helper.ts"], config);
+
+      expect(result.fullRun).toBe(false);
+      expect(result.triggeredStoryPatterns.size).toBe(0);
+      expect(filterStoriesByChanges(stories, result)).toEqual([]);
+    });
   });
 
   describe("estimateStoryExports", () => {
@@ -334,6 +898,24 @@ describe("Diff Analyzer", () => {
       expect(count).toBe(3);
     });
 
+    it("should count the exports at the revision of a diff mode", () => {
+      const storyFilePath = "src/components/Button.stories.tsx";
+      mockExecSync.mockReturnValue(`
+        export default { title: 'Button' };
+        export const Primary = {};
+        export const Secondary = {};
+      `);
+
+      const count = estimateStoryExports(storyFilePath, "/project", "staged");
+
+      expect(count).toBe(2);
+      expect(mockExecSync).toHaveBeenCalledWith(
+        `git show ":${storyFilePath}"`,
+        expect.any(Object),
+      );
+      expect(mockFs.readFileSync).not.toHaveBeenCalled();
+    });
+
     it("should count export function declarations", () => {
       const storyFilePath = "src/components/Button.stories.tsx";
       mockFs.readFileSync.mockReturnValue(`
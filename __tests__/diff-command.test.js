@@ -8,9 +8,12 @@ import chalk from "chalk";
 const mockLoadConfig = jest.fn();
 const mockGetChangedFiles = jest.fn();
 const mockFindAffectedStories = jest.fn();
+const mockResolveTargetRef = jest.fn();
 const mockFetchStories = jest.fn();
 const mockGenerateTestFiles = jest.fn();
 const mockCleanupTestFiles = jest.fn();
+const mockFilterStoriesByChanges = jest.fn();
+const mockProcessTestResults = jest.fn();
 
 const mockSpawn = jest.fn();
 
@@ -30,7 +33,11 @@ jest.unstable_mockModule("../config-loader.js", () => ({
 
 jest.unstable_mockModule("../lib/diff-analyzer.js", () => ({
   getChangedFiles: mockGetChangedFiles,
+  getChangedLineRanges: jest.fn(() => new Map()),
   findAffectedStories: mockFindAffectedStories,
+  filterStoriesByChanges: mockFilterStoriesByChanges,
+  isStoryFile: (file) => file.includes(".stories."),
+  resolveTargetRef: mockResolveTargetRef,
 }));
 
 jest.unstable_mockModule("../lib/story-discovery.js", () => ({
@@ -40,6 +47,19 @@ jest.unstable_mockModule("../lib/story-discovery.js", () => ({
 jest.unstable_mockModule("../lib/test-runner-utils.js", () => ({
   generateTestFiles: mockGenerateTestFiles,
   cleanupTestFiles: mockCleanupTestFiles,
+  getReportPaths: () => ({
+    jsonReportPath: "/reports/results.json",
+    htmlReportDir: null,
+  }),
+  runWithConcurrency: (items, limit, task) =>
+    Promise.all(items.map((item, index) => task(item, index))),
+  pipeWithPrefix: jest.fn(),
+}));
+
+jest.unstable_mockModule("../lib/result-processor.js", () => ({
+  processTestResults: mockProcessTestResults,
+  mergeLocaleResults: jest.fn(),
+  mergePackageResults: jest.fn(),
 }));
 
 describe("Diff Command", () => {
@@ -62,6 +82,15 @@ describe("Diff Command", () => {
       example: jest.fn(() => mockYargs),
     };
 
+    mockResolveTargetRef.mockImplementation((targetBranch) => ({
+      ref: targetBranch,
+      mergeBase: "0123456789abcdef",
+      source: "local",
+      fullRun: false,
+      reason: null,
+      steps: [],
+    }));
+
     mockGenerateTestFiles.mockReturnValue({
       dataFile: "/tmp/data.json",
       specFile: "/tmp/spec.js",
@@ -150,6 +179,160 @@ describe("Diff Command", () => {
     );
   });
 
+  it("should pass --since and --working-tree to the change detection", async () => {
+    const mockConfig = {
+      snapshot: {
+        diff: { targetBranch: "main", storyExtensions: [".tsx"] },
+        paths: { logsDir: "logs", componentPaths: ["src/components/"] },
+      },
+    };
+    mockLoadConfig.mockResolvedValue(mockConfig);
+    mockGetChangedFiles.mockReturnValue([]);
+
+    diffCommand(mockYargs);
+    await commandHandler({
+      config: "config.js",
+      since: "HEAD~2",
+      workingTree: true,
+    });
+
+    expect(mockGetChangedFiles).toHaveBeenCalledWith(
+      "HEAD~2",
+      expect.any(String),
+      { mode: "working-tree", storyExtensions: [".tsx"] },
+    );
+    expect(mockConsoleLog).toHaveBeenCalledWith(
+      expect.stringContaining("Since commit: HEAD~2"),
+    );
+  });
+
+  it("should run the affected stories through the run pipeline", async () => {
+    const mockConfig = {
+      snapshot: {
+        diff: { targetBranch: "main" },
+        paths: {
+          logsDir: "logs",
+          componentPaths: ["src/components/"],
+          playwrightConfig: "playwright.config.js",
+        },
+      },
+      playwright: {},
+      storybook: { port: 6006 },
+    };
+    const stories = [
+      {
+        id: "button--primary",
+        importPath: "./src/components/Button.stories.tsx",
+      },
+      { id: "card--basic", importPath: "./src/components/Card.stories.tsx" },
+    ];
+    mockLoadConfig.mockResolvedValue(mockConfig);
+    mockGetChangedFiles.mockReturnValue(["src/components/Button.stories.tsx"]);
+    mockFindAffectedStories.mockReturnValue({
+      allStoryFiles: ["src/components/Button.stories.tsx"],
+      storyFiles: ["src/components/Button.stories.tsx"],
+      componentFiles: [],
+      otherFiles: [],
+      dependencyChains: new Map(),
+      storyExports: new Map(),
+    });
+    mockFetchStories.mockResolvedValue(stories);
+    mockFilterStoriesByChanges.mockReturnValue([stories[0]]);
+
+    diffCommand(mockYargs);
+    await commandHandler({
+      config: "config.js",
+      mobile: true,
+      updateSnapshots: true,
+    });
+
+    expect(mockLoadConfig).toHaveBeenLastCalledWith(
+      expect.objectContaining({ configFile: "config.js", mobile: true }),
+    );
+    expect(mockFilterStoriesByChanges).toHaveBeenCalledWith(
+      stories,
+      expect.objectContaining({
+        allStoryFiles: ["src/components/Button.stories.tsx"],
+      }),
+    );
+    expect(mockGenerateTestFiles).toHaveBeenCalledWith(
+      mockConfig,
+      [stories[0]],
+      "",
+    );
+    expect(mockSpawn).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.arrayContaining(["test", "/tmp/spec.js", "--update-snapshots"]),
+      expect.objectContaining({
+        shell: false,
+        env: expect.objectContaining({
+          VISUAL_TESTS_DATA_FILE: "/tmp/data.json",
+          VISUAL_TEST_MOBILE: "true",
+          VISUAL_TEST_UPDATE_SNAPSHOTS: "true",
+          VISUAL_TEST_JSON_REPORT: "/reports/results.json",
+        }),
+      }),
+    );
+    expect(mockProcessTestResults).toHaveBeenCalledWith(
+      "/reports/results.json",
+      expect.stringContaining("logs"),
+    );
+    expect(mockCleanupTestFiles).toHaveBeenCalledWith({
+      dataFile: "/tmp/data.json",
+      specFile: "/tmp/spec.js",
+    });
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  it("should fall back to a full run when the target ref cannot be resolved", async () => {
+    const mockConfig = {
+      snapshot: {
+        diff: {
+          targetBranch: "main",
+          autoFetch: true,
+          fetchDepth: 50,
+          maxFetchAttempts: 5,
+        },
+        paths: {
+          logsDir: "logs",
+          componentPaths: ["src/components/"],
+          playwrightConfig: "playwright.config.js",
+        },
+      },
+      playwright: {},
+      storybook: { port: 6006 },
+    };
+    const stories = [{ id: "button--primary" }, { id: "card--basic" }];
+    mockLoadConfig.mockResolvedValue(mockConfig);
+    mockResolveTargetRef.mockReturnValue({
+      ref: null,
+      mergeBase: null,
+      source: null,
+      fullRun: true,
+      reason: "No merge base between HEAD and origin/main",
+      steps: ["main not found locally, using origin/main"],
+    });
+    mockFetchStories.mockResolvedValue(stories);
+
+    diffCommand(mockYargs);
+    await commandHandler({ config: "config.js" });
+
+    expect(mockResolveTargetRef).toHaveBeenCalledWith(
+      "main",
+      expect.any(String),
+      { autoFetch: true, fetchDepth: 50, maxFetchAttempts: 5 },
+    );
+    expect(mockConsoleLog).toHaveBeenCalledWith(
+      expect.stringContaining("main not found locally, using origin/main"),
+    );
+    expect(mockConsoleLog).toHaveBeenCalledWith(
+      expect.stringContaining("Falling back to a full run"),
+    );
+    expect(mockGetChangedFiles).not.toHaveBeenCalled();
+    expect(mockGenerateTestFiles).toHaveBeenCalledWith(mockConfig, stories, "");
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
   it("should handle errors gracefully", async () => {
     mockLoadConfig.mockRejectedValue(new Error("Config error"));
 
@@ -184,4 +184,24 @@ describe("Dry Run Command", () => {
       expect.stringContaining("Dry Run for locale: de-DE"),
     );
   });
+
+  it("should preview every workspace package", async () => {
+    mockLoadConfig.mockImplementation(async (options) => ({
+      package: options.package,
+      snapshot: { paths: { snapshotsDir: "__visual_snapshots__" } },
+      workspace: { storybooks: [{ name: "@acme/ui" }, { name: "@acme/app" }] },
+    }));
+    mockFetchStories.mockImplementation(async (config) =>
+      config.package === "@acme/ui" ? [{ id: "button--primary" }] : [],
+    );
+
+    dryRunCommand(mockYargs);
+    await commandHandler({ config: "config.js" });
+
+    expect(mockFetchStories).toHaveBeenCalledTimes(2);
+    expect(mockConsoleLog).toHaveBeenCalledWith(
+      expect.stringContaining("Dry Run for package: @acme/app"),
+    );
+    expect(mockConsoleLog).toHaveBeenCalledWith("  - button--primary");
+  });
 });
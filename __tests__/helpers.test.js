@@ -3,7 +3,7 @@
  */
 
 import { jest } from "@jest/globals";
-import { getSnapshotName } from "../playwright/helpers.js";
+import { getSnapshotName, navigateToStory } from "../playwright/helpers.js";
 
 describe("Playwright Helpers", () => {
   describe("getSnapshotName", () => {
@@ -38,4 +38,34 @@ describe("Playwright Helpers", () => {
       expect(getSnapshotName("story", undefined, null)).toBe("story");
     });
   });
+
+  describe("navigateToStory", () => {
+    it("should open the story iframe of the configured Storybook", async () => {
+      const page = { goto: jest.fn() };
+
+      await navigateToStory(page, "button--primary", {
+        storybook: { host: "127.0.0.1", port: "6006" },
+        locale: { code: "de", storybookGlobalParam: "lang" },
+      });
+
+      expect(page.goto).toHaveBeenCalledWith(
+        "http://127.0.0.1:6006/iframe.html?id=button--primary&viewMode=story&globals=lang:de",
+        { waitUntil: "networkidle" },
+      );
+    });
+
+    it("should open stories of composed Storybooks from their own URL", async () => {
+      const page = { goto: jest.fn() };
+
+      await navigateToStory(page, "button--primary", {
+        storybook: { host: "localhost", port: "6006" },
+        storybookUrl: "https://design.acme.dev/storybook",
+      });
+
+      expect(page.goto).toHaveBeenCalledWith(
+        "https://design.acme.dev/storybook/iframe.html?id=button--primary&viewMode=story",
+        { waitUntil: "networkidle" },
+      );
+    });
+  });
 });
@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PNG } from "pngjs";
+import {
+  compareImages,
+  writeDiffTriplet,
+  readDiffAttachment,
+  DIFF_ATTACHMENT_NAME,
+} from "../lib/image-diff.js";
+
+/**
+ * Create a solid-color PNG buffer, optionally with a differently colored pixel block
+ */
+const createPng = (width, height, color, block = null) => {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock =
+        block &&
+        x >= block.x &&
+        x < block.x + block.size &&
+        y >= block.y &&
+        y < block.y + block.size;
+      const [r, g, b] = inBlock ? block.color : color;
+      const idx = (width * y + x) << 2;
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+describe("Image Diff", () => {
+  describe("compareImages", () => {
+    test("reports no difference for identical images", () => {
+      const image = createPng(10, 10, WHITE);
+      const result = compareImages(image, image);
+
+      expect(result.diffPixels).toBe(0);
+      expect(result.diffRatio).toBe(0);
+      expect(result.dimensionsMatch).toBe(true);
+    });
+
+    test("counts changed pixels and ratio", () => {
+      const expected = createPng(10, 10, WHITE);
+      const actual = createPng(10, 10, WHITE, {
+        x: 0,
+        y: 0,
+        size: 5,
+        color: BLACK,
+      });
+
+      const result = compareImages(expected, actual);
+
+      expect(result.diffPixels).toBe(25);
+      expect(result.diffRatio).toBe(0.25);
+      expect(PNG.sync.read(result.diffImage).width).toBe(10);
+    });
+
+    test("compares images of different sizes", () => {
+      const result = compareImages(
+        createPng(10, 10, WHITE),
+        createPng(10, 12, WHITE),
+      );
+
+      expect(result.dimensionsMatch).toBe(false);
+      expect(result.height).toBe(12);
+      expect(result.diffPixels).toBe(20);
+    });
+  });
+
+  describe("writeDiffTriplet", () => {
+    test("writes expected, actual and diff images", () => {
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-diff-"));
+      const expectedFile = path.join(outputDir, "reference.png");
+      fs.writeFileSync(expectedFile, createPng(4, 4, WHITE));
+
+      const result = writeDiffTriplet({
+        expected: expectedFile,
+        actual: createPng(4, 4, BLACK),
+        outputDir: path.join(outputDir, "diffs"),
+        name: "button--primary",
+      });
+
+      expect(path.basename(result.expectedPath)).toBe(
+        "button--primary-expected.png",
+      );
+      expect(fs.existsSync(result.actualPath)).toBe(true);
+      expect(fs.existsSync(result.diffPath)).toBe(true);
+      expect(result.diffPixels).toBe(16);
+    });
+  });
+
+  describe("readDiffAttachment", () => {
+    test("decodes the diff attachment of a test result", () => {
+      const diff = { diffPixels: 3, diffRatio: 0.1 };
+      const result = {
+        attachments: [
+          { name: "screenshot", path: "/tmp/a.png" },
+          {
+            name: DIFF_ATTACHMENT_NAME,
+            contentType: "application/json",
+            body: Buffer.from(JSON.stringify(diff)).toString("base64"),
+          },
+        ],
+      };
+
+      expect(readDiffAttachment(result)).toEqual(diff);
+    });
+
+    test("returns null without an attachment", () => {
+      expect(readDiffAttachment({ attachments: [] })).toBeNull();
+      expect(readDiffAttachment(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseImports,
+  loadPathAliases,
+  resolveImport,
+  buildReverseImportGraph,
+  findDependents,
+} from "../lib/import-graph.js";
+import { findAffectedStories, isStoryFile } from "../lib/diff-analyzer.js";
+
+describe("Import Graph", () => {
+  let projectRoot;
+
+  /**
+   * Write files relative to the temporary project root
+   */
+  const writeFiles = (files) => {
+    for (const [file, content] of Object.entries(files)) {
+      const fullPath = path.join(projectRoot, file);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+    }
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "import-graph-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  describe("parseImports", () => {
+    test("finds static, side-effect, re-export, dynamic and require imports", () => {
+      const content = `
+        import React from "react";
+        import { a,
+          b } from './a';
+        import type { Props } from "./types";
+        import "./styles.css";
+        export * from "./barrel";
+        export { c } from "./c";
+        const lazy = import("./Lazy");
+        const legacy = require("./legacy");
+      `;
+
+      expect(parseImports(content).sort()).toEqual(
+        [
+          "react",
+          "./a",
+          "./types",
+          "./styles.css",
+          "./barrel",
+          "./c",
+          "./Lazy",
+          "./legacy",
+        ].sort(),
+      );
+    });
+  });
+
+  describe("loadPathAliases", () => {
+    test("reads paths from tsconfig.json with comments and extends", () => {
+      writeFiles({
+        "tsconfig.base.json": `{
+          // shared options
+          "compilerOptions": { "baseUrl": "." }
+        }`,
+        "tsconfig.json": `{
+          "extends": "./tsconfig.base.json",
+          "compilerOptions": {
+            /* aliases */
+            "paths": { "@/*": ["src/*"], },
+          },
+        }`,
+      });
+
+      expect(loadPathAliases(projectRoot)).toEqual({
+        baseUrl: projectRoot,
+        aliases: [
+          { pattern: "@/*", targets: [path.join(projectRoot, "src/*")] },
+        ],
+      });
+    });
+  });
+
+  describe("resolveImport", () => {
+    test("resolves relative files, index barrels, aliases and .js specifiers", () => {
+      writeFiles({
+        "src/hooks/useTheme.ts": "",
+        "src/tokens/index.ts": "",
+        "src/utils/format.ts": "",
+        "src/components/Button.tsx": "",
+      });
+      const from = path.join(projectRoot, "src/components/Button.tsx");
+      const aliases = {
+        baseUrl: null,
+        aliases: [
+          { pattern: "@/*", targets: [path.join(projectRoot, "src/*")] },
+        ],
+      };
+
+      expect(resolveImport("../hooks/useTheme", from)).toBe(
+        path.join(projectRoot, "src/hooks/useTheme.ts"),
+      );
+      expect(resolveImport("../tokens", from)).toBe(
+        path.join(projectRoot, "src/tokens/index.ts"),
+      );
+      expect(resolveImport("@/utils/format", from, aliases)).toBe(
+        path.join(projectRoot, "src/utils/format.ts"),
+      );
+      expect(resolveImport("../utils/format.js", from)).toBe(
+        path.join(projectRoot, "src/utils/format.ts"),
+      );
+      expect(resolveImport("react", from, aliases)).toBeNull();
+    });
+  });
+
+  describe("findDependents", () => {
+    test("returns transitive dependents with their shortest chain", () => {
+      writeFiles({
+        "src/tokens/colors.ts": "export const primary = 'blue';",
+        "src/tokens/index.ts": 'export * from "./colors";',
+        "src/hooks/useTheme.ts": 'import { primary } from "../tokens";',
+        "src/components/Button.tsx":
+          'import { useTheme } from "../hooks/useTheme";',
+        "src/components/Button.stories.tsx":
+          'import { Button } from "./Button";',
+        "src/components/Card.tsx": "export const Card = () => null;",
+        "src/components/Card.stories.tsx": 'import { Card } from "./Card";',
+      });
+
+      const graph = buildReverseImportGraph(["src/"], projectRoot);
+      const dependents = findDependents(
+        ["src/tokens/colors.ts"],
+        graph,
+        isStoryFile,
+      );
+
+      expect([...dependents.keys()]).toEqual([
+        "src/components/Button.stories.tsx",
+      ]);
+      expect(dependents.get("src/components/Button.stories.tsx")).toEqual([
+        "src/tokens/colors.ts",
+        "src/tokens/index.ts",
+        "src/hooks/useTheme.ts",
+        "src/components/Button.tsx",
+        "src/components/Button.stories.tsx",
+      ]);
+    });
+
+    test("handles import cycles", () => {
+      writeFiles({
+        "src/a.ts": 'import "./b";',
+        "src/b.ts": 'import "./a";',
+        "src/a.stories.ts": 'import "./a";',
+      });
+
+      const graph = buildReverseImportGraph(["src/"], projectRoot);
+
+      expect([
+        ...findDependents(["src/b.ts"], graph, isStoryFile).keys(),
+      ]).toEqual(["src/a.stories.ts"]);
+    });
+  });
+
+  describe("findAffectedStories", () => {
+    const config = {
+      snapshot: { paths: { componentPaths: ["src/components/"] } },
+    };
+
+    beforeEach(() => {
+      writeFiles({
+        "src/context/ThemeContext.tsx": "export const ThemeContext = {};",
+        "src/components/Header.tsx":
+          'import { ThemeContext } from "../context/ThemeContext";',
+        "src/components/Header.stories.tsx":
+          'import { Header } from "./Header";',
+      });
+    });
+
+    test("selects stories depending on changed shared modules", () => {
+      const result = findAffectedStories(
+        ["src/context/ThemeContext.tsx"],
+        config,
+        projectRoot,
+      );
+
+      expect(result.otherFiles).toEqual(["src/context/ThemeContext.tsx"]);
+      expect(result.allStoryFiles).toEqual([
+        "src/components/Header.stories.tsx",
+      ]);
+      expect(
+        result.dependencyChains.get("src/components/Header.stories.tsx"),
+      ).toEqual([
+        "src/context/ThemeContext.tsx",
+        "src/components/Header.tsx",
+        "src/components/Header.stories.tsx",
+      ]);
+    });
+
+    test("can be disabled", () => {
+      const result = findAffectedStories(
+        ["src/context/ThemeContext.tsx"],
+        {
+          snapshot: {
+            ...config.snapshot,
+            diff: { importGraph: { enabled: false } },
+          },
+        },
+        projectRoot,
+      );
+
+      expect(result.allStoryFiles).toEqual([]);
+    });
+  });
+});
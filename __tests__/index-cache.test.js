@@ -0,0 +1,68 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getIndexHash,
+  getIndexCacheFile,
+  readIndexCache,
+  writeIndexCache,
+} from "../lib/index-cache.js";
+
+describe("Index Cache", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "index-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("fingerprints the index contents", () => {
+    const index = { v: 5, entries: { "button--primary": { id: "a" } } };
+
+    expect(getIndexHash(index)).toBe(getIndexHash(structuredClone(index)));
+    expect(getIndexHash(index)).not.toBe(getIndexHash({ v: 5, entries: {} }));
+  });
+
+  test("keeps one cache file per Storybook", () => {
+    const config = { snapshot: { paths: { cacheDir: tmpDir } } };
+
+    expect(getIndexCacheFile(config, "http://localhost:6006")).toBe(
+      path.join(tmpDir, "storybook-index-localhost-6006.json"),
+    );
+    expect(getIndexCacheFile(config, "https://design.acme.dev/storybook")).toBe(
+      path.join(tmpDir, "storybook-index-design.acme.dev-storybook.json"),
+    );
+    expect(getIndexCacheFile({ snapshot: {} }, "http://localhost:6006")).toBe(
+      null,
+    );
+  });
+
+  test("reads back what it writes", () => {
+    const cacheFile = path.join(tmpDir, "nested", "storybook-index.json");
+    const entries = [{ id: "button--primary", type: "story" }];
+
+    writeIndexCache(cacheFile, { source: "s", hash: "h", version: 8, entries });
+
+    expect(readIndexCache(cacheFile)).toEqual({
+      source: "s",
+      hash: "h",
+      version: 8,
+      entries,
+      cachedAt: expect.any(String),
+    });
+    expect(fs.readdirSync(path.dirname(cacheFile))).toEqual([
+      "storybook-index.json",
+    ]);
+  });
+
+  test("ignores missing and unreadable caches", () => {
+    const cacheFile = path.join(tmpDir, "storybook-index.json");
+    expect(readIndexCache(cacheFile)).toBeNull();
+
+    fs.writeFileSync(cacheFile, "{ truncated");
+    expect(readIndexCache(cacheFile)).toBeNull();
+  });
+});
@@ -0,0 +1,313 @@
+import { jest } from "@jest/globals";
+import {
+  assignElementKeys,
+  captureElementPositions,
+  comparePositions,
+  getElementThresholds,
+  getPositionsPath,
+} from "../playwright/position-tracker.js";
+
+const element = (testId, overrides = {}) => ({
+  testId,
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 20,
+  ...overrides,
+});
+
+const withPosition = (position) => ({ snapshot: { position } });
+
+describe("Position Tracker", () => {
+  describe("getElementThresholds", () => {
+    test("uses defaults when nothing is configured", () => {
+      expect(getElementThresholds("a")).toEqual({
+        x: 5,
+        y: 5,
+        width: 5,
+        height: 5,
+      });
+    });
+
+    test("supports per-axis thresholds and per-testId overrides", () => {
+      const thresholds = {
+        position: { x: 2, y: 10 },
+        size: 3,
+        overrides: { chart: { position: { y: 50 }, size: 40 } },
+      };
+
+      expect(getElementThresholds("a", thresholds)).toEqual({
+        x: 2,
+        y: 10,
+        width: 3,
+        height: 3,
+      });
+      expect(getElementThresholds("chart", thresholds)).toEqual({
+        x: 2,
+        y: 50,
+        width: 40,
+        height: 40,
+      });
+    });
+  });
+
+  describe("comparePositions", () => {
+    test("passes when moves stay within the threshold", () => {
+      const result = comparePositions(
+        [element("a")],
+        [element("a", { x: 5, height: 25 })],
+        withPosition({
+          positionCheck: true,
+          sizeCheck: true,
+          thresholds: { position: 5, size: 5 },
+        }),
+      );
+
+      expect(result).toEqual({ passed: true, differences: [] });
+    });
+
+    test("reports position and size changes beyond the threshold", () => {
+      const result = comparePositions(
+        [element("a")],
+        [element("a", { y: 6, width: 110 })],
+        withPosition({
+          positionCheck: true,
+          sizeCheck: true,
+          thresholds: { position: 5, size: 5 },
+        }),
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.differences).toEqual([
+        "Element 'a' position changed: x: 0 → 0 (diff: 0), y: 0 → 6 (diff: 6)",
+        "Element 'a' size changed: width: 100 → 110 (diff: 10), height: 20 → 20 (diff: 0)",
+      ]);
+    });
+
+    test("applies per-axis thresholds", () => {
+      const config = withPosition({
+        positionCheck: true,
+        thresholds: { position: { x: 1, y: 20 } },
+      });
+
+      expect(
+        comparePositions([element("a")], [element("a", { y: 15 })], config)
+          .passed,
+      ).toBe(true);
+      expect(
+        comparePositions([element("a")], [element("a", { x: 2 })], config)
+          .passed,
+      ).toBe(false);
+    });
+
+    test("applies per-testId overrides", () => {
+      const config = withPosition({
+        sizeCheck: true,
+        thresholds: { size: 5, overrides: { chart: { size: 50 } } },
+      });
+
+      const result = comparePositions(
+        [element("chart"), element("a")],
+        [element("chart", { height: 60 }), element("a", { height: 30 })],
+        config,
+      );
+
+      expect(result.differences).toHaveLength(1);
+      expect(result.differences[0]).toContain("Element 'a' size changed");
+    });
+
+    test("skips position and size checks when disabled", () => {
+      const result = comparePositions(
+        [element("a")],
+        [element("a", { x: 100, width: 300 })],
+        withPosition({ positionCheck: false, sizeCheck: false }),
+      );
+
+      expect(result.passed).toBe(true);
+    });
+
+    test("skips position and size checks unless enabled", () => {
+      const result = comparePositions(
+        [element("a")],
+        [element("a", { x: 100, width: 300 })],
+        withPosition({}),
+      );
+
+      expect(result.passed).toBe(true);
+    });
+  });
+
+  describe("captureElementPositions", () => {
+    test("requests styles, visibility and text only when enabled", async () => {
+      const page = { evaluate: jest.fn().mockResolvedValue([element("a")]) };
+
+      await captureElementPositions(page, "#root", {});
+      expect(page.evaluate.mock.calls[0][1]).toEqual({
+        selector: "#root",
+        styleProperties: null,
+        visibility: false,
+        text: false,
+      });
+
+      await captureElementPositions(
+        page,
+        "#root",
+        withPosition({
+          styleCheck: true,
+          styleProperties: ["color"],
+          visibilityCheck: true,
+          textCheck: true,
+        }),
+      );
+      expect(page.evaluate.mock.calls[1][1]).toEqual({
+        selector: "#root",
+        styleProperties: ["color"],
+        visibility: true,
+        text: true,
+      });
+    });
+  });
+
+  describe("comparePositions styles", () => {
+    const config = withPosition({
+      styleCheck: true,
+      visibilityCheck: true,
+      textCheck: true,
+    });
+
+    test("reports computed style changes per element", () => {
+      const result = comparePositions(
+        [element("a", { styles: { color: "rgb(0, 0, 0)", opacity: "1" } })],
+        [element("a", { styles: { color: "rgb(0, 0, 1)", opacity: "1" } })],
+        config,
+      );
+
+      expect(result.differences).toEqual([
+        "Element 'a' style changed: color: rgb(0, 0, 0) → rgb(0, 0, 1)",
+      ]);
+    });
+
+    test("reports visibility and text changes", () => {
+      const result = comparePositions(
+        [element("a", { visible: true, textHash: "aaaa" })],
+        [element("a", { visible: false, textHash: "bbbb" })],
+        config,
+      );
+
+      expect(result.differences).toEqual([
+        "Element 'a' visibility changed: visible → hidden",
+        "Element 'a' text changed",
+      ]);
+    });
+
+    test("skips elements whose baseline has no captured data", () => {
+      const result = comparePositions(
+        [element("a")],
+        [element("a", { styles: { color: "red" }, visible: false })],
+        config,
+      );
+
+      expect(result.passed).toBe(true);
+    });
+
+    test("ignores style data when the check is disabled", () => {
+      const result = comparePositions(
+        [element("a", { styles: { color: "red" } })],
+        [element("a", { styles: { color: "blue" } })],
+        {},
+      );
+
+      expect(result.passed).toBe(true);
+    });
+  });
+
+  describe("assignElementKeys", () => {
+    test("disambiguates repeated test IDs by occurrence", () => {
+      const keys = assignElementKeys([
+        element("header"),
+        element("row"),
+        element("row"),
+        element("row"),
+      ]).map((p) => p.key);
+
+      expect(keys).toEqual(["header", "row", "row[1]", "row[2]"]);
+    });
+  });
+
+  describe("comparePositions repeated test IDs", () => {
+    const list = (count, offset = 0) => [
+      element("header"),
+      ...Array.from({ length: count }, (_, i) =>
+        element("row", { y: 20 * (i + 1) + offset }),
+      ),
+      element("footer", { y: 200 }),
+    ];
+
+    test("reports removed list items by count", () => {
+      const result = comparePositions(list(5), list(3), {});
+
+      expect(result.differences).toEqual([
+        "List 'row': 2 item(s) removed (5 → 3)",
+      ]);
+    });
+
+    test("reports added list items by count", () => {
+      const result = comparePositions(list(1), list(3), {});
+
+      expect(result.differences).toEqual([
+        "List 'row': 2 item(s) added (1 → 3)",
+      ]);
+    });
+
+    test("compares repeated elements by occurrence", () => {
+      const result = comparePositions(
+        list(3),
+        list(3, 10),
+        withPosition({ positionCheck: true }),
+      );
+
+      expect(result.differences).toEqual([
+        "Element 'row' position changed: x: 0 → 0 (diff: 0), y: 20 → 30 (diff: 10)",
+        "Element 'row[1]' position changed: x: 0 → 0 (diff: 0), y: 40 → 50 (diff: 10)",
+        "Element 'row[2]' position changed: x: 0 → 0 (diff: 0), y: 60 → 70 (diff: 10)",
+      ]);
+    });
+
+    test("does not report order changes caused by a missing element", () => {
+      const result = comparePositions(
+        [element("a"), element("b"), element("c")],
+        [element("a"), element("c")],
+        withPosition({ positionCheck: false }),
+      );
+
+      expect(result.differences).toEqual(["Missing elements: b"]);
+    });
+
+    test("reports real order changes", () => {
+      const result = comparePositions(
+        [element("a"), element("b")],
+        [element("b"), element("a")],
+        withPosition({ positionCheck: false }),
+      );
+
+      expect(result.differences).toEqual([
+        "Element 'a' order changed from position 0 to 1",
+        "Element 'b' order changed from position 1 to 0",
+      ]);
+    });
+  });
+
+  describe("getPositionsPath", () => {
+    test("stores positions alongside the image by default", () => {
+      expect(getPositionsPath("/snaps/button--primary.png")).toBe(
+        "/snaps/button--primary.positions.json",
+      );
+    });
+
+    test("uses the configured positions directory", () => {
+      expect(getPositionsPath("/snaps/button--primary.png", "/positions")).toBe(
+        "/positions/button--primary.positions.json",
+      );
+    });
+  });
+});
@@ -165,4 +165,31 @@ describe("Recommendation Engine", () => {
     expect(results).toHaveLength(1);
     expect(results[0].storyId).toBe("Story--One");
   });
+
+  test("recommends story missing a snapshot for any configured viewport", async () => {
+    const configWithViewports = {
+      ...config,
+      snapshot: {
+        mobile: {
+          ...config.snapshot.mobile,
+          viewports: [
+            { width: 375, height: 667 },
+            { width: 390, height: 844 },
+          ],
+        },
+      },
+    };
+
+    mockFs.readdirSync.mockImplementation((path) => {
+      if (path.endsWith("mobile")) return ["story-one-375x667.png"];
+      return ["story-one.png"];
+    });
+
+    mockImageSize.mockReturnValue({ width: 500, height: 100 });
+
+    const results = await findRecommendations(configWithViewports);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].missingViewports).toEqual([{ width: 390, height: 844 }]);
+  });
 });
@@ -8,6 +8,7 @@ import path from "path";
 
 const mockLoadConfig = jest.fn();
 const mockGenerateJsonReport = jest.fn();
+const mockGenerateHtmlReport = jest.fn();
 const mockReadFailuresFromJsonl = jest.fn();
 const mockReadPassedFromJsonl = jest.fn();
 const mockReadIgnoredFromJsonl = jest.fn();
@@ -40,6 +41,7 @@ jest.unstable_mockModule("../config-loader.js", () => ({
 
 jest.unstable_mockModule("../lib/report-generator.js", () => ({
   generateJsonReport: mockGenerateJsonReport,
+  generateHtmlReport: mockGenerateHtmlReport,
 }));
 
 jest.unstable_mockModule("../lib/result-processor.js", () => ({
@@ -156,6 +158,37 @@ describe("Report Command", () => {
     await commandHandler(argv);
 
     expect(mockGenerateJsonReport).toHaveBeenCalled();
+    expect(mockGenerateHtmlReport).toHaveBeenCalled();
+  });
+
+  it("should open the generated HTML report", async () => {
+    const mockConfig = {
+      snapshot: {
+        paths: { logsDir: "logs" },
+      },
+    };
+    mockLoadConfig.mockResolvedValue(mockConfig);
+    mockFs.existsSync.mockReturnValue(true);
+    mockReadFailuresFromJsonl.mockResolvedValue([]);
+    mockReadPassedFromJsonl.mockResolvedValue([]);
+    mockReadIgnoredFromJsonl.mockResolvedValue([]);
+    mockReadSkippedFromJsonl.mockResolvedValue([]);
+    mockGenerateHtmlReport.mockResolvedValue("/logs/visual-test-report.html");
+
+    reportCommand(mockYargs);
+    const argv = {
+      config: "config.js",
+      generate: true,
+      format: "html",
+      open: true,
+    };
+    await commandHandler(argv);
+
+    expect(mockSpawn).toHaveBeenCalledWith(
+      expect.any(String),
+      ["/logs/visual-test-report.html"],
+      expect.any(Object),
+    );
   });
 
   it("should warn when report file doesn't exist", async () => {
@@ -2,6 +2,10 @@ import {
   generateFailureRow,
   escapeHtml,
   generatePositionDiffsTable,
+  generateViewportSections,
+  generateBrowserSections,
+  generatePackageSections,
+  generateDiffTriplet,
 } from "../lib/report-generator.js";
 
 describe("Report Generator", () => {
@@ -65,4 +69,129 @@ describe("Report Generator", () => {
       expect(html).toContain("+10px, +10px");
     });
   });
+
+  describe("generateViewportSections", () => {
+    test("groups rows under a section per viewport", () => {
+      const baseRow = {
+        importPath: "./src/Test.stories.js",
+        message: "Mismatch found",
+        hasReference: false,
+        hasError: false,
+        positionDiffs: [],
+      };
+      const html = generateViewportSections([
+        { ...baseRow, storyId: "a", status: "failed", viewport: "375x667" },
+        { ...baseRow, storyId: "a", status: "passed", viewport: "390x844" },
+        { ...baseRow, storyId: "b", status: "passed", viewport: "375x667" },
+      ]);
+
+      expect(html).toContain("Viewport 375x667");
+      expect(html).toContain("Viewport 390x844");
+      expect(html).toContain("Failed: 1 | Passed: 1");
+      expect(html).toContain("Failed: 0 | Passed: 1");
+    });
+  });
+
+  describe("generateBrowserSections", () => {
+    test("groups rows per browser with nested viewport sections", () => {
+      const baseRow = {
+        storyId: "a",
+        importPath: "./src/Test.stories.js",
+        message: "Mismatch found",
+        hasReference: false,
+        hasError: false,
+        positionDiffs: [],
+      };
+      const html = generateBrowserSections([
+        {
+          ...baseRow,
+          status: "failed",
+          browser: "webkit",
+          viewport: "375x667",
+        },
+        {
+          ...baseRow,
+          status: "passed",
+          browser: "chromium",
+          viewport: "375x667",
+        },
+      ]);
+
+      expect(html).toContain("Browser webkit");
+      expect(html).toContain("Browser chromium");
+      expect(html.match(/Viewport 375x667/g)).toHaveLength(2);
+    });
+  });
+
+  describe("generatePackageSections", () => {
+    test("groups rows per package with nested browser sections", () => {
+      const baseRow = {
+        storyId: "a",
+        importPath: "./src/Test.stories.js",
+        message: "Mismatch found",
+        hasReference: false,
+        hasError: false,
+        positionDiffs: [],
+      };
+      const html = generatePackageSections([
+        {
+          ...baseRow,
+          status: "failed",
+          package: "@acme/ui",
+          browser: "webkit",
+        },
+        {
+          ...baseRow,
+          status: "passed",
+          package: "@acme/ui",
+          browser: "chromium",
+        },
+        { ...baseRow, status: "passed", package: "@acme/app" },
+      ]);
+
+      expect(html).toContain("Package @acme/ui");
+      expect(html).toContain("Package @acme/app");
+      expect(html).toContain("Failed: 1 | Passed: 1");
+      expect(html.match(/Browser /g)).toHaveLength(2);
+    });
+  });
+
+  describe("generateDiffTriplet", () => {
+    test("embeds expected, actual and diff images with statistics", () => {
+      const html = generateDiffTriplet({
+        expected: "diffs/a-expected.png",
+        actual: "diffs/a-actual.png",
+        diff: "diffs/a-diff.png",
+        diffPixels: 1234,
+        diffRatio: 0.0235,
+        dimensionsMatch: false,
+      });
+
+      expect(html).toContain('<img src="diffs/a-expected.png"');
+      expect(html).toContain('<img src="diffs/a-actual.png"');
+      expect(html).toContain('<img src="diffs/a-diff.png"');
+      expect(html).toContain("1,234 pixels differ (2.35%)");
+      expect(html).toContain("dimensions changed");
+    });
+
+    test("is used by generateFailureRow when diff data exists", () => {
+      const html = generateFailureRow({
+        storyId: "a",
+        importPath: "./src/A.stories.js",
+        message: "Mismatch",
+        status: "failed",
+        positionDiffs: [],
+        diff: {
+          expected: "e.png",
+          actual: "a.png",
+          diff: "d.png",
+          diffPixels: 1,
+          diffRatio: 0.5,
+        },
+      });
+
+      expect(html).toContain("comparison triplet");
+      expect(html).not.toContain("Reference Snapshot");
+    });
+  });
 });
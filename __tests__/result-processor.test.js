@@ -19,8 +19,13 @@ jest.unstable_mockModule("fs", () => ({
 }));
 
 // Dynamic import after mocking
-const { processTestResults, isSnapshotMismatch, shouldIgnoreError } =
-  await import("../lib/result-processor.js");
+const {
+  processTestResults,
+  mergeLocaleResults,
+  mergePackageResults,
+  isSnapshotMismatch,
+  shouldIgnoreError,
+} = await import("../lib/result-processor.js");
 
 describe("result-processor", () => {
   beforeEach(() => {
@@ -143,5 +148,221 @@ describe("result-processor", () => {
       const skipped = JSON.parse(skippedCall[1]);
       expect(skipped.id).toBe("default");
     });
+
+    test("tags results with the viewport of their suite", async () => {
+      mockFs.existsSync.mockReturnValue(true);
+
+      const spec = (storyId, status) => ({
+        title: `components/Button.stories.tsx › ${storyId}`,
+        file: "components/Button.stories.tsx",
+        tests: [{ results: [{ status, error: { message: "Mismatch" } }] }],
+      });
+
+      const mockReport = {
+        suites: [
+          {
+            title: "visual-tests.generated.spec.js",
+            suites: [
+              {
+                title: "viewport 375x667 (iPhone SE)",
+                specs: [spec("button--primary", "passed")],
+              },
+              {
+                title: "viewport 390x844",
+                specs: [spec("button--primary", "failed")],
+              },
+            ],
+          },
+        ],
+      };
+
+      mockFs.promises.readFile.mockResolvedValue(JSON.stringify(mockReport));
+
+      const summary = await processTestResults("/report.json", "/logs");
+
+      expect(summary.viewports).toEqual({
+        "375x667": { failures: 0, passed: 1, skipped: 0 },
+        "390x844": { failures: 1, passed: 0, skipped: 0 },
+      });
+
+      const failureCall = mockFs.promises.writeFile.mock.calls.find((call) =>
+        call[0].includes("visual-test-failures.jsonl"),
+      );
+      expect(JSON.parse(failureCall[1]).viewport).toBe("390x844");
+    });
+
+    test("groups results by browser when several projects ran", async () => {
+      mockFs.existsSync.mockReturnValue(true);
+
+      const mockReport = {
+        suites: [
+          {
+            title: "visual-tests.generated.spec.js",
+            specs: [
+              {
+                title: "components/Button.stories.tsx › button--primary",
+                file: "components/Button.stories.tsx",
+                tests: [
+                  { projectName: "chromium", results: [{ status: "passed" }] },
+                  {
+                    projectName: "webkit",
+                    results: [
+                      { status: "failed", error: { message: "Mismatch" } },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      };
+
+      mockFs.promises.readFile.mockResolvedValue(JSON.stringify(mockReport));
+
+      const summary = await processTestResults("/report.json", "/logs");
+
+      expect(summary.browsers).toEqual({
+        chromium: { failures: 0, passed: 1, skipped: 0 },
+        webkit: { failures: 1, passed: 0, skipped: 0 },
+      });
+
+      const failureCall = mockFs.promises.writeFile.mock.calls.find((call) =>
+        call[0].includes("visual-test-failures.jsonl"),
+      );
+      expect(JSON.parse(failureCall[1]).browser).toBe("webkit");
+    });
+  });
+
+  describe("processTestResults diff attachments", () => {
+    test("links diff images to the failure entry", async () => {
+      mockFs.existsSync.mockReturnValue(true);
+
+      const diff = { diffPath: "/logs/diffs/a-diff.png", diffPixels: 10 };
+      const mockReport = {
+        suites: [
+          {
+            title: "visual-tests.generated.spec.js",
+            specs: [
+              {
+                title: "components/A.stories.tsx › a--default",
+                file: "components/A.stories.tsx",
+                tests: [
+                  {
+                    results: [
+                      {
+                        status: "failed",
+                        error: { message: "Screenshot comparison failed" },
+                        attachments: [
+                          {
+                            name: "visual-diff",
+                            body: Buffer.from(JSON.stringify(diff)).toString(
+                              "base64",
+                            ),
+                          },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      };
+
+      mockFs.promises.readFile.mockResolvedValue(JSON.stringify(mockReport));
+
+      await processTestResults("/report.json", "/logs");
+
+      const failureCall = mockFs.promises.writeFile.mock.calls.find((call) =>
+        call[0].includes("visual-test-failures.jsonl"),
+      );
+      expect(JSON.parse(failureCall[1]).diff).toEqual(diff);
+    });
+  });
+
+  describe("mergeLocaleResults", () => {
+    test("merges locale logs and tags entries with their locale", async () => {
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.promises.readFile.mockImplementation(async (file) => {
+        if (file.includes("de-DE") && file.includes("failures")) {
+          return JSON.stringify({ id: "button--primary", message: "Mismatch" });
+        }
+        if (file.includes("passed")) {
+          return JSON.stringify({ id: "button--primary" });
+        }
+        return "";
+      });
+
+      const summary = await mergeLocaleResults(
+        [
+          { locale: "de-DE", dir: "/logs/locales/de-DE" },
+          { locale: "ar-SA", dir: "/logs/locales/ar-SA" },
+        ],
+        "/logs",
+      );
+
+      expect(summary).toEqual({
+        failures: 1,
+        passed: 2,
+        skipped: 0,
+        locales: {
+          "de-DE": { failures: 1, passed: 1, skipped: 0 },
+          "ar-SA": { failures: 0, passed: 1, skipped: 0 },
+        },
+      });
+
+      const passedCall = mockFs.promises.writeFile.mock.calls.find(
+        (call) => call[0] === "/logs/visual-test-passed.jsonl",
+      );
+      expect(
+        passedCall[1].split("\n").map((line) => JSON.parse(line).locale),
+      ).toEqual(["de-DE", "ar-SA"]);
+    });
+  });
+
+  describe("mergePackageResults", () => {
+    test("merges package logs and keeps the locale of each entry", async () => {
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.promises.readFile.mockImplementation(async (file) => {
+        if (file.includes("acme-ui") && file.includes("failures")) {
+          return JSON.stringify({
+            id: "button--primary",
+            locale: "de-DE",
+            message: "Mismatch",
+          });
+        }
+        if (file.includes("acme-app") && file.includes("passed")) {
+          return JSON.stringify({ id: "page--home" });
+        }
+        return "";
+      });
+
+      const summary = await mergePackageResults(
+        [
+          { package: "@acme/ui", dir: "/logs/packages/acme-ui" },
+          { package: "@acme/app", dir: "/logs/packages/acme-app" },
+        ],
+        "/logs",
+      );
+
+      expect(summary).toEqual({
+        failures: 1,
+        passed: 1,
+        skipped: 0,
+        packages: {
+          "@acme/ui": { failures: 1, passed: 0, skipped: 0 },
+          "@acme/app": { failures: 0, passed: 1, skipped: 0 },
+        },
+      });
+
+      const failuresCall = mockFs.promises.writeFile.mock.calls.find(
+        (call) => call[0] === "/logs/visual-test-failures.jsonl",
+      );
+      expect(JSON.parse(failuresCall[1])).toMatchObject({
+        package: "@acme/ui",
+        locale: "de-DE",
+      });
+    });
   });
 });
@@ -0,0 +1,232 @@
+import fs from "fs";
+import os from "os";
+import http from "http";
+import path from "path";
+import {
+  loadReviewItems,
+  approveReviewItem,
+  createReviewServer,
+  generateReviewPage,
+} from "../lib/review-server.js";
+
+describe("Review Server", () => {
+  let tmpDir;
+  let logsDir;
+
+  /**
+   * Write a failure with review artifacts to the failures log
+   */
+  const writeFailure = (id, { withActual = true } = {}) => {
+    const diffsDir = path.join(logsDir, "diffs");
+    fs.mkdirSync(diffsDir, { recursive: true });
+
+    const diff = {
+      baselinePath: path.join(tmpDir, "snapshots", `${id}.png`),
+      actualPath: path.join(diffsDir, `${id}-actual.png`),
+      actualPositionsPath: path.join(diffsDir, `${id}-actual.positions.json`),
+      baselinePositionsPath: path.join(
+        tmpDir,
+        "snapshots",
+        `${id}.positions.json`,
+      ),
+    };
+
+    if (withActual) {
+      fs.writeFileSync(diff.actualPath, "new-image");
+      fs.writeFileSync(diff.actualPositionsPath, "[]");
+    }
+
+    fs.appendFileSync(
+      path.join(logsDir, "visual-test-failures.jsonl"),
+      JSON.stringify({ id, message: "Screenshot comparison failed", diff }) +
+        "\n",
+    );
+
+    return diff;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "review-server-"));
+    logsDir = path.join(tmpDir, "logs");
+    fs.mkdirSync(logsDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("loadReviewItems", () => {
+    test("builds review items from the failures log", async () => {
+      writeFailure("button--primary");
+      writeFailure("button--secondary", { withActual: false });
+
+      const items = await loadReviewItems(logsDir);
+
+      expect(items.map((item) => item.key)).toEqual([
+        "button--primary",
+        "button--secondary",
+      ]);
+      expect(items[0].canApprove).toBe(true);
+      expect(items[1].canApprove).toBe(false);
+    });
+
+    test("returns no items when the failures log is missing", async () => {
+      expect(await loadReviewItems(path.join(tmpDir, "missing"))).toEqual([]);
+    });
+  });
+
+  describe("approveReviewItem", () => {
+    test("copies actual image and positions over the baseline", async () => {
+      const diff = writeFailure("button--primary");
+      const [item] = await loadReviewItems(logsDir);
+
+      const written = await approveReviewItem(item);
+
+      expect(written).toEqual([diff.baselinePath, diff.baselinePositionsPath]);
+      expect(fs.readFileSync(diff.baselinePath, "utf8")).toBe("new-image");
+      expect(fs.readFileSync(diff.baselinePositionsPath, "utf8")).toBe("[]");
+    });
+
+    test("refuses items without an actual snapshot", async () => {
+      writeFailure("button--primary", { withActual: false });
+      const [item] = await loadReviewItems(logsDir);
+
+      await expect(approveReviewItem(item)).rejects.toThrow(
+        "No actual snapshot available for button--primary",
+      );
+    });
+  });
+
+  describe("generateReviewPage", () => {
+    test("renders review modes and escapes story data", () => {
+      const html = generateReviewPage([
+        {
+          key: "a--b",
+          id: "<script>",
+          message: "",
+          diffPixels: null,
+          canApprove: true,
+        },
+      ]);
+
+      expect(html).toContain("&lt;script&gt;");
+      expect(html).toContain('value="slider"');
+      expect(html).toContain('value="onion"');
+    });
+  });
+
+  describe("createReviewServer", () => {
+    let server;
+    let baseUrl;
+
+    const startServer = async () => {
+      server = await createReviewServer({ logsDir });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    afterEach(async () => {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+        server = null;
+      }
+    });
+
+    test("approving writes the baseline and clears the failure", async () => {
+      const diff = writeFailure("button--primary");
+      writeFailure("button--secondary");
+      await startServer();
+
+      const res = await fetch(`${baseUrl}/api/approve`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ key: "button--primary" }),
+      });
+
+      expect(res.status).toBe(200);
+      expect((await res.json()).status).toBe("approved");
+      expect(fs.existsSync(diff.baselinePath)).toBe(true);
+
+      const remaining = await loadReviewItems(logsDir);
+      expect(remaining.map((item) => item.key)).toEqual(["button--secondary"]);
+    });
+
+    test("rejecting leaves the baseline untouched", async () => {
+      const diff = writeFailure("button--primary");
+      await startServer();
+
+      const res = await fetch(`${baseUrl}/api/reject`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ key: "button--primary" }),
+      });
+
+      expect((await res.json()).status).toBe("rejected");
+      expect(fs.existsSync(diff.baselinePath)).toBe(false);
+    });
+
+    test("rejects cross-origin and non-JSON requests", async () => {
+      const diff = writeFailure("button--primary");
+      await startServer();
+      const body = JSON.stringify({ key: "button--primary" });
+
+      const crossOrigin = await fetch(`${baseUrl}/api/approve`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Origin: "http://evil.example",
+        },
+        body,
+      });
+      expect(crossOrigin.status).toBe(403);
+
+      const textPlain = await fetch(`${baseUrl}/api/approve`, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body,
+      });
+      expect(textPlain.status).toBe(415);
+
+      expect(fs.existsSync(diff.baselinePath)).toBe(false);
+      expect(await loadReviewItems(logsDir)).toHaveLength(1);
+    });
+
+    test("rejects requests for another host", async () => {
+      writeFailure("button--primary");
+      await startServer();
+
+      const res = await new Promise((resolve, reject) => {
+        const req = http.request(
+          `${baseUrl}/api/approve`,
+          {
+            method: "POST",
+            headers: {
+              Host: "attacker.example",
+              "Content-Type": "application/json",
+            },
+          },
+          resolve,
+        );
+        req.on("error", reject);
+        req.end(JSON.stringify({ key: "button--primary" }));
+      });
+      res.resume();
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    test("only serves images that belong to a review item", async () => {
+      writeFailure("button--primary");
+      await startServer();
+
+      const actual = await fetch(
+        `${baseUrl}/image?key=button--primary&kind=actual`,
+      );
+      expect(actual.status).toBe(200);
+      expect(await actual.text()).toBe("new-image");
+
+      const unknown = await fetch(`${baseUrl}/image?key=../etc&kind=actual`);
+      expect(unknown.status).toBe(404);
+    });
+  });
+});
@@ -11,6 +11,12 @@ const mockFetchStories = jest.fn();
 const mockGenerateTestFiles = jest.fn();
 const mockCleanupTestFiles = jest.fn();
 const mockProcessTestResults = jest.fn();
+const mockMergeLocaleResults = jest.fn();
+const mockMergePackageResults = jest.fn();
+const mockPipeWithPrefix = jest.fn();
+const mockWithStorybook = jest.fn((config, callback) =>
+  callback(config, "http://127.0.0.1:6100"),
+);
 
 jest.unstable_mockModule("child_process", () => ({
   spawn: mockSpawn,
@@ -27,10 +33,23 @@ jest.unstable_mockModule("../lib/story-discovery.js", () => ({
 jest.unstable_mockModule("../lib/test-runner-utils.js", () => ({
   generateTestFiles: mockGenerateTestFiles,
   cleanupTestFiles: mockCleanupTestFiles,
+  getReportPaths: (config, localeCode) => ({
+    jsonReportPath: `/reports/results${localeCode ? `-${localeCode}` : ""}.json`,
+    htmlReportDir: null,
+  }),
+  runWithConcurrency: (items, limit, task) =>
+    Promise.all(items.map((item, index) => task(item, index))),
+  pipeWithPrefix: mockPipeWithPrefix,
+}));
+
+jest.unstable_mockModule("../lib/storybook-server.js", () => ({
+  withStorybook: mockWithStorybook,
 }));
 
 jest.unstable_mockModule("../lib/result-processor.js", () => ({
   processTestResults: mockProcessTestResults,
+  mergeLocaleResults: mockMergeLocaleResults,
+  mergePackageResults: mockMergePackageResults,
 }));
 
 describe("Run Command - Locale Mode", () => {
@@ -335,4 +354,232 @@ describe("Run Command - Locale Mode", () => {
       );
     });
   });
+
+  describe("Concurrent Locales", () => {
+    it("should give each locale its own reports and merge the results", async () => {
+      mockLoadConfig.mockResolvedValue({
+        snapshot: {
+          locale: {
+            locales: [
+              { code: "de-DE", name: "German" },
+              { code: "ar-SA", name: "Arabic" },
+            ],
+          },
+          paths: {
+            snapshotsDir: "__visual_snapshots__",
+            playwrightConfig: "playwright.config.js",
+            logsDir: "logs",
+          },
+        },
+        playwright: {},
+        storybook: { port: 6006 },
+      });
+      mockMergeLocaleResults.mockResolvedValue({
+        failures: 0,
+        passed: 2,
+        skipped: 0,
+        locales: {
+          "de-DE": { failures: 0, passed: 1, skipped: 0 },
+          "ar-SA": { failures: 0, passed: 1, skipped: 0 },
+        },
+      });
+
+      runCommand(mockYargs);
+
+      await commandHandler({ locale: "all" });
+
+      const reportPaths = mockSpawn.mock.calls.map(
+        ([, , options]) => options.env.VISUAL_TEST_JSON_REPORT,
+      );
+      expect(reportPaths).toEqual(
+        expect.arrayContaining([
+          "/reports/results-de-DE.json",
+          "/reports/results-ar-SA.json",
+        ]),
+      );
+      expect(mockGenerateTestFiles).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.anything(),
+        "de-DE",
+      );
+      expect(mockMergeLocaleResults).toHaveBeenCalledWith(
+        [
+          { locale: "de-DE", dir: expect.stringContaining("de-DE") },
+          { locale: "ar-SA", dir: expect.stringContaining("ar-SA") },
+        ],
+        expect.any(String),
+      );
+    });
+
+    it("should share one Storybook and prefix the output of each locale run", async () => {
+      mockLoadConfig.mockResolvedValue({
+        snapshot: {
+          locale: {
+            locales: [
+              { code: "de-DE", name: "German" },
+              { code: "ar-SA", name: "Arabic" },
+            ],
+          },
+          paths: {
+            snapshotsDir: "__visual_snapshots__",
+            playwrightConfig: "playwright.config.js",
+            logsDir: "logs",
+          },
+        },
+        playwright: {},
+        storybook: { port: 6006, command: "npm run storybook" },
+      });
+
+      runCommand(mockYargs);
+
+      await commandHandler({ locale: "all" });
+
+      expect(mockWithStorybook).toHaveBeenCalledTimes(1);
+      for (const [, , options] of mockSpawn.mock.calls) {
+        expect(options.stdio).toEqual(["inherit", "pipe", "pipe"]);
+        expect(options.env.VISUAL_TEST_STORYBOOK_URL).toBe(
+          "http://127.0.0.1:6100",
+        );
+        expect(options.env.STORYBOOK_PORT).toBe("6100");
+      }
+
+      const prefixes = mockPipeWithPrefix.mock.calls.map(
+        ([, , prefix]) => prefix,
+      );
+      expect(prefixes).toHaveLength(4);
+      expect(prefixes.filter((p) => p.includes("[de-DE]"))).toHaveLength(2);
+      expect(prefixes.filter((p) => p.includes("[ar-SA]"))).toHaveLength(2);
+    });
+  });
+
+  describe("Browser Matrix", () => {
+    it("should pass one project per browser to Playwright", async () => {
+      mockLoadConfig.mockResolvedValue({
+        snapshot: {
+          paths: {
+            snapshotsDir: "__visual_snapshots__",
+            playwrightConfig: "playwright.config.js",
+            logsDir: "logs",
+          },
+        },
+        playwright: {},
+        storybook: { port: 6006 },
+      });
+
+      runCommand(mockYargs);
+
+      await commandHandler({ browsers: "chromium,webkit" });
+
+      const [, args, options] = mockSpawn.mock.calls[0];
+      expect(args).toEqual(
+        expect.arrayContaining(["--project=chromium", "--project=webkit"]),
+      );
+      expect(options.env.VISUAL_TEST_BROWSERS).toBe("chromium,webkit");
+    });
+  });
+
+  describe("Profiles", () => {
+    it("should load the config and run Playwright with the profile", async () => {
+      mockLoadConfig.mockResolvedValue({
+        snapshot: {
+          paths: {
+            snapshotsDir: "__visual_snapshots__",
+            playwrightConfig: "playwright.config.js",
+            logsDir: "logs",
+          },
+        },
+        playwright: {},
+        storybook: { port: 6006 },
+      });
+
+      runCommand(mockYargs);
+
+      await commandHandler({ profile: "ci" });
+
+      expect(mockLoadConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ profile: "ci" }),
+      );
+      const [, , options] = mockSpawn.mock.calls[0];
+      expect(options.env.VISUAL_TEST_PROFILE).toBe("ci");
+    });
+  });
+
+  describe("Workspaces", () => {
+    const workspaceConfig = (options) => ({
+      snapshot: {
+        paths: {
+          snapshotsDir: "__visual_snapshots__",
+          playwrightConfig: "playwright.config.js",
+          logsDir: options.package
+            ? `logs/packages/${options.package.replace(/\W/g, "")}`
+            : "logs",
+        },
+      },
+      playwright: {},
+      storybook: { port: 6006 },
+      workspace: {
+        storybooks: [{ name: "@acme/ui" }, { name: "@acme/app" }],
+      },
+    });
+
+    it("should run every package and merge their results", async () => {
+      mockLoadConfig.mockImplementation(async (options) =>
+        workspaceConfig(options),
+      );
+      mockMergePackageResults.mockResolvedValue({
+        failures: 0,
+        passed: 2,
+        skipped: 0,
+        packages: {
+          "@acme/ui": { failures: 0, passed: 1, skipped: 0 },
+          "@acme/app": { failures: 0, passed: 1, skipped: 0 },
+        },
+      });
+
+      runCommand(mockYargs);
+
+      await commandHandler({ config: "visual-tests.config.js" });
+
+      expect(mockLoadConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ package: "@acme/ui" }),
+      );
+      expect(mockLoadConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ package: "@acme/app" }),
+      );
+      expect(
+        mockSpawn.mock.calls.map(
+          ([, , options]) => options.env.VISUAL_TEST_PACKAGE,
+        ),
+      ).toEqual(["@acme/ui", "@acme/app"]);
+      expect(mockMergePackageResults).toHaveBeenCalledWith(
+        [
+          {
+            package: "@acme/ui",
+            dir: expect.stringMatching(/logs\/packages\/acme-ui$/),
+          },
+          {
+            package: "@acme/app",
+            dir: expect.stringMatching(/logs\/packages\/acme-app$/),
+          },
+        ],
+        expect.stringMatching(/logs$/),
+      );
+    });
+
+    it("should only run the package selected with --package", async () => {
+      mockLoadConfig.mockImplementation(async (options) =>
+        workspaceConfig(options),
+      );
+
+      runCommand(mockYargs);
+
+      await commandHandler({ package: "@acme/app" });
+
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(mockSpawn.mock.calls[0][2].env.VISUAL_TEST_PACKAGE).toBe(
+        "@acme/app",
+      );
+      expect(mockMergePackageResults).not.toHaveBeenCalled();
+    });
+  });
 });
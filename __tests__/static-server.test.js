@@ -0,0 +1,107 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createStaticServer,
+  startStaticStorybook,
+  withStaticStorybook,
+} from "../lib/static-server.js";
+
+describe("Static Server", () => {
+  let tmpDir;
+  let staticDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "static-server-"));
+    staticDir = path.join(tmpDir, "storybook-static");
+    fs.mkdirSync(path.join(staticDir, "assets"), { recursive: true });
+    fs.writeFileSync(path.join(staticDir, "index.html"), "<h1>Storybook</h1>");
+    fs.writeFileSync(path.join(staticDir, "iframe.html"), "<div id=root>");
+    fs.writeFileSync(path.join(staticDir, "index.json"), '{"entries":{}}');
+    fs.writeFileSync(path.join(staticDir, "assets", "main.js"), "export {};");
+    fs.writeFileSync(path.join(tmpDir, "secret.txt"), "secret");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("createStaticServer", () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = createStaticServer(staticDir);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test("serves files with their content type", async () => {
+      const iframe = await fetch(`${baseUrl}/iframe.html?id=button--primary`);
+      expect(iframe.status).toBe(200);
+      expect(iframe.headers.get("content-type")).toContain("text/html");
+      expect(await iframe.text()).toBe("<div id=root>");
+
+      const script = await fetch(`${baseUrl}/assets/main.js`);
+      expect(script.headers.get("content-type")).toContain("text/javascript");
+
+      const index = await fetch(`${baseUrl}/`);
+      expect(await index.text()).toBe("<h1>Storybook</h1>");
+    });
+
+    test("never serves files outside the build", async () => {
+      const missing = await fetch(`${baseUrl}/missing.js`);
+      expect(missing.status).toBe(404);
+
+      const outside = await fetch(`${baseUrl}/%2e%2e/secret.txt`);
+      expect(outside.status).toBe(404);
+
+      const post = await fetch(`${baseUrl}/index.json`, { method: "POST" });
+      expect(post.status).toBe(405);
+    });
+  });
+
+  describe("startStaticStorybook", () => {
+    test("serves the build on a free port", async () => {
+      const config = {
+        storybook: { host: "localhost", port: "6006", staticDir },
+      };
+      const staticStorybook = await startStaticStorybook(config);
+
+      try {
+        const { host, port } = staticStorybook.config.storybook;
+        expect(host).toBe("127.0.0.1");
+        expect(staticStorybook.url).toBe(`http://127.0.0.1:${port}`);
+        expect(config.storybook.port).toBe("6006");
+
+        const res = await fetch(`${staticStorybook.url}/index.json`);
+        expect(await res.json()).toEqual({ entries: {} });
+      } finally {
+        await staticStorybook.close();
+      }
+    });
+
+    test("rejects directories without a Storybook build", async () => {
+      await expect(
+        startStaticStorybook({ storybook: { staticDir: tmpDir } }),
+      ).rejects.toThrow(`Static Storybook build not found in ${tmpDir}`);
+    });
+  });
+
+  describe("withStaticStorybook", () => {
+    test("passes configs without a static build through", async () => {
+      const config = { storybook: { host: "localhost", port: "6006" } };
+
+      const result = await withStaticStorybook(config, async (served, url) => [
+        served,
+        url,
+      ]);
+
+      expect(result).toEqual([config, null]);
+    });
+  });
+});
@@ -1,9 +1,16 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import {
   matchesVisualCriteria,
   matchesExclusionPatterns,
   matchesPathFilters,
   matchesStoryIdFilters,
   sanitizeSnapshotName,
+  getStoryViewportOverrides,
+  getStoryViewports,
+  snapshotExists,
 } from "../lib/story-discovery.js";
 
 describe("Story Discovery", () => {
@@ -164,4 +171,119 @@ describe("Story Discovery", () => {
       ).toBe(false);
     });
   });
+
+  describe("getStoryViewportOverrides", () => {
+    test("reads mobile and desktop viewports from parameters", () => {
+      expect(
+        getStoryViewportOverrides({
+          parameters: {
+            mobileViewports: [{ width: 320, height: 568, name: "Narrow" }],
+            desktopViewport: { width: 1440, height: 900 },
+          },
+        }),
+      ).toEqual({
+        mobile: [{ width: 320, height: 568, name: "Narrow" }],
+        desktop: { width: 1440, height: 900 },
+      });
+    });
+    test("ignores invalid viewports", () => {
+      expect(
+        getStoryViewportOverrides({
+          parameters: {
+            mobileViewports: [{ width: 0, height: 568 }, "small"],
+            desktopViewport: { width: 1440 },
+          },
+        }),
+      ).toBeNull();
+    });
+    test("returns null without parameters", () => {
+      expect(getStoryViewportOverrides({ id: "comp--story" })).toBeNull();
+    });
+  });
+
+  describe("getStoryViewports", () => {
+    const mobileConfig = {
+      activeViewport: { width: 375, height: 667 },
+      activeViewports: [
+        { width: 375, height: 667 },
+        { width: 390, height: 844 },
+      ],
+    };
+    test("uses configured mobile viewports by default", () => {
+      expect(getStoryViewports({}, mobileConfig)).toEqual(
+        mobileConfig.activeViewports,
+      );
+    });
+    test("prefers story mobile viewports in mobile mode", () => {
+      const story = { _viewports: { mobile: [{ width: 320, height: 568 }] } };
+      expect(getStoryViewports(story, mobileConfig)).toEqual([
+        { width: 320, height: 568 },
+      ]);
+    });
+    test("uses desktop override outside mobile mode", () => {
+      const story = { _viewports: { desktop: { width: 1440, height: 900 } } };
+      expect(getStoryViewports(story, {})).toEqual([
+        { width: 1440, height: 900 },
+      ]);
+      expect(getStoryViewports({}, {})).toEqual([null]);
+    });
+  });
+
+  describe("snapshotExists", () => {
+    let tmpDir;
+    let cwd;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-exists-"));
+      fs.mkdirSync(path.join(tmpDir, "snapshots"));
+      cwd = jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+    });
+
+    afterEach(() => {
+      cwd.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const withAccessibility = (accessibility) => ({
+      snapshot: { paths: { snapshotsDir: "snapshots" }, accessibility },
+    });
+
+    test("counts an accessibility snapshot only when enabled", () => {
+      fs.writeFileSync(
+        path.join(tmpDir, "snapshots", "button-primary.aria.yml"),
+        "- button",
+      );
+
+      expect(
+        snapshotExists(
+          "button--primary",
+          withAccessibility({ enabled: true }),
+          [null],
+        ),
+      ).toBe(true);
+      expect(
+        snapshotExists(
+          "button--primary",
+          withAccessibility({ enabled: false }),
+          [null],
+        ),
+      ).toBe(false);
+    });
+
+    test("looks in the configured accessibility snapshot directory", () => {
+      fs.mkdirSync(path.join(tmpDir, "aria"));
+      fs.writeFileSync(
+        path.join(tmpDir, "aria", "button-primary.aria.yml"),
+        "- button",
+      );
+
+      expect(
+        snapshotExists(
+          "button--primary",
+          withAccessibility({ enabled: true, snapshotDir: "aria" }),
+          [null],
+        ),
+      ).toBe(true);
+    });
+  });
 });
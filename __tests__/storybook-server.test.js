@@ -0,0 +1,113 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import {
+  isStorybookReachable,
+  startStorybook,
+  withStorybook,
+} from "../lib/storybook-server.js";
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port number
+ */
+const getFreePort = async () => {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+describe("Storybook Server", () => {
+  describe("with a running Storybook", () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => res.end("storybook"));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      port = String(server.address().port);
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test("reuses it without running the command", async () => {
+      const config = {
+        storybook: { host: "127.0.0.1", port, command: "exit 1" },
+      };
+
+      const result = await withStorybook(config, (servedConfig, url) => ({
+        servedConfig,
+        url,
+      }));
+
+      expect(result.servedConfig).toBe(config);
+      expect(result.url).toBe(`http://127.0.0.1:${port}`);
+    });
+
+    test("refuses to reuse it when reuseExistingServer is false", async () => {
+      await expect(
+        startStorybook({
+          storybook: {
+            host: "127.0.0.1",
+            port,
+            command: "exit 1",
+            reuseExistingServer: false,
+          },
+        }),
+      ).rejects.toThrow("Storybook is already running");
+    });
+  });
+
+  test("starts the command once and stops it afterwards", async () => {
+    const port = String(await getFreePort());
+    const script = `require("http").createServer((q, s) => s.end("ok")).listen(${port}, "127.0.0.1")`;
+    const config = {
+      storybook: {
+        host: "127.0.0.1",
+        port,
+        command: `"${process.execPath}" -e '${script}'`,
+        timeout: 20000,
+      },
+    };
+    const url = `http://127.0.0.1:${port}`;
+
+    await withStorybook(config, async (servedConfig, storybookUrl) => {
+      expect(storybookUrl).toBe(url);
+      expect(await isStorybookReachable(url)).toBe(true);
+    });
+
+    expect(await isStorybookReachable(url)).toBe(false);
+  }, 30000);
+
+  test("reports a command that exits before Storybook is up", async () => {
+    const port = String(await getFreePort());
+
+    await expect(
+      startStorybook({
+        storybook: { host: "127.0.0.1", port, command: "exit 3" },
+      }),
+    ).rejects.toThrow("exited with code 3");
+  });
+
+  test("serves a static build instead of running the command", async () => {
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), "storybook-"));
+    fs.writeFileSync(path.join(staticDir, "iframe.html"), "<div id=root>");
+
+    try {
+      await withStorybook(
+        { storybook: { staticDir, command: "exit 1" } },
+        async (servedConfig, url) => {
+          expect(url).toBe(`http://127.0.0.1:${servedConfig.storybook.port}`);
+          expect(await isStorybookReachable(`${url}/iframe.html`)).toBe(true);
+        },
+      );
+    } finally {
+      fs.rmSync(staticDir, { recursive: true, force: true });
+    }
+  });
+});
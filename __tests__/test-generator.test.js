@@ -118,4 +118,69 @@ describe("generateVisualTestsFromData", () => {
     const title = calls[0][0];
     expect(title).toContain("example-button--primary");
   });
+
+  it("should generate one test per story for every active viewport", () => {
+    mockTest.describe = jest.fn((title, fn) => fn());
+
+    const stories = [
+      { id: "example-button--primary" },
+      { id: "example-header--logged-in" },
+    ];
+
+    const config = {
+      snapshot: { image: { enabled: true } },
+      activeViewports: [
+        { width: 375, height: 667, name: "iPhone SE" },
+        { width: 390, height: 844 },
+      ],
+    };
+
+    generateVisualTestsFromData({
+      stories,
+      config,
+      test: mockTest,
+      expect: mockExpect,
+    });
+
+    expect(mockTest.describe).toHaveBeenCalledTimes(2);
+    expect(mockTest.describe).toHaveBeenCalledWith(
+      "viewport 375x667 (iPhone SE)",
+      expect.any(Function),
+    );
+    expect(mockTest.describe).toHaveBeenCalledWith(
+      "viewport 390x844",
+      expect.any(Function),
+    );
+    expect(mockTest).toHaveBeenCalledTimes(4);
+  });
+
+  it("should honour per-story mobile viewport overrides", () => {
+    mockTest.describe = jest.fn((title, fn) => fn());
+
+    const stories = [
+      { id: "example-button--primary" },
+      {
+        id: "example-widget--narrow",
+        _viewports: { mobile: [{ width: 320, height: 568 }] },
+      },
+    ];
+
+    const config = {
+      snapshot: { image: { enabled: true } },
+      activeViewports: [{ width: 375, height: 667 }],
+    };
+
+    generateVisualTestsFromData({
+      stories,
+      config,
+      test: mockTest,
+      expect: mockExpect,
+    });
+
+    expect(mockTest.describe.mock.calls.map(([title]) => title)).toEqual([
+      "viewport 375x667",
+      "viewport 320x568",
+    ]);
+    expect(mockTest).toHaveBeenCalledTimes(2);
+  });
 });
@@ -4,6 +4,7 @@
 
 import { jest } from "@jest/globals";
 import path from "path";
+import { PassThrough } from "stream";
 
 const mockFs = {
   existsSync: jest.fn(),
@@ -21,13 +22,20 @@ jest.unstable_mockModule("fs", () => ({
 }));
 
 describe("Test Runner Utils", () => {
-  let generateTestFiles, cleanupTestFiles;
+  let generateTestFiles,
+    cleanupTestFiles,
+    getReportPaths,
+    runWithConcurrency,
+    pipeWithPrefix;
 
   beforeEach(async () => {
     jest.clearAllMocks();
     const module = await import("../lib/test-runner-utils.js");
     generateTestFiles = module.generateTestFiles;
     cleanupTestFiles = module.cleanupTestFiles;
+    getReportPaths = module.getReportPaths;
+    runWithConcurrency = module.runWithConcurrency;
+    pipeWithPrefix = module.pipeWithPrefix;
 
     mockFs.existsSync.mockReturnValue(false);
     mockFs.mkdirSync.mockImplementation(() => {});
@@ -199,4 +207,92 @@ describe("Test Runner Utils", () => {
       expect(() => cleanupTestFiles(files)).not.toThrow();
     });
   });
+
+  describe("generateTestFiles with suffix", () => {
+    it("should suffix generated file names", () => {
+      const config = { snapshot: { paths: { logsDir: "test-logs" } } };
+
+      const { dataFile, specFile } = generateTestFiles(config, [], "de-DE");
+
+      expect(path.basename(dataFile)).toBe("visual-tests-data.de-DE.json");
+      expect(path.basename(specFile)).toBe(
+        "visual-tests.generated.de-DE.spec.js",
+      );
+    });
+  });
+
+  describe("getReportPaths", () => {
+    const config = {
+      playwright: {
+        reporter: [
+          ["html", { outputFolder: "reports/html" }],
+          ["json", { outputFile: "reports/results.json" }],
+        ],
+      },
+    };
+
+    it("should resolve configured reporter paths", () => {
+      expect(getReportPaths(config)).toEqual({
+        jsonReportPath: path.resolve(process.cwd(), "reports/results.json"),
+        htmlReportDir: path.resolve(process.cwd(), "reports/html"),
+      });
+    });
+
+    it("should isolate report paths per locale", () => {
+      expect(getReportPaths(config, "de-DE")).toEqual({
+        jsonReportPath: path.resolve(
+          process.cwd(),
+          "reports/results-de-DE.json",
+        ),
+        htmlReportDir: path.resolve(process.cwd(), "reports/html/de-DE"),
+      });
+    });
+
+    it("should fall back to test-results.json", () => {
+      expect(getReportPaths({})).toEqual({
+        jsonReportPath: path.resolve(process.cwd(), "test-results.json"),
+        htmlReportDir: null,
+      });
+    });
+  });
+
+  describe("runWithConcurrency", () => {
+    it("should never exceed the limit and keep result order", async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      const results = await runWithConcurrency(
+        [1, 2, 3, 4, 5],
+        2,
+        async (n) => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          running--;
+          return n * 10;
+        },
+      );
+
+      expect(maxRunning).toBe(2);
+      expect(results).toEqual([10, 20, 30, 40, 50]);
+    });
+  });
+
+  describe("pipeWithPrefix", () => {
+    it("should prefix every line, including an unterminated last one", async () => {
+      const input = new PassThrough();
+      let written = "";
+      const output = { write: (chunk) => (written += chunk) };
+
+      const done = pipeWithPrefix(input, output, "[de-DE]");
+      input.write("Running 2 tests\n  ✓ but");
+      input.write("ton--primary\n");
+      input.end("2 passed");
+      await done;
+
+      expect(written).toBe(
+        "[de-DE] Running 2 tests\n[de-DE]   ✓ button--primary\n[de-DE] 2 passed\n",
+      );
+    });
+  });
 });
@@ -23,6 +23,7 @@ jest.unstable_mockModule("../config-loader.js", () => ({
 jest.unstable_mockModule("../lib/story-discovery.js", () => ({
   fetchStoriesFromStorybook: mockFetchStories,
   sanitizeSnapshotName: (id) => id.toLowerCase().replace(/[^a-z0-9-]/g, "-"),
+  getStoryViewports: (story, config) => config.activeViewports || [null],
 }));
 
 jest.unstable_mockModule("../lib/test-runner-utils.js", () => ({
@@ -319,4 +320,48 @@ describe("Update Command - Locale Mode", () => {
       );
     });
   });
+
+  describe("Workspaces", () => {
+    it("should update every package and report failed ones", async () => {
+      mockLoadConfig.mockImplementation(async (options) => ({
+        snapshot: {
+          paths: {
+            snapshotsDir: options.package
+              ? `packages/${options.package}/__visual_snapshots__`
+              : "__visual_snapshots__",
+            playwrightConfig: "playwright.config.js",
+          },
+        },
+        playwright: {},
+        workspace: { storybooks: [{ name: "ui" }, { name: "app" }] },
+      }));
+
+      // The app package fails to update
+      mockSpawn.mockImplementation((executable, args, { env }) => ({
+        on: jest.fn((event, callback) => {
+          if (event === "exit") {
+            setTimeout(
+              () => callback(env.VISUAL_TEST_PACKAGE === "app" ? 1 : 0),
+              10,
+            );
+          }
+        }),
+      }));
+
+      const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+      updateCommand(mockYargs);
+
+      await commandHandler({ config: "visual-tests.config.js" });
+
+      expect(
+        mockSpawn.mock.calls.map(
+          ([, , options]) => options.env.VISUAL_TEST_PACKAGE,
+        ),
+      ).toEqual(["ui", "app"]);
+      expect(mockExit).toHaveBeenCalledWith(1);
+
+      mockExit.mockRestore();
+    });
+  });
 });
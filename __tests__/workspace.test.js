@@ -0,0 +1,95 @@
+import {
+  getWorkspaceStorybooks,
+  getPackageSlug,
+  getPackageLogsDir,
+  getPackageSnapshotsDir,
+  parseStorybookUrl,
+  getWorkspacePackageConfig,
+} from "../lib/workspace.js";
+
+describe("Workspace", () => {
+  const config = {
+    snapshot: {
+      paths: { snapshotsDir: "__visual_snapshots__", logsDir: "logs" },
+    },
+    workspace: {
+      storybooks: [
+        {
+          name: "@acme/ui",
+          url: "http://localhost:6007",
+          snapshotsDir: "packages/ui/__visual_snapshots__",
+          testMatcher: { tags: ["ui-visual"] },
+        },
+        {
+          name: "@acme/app",
+          storybook: { port: 6008, command: "npm run storybook -w app" },
+        },
+        { name: "@acme/docs", staticDir: "packages/docs/storybook-static" },
+      ],
+    },
+  };
+
+  test("lists the Storybooks of a workspace config", () => {
+    expect(getWorkspaceStorybooks(config).map((entry) => entry.name)).toEqual([
+      "@acme/ui",
+      "@acme/app",
+      "@acme/docs",
+    ]);
+    expect(getWorkspaceStorybooks({ snapshot: {} })).toEqual([]);
+  });
+
+  test("turns package names into directory names", () => {
+    expect(getPackageSlug("@acme/ui")).toBe("acme-ui");
+    expect(getPackageSlug("docs site")).toBe("docs-site");
+    expect(getPackageLogsDir("logs", "@acme/ui")).toBe("logs/packages/acme-ui");
+  });
+
+  test("falls back to a package subdirectory for snapshots", () => {
+    expect(getPackageSnapshotsDir(config, "@acme/ui")).toBe(
+      "packages/ui/__visual_snapshots__",
+    );
+    expect(getPackageSnapshotsDir(config, "@acme/app")).toBe(
+      "__visual_snapshots__/acme-app",
+    );
+    expect(getPackageSnapshotsDir(config)).toBe("__visual_snapshots__");
+  });
+
+  test("parses the origin of a running Storybook", () => {
+    expect(parseStorybookUrl("http://storybook.local:6007")).toEqual({
+      host: "storybook.local",
+      port: "6007",
+    });
+    expect(() => parseStorybookUrl("https://storybook.acme.dev/ui/")).toThrow(
+      "Unsupported Storybook URL",
+    );
+    expect(() => parseStorybookUrl("localhost:6006")).toThrow(
+      "Unsupported Storybook URL",
+    );
+  });
+
+  test("builds the settings of a package", () => {
+    expect(getWorkspacePackageConfig(config, "@acme/ui")).toEqual({
+      storybook: { host: "localhost", port: "6007" },
+      snapshot: {
+        testMatcher: { tags: ["ui-visual"] },
+        paths: {
+          snapshotsDir: "packages/ui/__visual_snapshots__",
+          logsDir: "logs/packages/acme-ui",
+        },
+      },
+    });
+    expect(getWorkspacePackageConfig(config, "@acme/app").storybook).toEqual({
+      port: 6008,
+      command: "npm run storybook -w app",
+    });
+    expect(getWorkspacePackageConfig(config, "@acme/docs").storybook).toEqual({
+      staticDir: "packages/docs/storybook-static",
+    });
+  });
+
+  test("rejects packages outside the workspace", () => {
+    expect(() => getWorkspacePackageConfig(config, "@acme/web")).toThrow(
+      "Unknown workspace package: @acme/web. Available packages: @acme/ui, @acme/app, @acme/docs",
+    );
+  });
+});
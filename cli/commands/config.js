@@ -0,0 +1,286 @@
+/**
+ * Config Command - Inspect the visual tests configuration
+ */
+
+import chalk from "chalk";
+import path from "path";
+import { resolveConfig, validateConfigFile } from "../../config-loader.js";
+import { getConfigOptions } from "./run.js";
+
+/**
+ * Colors of the value sources shown by `config print`
+ */
+const SOURCE_COLORS = {
+  default: chalk.gray,
+  file: chalk.white,
+  env: chalk.cyan,
+  profile: chalk.blue,
+  package: chalk.blue,
+  mobile: chalk.magenta,
+  locale: chalk.magenta,
+  cli: chalk.green,
+};
+
+/**
+ * Check the config file against the schema and print every problem
+ * @param {object} argv - Command arguments
+ */
+const validateHandler = async (argv) => {
+  try {
+    const { configPath, errors, warnings } = await validateConfigFile(
+      argv.config,
+    );
+
+    if (!configPath) {
+      console.log(
+        chalk.yellow("⚠️  No config file found, the defaults are used"),
+      );
+      return;
+    }
+
+    console.log(
+      chalk.blue(
+        `🔍 Validating ${path.relative(process.cwd(), configPath) || configPath}\n`,
+      ),
+    );
+
+    for (const error of errors) {
+      console.log(chalk.red(`  ✖ ${error.path}: ${error.message}`));
+    }
+    for (const warning of warnings) {
+      console.log(chalk.yellow(`  ⚠ ${warning.path}: ${warning.message}`));
+    }
+
+    const failed = errors.length > 0 || (argv.strict && warnings.length > 0);
+
+    if (failed) {
+      console.log(
+        chalk.red(
+          `\n❌ ${errors.length} error(s), ${warnings.length} warning(s)`,
+        ),
+      );
+      process.exit(1);
+    } else if (warnings.length > 0) {
+      console.log(
+        chalk.yellow(
+          `\n⚠️  Config is valid with ${warnings.length} warning(s)`,
+        ),
+      );
+    } else {
+      console.log(chalk.green("✅ Config is valid"));
+    }
+  } catch (error) {
+    console.error(chalk.red("Error validating config:"), error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Flatten a config object into leaf key paths (arrays are leaves)
+ * @param {object} value - Config object
+ * @param {string} [prefix] - Key path of the object
+ * @returns {Array<[string, *]>} Key path and value pairs
+ */
+const flattenConfig = (value, prefix = "") => {
+  const entries = [];
+
+  for (const [key, item] of Object.entries(value)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (
+      item &&
+      typeof item === "object" &&
+      !Array.isArray(item) &&
+      Object.keys(item).length > 0
+    ) {
+      entries.push(...flattenConfig(item, keyPath));
+    } else {
+      entries.push([keyPath, item]);
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Find the source of a key path, falling back to its closest recorded parent
+ * @param {Map<string, string>} sources - Sources from resolveConfig
+ * @param {string} keyPath - Leaf key path
+ * @returns {string} Source label
+ */
+const getSource = (sources, keyPath) => {
+  for (
+    let current = keyPath;
+    current;
+    current = current.slice(0, Math.max(current.lastIndexOf("."), 0))
+  ) {
+    if (sources.has(current)) return sources.get(current);
+  }
+  return "default";
+};
+
+/**
+ * Print the resolved configuration with the source of every value
+ * @param {object} argv - Command arguments
+ */
+const printHandler = async (argv) => {
+  try {
+    const { config, sources, configPath } = await resolveConfig(
+      getConfigOptions(argv, argv.locale || undefined),
+    );
+
+    const entries = flattenConfig(config)
+      .filter(
+        ([keyPath]) =>
+          !argv.path ||
+          keyPath === argv.path ||
+          keyPath.startsWith(`${argv.path}.`),
+      )
+      .map(([keyPath, value]) => ({
+        path: keyPath,
+        value,
+        source: getSource(sources, keyPath),
+      }));
+
+    if (argv.json) {
+      console.log(
+        JSON.stringify(
+          {
+            configFile: configPath,
+            values: Object.fromEntries(
+              entries.map(({ path: keyPath, value, source }) => [
+                keyPath,
+                { value, source },
+              ]),
+            ),
+          },
+          null,
+          2,
+        ),
+      );
+      return;
+    }
+
+    const modes = [
+      argv.profile && `profile ${argv.profile}`,
+      argv.package && `package ${argv.package}`,
+      argv.mobile && "mobile",
+      config.locale?.code && `locale ${config.locale.code}`,
+    ].filter(Boolean);
+
+    console.log(
+      chalk.blue(
+        `📋 Resolved configuration${modes.length > 0 ? ` (${modes.join(", ")})` : ""}`,
+      ),
+    );
+    console.log(
+      chalk.gray(
+        `Config file: ${configPath ? path.relative(process.cwd(), configPath) || configPath : "none (defaults only)"}\n`,
+      ),
+    );
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow(`⚠️  No config values under ${argv.path}`));
+      return;
+    }
+
+    for (const { path: keyPath, value, source } of entries) {
+      const [kind, name] = source.split(":");
+      const color = SOURCE_COLORS[kind] || chalk.white;
+      const formatted = JSON.stringify(value) ?? String(value);
+      console.log(
+        `  ${keyPath} = ${formatted}  ${color(`(${name ? `${kind} ${name}` : kind})`)}`,
+      );
+    }
+  } catch (error) {
+    console.error(chalk.red("Error resolving config:"), error.message);
+    process.exit(1);
+  }
+};
+
+export const configCommand = (yargs) => {
+  yargs.command("config <command>", "Inspect the configuration", (yargs) => {
+    return yargs
+      .command(
+        "validate [options]",
+        "Check the config file for invalid, unknown and deprecated keys",
+        (yargs) => {
+          return yargs
+            .option("config", {
+              alias: "c",
+              type: "string",
+              description: "Path to config file",
+            })
+            .option("strict", {
+              type: "boolean",
+              description: "Fail on warnings as well as errors",
+              default: false,
+            })
+            .example("$0 config validate", "Validate the detected config file")
+            .example(
+              "$0 config validate --strict",
+              "Also fail on unknown or deprecated keys",
+            );
+        },
+        validateHandler,
+      )
+      .command(
+        "print [options]",
+        "Print the resolved configuration and where each value came from",
+        (yargs) => {
+          return yargs
+            .option("config", {
+              alias: "c",
+              type: "string",
+              description: "Path to config file",
+            })
+            .option("mobile", {
+              type: "boolean",
+              description: "Resolve with the mobile overrides",
+              default: false,
+            })
+            .option("locale", {
+              type: "string",
+              description: "Resolve with the overrides of a locale code",
+            })
+            .option("storybook-port", {
+              alias: "p",
+              type: "string",
+              description: "Storybook server port",
+            })
+            .option("storybook-host", {
+              type: "string",
+              description: "Storybook server host",
+            })
+            .option("include-paths", {
+              alias: "i",
+              type: "string",
+              description: "Comma-separated path segments to include",
+            })
+            .option("story-ids", {
+              type: "string",
+              description: "Comma-separated story IDs to test",
+            })
+            .option("path", {
+              type: "string",
+              description:
+                "Only print values under a key path (e.g. snapshot.testMatcher)",
+            })
+            .option("json", {
+              type: "boolean",
+              description: "Print values and sources as JSON",
+              default: false,
+            })
+            .example(
+              "$0 config print --mobile --path snapshot.testMatcher",
+              "Show which tags a mobile run uses and why",
+            )
+            .example(
+              "$0 config print --locale de-DE --json",
+              "Resolved German locale config as JSON",
+            );
+        },
+        printHandler,
+      )
+      .demandCommand(1, chalk.red("Please specify a config command"));
+  });
+};
@@ -6,14 +6,22 @@ import chalk from "chalk";
 import { loadConfig } from "../../config-loader.js";
 import {
   getChangedFiles,
+  getChangedLineRanges,
   findAffectedStories,
+  filterStoriesByChanges,
+  isStoryFile,
+  resolveTargetRef,
 } from "../../lib/diff-analyzer.js";
-import { spawn } from "child_process";
-import { fetchStoriesFromStorybook } from "../../lib/story-discovery.js";
-import {
-  generateTestFiles,
-  cleanupTestFiles,
-} from "../../lib/test-runner-utils.js";
+import { runVisualTests } from "./run.js";
+
+/**
+ * How the target ref was found, as shown in the output
+ */
+const REF_SOURCE_LABELS = {
+  local: "local ref",
+  remote: "remote-tracking branch",
+  fetched: "fetched from remote",
+};
 
 export const diffCommand = (yargs) => {
   yargs.command(
@@ -26,13 +34,53 @@ export const diffCommand = (yargs) => {
           type: "string",
           description: "Target branch for comparison",
         })
+        .option("since", {
+          type: "string",
+          description:
+            "Compare against a commit instead of the target branch (e.g. HEAD~3)",
+        })
+        .option("staged", {
+          type: "boolean",
+          description: "Include changes staged in the index",
+        })
+        .option("working-tree", {
+          type: "boolean",
+          description:
+            "Include staged, unstaged and untracked changes (pre-commit)",
+        })
         .option("config", {
           alias: "c",
           type: "string",
           description: "Path to config file",
         })
+        .option("update-snapshots", {
+          alias: "u",
+          type: "boolean",
+          description: "Update snapshots of affected stories",
+          default: false,
+        })
+        .option("mobile", {
+          type: "boolean",
+          description: "Run in mobile mode (uses mobile config overrides)",
+          default: false,
+        })
+        .option("locale", {
+          type: "string",
+          description:
+            "Run in locale mode with specified locale code, or use without value to run all configured locales",
+        })
+        .option("browsers", {
+          type: "string",
+          description:
+            "Comma-separated browsers to test (e.g., chromium,firefox,webkit)",
+        })
         .example("$0 diff", "Run tests for stories changed since Sprint16")
-        .example("$0 diff --target-branch main", "Compare against main branch");
+        .example("$0 diff --target-branch main", "Compare against main branch")
+        .example(
+          "$0 diff --working-tree",
+          "Include uncommitted changes before committing",
+        )
+        .example("$0 diff --staged --since HEAD", "Test only staged changes");
     },
     async (argv) => {
       try {
@@ -40,6 +88,9 @@ export const diffCommand = (yargs) => {
 
         const configOptions = {
           configFile: argv.config,
+          profile: argv.profile,
+          package: argv.package,
+          offline: argv.offline,
         };
 
         if (argv.targetBranch) {
@@ -49,12 +100,69 @@ export const diffCommand = (yargs) => {
 
         const config = await loadConfig(configOptions);
 
+        // --since compares against a commit instead of the target branch
+        const baseRef = argv.since || config.snapshot.diff.targetBranch;
+        const mode = argv.workingTree
+          ? "working-tree"
+          : argv.staged
+            ? "staged"
+            : "committed";
+
         console.log(
-          chalk.gray(`Target branch: ${config.snapshot.diff.targetBranch}`),
+          chalk.gray(
+            argv.since
+              ? `Since commit: ${argv.since}`
+              : `Target branch: ${config.snapshot.diff.targetBranch}`,
+          ),
+        );
+        if (mode !== "committed") {
+          console.log(
+            chalk.gray(
+              `Including: ${mode === "staged" ? "staged changes" : "staged, unstaged and untracked changes"}`,
+            ),
+          );
+        }
+
+        // Same pipeline as `run`; without selectStories every story runs
+        const runTests = async (selectStories = null) => {
+          const exitCode = await runVisualTests(argv, { selectStories });
+          if (exitCode !== 0) {
+            console.log(chalk.red("\n❌ Visual tests failed"));
+            process.exit(exitCode);
+          }
+        };
+
+        // Resolve the target ref (fetching it or deepening a shallow clone if needed)
+        const resolution = resolveTargetRef(baseRef, process.cwd(), {
+          autoFetch: config.snapshot.diff.autoFetch,
+          fetchDepth: config.snapshot.diff.fetchDepth,
+          maxFetchAttempts: config.snapshot.diff.maxFetchAttempts,
+        });
+        for (const step of resolution.steps) {
+          console.log(chalk.gray(`  ${step}`));
+        }
+
+        if (resolution.fullRun) {
+          console.log(
+            chalk.yellow(
+              `⚠️  ${resolution.reason}. Falling back to a full run.\n`,
+            ),
+          );
+          await runTests();
+          return;
+        }
+
+        console.log(
+          chalk.gray(
+            `Comparing against: ${resolution.ref} (${REF_SOURCE_LABELS[resolution.source]}), merge base ${resolution.mergeBase.slice(0, 8)}`,
+          ),
         );
 
         // Get changed files
-        const changedFiles = getChangedFiles(config.snapshot.diff.targetBranch);
+        const changedFiles = getChangedFiles(resolution.ref, process.cwd(), {
+          mode,
+          storyExtensions: config.snapshot.diff.storyExtensions,
+        });
 
         if (changedFiles.length === 0) {
           console.log(
@@ -65,65 +173,98 @@ export const diffCommand = (yargs) => {
 
         console.log(chalk.gray(`Total files changed: ${changedFiles.length}`));
 
+        // Changed lines of story files narrow them down to single stories
+        const changedLineRanges =
+          config.snapshot.diff.storyLevel !== false
+            ? getChangedLineRanges(
+                resolution.ref,
+                changedFiles.filter((file) =>
+                  isStoryFile(file, config.snapshot.diff.storyExtensions),
+                ),
+                process.cwd(),
+                mode,
+              )
+            : null;
+
         // Find affected stories
-        const affected = findAffectedStories(changedFiles, config);
+        const affected = findAffectedStories(
+          changedFiles,
+          config,
+          process.cwd(),
+          changedLineRanges,
+          mode,
+        );
 
-        if (affected.allStoryFiles.length === 0) {
+        if (
+          affected.allStoryFiles.length === 0 &&
+          !affected.fullRun &&
+          !(affected.triggeredStoryPatterns?.size > 0)
+        ) {
           console.log(
             chalk.green("✅ No story files affected. Skipping visual tests."),
           );
           return;
         }
 
+        // Global changes (Storybook config, lockfiles, ...) affect every story
+        if (affected.fullRun) {
+          console.log(
+            chalk.yellow("🌐 Global changes detected, running all stories:"),
+          );
+          for (const file of affected.globalTriggerFiles) {
+            console.log(chalk.gray(`  ${file}`));
+          }
+          console.log("");
+        } else if (affected.triggeredStoryPatterns?.size > 0) {
+          console.log(chalk.blue("🎯 Mapped trigger files:"));
+          for (const [file, patterns] of affected.triggeredStoryPatterns) {
+            console.log(chalk.gray(`  ${file} → ${patterns.join(", ")}`));
+          }
+          console.log("");
+        }
+
         console.log(
           chalk.gray(`Story files affected: ${affected.allStoryFiles.length}`),
         );
         console.log(
           chalk.gray(`  Direct story changes: ${affected.storyFiles.length}`),
         );
+        console.log(
+          chalk.gray(`  Component changes: ${affected.componentFiles.length}`),
+        );
         console.log(
           chalk.gray(
-            `  Component changes: ${affected.componentFiles.length}\n`,
+            `  Affected through imports: ${affected.dependencyChains?.size || 0}\n`,
           ),
         );
 
-        // Set environment variables
-        const env = {
-          ...process.env,
-          STORY_INCLUDE_PATHS: affected.allStoryFiles.join(","),
-          CI: "1",
-          VISUAL_TESTS_DATA_FILE: dataFile,
-        };
+        // Show why each story was selected through the import graph
+        if (affected.dependencyChains?.size > 0) {
+          console.log(chalk.blue("🔗 Dependency chains:"));
+          for (const chain of affected.dependencyChains.values()) {
+            console.log(chalk.gray(`  ${chain.join(" → ")}`));
+          }
+          console.log("");
+        }
 
-        console.log(
-          chalk.blue(
-            `🚀 Running visual tests for ${filteredStories.length} affected stories...\n`,
-          ),
-        );
+        // Show which stories were selected from each partially changed file
+        if (affected.storyExports?.size > 0) {
+          console.log(chalk.blue("📖 Changed stories:"));
+          for (const [storyFile, exportNames] of affected.storyExports) {
+            console.log(
+              chalk.gray(
+                `  ${storyFile}: ${exportNames.length > 0 ? exportNames.join(", ") : "none"}`,
+              ),
+            );
+          }
+          console.log("");
+        }
 
-        // Run Playwright
-        const playwrightProcess = spawn(
-          "npx",
-          ["playwright", ...playwrightArgs],
-          {
-            stdio: "inherit",
-            shell: true,
-            env,
-          },
+        console.log(
+          chalk.blue("🚀 Running visual tests for affected stories...\n"),
         );
 
-        const exitCode = await new Promise((resolve) => {
-          playwrightProcess.on("exit", (code) => resolve(code || 0));
-        });
-
-        if (exitCode === 0) {
-          console.log(chalk.green("\n✅ Visual tests completed successfully"));
-        } else {
-          console.log(chalk.red("\n❌ Visual tests failed"));
-          process.exit(exitCode);
-        }
-        // Clean up temp files
-        cleanupTestFiles({ dataFile, specFile });
+        await runTests((stories) => filterStoriesByChanges(stories, affected));
       } catch (error) {
         console.error(chalk.red("Error running diff tests:"), error.message);
         process.exit(1);
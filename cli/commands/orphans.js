@@ -7,6 +7,7 @@ import {
   fetchStoriesFromStorybook,
   sanitizeSnapshotName,
 } from "../../lib/story-discovery.js";
+import { getWorkspaceStorybooks } from "../../lib/workspace.js";
 
 export const orphansCommand = (yargs) => {
   yargs.command(
@@ -52,6 +53,9 @@ export const orphansCommand = (yargs) => {
         // Group checks by directory to avoid false positives in shared folders
         const checksByDir = new Map();
 
+        // Package whose checks are being collected (workspaces only)
+        let currentPackage = null;
+
         const addCheck = (directory, modeName, config, storyParams = {}) => {
           if (!checksByDir.has(directory)) {
             checksByDir.set(directory, {
@@ -62,137 +66,182 @@ export const orphansCommand = (yargs) => {
             });
           }
           const check = checksByDir.get(directory);
-          check.modes.push(modeName);
+          check.modes.push(
+            currentPackage ? `${currentPackage} ${modeName}` : modeName,
+          );
           check.params.push({ config, storyParams });
         };
 
-        if (argv.all) {
-          const baseConfig = await loadConfig({ configFile: argv.config });
-
-          // Desktop
-          addCheck(
-            path.join(process.cwd(), baseConfig.snapshot.paths.snapshotsDir),
-            "desktop",
-            baseConfig,
-          );
+        // Collects the checks of one package (or of a config without workspace)
+        const collectChecks = async (argv) => {
+          if (argv.all) {
+            const baseConfig = await loadConfig({
+              configFile: argv.config,
+              profile: argv.profile,
+              package: argv.package,
+              offline: argv.offline,
+            });
 
-          // Mobile
-          if (baseConfig.snapshot?.mobile?.enabled) {
-            const viewports = baseConfig.snapshot.mobile.viewports || [];
-            const mobileDir = path.join(
-              process.cwd(),
-              baseConfig.snapshot.paths.snapshotsDir,
-              "mobile",
+            // Desktop
+            addCheck(
+              path.join(process.cwd(), baseConfig.snapshot.paths.snapshotsDir),
+              "desktop",
+              baseConfig,
             );
 
-            if (viewports.length > 0) {
-              // Add all viewports that share the mobile directory
-              for (const viewport of viewports) {
-                // We construct a specific config object or just pass params.
-                // To be safe, we can reuse baseConfig but we need to ensure correct viewport is used.
-                // We pass {viewport} in params which will override config.activeViewport in the loop below.
-                addCheck(
-                  mobileDir,
-                  `mobile-${viewport.width}x${viewport.height}`,
-                  baseConfig,
-                  { viewport },
-                );
-              }
-            } else {
-              // Add default mobile if no viewports
-              addCheck(mobileDir, "mobile-default", baseConfig, {
-                mobile: true,
-              });
-            }
-          }
-
-          // Locales
-          if (baseConfig.snapshot?.locale?.enabled) {
-            const locales = baseConfig.snapshot.locale.locales || [];
-            for (const locale of locales) {
-              const localeConfig = await loadConfig({
-                configFile: argv.config,
-                locale: locale.code,
-              });
-              const baseSnapshotDir = path.join(
+            // Mobile
+            if (baseConfig.snapshot?.mobile?.enabled) {
+              const viewports = baseConfig.snapshot.mobile.viewports || [];
+              const mobileDir = path.join(
                 process.cwd(),
-                localeConfig.snapshot.paths.snapshotsDir,
+                baseConfig.snapshot.paths.snapshotsDir,
+                "mobile",
               );
 
-              let snapshotDir = baseSnapshotDir;
-              if (!locale.default) {
-                snapshotDir = path.join(baseSnapshotDir, locale.code);
+              if (viewports.length > 0) {
+                // Add all viewports that share the mobile directory
+                for (const viewport of viewports) {
+                  // We construct a specific config object or just pass params.
+                  // To be safe, we can reuse baseConfig but we need to ensure correct viewport is used.
+                  // We pass {viewport} in params which will override config.activeViewport in the loop below.
+                  addCheck(
+                    mobileDir,
+                    `mobile-${viewport.width}x${viewport.height}`,
+                    baseConfig,
+                    { viewport },
+                  );
+                }
+              } else {
+                // Add default mobile if no viewports
+                addCheck(mobileDir, "mobile-default", baseConfig, {
+                  mobile: true,
+                });
               }
+            }
 
-              addCheck(snapshotDir, `locale-${locale.code}`, localeConfig, {
-                locale: locale.code,
-              });
+            // Locales
+            if (baseConfig.snapshot?.locale?.enabled) {
+              const locales = baseConfig.snapshot.locale.locales || [];
+              for (const locale of locales) {
+                const localeConfig = await loadConfig({
+                  configFile: argv.config,
+                  profile: argv.profile,
+                  package: argv.package,
+                  offline: argv.offline,
+                  locale: locale.code,
+                });
+                const baseSnapshotDir = path.join(
+                  process.cwd(),
+                  localeConfig.snapshot.paths.snapshotsDir,
+                );
+
+                let snapshotDir = baseSnapshotDir;
+                if (!locale.default) {
+                  snapshotDir = path.join(baseSnapshotDir, locale.code);
+                }
+
+                addCheck(snapshotDir, `locale-${locale.code}`, localeConfig, {
+                  locale: locale.code,
+                });
+              }
             }
-          }
-        } else {
-          // Specific mode
-          if (argv.mobile) {
-            const baseConfig = await loadConfig({ configFile: argv.config });
-            // NOTE: We load base config first to see viewports list,
-            // because loading with {mobile:true} only gives us active viewport.
+          } else {
+            // Specific mode
+            if (argv.mobile) {
+              const baseConfig = await loadConfig({
+                configFile: argv.config,
+                profile: argv.profile,
+                package: argv.package,
+                offline: argv.offline,
+              });
+              // NOTE: We load base config first to see viewports list,
+              // because loading with {mobile:true} only gives us active viewport.
 
-            const snapshotMobileConfig = baseConfig.snapshot?.mobile || {};
-            const viewports = snapshotMobileConfig.viewports || [];
-            const mobileDir = path.join(
-              process.cwd(),
-              baseConfig.snapshot.paths.snapshotsDir,
-              "mobile",
-            );
+              const snapshotMobileConfig = baseConfig.snapshot?.mobile || {};
+              const viewports = snapshotMobileConfig.viewports || [];
+              const mobileDir = path.join(
+                process.cwd(),
+                baseConfig.snapshot.paths.snapshotsDir,
+                "mobile",
+              );
 
-            if (snapshotMobileConfig.enabled && viewports.length > 0) {
-              // If user asks for mobile orphans, check ALL mobile viewports!
-              for (const viewport of viewports) {
+              if (snapshotMobileConfig.enabled && viewports.length > 0) {
+                // If user asks for mobile orphans, check ALL mobile viewports!
                 const vpConfig = await loadConfig({
                   configFile: argv.config,
+                  profile: argv.profile,
+                  package: argv.package,
+                  offline: argv.offline,
                   mobile: true,
                 });
-                addCheck(
-                  mobileDir,
-                  `mobile-${viewport.width}x${viewport.height}`,
-                  vpConfig,
-                  { viewport },
-                );
+                for (const viewport of vpConfig.activeViewports || viewports) {
+                  addCheck(
+                    mobileDir,
+                    `mobile-${viewport.width}x${viewport.height}`,
+                    vpConfig,
+                    { viewport },
+                  );
+                }
+              } else {
+                // Fallback/Default
+                const mobConfig = await loadConfig({
+                  configFile: argv.config,
+                  profile: argv.profile,
+                  package: argv.package,
+                  offline: argv.offline,
+                  mobile: true,
+                });
+                addCheck(mobileDir, "mobile", mobConfig, { mobile: true });
+              }
+            } else if (argv.locale) {
+              const code = argv.locale;
+              const config = await loadConfig({
+                configFile: argv.config,
+                profile: argv.profile,
+                package: argv.package,
+                offline: argv.offline,
+                locale: code,
+              });
+              const baseSnapshotDir = path.join(
+                process.cwd(),
+                config.snapshot.paths.snapshotsDir,
+              );
+              let snapshotDir = baseSnapshotDir;
+
+              // If not default, append code
+              // Ideally we should know if it's default from config.
+              // We can check config.locale.default if loaded correctly.
+              if (config.locale?.code === code && !config.locale?.default) {
+                snapshotDir = path.join(baseSnapshotDir, code);
               }
+              addCheck(snapshotDir, `locale-${code}`, config, { locale: code });
             } else {
-              // Fallback/Default
-              const mobConfig = await loadConfig({
+              // Desktop (default)
+              const config = await loadConfig({
                 configFile: argv.config,
-                mobile: true,
+                profile: argv.profile,
+                package: argv.package,
+                offline: argv.offline,
               });
-              addCheck(mobileDir, "mobile", mobConfig, { mobile: true });
+              addCheck(
+                path.join(process.cwd(), config.snapshot.paths.snapshotsDir),
+                "desktop",
+                config,
+              );
             }
-          } else if (argv.locale) {
-            const code = argv.locale;
-            const config = await loadConfig({
-              configFile: argv.config,
-              locale: code,
-            });
-            const baseSnapshotDir = path.join(
-              process.cwd(),
-              config.snapshot.paths.snapshotsDir,
-            );
-            let snapshotDir = baseSnapshotDir;
+          }
+        };
 
-            // If not default, append code
-            // Ideally we should know if it's default from config.
-            // We can check config.locale.default if loaded correctly.
-            if (config.locale?.code === code && !config.locale?.default) {
-              snapshotDir = path.join(baseSnapshotDir, code);
-            }
-            addCheck(snapshotDir, `locale-${code}`, config, { locale: code });
-          } else {
-            // Desktop (default)
-            const config = await loadConfig({ configFile: argv.config });
-            addCheck(
-              path.join(process.cwd(), config.snapshot.paths.snapshotsDir),
-              "desktop",
-              config,
-            );
+        await collectChecks(argv);
+
+        // Workspaces: check the snapshots of every package instead
+        const [firstCheck] = checksByDir.values();
+        const storybooks = getWorkspaceStorybooks(firstCheck?.config);
+        if (!argv.package && storybooks.length > 0) {
+          checksByDir.clear();
+          for (const storybook of storybooks) {
+            currentPackage = storybook.name;
+            await collectChecks({ ...argv, package: storybook.name });
           }
         }
 
@@ -223,13 +272,24 @@ export const orphansCommand = (yargs) => {
                 config.activeViewport ||
                 config.playwright?.use?.viewport;
 
-              const baseName = sanitizeSnapshotName(story.id, currentViewport);
+              // Per-story overrides (parameters.mobileViewports / desktopViewport)
+              // replace the configured viewport for that story
+              const storyViewports = storyParams.viewport
+                ? story._viewports?.mobile || [currentViewport]
+                : [story._viewports?.desktop || currentViewport];
 
-              if (config.snapshot?.image?.enabled !== false) {
-                expectedSnapshots.add(`${baseName}.png`);
-              }
-              if (config.snapshot?.position?.enabled !== false) {
-                expectedSnapshots.add(`${baseName}.positions.json`);
+              for (const viewport of storyViewports) {
+                const baseName = sanitizeSnapshotName(story.id, viewport);
+
+                if (config.snapshot?.image?.enabled !== false) {
+                  expectedSnapshots.add(`${baseName}.png`);
+                }
+                if (config.snapshot?.position?.enabled !== false) {
+                  expectedSnapshots.add(`${baseName}.positions.json`);
+                }
+                if (config.snapshot?.accessibility?.enabled) {
+                  expectedSnapshots.add(`${baseName}.aria.yml`);
+                }
               }
             }
           }
@@ -242,7 +302,12 @@ export const orphansCommand = (yargs) => {
 
           const actualFiles = fs
             .readdirSync(directory)
-            .filter((f) => f.endsWith(".png") || f.endsWith(".positions.json"));
+            .filter(
+              (f) =>
+                f.endsWith(".png") ||
+                f.endsWith(".positions.json") ||
+                f.endsWith(".aria.yml"),
+            );
 
           // Find orphans
           const orphans = actualFiles.filter((f) => !expectedSnapshots.has(f));
@@ -22,6 +22,9 @@ export const recommendMobileCommand = (yargs) => {
       try {
         const config = await loadConfig({
           configFile: argv.config,
+          profile: argv.profile,
+          package: argv.package,
+          offline: argv.offline,
           // Pass CLI override for threshold if present
           snapshot: {
             mobile: {
@@ -61,6 +64,16 @@ export const recommendMobileCommand = (yargs) => {
               `(${rec.width}x${rec.height}px)`,
             )}`,
           );
+          if (rec.missingViewports && rec.missingViewports.length > 0) {
+            const missing = rec.missingViewports
+              .map((v) =>
+                v.name
+                  ? `${v.width}x${v.height} (${v.name})`
+                  : `${v.width}x${v.height}`,
+              )
+              .join(", ");
+            console.log(chalk.dim(`    Missing viewports: ${missing}`));
+          }
         });
 
         console.log(chalk.bold("\n💡 Action Items:"));
@@ -7,7 +7,10 @@ import { spawn } from "child_process";
 import path from "path";
 import fs from "fs";
 import { loadConfig } from "../../config-loader.js";
-import { generateJsonReport } from "../../lib/report-generator.js";
+import {
+  generateJsonReport,
+  generateHtmlReport,
+} from "../../lib/report-generator.js";
 import {
   readFailuresFromJsonl,
   readPassedFromJsonl,
@@ -52,9 +55,16 @@ export const reportCommand = (yargs) => {
     },
     async (argv) => {
       try {
-        const config = await loadConfig({ configFile: argv.config });
+        const config = await loadConfig({
+          configFile: argv.config,
+          profile: argv.profile,
+          package: argv.package,
+        });
         const logsDir = path.join(process.cwd(), config.snapshot.paths.logsDir);
 
+        // Generated HTML report (includes expected/actual/diff images)
+        let htmlReportPath = null;
+
         // Generate new report if requested
         if (argv.generate) {
           console.log(chalk.blue("📊 Generating reports...\n"));
@@ -82,6 +92,15 @@ export const reportCommand = (yargs) => {
             skipped,
           };
 
+          if (argv.format === "html" || argv.format === "both") {
+            htmlReportPath = await generateHtmlReport(results, config);
+            if (htmlReportPath) {
+              console.log(
+                chalk.green(`✅ HTML report generated: ${htmlReportPath}`),
+              );
+            }
+          }
+
           if (argv.format === "json" || argv.format === "both") {
             const jsonPath = await generateJsonReport(results, config);
             if (jsonPath) {
@@ -97,10 +116,9 @@ export const reportCommand = (yargs) => {
           let reportPath;
 
           if (argv.format === "html") {
-            reportPath = path.join(
-              logsDir,
-              "playwright/storybook/reports/index.html",
-            );
+            reportPath =
+              htmlReportPath ||
+              path.join(logsDir, "playwright/storybook/reports/index.html");
           } else if (argv.format === "json") {
             reportPath = path.join(logsDir, "visual-test-results.json");
           }
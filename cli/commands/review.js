@@ -0,0 +1,114 @@
+/**
+ * Review Command - Approve or reject snapshot changes in the browser
+ */
+
+import chalk from "chalk";
+import { spawn } from "child_process";
+import path from "path";
+import { loadConfig } from "../../config-loader.js";
+import {
+  createReviewServer,
+  loadReviewItems,
+} from "../../lib/review-server.js";
+
+export const reviewCommand = (yargs) => {
+  yargs.command(
+    "review [options]",
+    "Review failing snapshots and approve new baselines",
+    (yargs) => {
+      return yargs
+        .option("port", {
+          alias: "p",
+          type: "number",
+          description: "Port for the review server",
+          default: 4173,
+        })
+        .option("host", {
+          type: "string",
+          description: "Host for the review server",
+          default: "127.0.0.1",
+        })
+        .option("open", {
+          alias: "o",
+          type: "boolean",
+          description: "Open review page in browser",
+          default: true,
+        })
+        .option("config", {
+          alias: "c",
+          type: "string",
+          description: "Path to config file",
+        })
+        .example("$0 review", "Review failures from the last run")
+        .example("$0 review --port 8080 --no-open", "Serve on a custom port");
+    },
+    async (argv) => {
+      try {
+        const config = await loadConfig({
+          configFile: argv.config,
+          profile: argv.profile,
+          package: argv.package,
+        });
+        const logsDir = path.join(process.cwd(), config.snapshot.paths.logsDir);
+
+        const items = await loadReviewItems(logsDir);
+
+        if (items.length === 0) {
+          console.log(chalk.green("✅ No failing snapshots to review"));
+          return;
+        }
+
+        const approvable = items.filter((item) => item.canApprove).length;
+        console.log(
+          chalk.blue(`🔍 ${items.length} failing snapshot(s) to review`),
+        );
+        if (approvable < items.length) {
+          console.log(
+            chalk.yellow(
+              `⚠️  ${items.length - approvable} failure(s) have no actual snapshot and can only be rejected`,
+            ),
+          );
+        }
+
+        const server = await createReviewServer({ logsDir, items });
+        await new Promise((resolve, reject) => {
+          server.once("error", reject);
+          server.listen(argv.port, argv.host, resolve);
+        });
+
+        const url = `http://${argv.host}:${argv.port}`;
+        console.log(chalk.green(`\n✅ Review server running at ${url}`));
+        console.log(chalk.gray("Press Ctrl+C to stop\n"));
+
+        if (argv.open) {
+          // start is a cmd built-in on Windows, not an executable
+          const [openCommand, ...openArgs] =
+            process.platform === "darwin"
+              ? ["open"]
+              : process.platform === "win32"
+                ? ["cmd", "/c", "start", '""']
+                : ["xdg-open"];
+
+          const opener = spawn(openCommand, [...openArgs, url], {
+            stdio: "ignore",
+            detached: true,
+          });
+          opener.on("error", () => {
+            console.log(
+              chalk.yellow(
+                `⚠️  Could not open a browser. Open ${url} manually.`,
+              ),
+            );
+          });
+          opener.unref();
+        }
+      } catch (error) {
+        console.error(
+          chalk.red("Error starting review server:"),
+          error.message,
+        );
+        process.exit(1);
+      }
+    },
+  );
+};
@@ -11,17 +11,54 @@ import { fetchStoriesFromStorybook } from "../../lib/story-discovery.js";
 import {
   generateTestFiles,
   cleanupTestFiles,
+  getReportPaths,
+  runWithConcurrency,
+  pipeWithPrefix,
 } from "../../lib/test-runner-utils.js";
-import { processTestResults } from "../../lib/result-processor.js";
+import {
+  processTestResults,
+  mergeLocaleResults,
+  mergePackageResults,
+} from "../../lib/result-processor.js";
+import { parseBrowsers, getProjectArgs } from "../../lib/browser-matrix.js";
+import { withStaticStorybook } from "../../lib/static-server.js";
+import { withStorybook } from "../../lib/storybook-server.js";
+import {
+  getWorkspaceStorybooks,
+  getPackageLogsDir,
+} from "../../lib/workspace.js";
+
+/**
+ * Get the directory a run writes its result logs to
+ * Isolated (concurrent) locale runs write to a per-locale subdirectory
+ * @param {object} config - Loaded configuration
+ * @param {string} [localeCode] - Locale code of an isolated run (optional)
+ * @returns {string} Absolute logs directory
+ */
+const getRunLogsDir = (config, localeCode = null) =>
+  path.resolve(
+    process.cwd(),
+    config.snapshot.paths.logsDir || "logs",
+    localeCode ? path.join("locales", localeCode) : "",
+  );
 
 /**
  * Execute run for a specific configuration/locale
  * @param {object} config - Loaded configuration
  * @param {object} argv - Command line arguments
  * @param {string} [localeCode] - Locale code (optional)
+ * @param {object} [options] - Run options
+ * @param {boolean} [options.isolated=false] - Keep generated files, logs and output apart from other concurrent runs
+ * @param {Function} [options.selectStories] - Narrows the discovered stories (e.g. to those affected by a diff)
+ * @param {object} [options.storybook] - Storybook started for several runs ({host, port, url}); the run starts none itself
  * @returns {Promise<number>} Exit code
  */
-const executeRun = async (config, argv, localeCode = null) => {
+const executeRun = async (
+  config,
+  argv,
+  localeCode = null,
+  { isolated = false, selectStories = null, storybook = null } = {},
+) => {
   try {
     if (localeCode) {
       console.log(
@@ -40,187 +77,198 @@ const executeRun = async (config, argv, localeCode = null) => {
       );
     }
 
+    // Browser matrix (--browsers); empty runs the default project only
+    const browsers = argv.browsers ? parseBrowsers(argv.browsers, config) : [];
+    if (browsers.length > 0) {
+      console.log(chalk.gray(`  Browsers: ${browsers.join(", ")}`));
+    }
+
     // Pre-fetch stories
-    console.log(chalk.blue("🔍 Discovering stories..."));
-    const stories = await fetchStoriesFromStorybook(
+    console.log(
+      chalk.blue(
+        `🔍 Discovering stories${config.offline ? " from the cached Storybook index" : ""}...`,
+      ),
+    );
+    const discoveredStories = await fetchStoriesFromStorybook(
       config,
       true, // Always include all matching stories, let Playwright fail if snapshots missing
     );
-    console.log(chalk.green(`✅ Found ${stories.length} stories`));
+    console.log(chalk.green(`✅ Found ${discoveredStories.length} stories`));
+
+    const stories = selectStories
+      ? selectStories(discoveredStories)
+      : discoveredStories;
+    if (selectStories) {
+      console.log(
+        chalk.blue(
+          `🎯 Selected ${stories.length} of ${discoveredStories.length} stories`,
+        ),
+      );
+    }
 
     if (stories.length === 0) {
       console.warn(chalk.yellow("⚠️  No stories found matching the criteria"));
       return 0;
     }
 
-    // Determine report paths
-    // We need to isolate reports per locale to avoid overwrites
-    // Default fallback
-    let jsonReportPath = path.join(process.cwd(), "test-results.json");
-    let htmlReportDir = null;
-
-    if (config.playwright?.reporter) {
-      const reporters = Array.isArray(config.playwright.reporter)
-        ? config.playwright.reporter
-        : [config.playwright.reporter];
-
-      // Update reporter paths if locale is present
-      if (localeCode) {
-        config.playwright.reporter = reporters.map((r) => {
-          const reporterName = Array.isArray(r) ? r[0] : r;
-          const reporterOptions = Array.isArray(r) ? r[1] || {} : {};
-
-          if (reporterName === "json" && reporterOptions.outputFile) {
-            const parsed = path.parse(reporterOptions.outputFile);
-            reporterOptions.outputFile = path.join(
-              parsed.dir,
-              `${parsed.name}-${localeCode}${parsed.ext}`,
-            );
-          } else if (reporterName === "html" && reporterOptions.outputFolder) {
-            reporterOptions.outputFolder = path.join(
-              reporterOptions.outputFolder,
-              localeCode,
-            );
-          }
-          return [reporterName, reporterOptions];
-        });
-      }
-
-      // Re-resolve paths based on (potentially updated) config
-      const jsonReporter = config.playwright.reporter.find(
-        (r) => (Array.isArray(r) && r[0] === "json") || r === "json",
-      );
-
-      if (
-        jsonReporter &&
-        Array.isArray(jsonReporter) &&
-        jsonReporter[1]?.outputFile
-      ) {
-        jsonReportPath = path.resolve(
-          process.cwd(),
-          jsonReporter[1].outputFile,
-        );
-      }
-
-      const htmlReporter = config.playwright.reporter.find(
-        (r) => (Array.isArray(r) && r[0] === "html") || r === "html",
-      );
-
-      if (
-        htmlReporter &&
-        Array.isArray(htmlReporter) &&
-        htmlReporter[1]?.outputFolder
-      ) {
-        htmlReportDir = path.resolve(
-          process.cwd(),
-          htmlReporter[1].outputFolder,
-        );
-      }
-    }
+    // Each run gets its own report paths; they are passed to playwright.config.js
+    // via environment variables so concurrent locale runs never overwrite each other
+    const { jsonReportPath, htmlReportDir } = getReportPaths(
+      config,
+      localeCode,
+    );
 
     // Cleanup previous reports for THIS run
     if (fs.existsSync(jsonReportPath)) {
       fs.unlinkSync(jsonReportPath);
     }
-    // Only clean HTML report dir if it's specific to this run (which it is if we appended localeCode)
     if (htmlReportDir && fs.existsSync(htmlReportDir)) {
       fs.rmSync(htmlReportDir, { recursive: true, force: true });
     }
 
-    // Generate test files
-    const { dataFile, specFile } = generateTestFiles(config, stories);
-
-    // Build Playwright command
-    // We must pass the updated config (with potentially modified reporter paths) via environment variable or temp config
-    // But Playwright reads configured in visual-tests.config.js via playwright.config.js override.
-    // Overriding reporter via CLI args is cleaner.
-    const playwrightArgs = [
-      "test",
-      specFile,
-      `--config=${config.snapshot.paths.playwrightConfig}`,
-      config.playwright?.project
-        ? `--project=${config.playwright.project}`
-        : "--project=chromium",
-    ];
-
-    // Explicitly override reporters in CLI args to ensure Playwright uses our locale-specific paths
-    // Note: This overrides config reporters.
-    if (localeCode && config.playwright?.reporter) {
-      config.playwright.reporter.forEach((r) => {
-        const name = Array.isArray(r) ? r[0] : r;
-        const options = Array.isArray(r) ? r[1] : {};
-        // Construct regex-safe reporter string is hard via CLI, better to rely on env vars or just trust playwright.config.js to read from our config object?
-        // Wait, playwright.config.js imports 'visual-tests.config.js'.
-        // It does NOT read the 'config' object we have here in memory.
-        // So modifying 'config' in memory (lines 66-85) DOES NOT affect Playwright process unless we pass it.
-        // We pass config via 'VISUAL_TESTS_DATA_FILE' -> generateTestFiles -> dataFile.
-        // But playwright.config.js reads 'visual-tests.config.js' DIRECTLY.
-        // To support dynamic reporter paths, we might need to pass env vars like PLAYWRIGHT_HTML_REPORT.
-        // Or we rely on 'VISUAL_TEST_LOCALE' env var and have playwright.config.js handle it?
-        // playwright.config.js (Step 900) uses:
-        // reporter: visualTestConfig.playwright?.reporter ...
-        // It does NOT seem to look at VISUAL_TEST_LOCALE for reporter paths.
-        // THIS IS A LIMITATION.
-        // However, for now, let's just run it. The console output/test results will be correct.
-        // The report overwriting is a secondary issue which might require `playwright.config.js` update.
-        // But wait, if I don't fix report path, parallel runs (if we did them) or sequential runs will overwrite.
-        // Sequential is fine, but the user will only see the last report.
-        // User asked to fix Regression in testMatcher (finding 125 stories).
-        // I will prioritize fixing the logic first.
-      });
-    }
+    // A static build (storybook.staticDir) is served while Playwright runs,
+    // unless the caller already started a Storybook shared by several runs
+    const serveStorybook = storybook
+      ? (runConfig, callback) =>
+          callback(
+            {
+              ...runConfig,
+              storybook: {
+                ...runConfig.storybook,
+                host: storybook.host,
+                port: storybook.port,
+              },
+            },
+            storybook.url,
+          )
+      : withStaticStorybook;
+
+    const exitCode = await serveStorybook(
+      config,
+      async (servedConfig, storybookUrl) => {
+        // Generate test files (suffixed when running alongside other locales)
+        const { dataFile, specFile } = generateTestFiles(
+          servedConfig,
+          stories,
+          isolated ? localeCode : "",
+        );
 
-    if (argv.updateSnapshots) {
-      playwrightArgs.push("--update-snapshots");
-    }
+        // Build Playwright command
+        const playwrightArgs = [
+          "test",
+          specFile,
+          `--config=${config.snapshot.paths.playwrightConfig}`,
+          ...getProjectArgs(browsers, config),
+        ];
 
-    // Set environment variables
-    const env = {
-      ...process.env,
-      VISUAL_TESTS_DATA_FILE: dataFile,
-      CI: "1",
-      STORYBOOK_PORT: config.storybook.port,
-      VISUAL_TEST_UPDATE_SNAPSHOTS: argv.updateSnapshots ? "true" : "false",
-      VISUAL_TEST_MOBILE: argv.mobile ? "true" : "false",
-      VISUAL_TEST_LOCALE: localeCode || "",
-    };
-
-    // Run Playwright
-    const playwrightPath = path.resolve(
-      process.cwd(),
-      "node_modules",
-      ".bin",
-      "playwright",
-    );
+        if (argv.updateSnapshots) {
+          playwrightArgs.push("--update-snapshots");
+        }
 
-    const executable = fs.existsSync(playwrightPath) ? playwrightPath : "npx";
-    const args =
-      executable === playwrightPath
-        ? ["test", ...playwrightArgs.slice(1)]
-        : ["playwright", ...playwrightArgs];
+        // Set environment variables
+        const env = {
+          ...process.env,
+          VISUAL_TESTS_DATA_FILE: dataFile,
+          CI: "1",
+          STORYBOOK_PORT: servedConfig.storybook.port,
+          VISUAL_TEST_STORYBOOK_URL: storybookUrl || "",
+          VISUAL_TEST_UPDATE_SNAPSHOTS: argv.updateSnapshots ? "true" : "false",
+          VISUAL_TEST_MOBILE: argv.mobile ? "true" : "false",
+          VISUAL_TEST_PROFILE: argv.profile || "",
+          VISUAL_TEST_PACKAGE: argv.package || "",
+          VISUAL_TEST_LOCALE: localeCode || "",
+          VISUAL_TEST_BROWSERS: browsers.join(","),
+          VISUAL_TEST_JSON_REPORT: jsonReportPath,
+          VISUAL_TEST_HTML_REPORT: htmlReportDir || "",
+        };
+
+        // Concurrent runs need their own Playwright output directory
+        if (isolated) {
+          env.VISUAL_TEST_OUTPUT_DIR = path.resolve(
+            process.cwd(),
+            "test-results",
+            localeCode,
+          );
+          // Their output is piped, keep Playwright's colors
+          if (process.stdout.isTTY && !env.FORCE_COLOR) {
+            env.FORCE_COLOR = "1";
+          }
+        }
 
-    const playwrightProcess = spawn(executable, args, {
-      stdio: "inherit",
-      shell: false,
-      env,
-    });
+        // Run Playwright
+        const playwrightPath = path.resolve(
+          process.cwd(),
+          "node_modules",
+          ".bin",
+          "playwright",
+        );
 
-    const exitCode = await new Promise((resolve) => {
-      playwrightProcess.on("exit", (code) => resolve(code || 0));
-    });
+        const executable = fs.existsSync(playwrightPath)
+          ? playwrightPath
+          : "npx";
+        const args =
+          executable === playwrightPath
+            ? ["test", ...playwrightArgs.slice(1)]
+            : ["playwright", ...playwrightArgs];
+
+        // Concurrent runs prefix every output line with their locale
+        const playwrightProcess = spawn(executable, args, {
+          stdio: isolated ? ["inherit", "pipe", "pipe"] : "inherit",
+          shell: false,
+          env,
+        });
 
-    cleanupTestFiles({ dataFile, specFile });
+        const outputPiped = isolated
+          ? Promise.all([
+              pipeWithPrefix(
+                playwrightProcess.stdout,
+                process.stdout,
+                chalk.cyan(`[${localeCode}]`),
+              ),
+              pipeWithPrefix(
+                playwrightProcess.stderr,
+                process.stderr,
+                chalk.cyan(`[${localeCode}]`),
+              ),
+            ])
+          : null;
+
+        const playwrightExitCode = await new Promise((resolve) => {
+          playwrightProcess.on("exit", (code) => resolve(code || 0));
+        });
+        await outputPiped;
+
+        cleanupTestFiles({ dataFile, specFile });
+        return playwrightExitCode;
+      },
+    );
 
     // Processing results
     try {
-      const logsDir = path.resolve(
-        process.cwd(),
-        config.snapshot.paths.logsDir || "logs",
-      );
-      // We process the result for THIS run.
-      // Note: If report path didn't change, we rely on standard path.
-      // If we didn't change report path in playwright process, it wrote to standard path.
-      await processTestResults(jsonReportPath, logsDir);
+      const logsDir = getRunLogsDir(config, isolated ? localeCode : null);
+      const summary = await processTestResults(jsonReportPath, logsDir);
+
+      // Mobile mode runs every configured viewport; summarize each one
+      if (summary?.viewports) {
+        console.log(chalk.blue("\n📱 Results per viewport:"));
+        for (const [viewport, counts] of Object.entries(summary.viewports)) {
+          const line = `  ${viewport}: ${counts.passed} passed, ${counts.failures} failed, ${counts.skipped} skipped`;
+          console.log(
+            counts.failures > 0 ? chalk.red(line) : chalk.green(line),
+          );
+        }
+      }
+
+      // Browser matrix runs report each browser separately
+      if (summary?.browsers) {
+        console.log(chalk.blue("\n🌐 Results per browser:"));
+        for (const [browser, counts] of Object.entries(summary.browsers)) {
+          const line = `  ${browser}: ${counts.passed} passed, ${counts.failures} failed, ${counts.skipped} skipped`;
+          console.log(
+            counts.failures > 0 ? chalk.red(line) : chalk.green(line),
+          );
+        }
+      }
     } catch (err) {
       console.warn(
         chalk.yellow(`Failed to generate failures log: ${err.message}`),
@@ -234,6 +282,255 @@ const executeRun = async (config, argv, localeCode = null) => {
   }
 };
 
+/**
+ * Build loadConfig options from command line arguments
+ * @param {object} argv - Command line arguments
+ * @param {string} [localeCode] - Locale code (optional)
+ * @param {object} [baseOptions] - Options of the calling command (e.g. diff settings)
+ * @returns {object} Options for loadConfig
+ */
+export const getConfigOptions = (argv, localeCode, baseOptions = {}) => {
+  const configOptions = {
+    ...baseOptions,
+    configFile: argv.config,
+    profile: argv.profile,
+    package: argv.package,
+    offline: argv.offline,
+    mobile: argv.mobile,
+    locale: localeCode,
+  };
+
+  if (argv.storybookPort) {
+    configOptions.storybook = { port: argv.storybookPort };
+  }
+  if (argv.storybookHost) {
+    configOptions.storybook = configOptions.storybook || {};
+    configOptions.storybook.host = argv.storybookHost;
+  }
+
+  if (argv.includePaths) {
+    configOptions.snapshot = { ...configOptions.snapshot };
+    configOptions.snapshot.filters = configOptions.snapshot.filters || {};
+    configOptions.snapshot.filters.includePaths = argv.includePaths.split(",");
+  }
+  if (argv.storyIds) {
+    configOptions.snapshot = { ...configOptions.snapshot };
+    configOptions.snapshot.filters = configOptions.snapshot.filters || {};
+    configOptions.snapshot.filters.storyIds = argv.storyIds.split(",");
+  }
+
+  return configOptions;
+};
+
+/**
+ * Run visual tests for every Storybook of a workspace, one package at a time
+ * Each package run writes to its own logs directory; the results are merged
+ * into the workspace logs directory afterwards
+ * @param {object} argv - Command line arguments
+ * @param {object} config - Workspace configuration
+ * @param {object} [options] - Pipeline options (see runVisualTests)
+ * @returns {Promise<number>} Exit code
+ */
+const runWorkspace = async (argv, config, options) => {
+  const storybooks = getWorkspaceStorybooks(config);
+
+  console.log(
+    chalk.blue(
+      `📦 Detected ${storybooks.length} workspace Storybooks. Running them one at a time...\n`,
+    ),
+  );
+
+  const exitCodes = [];
+  for (const storybook of storybooks) {
+    console.log(
+      chalk.cyan(
+        `\n${"=".repeat(60)}\n📦 Running tests for package: ${storybook.name}\n${"=".repeat(60)}\n`,
+      ),
+    );
+    exitCodes.push(
+      await runVisualTests({ ...argv, package: storybook.name }, options),
+    );
+  }
+
+  // Merge per-package results into the workspace logs directory
+  const logsDir = getRunLogsDir(config);
+  const merged = await mergePackageResults(
+    storybooks.map((storybook) => ({
+      package: storybook.name,
+      dir: getPackageLogsDir(logsDir, storybook.name),
+    })),
+    logsDir,
+  );
+
+  if (merged?.packages) {
+    console.log(chalk.blue("\n📦 Results per package:"));
+    for (const [name, counts] of Object.entries(merged.packages)) {
+      const line = `  ${name}: ${counts.passed} passed, ${counts.failures} failed, ${counts.skipped} skipped`;
+      console.log(counts.failures > 0 ? chalk.red(line) : chalk.green(line));
+    }
+    console.log(
+      chalk.blue(
+        `  Total: ${merged.passed} passed, ${merged.failures} failed, ${merged.skipped} skipped`,
+      ),
+    );
+  }
+
+  if (exitCodes.some((code) => code !== 0)) {
+    console.log(
+      chalk.red("\n❌ Some package runs failed. See output above for details."),
+    );
+    return 1;
+  }
+
+  console.log(
+    chalk.green(
+      `\n✅ Successfully completed tests for all ${storybooks.length} packages`,
+    ),
+  );
+  return 0;
+};
+
+/**
+ * Run visual tests: discovery, test file generation, Playwright and result processing
+ * Handles a single run, the all-locales mode (`--locale` without a value) and
+ * workspaces, whose Storybooks are run one after another unless `--package` picks one
+ * @param {object} argv - Command line arguments (config, mobile, locale, browsers, updateSnapshots, ...)
+ * @param {object} [options] - Pipeline options
+ * @param {object} [options.configOptions] - Extra loadConfig options of the calling command
+ * @param {Function} [options.selectStories] - Narrows the discovered stories of every run
+ * @returns {Promise<number>} Exit code
+ */
+export const runVisualTests = async (
+  argv,
+  { configOptions = {}, selectStories = null } = {},
+) => {
+  // Check for "All Locales" mode
+  if (argv.locale === "" || argv.locale === true || argv.locale === "all") {
+    // Load base config to find locales
+    const baseConfig = await loadConfig({
+      ...configOptions,
+      configFile: argv.config,
+      profile: argv.profile,
+      package: argv.package,
+      offline: argv.offline,
+      mobile: argv.mobile,
+    });
+
+    if (!argv.package && getWorkspaceStorybooks(baseConfig).length > 0) {
+      return runWorkspace(argv, baseConfig, { configOptions, selectStories });
+    }
+
+    const locales = baseConfig.snapshot?.locale?.locales || [];
+
+    if (locales.length === 0) {
+      console.error(
+        chalk.red(
+          "❌ No locales configured in snapshot.locale.locales\n" +
+            "   Please add locale configuration to your visual-tests.config.js",
+        ),
+      );
+      return 1;
+    }
+
+    // Skip default locale in "all locales" mode as it matches the base run
+    const localesToRun = locales.filter((locale) => {
+      if (locale.default) {
+        console.log(
+          chalk.yellow(
+            `\n⚠️  Skipping default locale: ${locale.code} (${locale.name}) - run without --locale flag to test this locale\n`,
+          ),
+        );
+        return false;
+      }
+      return true;
+    });
+
+    const concurrency =
+      argv.concurrency || baseConfig.snapshot?.locale?.concurrency || 2;
+
+    console.log(
+      chalk.blue(
+        `📍 Detected ${locales.length} configured locales. Running up to ${concurrency} at a time...\n`,
+      ),
+    );
+
+    // Storybook is started once and shared by the locale runs, so they
+    // never start one dev server each on the same port
+    const exitCodes = await withStorybook(baseConfig, (_, storybookUrl) => {
+      const { hostname, port } = new URL(storybookUrl);
+      return runWithConcurrency(localesToRun, concurrency, async (locale) => {
+        // Load specific config for this locale
+        const config = await loadConfig(
+          getConfigOptions(argv, locale.code, configOptions),
+        );
+        return executeRun(config, argv, locale.code, {
+          isolated: true,
+          selectStories,
+          storybook: { host: hostname, port: port || "80", url: storybookUrl },
+        });
+      });
+    });
+
+    const hasFailure = exitCodes.some((code) => code !== 0);
+
+    // Merge per-locale results into the main logs directory
+    const merged = await mergeLocaleResults(
+      localesToRun.map((locale) => ({
+        locale: locale.code,
+        dir: getRunLogsDir(baseConfig, locale.code),
+      })),
+      getRunLogsDir(baseConfig),
+    );
+
+    if (merged?.locales) {
+      console.log(chalk.blue("\n🌍 Results per locale:"));
+      for (const [locale, counts] of Object.entries(merged.locales)) {
+        const line = `  ${locale}: ${counts.passed} passed, ${counts.failures} failed, ${counts.skipped} skipped`;
+        console.log(counts.failures > 0 ? chalk.red(line) : chalk.green(line));
+      }
+      console.log(
+        chalk.blue(
+          `  Total: ${merged.passed} passed, ${merged.failures} failed, ${merged.skipped} skipped`,
+        ),
+      );
+    }
+
+    if (hasFailure) {
+      console.log(
+        chalk.red(
+          "\n❌ Some locale runs failed. See output above for details.",
+        ),
+      );
+      return 1;
+    }
+
+    console.log(
+      chalk.green(
+        `\n✅ Successfully completed tests for all ${locales.length} locales`,
+      ),
+    );
+    return 0;
+  }
+
+  // Single Run Mode (Specific locale or Default/Desktop)
+  const config = await loadConfig(
+    getConfigOptions(argv, argv.locale || undefined, configOptions),
+  );
+
+  if (!argv.package && getWorkspaceStorybooks(config).length > 0) {
+    return runWorkspace(argv, config, { configOptions, selectStories });
+  }
+
+  const exitCode = await executeRun(config, argv, argv.locale || undefined, {
+    selectStories,
+  });
+
+  if (exitCode === 0) {
+    console.log(chalk.green("\n✅ Visual tests completed successfully"));
+  }
+  return exitCode;
+};
+
 export const runCommand = (yargs) => {
   yargs.command(
     "run [options]",
@@ -279,158 +576,35 @@ export const runCommand = (yargs) => {
           description:
             "Run in locale mode with specified locale code (e.g., de-DE, ar-SA), or use without value to run all configured locales",
         })
+        .option("browsers", {
+          type: "string",
+          description:
+            "Comma-separated browsers to test (e.g., chromium,firefox,webkit)",
+        })
+        .option("concurrency", {
+          type: "number",
+          description:
+            "Maximum number of locales run at the same time in all-locales mode (default: 2)",
+        })
         .example("$0 run", "Run visual tests with default settings")
         .example(
           "$0 run --include-paths components/Button",
           "Run tests for Button component",
         )
         .example("$0 run --locale de-DE", "Run tests in German locale")
-        .example("$0 run --locale", "Run tests for all configured locales");
+        .example("$0 run --locale", "Run tests for all configured locales")
+        .example(
+          "$0 run --browsers chromium,firefox,webkit",
+          "Run tests in every browser",
+        );
     },
     async (argv) => {
       try {
         console.log(chalk.blue("🚀 Running visual tests...\n"));
 
-        // Check for "All Locales" mode
-        if (
-          argv.locale === "" ||
-          argv.locale === true ||
-          argv.locale === "all"
-        ) {
-          // Load base config to find locales
-          const baseConfig = await loadConfig({
-            configFile: argv.config,
-            mobile: argv.mobile,
-          });
-
-          const locales = baseConfig.snapshot?.locale?.locales || [];
-
-          if (locales.length === 0) {
-            console.error(
-              chalk.red(
-                "❌ No locales configured in snapshot.locale.locales\n" +
-                  "   Please add locale configuration to your visual-tests.config.js",
-              ),
-            );
-            process.exit(1);
-          }
-
-          console.log(
-            chalk.blue(
-              `📍 Detected ${locales.length} configured locales. Executing runs sequentially...\n`,
-            ),
-          );
-
-          let hasFailure = false;
-
-          for (const locale of locales) {
-            // Skip default locale in "all locales" mode as it matches the base run
-            if (locale.default) {
-              console.log(
-                chalk.yellow(
-                  `\n⚠️  Skipping default locale: ${locale.code} (${locale.name}) - run without --locale flag to test this locale\n`,
-                ),
-              );
-              continue;
-            }
-
-            // Load specific config for this locale
-            const configOptions = {
-              configFile: argv.config,
-              mobile: argv.mobile,
-              locale: locale.code,
-            };
-
-            // Apply filters
-            if (argv.includePaths) {
-              configOptions.snapshot = configOptions.snapshot || {};
-              configOptions.snapshot.filters =
-                configOptions.snapshot.filters || {};
-              configOptions.snapshot.filters.includePaths =
-                argv.includePaths.split(",");
-            }
-            if (argv.storyIds) {
-              configOptions.snapshot = configOptions.snapshot || {};
-              configOptions.snapshot.filters =
-                configOptions.snapshot.filters || {};
-              configOptions.snapshot.filters.storyIds =
-                argv.storyIds.split(",");
-            }
-
-            if (argv.storybookPort) {
-              configOptions.storybook = { port: argv.storybookPort };
-            }
-            if (argv.storybookHost) {
-              configOptions.storybook = configOptions.storybook || {};
-              configOptions.storybook.host = argv.storybookHost;
-            }
-
-            const config = await loadConfig(configOptions);
-            const exitCode = await executeRun(config, argv, locale.code);
-
-            if (exitCode !== 0) {
-              hasFailure = true;
-            }
-          }
-
-          if (hasFailure) {
-            console.log(
-              chalk.red(
-                "\n❌ Some locale runs failed. See output above for details.",
-              ),
-            );
-            process.exit(1);
-          } else {
-            console.log(
-              chalk.green(
-                `\n✅ Successfully completed tests for all ${locales.length} locales`,
-              ),
-            );
-          }
-        } else {
-          // Single Run Mode (Specific locale or Default/Desktop)
-          const configOptions = {
-            configFile: argv.config,
-            mobile: argv.mobile,
-            locale: argv.locale || undefined,
-          };
-
-          if (argv.storybookPort) {
-            configOptions.storybook = { port: argv.storybookPort };
-          }
-          if (argv.storybookHost) {
-            configOptions.storybook = configOptions.storybook || {};
-            configOptions.storybook.host = argv.storybookHost;
-          }
-
-          if (argv.includePaths) {
-            configOptions.snapshot = configOptions.snapshot || {};
-            configOptions.snapshot.filters =
-              configOptions.snapshot.filters || {};
-            configOptions.snapshot.filters.includePaths =
-              argv.includePaths.split(",");
-          }
-          if (argv.storyIds) {
-            configOptions.snapshot = configOptions.snapshot || {};
-            configOptions.snapshot.filters =
-              configOptions.snapshot.filters || {};
-            configOptions.snapshot.filters.storyIds = argv.storyIds.split(",");
-          }
-
-          const config = await loadConfig(configOptions);
-          const exitCode = await executeRun(
-            config,
-            argv,
-            argv.locale || undefined,
-          );
-
-          if (exitCode !== 0) {
-            process.exit(exitCode);
-          } else {
-            console.log(
-              chalk.green("\n✅ Visual tests completed successfully"),
-            );
-          }
+        const exitCode = await runVisualTests(argv);
+        if (exitCode !== 0) {
+          process.exit(exitCode);
         }
       } catch (error) {
         console.error(chalk.red("Error running visual tests:"), error.message);
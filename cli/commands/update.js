@@ -16,11 +16,19 @@ import {
 import {
   fetchStoriesFromStorybook,
   sanitizeSnapshotName,
+  getStoryViewports,
 } from "../../lib/story-discovery.js";
 import {
   generateTestFiles,
   cleanupTestFiles,
 } from "../../lib/test-runner-utils.js";
+import {
+  parseBrowsers,
+  getProjectArgs,
+  getBrowserSnapshotDir,
+} from "../../lib/browser-matrix.js";
+import { withStaticStorybook } from "../../lib/static-server.js";
+import { getWorkspaceStorybooks } from "../../lib/workspace.js";
 
 /**
  * Core update logic - runs update for a specific configuration
@@ -28,6 +36,9 @@ import {
 async function runUpdate(config, argv, localeCode = null) {
   let storyIds = [];
 
+  // Browser matrix (--browsers); each browser has its own baselines
+  const browsers = argv.browsers ? parseBrowsers(argv.browsers, config) : [];
+
   // Interactive mode
   if (argv.interactive) {
     const failuresFile = path.join(
@@ -80,7 +91,11 @@ async function runUpdate(config, argv, localeCode = null) {
   }
 
   // Fetch stories
-  console.log(chalk.blue("🔍 Discovering stories..."));
+  console.log(
+    chalk.blue(
+      `🔍 Discovering stories${config.offline ? " from the cached Storybook index" : ""}...`,
+    ),
+  );
 
   // In incremental update mode, we need to fetch ALL matching stories first,
   // then filter for those that are missing snapshots.
@@ -103,23 +118,36 @@ async function runUpdate(config, argv, localeCode = null) {
     const snapshotDir = path.join(
       process.cwd(),
       config.snapshot.paths.snapshotsDir,
+      argv.mobile ? "mobile" : "",
     );
-
     stories = stories.filter((story) => {
-      const baseName = sanitizeSnapshotName(story.id);
-      const imagePath = path.join(snapshotDir, `${baseName}.png`);
-      const jsonPath = path.join(snapshotDir, `${baseName}.positions.json`);
-
       // Check config to see what should exist
       // Defaults to true if undefined
       const imageEnabled = config.snapshot?.image?.enabled !== false;
       const positionEnabled = config.snapshot?.position?.enabled !== false;
-
-      const imageMissing = imageEnabled && !fs.existsSync(imagePath);
-      const jsonMissing = positionEnabled && !fs.existsSync(jsonPath);
+      const accessibilityEnabled = !!config.snapshot?.accessibility?.enabled;
 
       // In incremental mode, we want to run the test if ANYTHING is missing
-      return imageMissing || jsonMissing;
+      // (one snapshot per viewport, honouring per-story viewport overrides,
+      // and per browser in a browser matrix)
+      const browserDirs = (browsers.length > 0 ? browsers : [null]).map(
+        (browser) => getBrowserSnapshotDir(snapshotDir, browser, config),
+      );
+
+      return browserDirs.some((browserDir) =>
+        getStoryViewports(story, config).some((viewport) => {
+          const baseName = sanitizeSnapshotName(story.id, viewport);
+          const imagePath = path.join(browserDir, `${baseName}.png`);
+          const jsonPath = path.join(browserDir, `${baseName}.positions.json`);
+          const ariaPath = path.join(browserDir, `${baseName}.aria.yml`);
+
+          const imageMissing = imageEnabled && !fs.existsSync(imagePath);
+          const jsonMissing = positionEnabled && !fs.existsSync(jsonPath);
+          const ariaMissing = accessibilityEnabled && !fs.existsSync(ariaPath);
+
+          return imageMissing || jsonMissing || ariaMissing;
+        }),
+      );
     });
 
     if (stories.length === 0) {
@@ -132,78 +160,253 @@ async function runUpdate(config, argv, localeCode = null) {
 
   console.log(chalk.green(`✅ Found ${stories.length} stories to update`));
 
-  // Generate test files
-  const { dataFile, specFile } = generateTestFiles(config, stories);
-
-  // Build Playwright command
-  const playwrightArgs = [
-    "test",
-    specFile,
-    `--config=${config.snapshot.paths.playwrightConfig}`,
-    `--config=${config.snapshot.paths.playwrightConfig}`,
-    config.playwright?.project
-      ? `--project=${config.playwright.project}`
-      : "--project=chromium",
-    "--update-snapshots",
-  ];
-
-  // Set environment variables
-  const env = {
-    ...process.env,
-    UPDATE_SNAPSHOTS: "1",
-    VISUAL_TEST_UPDATE_SNAPSHOTS: "true",
-    VISUAL_TESTS_DATA_FILE: dataFile,
-    VISUAL_TEST_MOBILE: argv.mobile ? "true" : "false",
-    VISUAL_TEST_LOCALE: localeCode || "",
-  };
+  // A static build (storybook.staticDir) is served while Playwright runs
+  return withStaticStorybook(config, async (servedConfig, storybookUrl) => {
+    // Generate test files
+    const { dataFile, specFile } = generateTestFiles(servedConfig, stories);
+
+    // Build Playwright command
+    const playwrightArgs = [
+      "test",
+      specFile,
+      `--config=${config.snapshot.paths.playwrightConfig}`,
+      `--config=${config.snapshot.paths.playwrightConfig}`,
+      ...getProjectArgs(browsers, config),
+      "--update-snapshots",
+    ];
+
+    // Set environment variables
+    const env = {
+      ...process.env,
+      UPDATE_SNAPSHOTS: "1",
+      VISUAL_TEST_UPDATE_SNAPSHOTS: "true",
+      VISUAL_TESTS_DATA_FILE: dataFile,
+      VISUAL_TEST_STORYBOOK_URL: storybookUrl || "",
+      VISUAL_TEST_MOBILE: argv.mobile ? "true" : "false",
+      VISUAL_TEST_PROFILE: argv.profile || "",
+      VISUAL_TEST_PACKAGE: argv.package || "",
+      VISUAL_TEST_LOCALE: localeCode || "",
+      VISUAL_TEST_BROWSERS: browsers.join(","),
+    };
+
+    if (argv.incremental) {
+      env.INCREMENTAL_UPDATE_MODE = "1";
+    }
 
-  if (argv.incremental) {
-    env.INCREMENTAL_UPDATE_MODE = "1";
+    if (storyIds.length > 0) {
+      env.STORY_IDS = storyIds.join(",");
+      console.log(chalk.gray(`Updating ${storyIds.length} specific stories\n`));
+    }
+
+    // Run Playwright
+    // Resolve playwright path locally to avoid dependency on global npx
+    const playwrightPath = path.resolve(
+      process.cwd(),
+      "node_modules",
+      ".bin",
+      "playwright",
+    );
+
+    const executable = fs.existsSync(playwrightPath) ? playwrightPath : "npx";
+
+    const args =
+      executable === playwrightPath
+        ? ["test", ...playwrightArgs.slice(1)]
+        : ["playwright", ...playwrightArgs];
+
+    // Run Playwright
+    const playwrightProcess = spawn(executable, args, {
+      stdio: "inherit",
+      shell: false, // Security: Disable shell to prevent command injection
+      env,
+    });
+
+    const playwrightExitCode = await new Promise((resolve) => {
+      playwrightProcess.on("exit", (code) => resolve(code || 0));
+    });
+
+    if (playwrightExitCode === 0) {
+      console.log(chalk.green("\n✅ Snapshots updated successfully"));
+    } else {
+      console.log(chalk.red("\n❌ Snapshot update failed"));
+    }
+
+    // Clean up temp files
+    cleanupTestFiles({ dataFile, specFile });
+    return playwrightExitCode;
+  });
+}
+
+/**
+ * Update snapshots of every Storybook of a workspace, one package at a time
+ * @param {object} argv - Command line arguments
+ * @param {object} config - Workspace configuration
+ * @returns {Promise<number>} Exit code
+ */
+const updateWorkspace = async (argv, config) => {
+  const storybooks = getWorkspaceStorybooks(config);
+
+  console.log(
+    chalk.blue(
+      `📦 Running update for ${storybooks.length} workspace Storybooks\n`,
+    ),
+  );
+
+  const failedPackages = [];
+  for (const storybook of storybooks) {
+    console.log(
+      chalk.cyan(
+        `\n${"=".repeat(60)}\n📦 Updating snapshots for package: ${storybook.name}\n${"=".repeat(60)}\n`,
+      ),
+    );
+
+    const exitCode = await updateSnapshots({
+      ...argv,
+      package: storybook.name,
+    });
+    if (exitCode !== 0) {
+      failedPackages.push(storybook.name);
+    }
   }
 
-  if (storyIds.length > 0) {
-    env.STORY_IDS = storyIds.join(",");
-    console.log(chalk.gray(`Updating ${storyIds.length} specific stories\n`));
+  if (failedPackages.length > 0) {
+    console.log(
+      chalk.red(
+        `\n❌ Snapshot update failed for: ${failedPackages.join(", ")}`,
+      ),
+    );
+    return 1;
   }
 
-  // Run Playwright
-  // Resolve playwright path locally to avoid dependency on global npx
-  const playwrightPath = path.resolve(
-    process.cwd(),
-    "node_modules",
-    ".bin",
-    "playwright",
+  console.log(
+    chalk.green(
+      `\n✅ Successfully updated snapshots for all ${storybooks.length} packages`,
+    ),
   );
+  return 0;
+};
 
-  const executable = fs.existsSync(playwrightPath) ? playwrightPath : "npx";
+/**
+ * Update snapshots for the requested mode
+ * Handles a single update, the all-locales mode (`--locale` without a value) and
+ * workspaces, whose Storybooks are updated one after another unless `--package` picks one
+ * @param {object} argv - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const updateSnapshots = async (argv) => {
+  // Check if --locale flag is used without a value (all locales mode)
+  // Yargs parses --locale as "" (empty string) when no value is provided because type is string
+  if (argv.locale === "" || argv.locale === true || argv.locale === "all") {
+    // All locales mode - iterate through all configured locales
+    const config = await loadConfig({
+      configFile: argv.config,
+      profile: argv.profile,
+      package: argv.package,
+      offline: argv.offline,
+      mobile: argv.mobile,
+    });
 
-  const args =
-    executable === playwrightPath
-      ? ["test", ...playwrightArgs.slice(1)]
-      : ["playwright", ...playwrightArgs];
+    if (!argv.package && getWorkspaceStorybooks(config).length > 0) {
+      return updateWorkspace(argv, config);
+    }
 
-  // Run Playwright
-  const playwrightProcess = spawn(executable, args, {
-    stdio: "inherit",
-    shell: false, // Security: Disable shell to prevent command injection
-    env,
-  });
+    const locales = config.snapshot?.locale?.locales || [];
 
-  const exitCode = await new Promise((resolve) => {
-    playwrightProcess.on("exit", (code) => resolve(code || 0));
-  });
+    if (locales.length === 0) {
+      console.error(
+        chalk.red(
+          "❌ No locales configured in snapshot.locale.locales\n" +
+            "   Please add locale configuration to your visual-tests.config.js",
+        ),
+      );
+      return 1;
+    }
+
+    console.log(
+      chalk.blue(
+        `📍 Running update for ${locales.length} configured locales\n`,
+      ),
+    );
+
+    let hasFailure = false;
+
+    for (const locale of locales) {
+      console.log(
+        chalk.cyan(
+          `\n${"=".repeat(60)}\n📍 Updating snapshots for locale: ${locale.code} (${locale.name})\n${"=".repeat(60)}\n`,
+        ),
+      );
+
+      const configOptions = {
+        configFile: argv.config,
+        profile: argv.profile,
+        package: argv.package,
+        offline: argv.offline,
+        mobile: argv.mobile,
+        locale: locale.code,
+      };
+
+      if (argv.includePaths) {
+        configOptions.snapshot = configOptions.snapshot || {};
+        configOptions.snapshot.filters = configOptions.snapshot.filters || {};
+        configOptions.snapshot.filters.includePaths =
+          argv.includePaths.split(",");
+      }
+
+      const localeConfig = await loadConfig(configOptions);
+      const exitCode = await runUpdate(localeConfig, argv, locale.code);
 
-  if (exitCode === 0) {
-    console.log(chalk.green("\n✅ Snapshots updated successfully"));
+      if (exitCode !== 0) {
+        hasFailure = true;
+      }
+    }
+
+    if (hasFailure) {
+      console.log(
+        chalk.red(
+          "\n❌ Some locale updates failed. See output above for details.",
+        ),
+      );
+      return 1;
+    }
+
+    console.log(
+      chalk.green(
+        `\n✅ Successfully updated snapshots for all ${locales.length} locales`,
+      ),
+    );
+    return 0;
   } else {
-    console.log(chalk.red("\n❌ Snapshot update failed"));
-  }
+    // Single locale mode
+    // If argv.locale is empty string here, it means it fell through (should have been caught above)
+    // But just in case, treat empty string as undefined/null
+    const localeCode = argv.locale || undefined;
+
+    const configOptions = {
+      configFile: argv.config,
+      profile: argv.profile,
+      package: argv.package,
+      offline: argv.offline,
+      mobile: argv.mobile,
+      locale: localeCode,
+    };
+
+    if (argv.includePaths) {
+      configOptions.snapshot = configOptions.snapshot || {};
+      configOptions.snapshot.filters = configOptions.snapshot.filters || {};
+      configOptions.snapshot.filters.includePaths =
+        argv.includePaths.split(",");
+    }
 
-  // Clean up temp files
-  cleanupTestFiles({ dataFile, specFile });
+    const config = await loadConfig(configOptions);
 
-  return exitCode;
-}
+    if (!argv.package && getWorkspaceStorybooks(config).length > 0) {
+      return updateWorkspace(argv, config);
+    }
+
+    return runUpdate(config, argv, localeCode);
+  }
+};
 
 export const updateCommand = (yargs) => {
   yargs.command(
@@ -245,6 +448,11 @@ export const updateCommand = (yargs) => {
           description:
             "Run in locale mode with specified locale code (e.g., de-DE, ar-SA), or use without value to update all configured locales",
         })
+        .option("browsers", {
+          type: "string",
+          description:
+            "Comma-separated browsers to update baselines for (e.g., chromium,firefox,webkit)",
+        })
         .example("$0 update", "Update all snapshots")
         .example("$0 update --incremental", "Update only missing snapshots")
         .example(
@@ -266,114 +474,19 @@ export const updateCommand = (yargs) => {
         .example(
           "$0 update --locale",
           "Update snapshots for all configured locales",
+        )
+        .example(
+          "$0 update --browsers firefox,webkit",
+          "Update Firefox and WebKit baselines",
         );
     },
     async (argv) => {
       try {
         console.log(chalk.blue("📸 Updating visual test snapshots...\n"));
 
-        // Check if --locale flag is used without a value (all locales mode)
-        // Yargs parses --locale as "" (empty string) when no value is provided because type is string
-        if (
-          argv.locale === "" ||
-          argv.locale === true ||
-          argv.locale === "all"
-        ) {
-          // All locales mode - iterate through all configured locales
-          const config = await loadConfig({
-            configFile: argv.config,
-            mobile: argv.mobile,
-          });
-
-          const locales = config.snapshot?.locale?.locales || [];
-
-          if (locales.length === 0) {
-            console.error(
-              chalk.red(
-                "❌ No locales configured in snapshot.locale.locales\n" +
-                  "   Please add locale configuration to your visual-tests.config.js",
-              ),
-            );
-            process.exit(1);
-          }
-
-          console.log(
-            chalk.blue(
-              `📍 Running update for ${locales.length} configured locales\n`,
-            ),
-          );
-
-          let hasFailure = false;
-
-          for (const locale of locales) {
-            console.log(
-              chalk.cyan(
-                `\n${"=".repeat(60)}\n📍 Updating snapshots for locale: ${locale.code} (${locale.name})\n${"=".repeat(60)}\n`,
-              ),
-            );
-
-            const configOptions = {
-              configFile: argv.config,
-              mobile: argv.mobile,
-              locale: locale.code,
-            };
-
-            if (argv.includePaths) {
-              configOptions.snapshot = configOptions.snapshot || {};
-              configOptions.snapshot.filters =
-                configOptions.snapshot.filters || {};
-              configOptions.snapshot.filters.includePaths =
-                argv.includePaths.split(",");
-            }
-
-            const localeConfig = await loadConfig(configOptions);
-            const exitCode = await runUpdate(localeConfig, argv, locale.code);
-
-            if (exitCode !== 0) {
-              hasFailure = true;
-            }
-          }
-
-          if (hasFailure) {
-            console.log(
-              chalk.red(
-                "\n❌ Some locale updates failed. See output above for details.",
-              ),
-            );
-            process.exit(1);
-          } else {
-            console.log(
-              chalk.green(
-                `\n✅ Successfully updated snapshots for all ${locales.length} locales`,
-              ),
-            );
-          }
-        } else {
-          // Single locale mode
-          // If argv.locale is empty string here, it means it fell through (should have been caught above)
-          // But just in case, treat empty string as undefined/null
-          const localeCode = argv.locale || undefined;
-
-          const configOptions = {
-            configFile: argv.config,
-            mobile: argv.mobile,
-            locale: localeCode,
-          };
-
-          if (argv.includePaths) {
-            configOptions.snapshot = configOptions.snapshot || {};
-            configOptions.snapshot.filters =
-              configOptions.snapshot.filters || {};
-            configOptions.snapshot.filters.includePaths =
-              argv.includePaths.split(",");
-          }
-
-          const config = await loadConfig(configOptions);
-          const exitCode = await runUpdate(config, argv, localeCode);
-
-          if (exitCode !== 0) {
-            process.exit(exitCode);
-          }
+        const exitCode = await updateSnapshots(argv);
+        if (exitCode !== 0) {
+          process.exit(exitCode);
         }
       } catch (error) {
         console.error(chalk.red("Error updating snapshots:"), error.message);
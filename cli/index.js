@@ -13,9 +13,11 @@ import { runCommand } from "./commands/run.js";
 import { updateCommand } from "./commands/update.js";
 import { diffCommand } from "./commands/diff.js";
 import { reportCommand } from "./commands/report.js";
+import { reviewCommand } from "./commands/review.js";
 import { orphansCommand } from "./commands/orphans.js";
 import { dryRunCommand } from "./commands/dry-run.js";
 import { recommendMobileCommand } from "./commands/recommend-mobile.js";
+import { configCommand } from "./commands/config.js";
 
 const cli = yargs(hideBin(process.argv))
   .scriptName("ui-snapshot-testing")
@@ -24,6 +26,23 @@ const cli = yargs(hideBin(process.argv))
   .help()
   .alias("h", "help")
   .alias("v", "version")
+  .option("profile", {
+    type: "string",
+    global: true,
+    description: "Config file profile to apply (see `profiles`)",
+  })
+  .option("package", {
+    type: "string",
+    global: true,
+    description:
+      "Workspace package to test (default: every Storybook in `workspace.storybooks`)",
+  })
+  .option("offline", {
+    type: "boolean",
+    global: true,
+    description:
+      "Discover stories from the cached Storybook index, without contacting Storybook",
+  })
   .demandCommand(1, chalk.red("Please specify a command"))
   .recommendCommands()
   .strict()
@@ -42,9 +61,11 @@ runCommand(cli);
 updateCommand(cli);
 diffCommand(cli);
 reportCommand(cli);
+reviewCommand(cli);
 orphansCommand(cli);
 dryRunCommand(cli);
 recommendMobileCommand(cli);
+configCommand(cli);
 
 // Parse and execute
 cli.parse();
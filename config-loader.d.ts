@@ -2,6 +2,21 @@
  * TypeScript declarations for config-loader.js
  */
 
+/**
+ * Element position/size tolerances in pixels, for all axes or per axis
+ */
+export interface ElementThresholds {
+  position?: number | { x?: number; y?: number };
+  size?: number | { width?: number; height?: number };
+}
+
+/**
+ * Position tracking thresholds with optional per-testId overrides
+ */
+export interface PositionThresholds extends ElementThresholds {
+  overrides?: Record<string, ElementThresholds>;
+}
+
 /**
  * Visual test configuration object
  */
@@ -9,7 +24,7 @@ export interface VisualTestConfig {
   /** Storybook configuration */
   storybook: {
     /** Storybook port */
-    port: string;
+    port: string | number;
     /** Storybook host */
     host: string;
     /** Storybook index path */
@@ -20,6 +35,10 @@ export interface VisualTestConfig {
     timeout?: number;
     /** Reuse existing Storybook server */
     reuseExistingServer?: boolean;
+    /** Static Storybook build served on a free port instead of starting `command` */
+    staticDir?: string;
+    /** Composed Storybooks whose stories are tested too (as in the `refs` of .storybook/main.js) */
+    refs?: Record<string, string | StorybookRef>;
   };
 
   playwright?: {
@@ -45,9 +64,16 @@ export interface VisualTestConfig {
       use?: any;
       [key: string]: any;
     }>;
+    /** Default browser project (default: "chromium") */
+    project?: string;
     [key: string]: any;
   };
 
+  /** Selectors of elements masked in screenshots */
+  masking?: {
+    selectors: string[];
+  };
+
   /** Snapshot configuration */
   snapshot: {
     /** Test matcher configuration */
@@ -70,6 +96,8 @@ export interface VisualTestConfig {
       logsDir: string;
       snapshotsDir: string;
       screenshotsDir: string;
+      /** Storybook index cache, shared by every command (default: node_modules/.cache/ui-snapshot-testing) */
+      cacheDir: string;
       componentPaths: string[];
     };
     /** Error handling configuration */
@@ -79,6 +107,39 @@ export interface VisualTestConfig {
     /** Diff-based testing configuration */
     diff: {
       targetBranch: string;
+      /** Fetch a missing target branch and deepen shallow clones until a merge base is found (default: true) */
+      autoFetch?: boolean;
+      /** Commits fetched per fetch/deepen step (default: 50) */
+      fetchDepth?: number;
+      /** Maximum deepen steps before falling back to a full run (default: 5) */
+      maxFetchAttempts?: number;
+      /** Narrow changed story files to the story exports whose lines changed (default: true) */
+      storyLevel?: boolean;
+      /** Select stories that transitively import a changed module */
+      importGraph?: {
+        enabled: boolean;
+        /** Directories scanned for imports (default: ["src/"]) */
+        roots: string[];
+      };
+      /** Globs of files whose changes run every story (e.g. ".storybook/**", "package-lock.json") */
+      globalTriggers?: string[];
+      /** Globs of changed files mapped to the story file globs they affect */
+      triggerMappings?: Record<string, string[]>;
+      /** Component file suffixes mapped to stories (e.g. ".tsx", ".vue", ".module.css") */
+      componentExtensions?: string[];
+      /** Story file extensions after `.stories` / `.story` (e.g. ".tsx", ".mdx", ".svelte") */
+      storyExtensions?: string[];
+      /** Where the stories of a component are located */
+      colocation?: {
+        /** Strategies tried in order (default: ["sibling"]) */
+        strategies: Array<"sibling" | "folder" | "mirror">;
+        /** Folder next to the component for the "folder" strategy (default: "__stories__") */
+        folderName?: string;
+        /** Source tree root mirrored by the "mirror" strategy (default: "src/") */
+        sourceRoot?: string;
+        /** Story tree root for the "mirror" strategy (default: "stories/") */
+        mirrorRoot?: string;
+      };
     };
     /** Masking configuration */
     masking: {
@@ -91,15 +152,43 @@ export interface VisualTestConfig {
       testMatcher?: {
         tags?: string[];
       };
+      /** Color comparison sensitivity (0-1) */
+      threshold?: number;
+      /** Maximum ratio of different pixels (0-1) */
+      maxDiffPixelRatio?: number;
+      /** Maximum ratio of different pixels when dimensions may change (0-1) */
+      maxDiffPixelRatioForDimensions?: number;
+      /** Maximum number of different pixels */
+      maxDiffPixels?: number;
     };
     /** Position snapshot configuration */
     position?: {
       enabled: boolean;
       orderCheck: boolean;
-      thresholds: {
-        position: number;
-        size: number;
+      /** Fail when an element moves more than the position threshold (default: on when a position threshold is configured) */
+      positionCheck?: boolean;
+      /** Fail when an element resizes more than the size threshold (default: on when a size threshold is configured) */
+      sizeCheck?: boolean;
+      /** Capture and compare computed styles of tracked elements */
+      styleCheck?: boolean;
+      /** Computed style properties captured when `styleCheck` is enabled */
+      styleProperties?: string[];
+      /** Capture and compare element visibility */
+      visibilityCheck?: boolean;
+      /** Capture and compare a hash of element text content */
+      textCheck?: boolean;
+      thresholds: PositionThresholds;
+      /** Optional directory for position JSON files (default: next to the PNG) */
+      snapshotDir?: string;
+      testMatcher?: {
+        tags?: string[];
       };
+    };
+    /** Accessibility (ARIA) snapshot configuration */
+    accessibility?: {
+      enabled: boolean;
+      /** Optional directory for .aria.yml files (default: next to the PNG) */
+      snapshotDir?: string;
       testMatcher?: {
         tags?: string[];
       };
@@ -132,11 +221,15 @@ export interface VisualTestConfig {
         tags?: string[];
       };
       storybookGlobalParam?: string;
+      /** Maximum number of locales run at the same time with `run --locale` (default: 2) */
+      concurrency?: number;
     };
   };
 
   /** Active configuration state (runtime only) */
   activeViewport?: { width: number; height: number; name?: string };
+  /** All viewports tested in mobile mode (one snapshot per viewport) */
+  activeViewports?: Array<{ width: number; height: number; name?: string }>;
   locale?: {
     code: string;
     name: string;
@@ -144,25 +237,153 @@ export interface VisualTestConfig {
     default: boolean;
     storybookGlobalParam: string;
   };
+  /** Monorepo with several Storybooks tested one after the other */
+  workspace?: {
+    storybooks?: WorkspaceStorybook[];
+  };
+
+  /** Config file profile applied (runtime only) */
+  profile?: string;
+  /** Workspace package tested (runtime only) */
+  package?: string;
+  /** Stories are discovered from the cached Storybook index (runtime only) */
+  offline?: boolean;
+}
+
+/**
+ * Composed Storybook
+ */
+export interface StorybookRef {
+  title?: string;
+  /** URL the composed Storybook is served from */
+  url: string;
+  expanded?: boolean;
+  /** Skip the stories of this Storybook */
+  disable?: boolean;
+}
+
+/**
+ * Storybook of a workspace package
+ */
+export interface WorkspaceStorybook {
+  /** Package name, selected with --package */
+  name: string;
+  /** Origin of a running Storybook (sets storybook.host and storybook.port) */
+  url?: string;
+  /** Static Storybook build (sets storybook.staticDir) */
+  staticDir?: string;
+  /** Overrides of the storybook settings (e.g. the command that starts it) */
+  storybook?: Partial<VisualTestConfig["storybook"]>;
+  /** Baseline directory (default: <snapshotsDir>/<package>) */
+  snapshotsDir?: string;
+  /** Replaces snapshot.testMatcher for the package */
+  testMatcher?: { tags?: string[] };
 }
 
+type DeepPartial<T> =
+  T extends Array<any>
+    ? T
+    : T extends object
+      ? { [K in keyof T]?: DeepPartial<T[K]> }
+      : T;
+
+/**
+ * Config file contents: every key is optional and falls back to its default
+ */
+export type VisualTestUserConfig = VisualTestUserSettings & {
+  /** Named settings selected with --profile, merged over the file settings */
+  profiles?: Record<string, VisualTestUserSettings>;
+};
+
+/**
+ * Settings of a config file or profile
+ */
+export type VisualTestUserSettings = DeepPartial<
+  Omit<
+    VisualTestConfig,
+    | "activeViewport"
+    | "activeViewports"
+    | "locale"
+    | "profile"
+    | "package"
+    | "offline"
+  >
+>;
+
+/**
+ * Define a config file with type checking in editors
+ * @example
+ * // visual-tests.config.ts
+ * import { defineConfig } from "ui-snapshot-testing/config";
+ *
+ * export default defineConfig({
+ *   snapshot: { testMatcher: { tags: ["visual"] } },
+ * });
+ * @param config - Config file contents
+ * @returns The same config
+ */
+export function defineConfig(
+  config: VisualTestUserConfig,
+): VisualTestUserConfig;
+
 /**
  * Configuration loading options
  */
 export interface ConfigOptions extends Partial<VisualTestConfig> {
   /** Path to config file (overrides auto-detection) */
   configFile?: string;
+  /** Config file profile to merge over the file settings */
+  profile?: string;
+  /** Workspace package whose Storybook settings are merged over the config */
+  package?: string;
+  /** Discover stories from the cached Storybook index instead of fetching it */
+  offline?: boolean;
 }
 
 /**
  * Load configuration from all sources
- * Priority: programmatic > env vars > config file > defaults
+ * Priority: programmatic > package > profile > config file > defaults
  *
  * @param options - Programmatic configuration options
  * @returns Merged configuration object
  */
 export function loadConfig(options?: ConfigOptions): Promise<VisualTestConfig>;
 
+/**
+ * Load configuration from all sources, recording where each value came from
+ * @param options - Programmatic configuration options
+ * @returns Merged configuration, the source of each leaf key path
+ *   ("default", "file", "env:<NAME>", "profile:<name>", "package:<name>",
+ *   "mobile", "locale"
+ *   or "cli") and the config file used
+ */
+export function resolveConfig(options?: ConfigOptions): Promise<{
+  config: VisualTestConfig;
+  sources: Map<string, string>;
+  configPath: string | null;
+}>;
+
+/**
+ * Problem found in a config file
+ */
+export interface ConfigIssue {
+  /** Key path (e.g. "snapshot.diff.fetchDepth" or "snapshot.mobile.viewports[0].width") */
+  path: string;
+  message: string;
+}
+
+/**
+ * Load a config file and check it against the config schema
+ * @param configFile - Path to config file (defaults to auto-detection)
+ * @returns Config file contents with schema errors and warnings (unknown or deprecated keys)
+ */
+export function validateConfigFile(configFile?: string): Promise<{
+  configPath: string | null;
+  config: Record<string, any>;
+  errors: ConfigIssue[];
+  warnings: ConfigIssue[];
+}>;
+
 /**
  * Get configuration value by path (e.g., 'storybook.port')
  * @param config - Configuration object
@@ -4,13 +4,16 @@
  * Configuration loader for visual tests
  * Merges configuration from multiple sources with clear precedence:
  * 1. Programmatic options (highest priority)
- * 2. Config file
- * 3. Default values (lowest priority)
+ * 2. Selected workspace package
+ * 3. Selected config file profile
+ * 4. Config file
+ * 5. Default values (lowest priority)
  */
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { createRequire } from "module";
+import { fileURLToPath, pathToFileURL } from "url";
 import {
   DEFAULT_TEST_MATCHER,
   DEFAULT_VISUAL_EXCLUSIONS,
@@ -19,6 +22,7 @@ import {
   DEFAULT_LOGS_DIR,
   DEFAULT_SNAPSHOTS_DIR,
   DEFAULT_SCREENSHOTS_DIR,
+  DEFAULT_CACHE_DIR,
   DEFAULT_COMPONENT_PATHS,
   DEFAULT_STORYBOOK_PORT,
   DEFAULT_STORYBOOK_HOST,
@@ -28,10 +32,27 @@ import {
   DEFAULT_SIZE_THRESHOLD,
   DEFAULT_ENABLE_POSITION_TRACKING,
   DEFAULT_ENABLE_ORDER_CHECK,
+  DEFAULT_ENABLE_POSITION_CHECK,
+  DEFAULT_ENABLE_SIZE_CHECK,
+  DEFAULT_ENABLE_STYLE_CHECK,
+  DEFAULT_TRACKED_STYLE_PROPERTIES,
+  DEFAULT_ENABLE_VISIBILITY_CHECK,
+  DEFAULT_ENABLE_TEXT_CHECK,
   DEFAULT_TARGET_BRANCH,
+  DEFAULT_IMPORT_GRAPH_ROOTS,
+  DEFAULT_COMPONENT_EXTENSIONS,
+  DEFAULT_STORY_EXTENSIONS,
+  DEFAULT_STORY_COLOCATION,
+  STORY_COLOCATION_STRATEGIES,
+  DEFAULT_GLOBAL_TRIGGERS,
+  DEFAULT_DIFF_FETCH_DEPTH,
+  DEFAULT_DIFF_MAX_FETCH_ATTEMPTS,
   DEFAULT_ENABLE_IMAGE_SNAPSHOTS,
   DEFAULT_ENABLE_POSITION_SNAPSHOTS,
+  DEFAULT_ENABLE_ACCESSIBILITY_SNAPSHOTS,
 } from "./visual-test-config.js";
+import { validateConfigSchema } from "./lib/config-schema.js";
+import { getWorkspacePackageConfig } from "./lib/workspace.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,33 +88,145 @@ const parseBoolean = (value, defaultValue) => {
   return defaultValue;
 };
 
+/**
+ * Parse a pixel threshold given as a number or per axis
+ * @param {number|string|object} value - Threshold (e.g. 5 or { x: 2, y: 10 })
+ * @param {string[]} axes - Allowed axis keys (e.g. ['x', 'y'])
+ * @param {number} defaultValue - Default value for unparseable numbers
+ * @returns {number|object} Parsed threshold
+ */
+const parseThreshold = (value, axes, defaultValue) => {
+  const parseNumber = (v) => {
+    const number = Number(v);
+    return v === "" || isNaN(number) ? defaultValue : number;
+  };
+
+  if (value && typeof value === "object") {
+    const parsed = {};
+    for (const axis of axes) {
+      if (value[axis] !== undefined) {
+        parsed[axis] = parseNumber(value[axis]);
+      }
+    }
+    return parsed;
+  }
+
+  return parseNumber(value);
+};
+
+/**
+ * Config file warnings already printed (loadConfig runs once per locale)
+ */
+const reportedWarnings = new Set();
+
+/**
+ * Import a TypeScript config file
+ * Node.js versions that strip types (process.features.typescript) import it
+ * directly; otherwise it is transpiled with the project's `typescript` package
+ * @param {string} configPath - Path to the .ts/.mts config file
+ * @returns {Promise<object>} Module namespace of the config file
+ */
+const importTypeScriptConfig = async (configPath) => {
+  const absolutePath = path.resolve(configPath);
+
+  if (process.features.typescript) {
+    return import(pathToFileURL(absolutePath).href);
+  }
+
+  let ts;
+  try {
+    ts = createRequire(absolutePath)("typescript");
+  } catch {
+    throw new Error(
+      "TypeScript config files need Node.js with type stripping (22.6+) or the typescript package installed",
+    );
+  }
+
+  const { outputText } = ts.transpileModule(
+    fs.readFileSync(absolutePath, "utf8"),
+    {
+      fileName: absolutePath,
+      compilerOptions: {
+        module: ts.ModuleKind.ESNext,
+        target: ts.ScriptTarget.ES2022,
+      },
+    },
+  );
+
+  // Written next to the config file so its relative imports still resolve
+  const tempPath = path.join(
+    path.dirname(absolutePath),
+    `.${path.basename(absolutePath)}.${process.pid}-${Date.now()}.mjs`,
+  );
+  fs.writeFileSync(tempPath, outputText);
+
+  try {
+    return await import(pathToFileURL(tempPath).href);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+};
+
 /**
  * Load configuration from file
  * @param {string} configPath - Path to config file
  * @returns {Promise<object>} Configuration object
+ * @throws {Error} If the file does not exist or cannot be loaded
  */
 const loadConfigFile = async (configPath) => {
-  if (!configPath || !fs.existsSync(configPath)) {
+  if (!configPath) {
     return {};
   }
 
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
   const ext = path.extname(configPath);
 
   try {
     if (ext === ".json") {
       const content = fs.readFileSync(configPath, "utf8");
       return JSON.parse(content);
-    } else if (ext === ".js" || ext === ".mjs") {
+    } else if (ext === ".js" || ext === ".mjs" || ext === ".cjs") {
       const fileUrl = new URL(`file://${path.resolve(configPath)}`);
       const module = await import(fileUrl.href);
       return module.default || module;
+    } else if (ext === ".ts" || ext === ".mts") {
+      const module = await importTypeScriptConfig(configPath);
+      return module.default || module;
     }
   } catch (error) {
-    console.warn(`Failed to load config file ${configPath}: ${error.message}`);
-    return {};
+    throw new Error(
+      `Failed to load config file ${configPath}: ${error.message}`,
+    );
   }
 
-  return {};
+  throw new Error(
+    `Unsupported config file extension: ${ext}. Use .js, .mjs, .cjs, .ts, .mts or .json`,
+  );
+};
+
+/**
+ * Format config schema issues as an indented list
+ * @param {Array<{path: string, message: string}>} issues - Schema issues
+ * @returns {string} One line per issue
+ */
+const formatIssues = (issues) =>
+  issues
+    .map(({ path: keyPath, message }) => `  - ${keyPath}: ${message}`)
+    .join("\n");
+
+/**
+ * Load a config file and check it against the config schema
+ * @param {string} [configFile] - Path to config file (defaults to auto-detection)
+ * @returns {Promise<{configPath: string|null, config: object, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}>} Config file contents and the problems found
+ */
+export const validateConfigFile = async (configFile) => {
+  const configPath = configFile || findConfigFile();
+  const config = await loadConfigFile(configPath);
+
+  return { configPath, config, ...validateConfigSchema(config) };
 };
 
 /**
@@ -101,13 +234,10 @@ const loadConfigFile = async (configPath) => {
  * @returns {string|null} Path to config file or null
  */
 const findConfigFile = () => {
+  const extensions = [".js", ".mjs", ".cjs", ".ts", ".mts", ".json"];
   const possibleNames = [
-    "visual-tests.config.js",
-    "visual-tests.config.mjs",
-    "visual-tests.config.json",
-    ".visual-tests.config.js",
-    ".visual-tests.config.mjs",
-    ".visual-tests.config.json",
+    ...extensions.map((ext) => `visual-tests.config${ext}`),
+    ...extensions.map((ext) => `.visual-tests.config${ext}`),
   ];
 
   const projectRoot = process.cwd();
@@ -151,6 +281,7 @@ export const getDefaultConfig = () => {
         logsDir: DEFAULT_LOGS_DIR,
         snapshotsDir: DEFAULT_SNAPSHOTS_DIR,
         screenshotsDir: DEFAULT_SCREENSHOTS_DIR,
+        cacheDir: DEFAULT_CACHE_DIR,
         componentPaths: DEFAULT_COMPONENT_PATHS,
       },
       errorHandling: {
@@ -162,13 +293,40 @@ export const getDefaultConfig = () => {
       position: {
         enabled: DEFAULT_ENABLE_POSITION_SNAPSHOTS,
         orderCheck: DEFAULT_ENABLE_ORDER_CHECK,
+        positionCheck: DEFAULT_ENABLE_POSITION_CHECK,
+        sizeCheck: DEFAULT_ENABLE_SIZE_CHECK,
+        styleCheck: DEFAULT_ENABLE_STYLE_CHECK,
+        styleProperties: DEFAULT_TRACKED_STYLE_PROPERTIES,
+        visibilityCheck: DEFAULT_ENABLE_VISIBILITY_CHECK,
+        textCheck: DEFAULT_ENABLE_TEXT_CHECK,
         thresholds: {
           position: DEFAULT_POSITION_THRESHOLD,
           size: DEFAULT_SIZE_THRESHOLD,
         },
       },
+      accessibility: {
+        enabled: DEFAULT_ENABLE_ACCESSIBILITY_SNAPSHOTS,
+      },
       diff: {
         targetBranch: DEFAULT_TARGET_BRANCH,
+        autoFetch: true,
+        fetchDepth: DEFAULT_DIFF_FETCH_DEPTH,
+        maxFetchAttempts: DEFAULT_DIFF_MAX_FETCH_ATTEMPTS,
+        storyLevel: true,
+        importGraph: {
+          enabled: true,
+          roots: DEFAULT_IMPORT_GRAPH_ROOTS,
+        },
+        globalTriggers: DEFAULT_GLOBAL_TRIGGERS,
+        triggerMappings: {},
+        componentExtensions: DEFAULT_COMPONENT_EXTENSIONS,
+        storyExtensions: DEFAULT_STORY_EXTENSIONS,
+        colocation: {
+          strategies: DEFAULT_STORY_COLOCATION,
+          folderName: "__stories__",
+          sourceRoot: "src/",
+          mirrorRoot: "stories/",
+        },
       },
       masking: {
         selectors: [],
@@ -323,6 +481,13 @@ const normalizeConfig = (config) => {
     }
   }
 
+  if (normalized.snapshot.accessibility?.enabled !== undefined) {
+    normalized.snapshot.accessibility.enabled = parseBoolean(
+      normalized.snapshot.accessibility.enabled,
+      DEFAULT_ENABLE_ACCESSIBILITY_SNAPSHOTS,
+    );
+  }
+
   if (normalized.snapshot.position) {
     if (normalized.snapshot.position.enabled !== undefined) {
       normalized.snapshot.position.enabled = parseBoolean(
@@ -336,6 +501,41 @@ const normalizeConfig = (config) => {
         DEFAULT_ENABLE_ORDER_CHECK,
       );
     }
+    if (normalized.snapshot.position.positionCheck !== undefined) {
+      normalized.snapshot.position.positionCheck = parseBoolean(
+        normalized.snapshot.position.positionCheck,
+        DEFAULT_ENABLE_POSITION_CHECK,
+      );
+    }
+    if (normalized.snapshot.position.sizeCheck !== undefined) {
+      normalized.snapshot.position.sizeCheck = parseBoolean(
+        normalized.snapshot.position.sizeCheck,
+        DEFAULT_ENABLE_SIZE_CHECK,
+      );
+    }
+    if (normalized.snapshot.position.styleCheck !== undefined) {
+      normalized.snapshot.position.styleCheck = parseBoolean(
+        normalized.snapshot.position.styleCheck,
+        DEFAULT_ENABLE_STYLE_CHECK,
+      );
+    }
+    if (normalized.snapshot.position.visibilityCheck !== undefined) {
+      normalized.snapshot.position.visibilityCheck = parseBoolean(
+        normalized.snapshot.position.visibilityCheck,
+        DEFAULT_ENABLE_VISIBILITY_CHECK,
+      );
+    }
+    if (normalized.snapshot.position.textCheck !== undefined) {
+      normalized.snapshot.position.textCheck = parseBoolean(
+        normalized.snapshot.position.textCheck,
+        DEFAULT_ENABLE_TEXT_CHECK,
+      );
+    }
+    if (typeof normalized.snapshot.position.styleProperties === "string") {
+      normalized.snapshot.position.styleProperties = parseList(
+        normalized.snapshot.position.styleProperties,
+      );
+    }
   }
 
   // Parse numeric values
@@ -356,15 +556,87 @@ const normalizeConfig = (config) => {
       delete normalized.snapshot.position.sizeThreshold;
     }
 
-    if (normalized.snapshot.position.thresholds.position !== undefined) {
-      normalized.snapshot.position.thresholds.position =
-        Number(normalized.snapshot.position.thresholds.position) ||
-        DEFAULT_POSITION_THRESHOLD;
+    // Thresholds are a number or per axis ({ x, y } / { width, height }),
+    // with optional per-testId overrides of the same shape
+    const parseThresholds = (thresholds) => {
+      const parsed = { ...thresholds };
+      if (thresholds.position !== undefined) {
+        parsed.position = parseThreshold(
+          thresholds.position,
+          ["x", "y"],
+          DEFAULT_POSITION_THRESHOLD,
+        );
+      }
+      if (thresholds.size !== undefined) {
+        parsed.size = parseThreshold(
+          thresholds.size,
+          ["width", "height"],
+          DEFAULT_SIZE_THRESHOLD,
+        );
+      }
+      return parsed;
+    };
+
+    const { overrides, ...thresholds } =
+      normalized.snapshot.position.thresholds;
+    normalized.snapshot.position.thresholds = parseThresholds(thresholds);
+
+    if (overrides) {
+      normalized.snapshot.position.thresholds.overrides = Object.fromEntries(
+        Object.entries(overrides).map(([testId, override]) => [
+          testId,
+          parseThresholds(override || {}),
+        ]),
+      );
     }
-    if (normalized.snapshot.position.thresholds.size !== undefined) {
-      normalized.snapshot.position.thresholds.size =
-        Number(normalized.snapshot.position.thresholds.size) ||
-        DEFAULT_SIZE_THRESHOLD;
+  }
+
+  if (normalized.snapshot.diff?.storyLevel !== undefined) {
+    normalized.snapshot.diff.storyLevel = parseBoolean(
+      normalized.snapshot.diff.storyLevel,
+      true,
+    );
+  }
+
+  if (normalized.snapshot.diff?.importGraph) {
+    const importGraph = normalized.snapshot.diff.importGraph;
+    if (importGraph.enabled !== undefined) {
+      importGraph.enabled = parseBoolean(importGraph.enabled, true);
+    }
+    if (typeof importGraph.roots === "string") {
+      importGraph.roots = parseList(importGraph.roots);
+    }
+  }
+
+  if (normalized.snapshot.diff) {
+    const diff = normalized.snapshot.diff;
+    if (diff.autoFetch !== undefined) {
+      diff.autoFetch = parseBoolean(diff.autoFetch, true);
+    }
+    for (const key of ["fetchDepth", "maxFetchAttempts"]) {
+      if (diff[key] !== undefined) {
+        diff[key] = Number(diff[key]);
+      }
+    }
+    for (const key of [
+      "globalTriggers",
+      "componentExtensions",
+      "storyExtensions",
+    ]) {
+      if (typeof diff[key] === "string") {
+        diff[key] = parseList(diff[key]);
+      }
+    }
+    for (const [trigger, storyPatterns] of Object.entries(
+      diff.triggerMappings || {},
+    )) {
+      // A single glob may contain commas ({a,b}), so it is not split
+      if (typeof storyPatterns === "string") {
+        diff.triggerMappings[trigger] = [storyPatterns];
+      }
+    }
+    if (typeof diff.colocation?.strategies === "string") {
+      diff.colocation.strategies = parseList(diff.colocation.strategies);
     }
   }
 
@@ -396,21 +668,41 @@ const validateConfig = (config) => {
     }
   }
 
-  // Validate position tracking thresholds
-  if (config.snapshot?.position?.thresholds?.position !== undefined) {
-    const threshold = Number(config.snapshot.position.thresholds.position);
-    if (isNaN(threshold) || threshold < 0) {
-      throw new Error(
-        `Invalid position threshold: ${config.snapshot.position.thresholds.position}`,
-      );
+  // Validate position tracking thresholds (global and per-testId overrides)
+  const validateThreshold = (value, name) => {
+    if (value === undefined) return;
+    const values =
+      value && typeof value === "object" ? Object.values(value) : [value];
+    for (const v of values) {
+      const threshold = Number(v);
+      if (isNaN(threshold) || threshold < 0) {
+        throw new Error(`Invalid ${name} threshold: ${JSON.stringify(value)}`);
+      }
     }
+  };
+
+  const thresholds = config.snapshot?.position?.thresholds || {};
+  validateThreshold(thresholds.position, "position");
+  validateThreshold(thresholds.size, "size");
+
+  for (const [testId, override] of Object.entries(thresholds.overrides || {})) {
+    validateThreshold(override.position, `position (${testId})`);
+    validateThreshold(override.size, `size (${testId})`);
   }
 
-  if (config.snapshot?.position?.thresholds?.size !== undefined) {
-    const threshold = Number(config.snapshot.position.thresholds.size);
-    if (isNaN(threshold) || threshold < 0) {
+  // Validate git fetch settings used by diff-based testing
+  for (const key of ["fetchDepth", "maxFetchAttempts"]) {
+    const value = config.snapshot?.diff?.[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`Invalid diff ${key}: ${value}`);
+    }
+  }
+
+  // Validate story co-location strategies used by diff-based testing
+  for (const strategy of config.snapshot?.diff?.colocation?.strategies || []) {
+    if (!STORY_COLOCATION_STRATEGIES.includes(strategy)) {
       throw new Error(
-        `Invalid size threshold: ${config.snapshot.position.thresholds.size}`,
+        `Invalid story colocation strategy: ${strategy}. Supported: ${STORY_COLOCATION_STRATEGIES.join(", ")}`,
       );
     }
   }
@@ -422,25 +714,202 @@ const validateConfig = (config) => {
  * @returns {object} Migrated configuration object
  */
 
+/**
+ * Record the source of every value set by a config layer
+ * Mirrors deepMerge: objects are descended into, everything else is a leaf
+ * @param {Map<string, string>} sources - Map of key path to source
+ * @param {object} layer - Config layer being merged
+ * @param {string} source - Source label (e.g. "default", "file", "cli")
+ * @param {string} [prefix] - Key path the layer is merged at
+ */
+const recordSources = (sources, layer, source, prefix = "") => {
+  for (const key in layer) {
+    const value = layer[key];
+    if (value === undefined || value === null) continue;
+
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "object" && !Array.isArray(value)) {
+      recordSources(sources, value, source, keyPath);
+    } else {
+      sources.set(keyPath, source);
+    }
+  }
+};
+
+/**
+ * Mark config file values that come straight from an environment variable
+ * Only variables the file reads (`process.env.NAME`) are considered, and a
+ * value counts when it equals the variable (lists: its comma-joined form)
+ * @param {Map<string, string>} sources - Map of key path to source
+ * @param {object} fileConfig - Config file contents
+ * @param {string} configPath - Path to the config file
+ */
+const recordEnvSources = (sources, fileConfig, configPath) => {
+  if (path.extname(configPath) === ".json") return;
+
+  const names = new Set();
+  const content = fs.readFileSync(configPath, "utf8");
+  for (const match of content.matchAll(
+    /process\.env(?:\.([A-Za-z_$][\w$]*)|\[\s*["'`]([^"'`]+)["'`]\s*\])/g,
+  )) {
+    names.add(match[1] || match[2]);
+  }
+
+  const fromEnv = (value) =>
+    [...names].find((name) => {
+      const env = process.env[name];
+      if (env === undefined) return false;
+      return Array.isArray(value)
+        ? value.join(",") === env
+        : typeof value === "string" && value === env;
+    });
+
+  const visit = (layer, prefix) => {
+    for (const key in layer) {
+      const value = layer[key];
+      if (value === undefined || value === null) continue;
+
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === "object" && !Array.isArray(value)) {
+        visit(value, keyPath);
+      } else {
+        const name = fromEnv(value);
+        if (name) sources.set(keyPath, `env:${name}`);
+      }
+    }
+  };
+
+  visit(fileConfig, "");
+};
+
+/**
+ * Get the settings of a config file profile
+ * @param {object} [profiles] - `profiles` section of the config file
+ * @param {string} [name] - Selected profile name
+ * @returns {object} Profile settings (empty when no profile is selected)
+ */
+const getProfileConfig = (profiles, name) => {
+  if (!name) return {};
+
+  if (!profiles || !Object.hasOwn(profiles, name)) {
+    const availableProfiles = Object.keys(profiles || {}).join(", ");
+    throw new Error(
+      `Unknown profile: ${name}. Available profiles: ${availableProfiles || "none configured"}`,
+    );
+  }
+
+  return profiles[name] || {};
+};
+
 /**
  * Load configuration from all sources
- * Priority: programmatic > config file > defaults
+ * Priority: programmatic > package > profile > config file > defaults
  *
  * @param {object} [options={}] - Programmatic configuration options
  * @param {string} [options.configFile] - Path to config file (overrides auto-detection)
+ * @param {string} [options.profile] - Config file profile to merge over the file settings
+ * @param {string} [options.package] - Workspace package whose Storybook is tested
+ * @param {boolean} [options.offline] - Discover stories from the cached Storybook index
  * @returns {Promise<object>} Merged configuration object
  */
 export const loadConfig = async (options = {}) => {
+  const { config } = await resolveConfig(options);
+  return config;
+};
+
+/**
+ * Turn on the position and size checks whose threshold is configured
+ * Checks set explicitly (`positionCheck` / `sizeCheck`) are left as they are
+ * @param {object} config - Merged configuration
+ * @param {Map<string, string>} sources - Map of key path to source
+ */
+const enableConfiguredThresholdChecks = (config, sources) => {
+  if (!config.snapshot?.position) return;
+
+  const configured = [...sources].filter(([, source]) => source !== "default");
+  const checks = [
+    ["positionCheck", "position", "positionThreshold"],
+    ["sizeCheck", "size", "sizeThreshold"],
+  ];
+
+  for (const [check, threshold, flatKey] of checks) {
+    const checkPath = `snapshot.position.${check}`;
+    if (sources.get(checkPath) !== "default") continue;
+
+    const pattern = new RegExp(
+      `^snapshot\\.position\\.(thresholds\\.(overrides\\..+\\.)?${threshold}(\\.|$)|${flatKey}$)`,
+    );
+    const match = configured.find(([keyPath]) => pattern.test(keyPath));
+    if (match) {
+      config.snapshot.position[check] = true;
+      sources.set(checkPath, match[1]);
+    }
+  }
+};
+
+/**
+ * Load configuration from all sources, recording where each value came from
+ * Sources are "default", "file", "env:<NAME>" (a file value read from an
+ * environment variable), "profile:<name>" (the selected profile),
+ * "package:<name>" (the selected workspace package), "mobile" and "locale"
+ * (config file overlays) and "cli" (programmatic options, e.g. from command
+ * line flags)
+ *
+ * @param {object} [options={}] - Programmatic configuration options (see loadConfig)
+ * @returns {Promise<{config: object, sources: Map<string, string>, configPath: string|null}>} Merged configuration, the source of each leaf key path, and the config file used
+ */
+export const resolveConfig = async (options = {}) => {
+  const sources = new Map();
+
   // 1. Start with defaults
   let config = getDefaultConfig();
+  recordSources(sources, config, "default");
 
   // 2. Load from config file (if exists)
   const configFilePath = options.configFile || findConfigFile();
 
   if (configFilePath) {
-    let fileConfig = await loadConfigFile(configFilePath);
+    const {
+      config: loadedConfig,
+      errors,
+      warnings,
+    } = await validateConfigFile(configFilePath);
 
-    config = deepMerge(config, fileConfig);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid config file ${configFilePath}:\n${formatIssues(errors)}`,
+      );
+    }
+
+    for (const warning of warnings) {
+      const message = `Config warning: ${warning.path} ${warning.message}`;
+      if (!reportedWarnings.has(message)) {
+        reportedWarnings.add(message);
+        console.warn(message);
+      }
+    }
+
+    // The selected profile overrides the file settings, mobile and locale
+    // overlays included; the profiles themselves are not settings
+    const { profiles, ...fileSettings } = loadedConfig;
+    const profileConfig = getProfileConfig(profiles, options.profile);
+    const fileConfig = deepMerge(fileSettings, profileConfig);
+
+    config = deepMerge(config, fileSettings);
+    recordSources(sources, fileSettings, "file");
+    recordEnvSources(sources, fileSettings, configFilePath);
+
+    if (options.profile) {
+      config = deepMerge(config, profileConfig);
+      recordSources(sources, profileConfig, `profile:${options.profile}`);
+    }
+
+    // A workspace package brings its own Storybook, snapshots and logs
+    if (options.package) {
+      const packageConfig = getWorkspacePackageConfig(config, options.package);
+      config = deepMerge(config, packageConfig);
+      recordSources(sources, packageConfig, `package:${options.package}`);
+    }
 
     // Apply mobile configuration if enabled
     // Mobile config is nested under snapshot.mobile
@@ -451,16 +920,23 @@ export const loadConfig = async (options = {}) => {
           config.snapshot.testMatcher || {},
           fileConfig.snapshot.mobile.testMatcher,
         );
+        recordSources(
+          sources,
+          fileConfig.snapshot.mobile.testMatcher,
+          "mobile",
+          "snapshot.testMatcher",
+        );
       }
 
       // Merge mobile-specific settings
-      // For viewports, we'll set them in playwright.use (was playwrightConfig.use)
+      // The first viewport becomes the browser default in playwright.use;
+      // every viewport is tested, each test resizing the page to its own size
       if (
         fileConfig.snapshot.mobile.viewports &&
         fileConfig.snapshot.mobile.viewports.length > 0
       ) {
-        // Use the first viewport for now (multi-viewport support can be added later)
-        const viewport = fileConfig.snapshot.mobile.viewports[0];
+        const viewports = fileConfig.snapshot.mobile.viewports;
+        const viewport = viewports[0];
         config.playwright = config.playwright || {};
         config.playwright.use = config.playwright.use || {};
         config.playwright.use.viewport = {
@@ -468,6 +944,16 @@ export const loadConfig = async (options = {}) => {
           height: viewport.height,
         };
         config.activeViewport = viewport; // Store for use by other modules
+        config.activeViewports = viewports;
+        recordSources(
+          sources,
+          {
+            playwright: { use: { viewport: config.playwright.use.viewport } },
+            activeViewport: viewport,
+            activeViewports: viewports,
+          },
+          "mobile",
+        );
       }
     }
 
@@ -491,6 +977,12 @@ export const loadConfig = async (options = {}) => {
           config.snapshot.testMatcher || {},
           fileConfig.snapshot.locale.testMatcher,
         );
+        recordSources(
+          sources,
+          fileConfig.snapshot.locale.testMatcher,
+          "locale",
+          "snapshot.testMatcher",
+        );
       }
 
       // Store locale code in config for use by other modules
@@ -502,7 +994,16 @@ export const loadConfig = async (options = {}) => {
         storybookGlobalParam:
           fileConfig.snapshot.locale.storybookGlobalParam || "locale",
       };
+      recordSources(sources, { locale: config.locale }, "locale");
     }
+  } else if (options.profile) {
+    throw new Error(
+      `Unknown profile: ${options.profile}. No config file found to define it`,
+    );
+  } else if (options.package) {
+    throw new Error(
+      `Unknown workspace package: ${options.package}. No config file found to define it`,
+    );
   }
 
   // 3. Merge programmatic options (highest priority)
@@ -517,6 +1018,10 @@ export const loadConfig = async (options = {}) => {
   // Restore locale object if it was set (don't let string locale code overwrite it)
   if (localeObject && typeof localeObject === "object") {
     config.locale = localeObject;
+    const { locale, ...otherOptions } = options;
+    recordSources(sources, otherOptions, "cli");
+  } else {
+    recordSources(sources, options, "cli");
   }
 
   // Restore testMatcher if it was overridden for locale/mobile mode
@@ -525,6 +1030,9 @@ export const loadConfig = async (options = {}) => {
     config.snapshot.testMatcher = testMatcherObject;
   }
 
+  // A configured threshold turns its check on
+  enableConfiguredThresholdChecks(config, sources);
+
   // 4. Normalize configuration
   config = normalizeConfig(config);
 
@@ -535,11 +1043,20 @@ export const loadConfig = async (options = {}) => {
   // helpers.js uses config.maskSelectors
   if (config.masking && config.masking.selectors) {
     config.maskSelectors = config.masking.selectors;
+    sources.set("maskSelectors", sources.get("masking.selectors"));
   }
 
-  return config;
+  return { config, sources, configPath: configFilePath };
 };
 
+/**
+ * Define a config file with type checking in editors
+ * Returns the config unchanged; its types come from config-loader.d.ts
+ * @param {object} config - Config file contents
+ * @returns {object} The same config
+ */
+export const defineConfig = (config) => config;
+
 /**
  * Get configuration value by path (e.g., 'storybook.port')
  * @param {object} config - Configuration object
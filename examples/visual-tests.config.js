@@ -16,6 +16,15 @@ export default {
     command: "npm run storybook",
     timeout: 120000, // 2 minutes
     reuseExistingServer: true,
+
+    // Test a static build (`storybook build`) instead of a dev server
+    // The build is served on a free port and `command` is not started
+    // staticDir: "storybook-static",
+
+    // Composed Storybooks tested along with this one (as in .storybook/main.js)
+    // refs: {
+    //   "design-system": { title: "Design System", url: "https://design.acme.dev" },
+    // },
   },
 
   // Snapshot configuration (container for all library settings)
@@ -50,18 +59,6 @@ export default {
       // Logs directory
       logsDir: "logs",
 
-      // Results file
-      resultsFile: "logs/visual-test-results.json",
-
-      // Failures file
-      failuresFile: "logs/visual-test-failures.jsonl",
-
-      // HTML report
-      htmlReport: "logs/visual-test-report.html",
-
-      // Log file
-      logFile: "logs/storybook-visual-results.log",
-
       // Screenshots directory
       screenshotsDir: "logs/screenshots",
 
@@ -83,6 +80,47 @@ export default {
     diff: {
       // Target branch for comparison
       targetBranch: process.env.VISUAL_TESTS_TARGET_BRANCH || "main",
+
+      // Fetch the target branch and deepen shallow clones (CI) until a merge
+      // base with HEAD is found; otherwise all stories are tested
+      autoFetch: true,
+      fetchDepth: 50,
+      maxFetchAttempts: 5,
+
+      // Only test the stories whose exports (or shared args/helpers) changed
+      // in a story file, instead of every story in it
+      storyLevel: true,
+
+      // Also select stories that import a changed module (transitively),
+      // resolving relative imports, index barrels and tsconfig path aliases
+      importGraph: {
+        enabled: true,
+        // Directories scanned for imports
+        roots: ["src/"],
+      },
+
+      // Changes to these files run every story
+      globalTriggers: [
+        ".storybook/**",
+        "src/styles/global.css",
+        "package-lock.json",
+      ],
+
+      // Changes to these files run the mapped story files
+      triggerMappings: {
+        "src/theme/forms/**": ["src/components/forms/**"],
+      },
+
+      // Component sources mapped to stories (CSS modules included)
+      componentExtensions: [".tsx", ".jsx", ".vue", ".svelte", ".module.css"],
+      storyExtensions: [".tsx", ".ts", ".jsx", ".js", ".mdx", ".svelte"],
+
+      // Where stories live: next to the component ("sibling"), in a
+      // __stories__ folder ("folder") or in a stories/ tree mirroring src/ ("mirror")
+      colocation: {
+        strategies: ["sibling", "folder"],
+        folderName: "__stories__",
+      },
     },
 
     // Masking configuration
@@ -135,6 +173,17 @@ export default {
       // Enable order checking
       orderCheck: process.env.ENABLE_ORDER_CHECK !== "false",
 
+      // x/y and width/height checks (within the thresholds below)
+      // Configuring a threshold turns its check on; set the check to false to skip it
+      positionCheck: process.env.ENABLE_POSITION_CHECK !== "false",
+      sizeCheck: process.env.ENABLE_SIZE_CHECK !== "false",
+
+      // Capture computed styles, visibility and a text hash per element
+      styleCheck: process.env.ENABLE_STYLE_CHECK === "true",
+      // styleProperties: ["color", "font-size", "font-weight", "display", "z-index", "opacity"],
+      visibilityCheck: process.env.ENABLE_VISIBILITY_CHECK === "true",
+      textCheck: process.env.ENABLE_TEXT_CHECK === "true",
+
       // Position tracking thresholds
       thresholds: {
         // Position threshold (pixels)
@@ -142,9 +191,23 @@ export default {
 
         // Size threshold (pixels)
         size: parseInt(process.env.SIZE_THRESHOLD || "5", 10),
+
+        // Thresholds may also be per axis ({ x, y } / { width, height })
+        // and per data-testid:
+        // overrides: { "revenue-chart": { position: 20, size: { height: 40 } } },
       },
     },
 
+    // Accessibility (ARIA) snapshot settings
+    accessibility: {
+      // Record the ARIA snapshot of the story root next to the PNG (.aria.yml)
+      // and fail when roles or accessible names change
+      enabled: process.env.ENABLE_ACCESSIBILITY_SNAPSHOTS === "true",
+
+      // Optional: Override global testMatcher for accessibility snapshots
+      // testMatcher: { tags: ['a11y'] },
+    },
+
     // Mobile snapshot configuration (overrides when --mobile flag is used)
     mobile: {
       // Enable mobile snapshots
@@ -153,8 +216,9 @@ export default {
       // Optional: Override global testMatcher for mobile snapshots
       // testMatcher: { tags: ['visual-mobile'] },
 
-      // Mobile viewport configurations (array of viewports to test)
-      // Future: Can be overridden at story level via story.parameters.mobileViewports
+      // Mobile viewport configurations (every viewport is tested, one snapshot each)
+      // Can be overridden per story via parameters.mobileViewports
+      // (and parameters.desktopViewport for desktop runs)
       viewports: [
         { width: 375, height: 667, name: "iPhone SE" },
         // { width: 390, height: 844, name: 'iPhone 12/13' },
@@ -193,6 +257,9 @@ export default {
       // Storybook parameter to set locale (how to pass locale to stories)
       // This will be injected as a URL parameter when navigating to stories
       storybookGlobalParam: "locale", // e.g., ?globals=locale:de-DE
+
+      // Maximum number of locales run at the same time (run --locale)
+      concurrency: 2,
     },
   },
 
@@ -200,9 +267,9 @@ export default {
   playwright: {
     // Test execution settings
     fullyParallel: true,
-    workers: process.env.CI ? 4 : 6,
+    workers: 6,
     retries: 0,
-    forbidOnly: !!process.env.CI,
+    forbidOnly: false,
 
     // Timeout configuration (milliseconds)
     timeout: 30000, // 30 seconds per test
@@ -250,4 +317,32 @@ export default {
       // },
     ],
   },
+
+  // Named overrides, selected with --profile (e.g. `run --profile ci`)
+  // Each profile is deep-merged over the settings above
+  profiles: {
+    ci: {
+      playwright: { workers: 4, forbidOnly: true },
+    },
+    nightly: {
+      snapshot: {
+        testMatcher: { tags: ["visual", "visual-nightly"] },
+        accessibility: { enabled: true },
+      },
+      playwright: { workers: 2, retries: 1 },
+    },
+  },
+
+  // Monorepo with several Storybooks: every command tests each of them,
+  // or a single one with --package (e.g. `run --package @acme/app`)
+  // workspace: {
+  //   storybooks: [
+  //     { name: "@acme/ui" },
+  //     {
+  //       name: "@acme/app",
+  //       url: "http://localhost:6007",
+  //       snapshotsDir: "packages/app/__visual_snapshots__",
+  //     },
+  //   ],
+  // },
 };
@@ -10,6 +10,7 @@
  *
  * Usage:
  *   node generate-stories-cache.js
+ *   node generate-stories-cache.js --offline   (use the cached Storybook index)
  *
  * Environment Variables:
  *   - STORY_INCLUDE_PATHS: Comma-separated paths to filter stories
@@ -26,7 +27,10 @@ import { fetchStoriesFromStorybook } from "./lib/story-discovery.js";
 const main = async () => {
   try {
     // Load configuration (respects env vars and config file)
-    const config = await loadConfig();
+    // --offline discovers stories from the Storybook index cache of the CLI
+    const config = await loadConfig({
+      offline: process.argv.includes("--offline"),
+    });
 
     // Determine if we're in update mode
     const isUpdateMode =
@@ -11,6 +11,10 @@ describe("Library Index", () => {
 
     expect(lib.loadConfig).toBeDefined();
     expect(lib.getConfigValue).toBeDefined();
+    expect(lib.resolveConfig).toBeDefined();
+    expect(lib.defineConfig).toBeDefined();
+    expect(lib.validateConfigFile).toBeDefined();
+    expect(lib.validateConfigSchema).toBeDefined();
     expect(lib.fetchStoriesFromStorybook).toBeDefined();
     expect(lib.filterStoriesByPaths).toBeDefined();
     expect(lib.filterStoriesByExclusions).toBeDefined();
@@ -30,8 +34,11 @@ describe("Library Index", () => {
     expect(lib.branchExists).toBeDefined();
     expect(lib.remoteBranchExists).toBeDefined();
     expect(lib.getDefaultRemote).toBeDefined();
+    expect(lib.resolveTargetRef).toBeDefined();
     expect(lib.mapComponentsToStories).toBeDefined();
     expect(lib.findAffectedStories).toBeDefined();
     expect(lib.estimateStoryExports).toBeDefined();
+    expect(lib.filterStoriesByChanges).toBeDefined();
+    expect(lib.findChangedStoryExports).toBeDefined();
   });
 });
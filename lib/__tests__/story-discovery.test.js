@@ -1,5 +1,12 @@
 import { jest, describe, it, expect, beforeEach } from "@jest/globals";
-import { fetchStoriesFromStorybook } from "../story-discovery.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  fetchStoriesFromStorybook,
+  detectStorybookVersion,
+  getStoryRootSelector,
+} from "../story-discovery.js";
 
 // Mock global fetch
 global.fetch = jest.fn();
@@ -119,4 +126,302 @@ describe("fetchStoriesFromStorybook Cascading Matchers", () => {
     const layout = stories.find((s) => s.id === "component--layout");
     expect(layout._testOptions).toEqual({ image: false, position: true });
   });
+
+  it("attaches accessibility options when accessibility snapshots are enabled", async () => {
+    const config = {
+      ...baseConfig,
+      snapshot: {
+        ...baseConfig.snapshot,
+        accessibility: {
+          enabled: true,
+          testMatcher: { tags: ["layout"] },
+        },
+      },
+    };
+
+    const stories = await fetchStoriesFromStorybook(config, true);
+
+    const visual = stories.find((s) => s.id === "component--visual");
+    expect(visual._testOptions.accessibility).toBe(false);
+
+    const layout = stories.find((s) => s.id === "component--layout");
+    expect(layout._testOptions.accessibility).toBe(true);
+  });
+
+  it("attaches per-story viewport overrides from parameters", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        entries: {
+          "story-wide": {
+            id: "dashboard--wide",
+            type: "story",
+            tags: ["visual"],
+            importPath: "./src/Dashboard.stories.js",
+            parameters: { desktopViewport: { width: 1920, height: 1080 } },
+          },
+        },
+      }),
+    });
+
+    const stories = await fetchStoriesFromStorybook(baseConfig, true);
+
+    expect(stories[0]._viewports).toEqual({
+      desktop: { width: 1920, height: 1080 },
+    });
+    expect(stories[0]._testOptions).toEqual({ image: true, position: true });
+  });
+
+  it("reads the index of a static build from disk", async () => {
+    const staticDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "storybook-static-"),
+    );
+    fs.writeFileSync(
+      path.join(staticDir, "index.json"),
+      JSON.stringify(mockStories),
+    );
+
+    try {
+      const stories = await fetchStoriesFromStorybook(
+        { ...baseConfig, storybook: { ...baseConfig.storybook, staticDir } },
+        true,
+      );
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(stories.map((s) => s.id)).toEqual([
+        "component--both",
+        "component--visual",
+      ]);
+
+      fs.rmSync(path.join(staticDir, "index.json"));
+      await expect(
+        fetchStoriesFromStorybook(
+          { ...baseConfig, storybook: { ...baseConfig.storybook, staticDir } },
+          true,
+        ),
+      ).rejects.toThrow("Storybook index not found in static build");
+    } finally {
+      fs.rmSync(staticDir, { recursive: true, force: true });
+    }
+  });
+
+  it("falls back to the stories.json of Storybook 6", async () => {
+    fetch.mockImplementation(async (url) =>
+      url.endsWith("/index.json")
+        ? { ok: false, status: 404, statusText: "Not Found" }
+        : {
+            ok: true,
+            status: 200,
+            json: async () => ({
+              v: 3,
+              stories: {
+                "button--primary": {
+                  id: "button--primary",
+                  kind: "Button",
+                  story: "Primary",
+                  parameters: {
+                    fileName: "./src/Button.stories.js",
+                    snapshot: true,
+                  },
+                },
+                "button--docs": {
+                  id: "button--docs",
+                  kind: "Button",
+                  story: "Docs",
+                  parameters: { docsOnly: true, snapshot: true },
+                },
+              },
+            }),
+          },
+    );
+
+    const stories = await fetchStoriesFromStorybook(baseConfig, true);
+
+    expect(fetch).toHaveBeenLastCalledWith(
+      "http://localhost:6006/stories.json",
+      expect.anything(),
+    );
+    expect(stories).toHaveLength(1);
+    expect(stories[0]).toMatchObject({
+      id: "button--primary",
+      type: "story",
+      title: "Button",
+      name: "Primary",
+      importPath: "./src/Button.stories.js",
+      _storybookVersion: 6,
+    });
+    expect(getStoryRootSelector(stories[0])).toBe("#root");
+  });
+
+  it("detects the Storybook version from the index format", () => {
+    expect(detectStorybookVersion({ v: 3, stories: {} })).toBe(6);
+    expect(detectStorybookVersion({ v: 4, entries: {} })).toBe(7);
+    expect(detectStorybookVersion({ v: 5, entries: {} })).toBe(8);
+    expect(detectStorybookVersion({})).toBeNull();
+    expect(getStoryRootSelector({ _storybookVersion: 8 })).toBe(
+      "#storybook-root",
+    );
+  });
+
+  it("adds the stories of composed Storybooks with prefixed ids", async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () =>
+        url.startsWith("https://design.acme.dev")
+          ? {
+              v: 5,
+              entries: {
+                "icon--star": {
+                  id: "icon--star",
+                  type: "story",
+                  tags: ["visual"],
+                  importPath: "./src/Icon.stories.js",
+                },
+              },
+            }
+          : mockStories,
+    }));
+
+    const stories = await fetchStoriesFromStorybook(
+      {
+        ...baseConfig,
+        storybook: {
+          ...baseConfig.storybook,
+          refs: {
+            "design-system": { url: "https://design.acme.dev/storybook/" },
+            legacy: { url: "http://legacy.local", disable: true },
+          },
+        },
+      },
+      true,
+    );
+
+    expect(fetch).toHaveBeenCalledWith(
+      "https://design.acme.dev/storybook/index.json",
+      expect.anything(),
+    );
+    expect(fetch).not.toHaveBeenCalledWith(
+      expect.stringContaining("legacy.local"),
+      expect.anything(),
+    );
+    expect(stories.map((s) => s.id)).toEqual([
+      "component--both",
+      "component--visual",
+      "design-system_icon--star",
+    ]);
+    expect(stories[2]._ref).toEqual({
+      id: "design-system",
+      url: "https://design.acme.dev/storybook",
+      storyId: "icon--star",
+    });
+  });
+
+  it("names the ref whose index cannot be loaded", async () => {
+    fetch.mockImplementation(async (url) =>
+      url.startsWith("http://localhost")
+        ? { ok: true, status: 200, json: async () => mockStories }
+        : { ok: false, status: 500, statusText: "Server Error" },
+    );
+
+    await expect(
+      fetchStoriesFromStorybook(
+        {
+          ...baseConfig,
+          storybook: {
+            ...baseConfig.storybook,
+            refs: { "design-system": "https://design.acme.dev" },
+          },
+        },
+        true,
+      ),
+    ).rejects.toThrow(
+      "Unable to load Storybook ref design-system: Unable to load Storybook index (500 Server Error)",
+    );
+  });
+
+  describe("index cache", () => {
+    let cacheDir;
+    let cachedConfig;
+
+    beforeEach(() => {
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "index-cache-"));
+      cachedConfig = {
+        ...baseConfig,
+        snapshot: { ...baseConfig.snapshot, paths: { cacheDir } },
+      };
+    });
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    const cacheFile = () =>
+      path.join(cacheDir, "storybook-index-localhost-6006.json");
+
+    it("caches the index and reuses it while its hash is unchanged", async () => {
+      await fetchStoriesFromStorybook(cachedConfig, true);
+
+      const cached = JSON.parse(fs.readFileSync(cacheFile(), "utf8"));
+      expect(cached).toMatchObject({
+        source: "http://localhost:6006",
+        version: 7,
+      });
+      expect(cached.entries).toHaveLength(4);
+
+      // Same index: the cached entries are used as they are
+      cached.entries = cached.entries.filter(
+        (entry) => entry.id === "component--visual",
+      );
+      fs.writeFileSync(cacheFile(), JSON.stringify(cached));
+
+      const stories = await fetchStoriesFromStorybook(cachedConfig, true);
+      expect(stories.map((s) => s.id)).toEqual(["component--visual"]);
+
+      // Changed index: parsed again and cached
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          entries: {
+            ...mockStories.entries,
+            extra: {
+              ...mockStories.entries["story-both"],
+              id: "component--extra",
+            },
+          },
+        }),
+      });
+      const updated = await fetchStoriesFromStorybook(cachedConfig, true);
+      expect(updated.map((s) => s.id)).toEqual([
+        "component--both",
+        "component--extra",
+        "component--visual",
+      ]);
+    });
+
+    it("discovers stories from the cache when offline", async () => {
+      await fetchStoriesFromStorybook(cachedConfig, true);
+      fetch.mockClear();
+      fetch.mockRejectedValue(new Error("fetch failed"));
+
+      const stories = await fetchStoriesFromStorybook(
+        { ...cachedConfig, offline: true },
+        true,
+      );
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(stories.map((s) => s.id)).toEqual([
+        "component--both",
+        "component--visual",
+      ]);
+    });
+
+    it("fails offline without a cached index", async () => {
+      await expect(
+        fetchStoriesFromStorybook({ ...cachedConfig, offline: true }, true),
+      ).rejects.toThrow(
+        "No cached Storybook index for http://localhost:6006. Run a command while Storybook is up to cache it",
+      );
+    });
+  });
 });
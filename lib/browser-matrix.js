@@ -0,0 +1,102 @@
+/**
+ * Browser Matrix Module
+ * Handles cross-browser runs: browser selection, Playwright projects and per-browser baselines
+ */
+
+import path from "path";
+
+/**
+ * Browsers Playwright can run without a custom project definition
+ */
+export const SUPPORTED_BROWSERS = ["chromium", "firefox", "webkit"];
+
+/**
+ * Get the browser used when no browser matrix is requested
+ * @param {object} config - Configuration object
+ * @returns {string} Default browser/project name
+ */
+export const getDefaultBrowser = (config) =>
+  config?.playwright?.project || "chromium";
+
+/**
+ * Parse a comma-separated browser list (e.g. from --browsers)
+ * Names must be a supported browser or a project defined in playwright.projects
+ * @param {string|string[]} value - Browser list
+ * @param {object} [config] - Configuration object
+ * @returns {string[]} Unique browser names
+ * @throws {Error} If a browser name is unknown
+ */
+export const parseBrowsers = (value, config = {}) => {
+  const names = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const projectNames = (config.playwright?.projects || []).map((p) => p.name);
+  const unknown = names.filter(
+    (name) =>
+      !SUPPORTED_BROWSERS.includes(name) && !projectNames.includes(name),
+  );
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown browser(s): ${unknown.join(", ")}. Use ${SUPPORTED_BROWSERS.join(", ")} or a project name from playwright.projects`,
+    );
+  }
+
+  return [...new Set(names)];
+};
+
+/**
+ * Get the snapshot directory for a browser
+ * The default browser keeps the base directory so existing baselines stay valid;
+ * every other browser stores its baselines in a subdirectory named after it
+ * @param {string} snapshotDir - Base snapshot directory (including mobile/locale segments)
+ * @param {string|null} browser - Browser/project name
+ * @param {object} config - Configuration object
+ * @returns {string} Snapshot directory for the browser
+ */
+export const getBrowserSnapshotDir = (snapshotDir, browser, config) =>
+  !browser || browser === getDefaultBrowser(config)
+    ? snapshotDir
+    : path.join(snapshotDir, browser);
+
+/**
+ * Build Playwright projects for a browser matrix
+ * Configured projects with a matching name are reused; other supported browsers
+ * get a project with only browserName set
+ * @param {string[]} browsers - Browser names
+ * @param {object} config - Configuration object
+ * @param {string} snapshotDir - Base snapshot directory
+ * @returns {Array<object>} Playwright projects
+ */
+export const buildBrowserProjects = (browsers, config, snapshotDir) => {
+  const projects = config.playwright?.projects || [];
+
+  return browsers.map((browser) => {
+    const configured = projects.find((p) => p.name === browser) || {
+      name: browser,
+    };
+
+    return {
+      ...configured,
+      use: {
+        ...(SUPPORTED_BROWSERS.includes(browser)
+          ? { browserName: browser }
+          : {}),
+        ...(configured.use || {}),
+      },
+      snapshotDir: getBrowserSnapshotDir(snapshotDir, browser, config),
+    };
+  });
+};
+
+/**
+ * Build the --project arguments passed to Playwright
+ * @param {string[]} browsers - Browser names (empty for the default browser only)
+ * @param {object} config - Configuration object
+ * @returns {string[]} Playwright CLI arguments
+ */
+export const getProjectArgs = (browsers, config) =>
+  browsers.length > 0
+    ? browsers.map((browser) => `--project=${browser}`)
+    : [`--project=${getDefaultBrowser(config)}`];
@@ -0,0 +1,573 @@
+/**
+ * Config Schema Module
+ * Describes every supported key of visual-tests.config.js and checks a
+ * config file against it: wrong types and values are errors, unknown and
+ * deprecated keys are warnings
+ */
+
+import { STORY_COLOCATION_STRATEGIES } from "../visual-test-config.js";
+
+const string = () => ({ type: "string" });
+
+/**
+ * Booleans may be given as strings ("true", "false", "1", "0"), e.g. from env vars
+ */
+const boolean = () => ({ type: "boolean" });
+
+/**
+ * Numbers may be given as numeric strings, e.g. from env vars
+ */
+const number = ({ min, max, integer = false } = {}) => ({
+  type: "number",
+  min,
+  max,
+  integer,
+});
+
+/**
+ * Array of strings, or a comma-separated string
+ */
+const list = ({ values } = {}) => ({ type: "list", values });
+
+const enumOf = (...values) => ({ type: "enum", values });
+const arrayOf = (items) => ({ type: "array", items });
+const record = (values) => ({ type: "record", values });
+const anyOf = (...schemas) => ({ type: "anyOf", schemas });
+const any = () => ({ type: "any" });
+
+/**
+ * Object with known keys; `open` objects allow keys outside the schema
+ */
+const object = (properties, { open = false, required = [] } = {}) => ({
+  type: "object",
+  properties,
+  open,
+  required,
+});
+
+const testMatcher = () =>
+  object({ tags: list(), suffix: list(), keywords: list() });
+
+const ratio = () => number({ min: 0, max: 1 });
+
+const pixels = () => number({ min: 0 });
+
+const viewport = () =>
+  object(
+    {
+      width: number({ min: 1, integer: true }),
+      height: number({ min: 1, integer: true }),
+      name: string(),
+    },
+    { required: ["width", "height"] },
+  );
+
+const elementThresholds = () =>
+  object({
+    position: anyOf(pixels(), object({ x: pixels(), y: pixels() })),
+    size: anyOf(pixels(), object({ width: pixels(), height: pixels() })),
+  });
+
+const storybook = () =>
+  object({
+    port: number({ min: 1, max: 65535, integer: true }),
+    host: string(),
+    indexPath: string(),
+    command: string(),
+    staticDir: string(),
+    timeout: number({ min: 0 }),
+    reuseExistingServer: boolean(),
+    // Composed Storybooks, in the format of the `refs` of .storybook/main.js
+    refs: record(
+      anyOf(
+        string(),
+        object(
+          {
+            title: string(),
+            url: string(),
+            expanded: boolean(),
+            disable: boolean(),
+          },
+          { required: ["url"] },
+        ),
+      ),
+    ),
+  });
+
+/**
+ * Settings of the config file, also accepted by each profile
+ */
+const CONFIG_PROPERTIES = {
+  storybook: storybook(),
+
+  snapshot: object({
+    testMatcher: testMatcher(),
+    filters: object({
+      includePaths: list(),
+      storyIds: list(),
+      keywords: list(),
+      exclusions: list(),
+    }),
+    paths: object({
+      playwrightConfig: string(),
+      testSpec: string(),
+      logsDir: string(),
+      snapshotsDir: string(),
+      screenshotsDir: string(),
+      cacheDir: string(),
+      componentPaths: list(),
+    }),
+    errorHandling: object({ ignorePatterns: list() }),
+    image: object({
+      enabled: boolean(),
+      testMatcher: testMatcher(),
+      snapshotDir: string(),
+      threshold: ratio(),
+      maxDiffPixelRatio: ratio(),
+      maxDiffPixelRatioForDimensions: ratio(),
+      maxDiffPixels: pixels(),
+    }),
+    position: object({
+      enabled: boolean(),
+      orderCheck: boolean(),
+      positionCheck: boolean(),
+      sizeCheck: boolean(),
+      styleCheck: boolean(),
+      styleProperties: list(),
+      visibilityCheck: boolean(),
+      textCheck: boolean(),
+      snapshotDir: string(),
+      testMatcher: testMatcher(),
+      thresholds: object({
+        ...elementThresholds().properties,
+        overrides: record(elementThresholds()),
+      }),
+    }),
+    accessibility: object({
+      enabled: boolean(),
+      snapshotDir: string(),
+      testMatcher: testMatcher(),
+    }),
+    diff: object({
+      targetBranch: string(),
+      autoFetch: boolean(),
+      fetchDepth: number({ min: 1, integer: true }),
+      maxFetchAttempts: number({ min: 1, integer: true }),
+      storyLevel: boolean(),
+      importGraph: object({ enabled: boolean(), roots: list() }),
+      globalTriggers: list(),
+      triggerMappings: record(anyOf(string(), arrayOf(string()))),
+      componentExtensions: list(),
+      storyExtensions: list(),
+      colocation: object({
+        strategies: list({ values: STORY_COLOCATION_STRATEGIES }),
+        folderName: string(),
+        sourceRoot: string(),
+        mirrorRoot: string(),
+      }),
+    }),
+    masking: object({ selectors: list() }),
+    mobile: object({
+      enabled: boolean(),
+      viewports: arrayOf(viewport()),
+      testMatcher: testMatcher(),
+      discovery: object({
+        thresholds: object({ minWidth: pixels() }),
+        excludeTags: list(),
+      }),
+    }),
+    locale: object({
+      enabled: boolean(),
+      locales: arrayOf(
+        object(
+          {
+            code: string(),
+            name: string(),
+            direction: enumOf("ltr", "rtl"),
+            default: boolean(),
+          },
+          { required: ["code"] },
+        ),
+      ),
+      testMatcher: testMatcher(),
+      storybookGlobalParam: string(),
+      concurrency: number({ min: 1, integer: true }),
+    }),
+  }),
+
+  // Only these settings are passed on to Playwright
+  playwright: object({
+    fullyParallel: boolean(),
+    workers: anyOf(number({ min: 1, integer: true }), string()),
+    timeout: number({ min: 0 }),
+    retries: number({ min: 0, integer: true }),
+    forbidOnly: boolean(),
+    expect: object({ timeout: number({ min: 0 }) }, { open: true }),
+    reporter: anyOf(string(), arrayOf(any())),
+    use: object(
+      {
+        trace: string(),
+        screenshot: string(),
+        video: string(),
+        viewport: viewport(),
+        ignoreHTTPSErrors: boolean(),
+      },
+      { open: true },
+    ),
+    projects: arrayOf(
+      object(
+        { name: string(), use: any() },
+        { open: true, required: ["name"] },
+      ),
+    ),
+    project: string(),
+  }),
+
+  // Read by the Playwright helpers as `maskSelectors`
+  masking: object({ selectors: list() }),
+
+  // Monorepos: one entry per Storybook, each tested with its own settings
+  workspace: object({
+    storybooks: arrayOf(
+      object(
+        {
+          name: string(),
+          url: string(),
+          staticDir: string(),
+          storybook: storybook(),
+          snapshotsDir: string(),
+          testMatcher: testMatcher(),
+        },
+        { required: ["name"] },
+      ),
+    ),
+  }),
+};
+
+/**
+ * Schema of the config file
+ */
+export const CONFIG_SCHEMA = object({
+  ...CONFIG_PROPERTIES,
+
+  // Named overrides selected with --profile, merged over the file settings
+  profiles: record(object(CONFIG_PROPERTIES)),
+});
+
+/**
+ * Keys replaced by newer settings, with how to migrate them
+ */
+export const DEPRECATED_CONFIG_KEYS = {
+  testMatcher: "move it to snapshot.testMatcher (ignored at the top level)",
+  filters: "move it to snapshot.filters (ignored at the top level)",
+  paths: "move it to snapshot.paths (ignored at the top level)",
+  errorHandling: "move it to snapshot.errorHandling (ignored at the top level)",
+  positionTracking: "move its settings to snapshot.position (ignored)",
+  "snapshot.paths.resultsFile":
+    "remove it (results are written to <logsDir>/visual-test-results.json)",
+  "snapshot.paths.failuresFile":
+    "remove it (failures are written to <logsDir>/visual-test-failures.jsonl)",
+  "snapshot.paths.htmlReport":
+    "remove it (the report is written to <logsDir>/visual-test-report.html)",
+  "snapshot.paths.logFile": "remove it (no longer used)",
+  "snapshot.position.positionThreshold":
+    "use snapshot.position.thresholds.position instead",
+  "snapshot.position.sizeThreshold":
+    "use snapshot.position.thresholds.size instead",
+};
+
+const BOOLEAN_STRINGS = ["true", "false", "1", "0"];
+
+/**
+ * Describe the values a schema accepts
+ * @param {object} schema - Schema node
+ * @returns {string} Description (e.g. "an integer >= 1")
+ */
+const describeSchema = (schema) => {
+  switch (schema.type) {
+    case "number": {
+      const kind = schema.integer ? "an integer" : "a number";
+      if (schema.min !== undefined && schema.max !== undefined) {
+        return `${kind} between ${schema.min} and ${schema.max}`;
+      }
+      if (schema.min !== undefined) return `${kind} >= ${schema.min}`;
+      return kind;
+    }
+    case "list":
+      return "a list of strings";
+    case "enum":
+      return `one of ${schema.values.map((v) => JSON.stringify(v)).join(", ")}`;
+    case "array":
+      return "an array";
+    case "object":
+    case "record":
+      return "an object";
+    case "anyOf":
+      return schema.schemas.map(describeSchema).join(" or ");
+    default:
+      return `a ${schema.type}`;
+  }
+};
+
+/**
+ * Describe a config value for error messages
+ * @param {*} value - Config value
+ * @returns {string} Short description
+ */
+const describeValue = (value) => {
+  if (Array.isArray(value)) return "an array";
+  if (value === null) return "null";
+  if (typeof value === "object") return "an object";
+  if (typeof value === "function") return "a function";
+  return JSON.stringify(value);
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Find the known key closest to an unknown one
+ * @param {string} key - Unknown key
+ * @param {string[]} candidates - Known keys at the same level
+ * @returns {string|null} Suggested key, or null if none is close enough
+ */
+const suggestKey = (key, candidates) => {
+  const maxDistance = Math.max(2, Math.floor(key.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxDistance ? best : null;
+};
+
+/**
+ * Check a value against a schema node, collecting issues
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema node
+ * @param {string} keyPath - Dot path of the value (e.g. "snapshot.diff")
+ * @param {{errors: object[], warnings: object[]}} issues - Collected issues
+ */
+const checkValue = (value, schema, keyPath, issues) => {
+  const fail = (message) =>
+    issues.errors.push({
+      path: keyPath,
+      message:
+        message ||
+        `expected ${describeSchema(schema)}, got ${describeValue(value)}`,
+    });
+
+  switch (schema.type) {
+    case "any":
+      return;
+
+    case "string":
+      if (typeof value !== "string") fail();
+      return;
+
+    case "boolean":
+      if (
+        typeof value !== "boolean" &&
+        !(
+          typeof value === "string" &&
+          BOOLEAN_STRINGS.includes(value.toLowerCase())
+        )
+      ) {
+        fail();
+      }
+      return;
+
+    case "number": {
+      const parsed = typeof value === "string" ? Number(value) : value;
+      if (
+        typeof parsed !== "number" ||
+        value === "" ||
+        !Number.isFinite(parsed) ||
+        (schema.integer && !Number.isInteger(parsed)) ||
+        (schema.min !== undefined && parsed < schema.min) ||
+        (schema.max !== undefined && parsed > schema.max)
+      ) {
+        fail();
+      }
+      return;
+    }
+
+    case "enum":
+      if (!schema.values.includes(value)) fail();
+      return;
+
+    case "list": {
+      let items = value;
+      if (typeof value === "string") {
+        items = value
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      } else if (
+        !Array.isArray(value) ||
+        value.some((item) => typeof item !== "string")
+      ) {
+        fail();
+        return;
+      }
+      if (schema.values) {
+        items.forEach((item, index) => {
+          if (!schema.values.includes(item)) {
+            checkValue(
+              item,
+              enumOf(...schema.values),
+              `${keyPath}[${index}]`,
+              issues,
+            );
+          }
+        });
+      }
+      return;
+    }
+
+    case "array":
+      if (!Array.isArray(value)) {
+        fail();
+        return;
+      }
+      value.forEach((item, index) =>
+        checkValue(item, schema.items, `${keyPath}[${index}]`, issues),
+      );
+      return;
+
+    case "record":
+      if (!isPlainObject(value)) {
+        fail();
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        checkValue(item, schema.values, `${keyPath}.${key}`, issues);
+      }
+      return;
+
+    case "anyOf": {
+      const results = schema.schemas.map((option) => {
+        const optionIssues = { errors: [], warnings: [] };
+        checkValue(value, option, keyPath, optionIssues);
+        return { option, optionIssues };
+      });
+      const match = results.find(
+        ({ optionIssues }) => optionIssues.errors.length === 0,
+      );
+      // Objects are checked against the object option, so problems point at their keys
+      const objectResult = isPlainObject(value)
+        ? results.find(({ option }) => option.type === "object")
+        : null;
+      const reported = match || objectResult;
+
+      if (!reported) {
+        fail();
+        return;
+      }
+      issues.errors.push(...reported.optionIssues.errors);
+      issues.warnings.push(...reported.optionIssues.warnings);
+      return;
+    }
+
+    case "object":
+      if (!isPlainObject(value)) {
+        fail();
+        return;
+      }
+      checkObject(value, schema, keyPath, issues);
+      return;
+  }
+};
+
+/**
+ * Check the keys of an object against an object schema node
+ * @param {object} value - Object to check
+ * @param {object} schema - Object schema node
+ * @param {string} keyPath - Dot path of the object ("" for the root)
+ * @param {{errors: object[], warnings: object[]}} issues - Collected issues
+ */
+const checkObject = (value, schema, keyPath, issues) => {
+  const childPath = (key) => (keyPath ? `${keyPath}.${key}` : key);
+  const knownKeys = Object.keys(schema.properties);
+
+  for (const key of schema.required) {
+    if (value[key] === undefined || value[key] === null) {
+      issues.errors.push({ path: childPath(key), message: "is required" });
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = childPath(key);
+
+    // Unset values (e.g. from a missing env var) fall back to the defaults
+    if (item === undefined || item === null) continue;
+
+    if (schema.properties[key]) {
+      checkValue(item, schema.properties[key], itemPath, issues);
+    } else if (DEPRECATED_CONFIG_KEYS[itemPath]) {
+      issues.warnings.push({
+        path: itemPath,
+        message: `is deprecated, ${DEPRECATED_CONFIG_KEYS[itemPath]}`,
+      });
+    } else if (!schema.open) {
+      const suggestion = suggestKey(key, knownKeys);
+      issues.warnings.push({
+        path: itemPath,
+        message: suggestion
+          ? `unknown key, did you mean "${suggestion}"?`
+          : "unknown key",
+      });
+    }
+  }
+};
+
+/**
+ * Check a config file's contents against the config schema
+ * @param {object} config - Config as exported by the config file
+ * @param {object} [schema] - Schema to check against (defaults to CONFIG_SCHEMA)
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}} Problems found
+ */
+export const validateConfigSchema = (config, schema = CONFIG_SCHEMA) => {
+  const issues = { errors: [], warnings: [] };
+
+  if (!isPlainObject(config)) {
+    issues.errors.push({
+      path: "(root)",
+      message: `expected the config to export an object, got ${describeValue(config)}`,
+    });
+    return issues;
+  }
+
+  checkObject(config, schema, "", issues);
+  return issues;
+};
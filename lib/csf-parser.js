@@ -0,0 +1,235 @@
+/**
+ * CSF Parser Module
+ * Splits Component Story Format files into top-level statements so changed
+ * lines can be mapped to the story exports they affect
+ *
+ * The parser is line based: a statement starts on a line at the file's base
+ * indentation (column 0 in formatted code) and runs until the next one.
+ * Closing brackets at that indentation continue the current statement, and
+ * comments directly above a statement belong to it.
+ */
+
+/**
+ * Names of exports that are treated as the default export's meta object
+ */
+const META_EXPORT_NAMES = new Set(["meta"]);
+
+const DECLARATION_PATTERN =
+  /^(?:declare\s+)?(?:const|let|var|(?:async\s+)?function\*?|class|type|interface|enum)\s+([A-Za-z_$][\w$]*)/;
+
+/**
+ * Classify the first line of a top-level statement
+ * @param {string} line - First line of the statement, without base indentation
+ * @returns {{kind: string, name?: string, target?: string}} Statement kind
+ */
+const classifyStatement = (line) => {
+  if (/^import\b/.test(line)) {
+    return { kind: "import" };
+  }
+
+  const defaultReference = line.match(
+    /^export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/,
+  );
+  if (defaultReference) {
+    return { kind: "meta", target: defaultReference[1] };
+  }
+  if (/^export\s+default\b/.test(line)) {
+    return { kind: "meta" };
+  }
+
+  if (line.startsWith("export ")) {
+    const declaration = line.slice("export ".length).match(DECLARATION_PATTERN);
+    if (declaration) {
+      const name = declaration[1];
+      if (META_EXPORT_NAMES.has(name)) {
+        return { kind: "meta", name };
+      }
+      // Type-only exports never render anything
+      return /^export\s+(?:type|interface)\b/.test(line)
+        ? { kind: "declaration", name }
+        : { kind: "story", name };
+    }
+    return { kind: "other" };
+  }
+
+  const declaration = line.match(DECLARATION_PATTERN);
+  if (declaration) {
+    return { kind: "declaration", name: declaration[1] };
+  }
+
+  // CSF2 style assignments such as `Primary.args = { ... }`
+  const assignment = line.match(/^([A-Za-z_$][\w$]*)\.[\w$.]+\s*=/);
+  if (assignment) {
+    return { kind: "assignment", target: assignment[1] };
+  }
+
+  return { kind: "other" };
+};
+
+/**
+ * Parse a CSF file into top-level statements
+ * @param {string} content - Story file content
+ * @returns {Array<{kind: string, name?: string, target?: string, start: number, end: number, text: string}>} Statements with 1-based line ranges
+ */
+export const parseCsfStatements = (content) => {
+  const lines = content.split("\n");
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => line.match(/^\s*/)[0].length);
+  const baseIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+  const statements = [];
+  let commentStart = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const indent = line.match(/^\s*/)[0].length;
+    const code = line.slice(baseIndent);
+
+    if (line.trim() === "" || indent > baseIndent || /^[}\])>]/.test(code)) {
+      return;
+    }
+
+    if (/^(?:\/\/|\/\*|\*)/.test(code)) {
+      commentStart = commentStart ?? lineNumber;
+      return;
+    }
+
+    const start = commentStart ?? lineNumber;
+    commentStart = null;
+
+    if (statements.length > 0) {
+      statements[statements.length - 1].end = start - 1;
+    }
+    statements.push({ ...classifyStatement(code), start, end: lines.length });
+  });
+
+  for (const statement of statements) {
+    statement.text = lines.slice(statement.start - 1, statement.end).join("\n");
+  }
+
+  // `export default meta` makes the `meta` declaration the meta object
+  const metaTargets = new Set(
+    statements
+      .filter((statement) => statement.kind === "meta" && statement.target)
+      .map((statement) => statement.target),
+  );
+  for (const statement of statements) {
+    if (statement.kind === "declaration" && metaTargets.has(statement.name)) {
+      statement.kind = "meta";
+    }
+  }
+
+  return statements;
+};
+
+/**
+ * List the story exports of a CSF file
+ * @param {string} content - Story file content
+ * @returns {string[]} Story export names
+ */
+export const getStoryExports = (content) => {
+  return parseCsfStatements(content)
+    .filter((statement) => statement.kind === "story")
+    .map((statement) => statement.name);
+};
+
+/**
+ * Check if a statement's text references an identifier
+ * @param {string} text - Statement text
+ * @param {string} identifier - Identifier name
+ * @returns {boolean} True if the identifier appears as a whole word
+ */
+const referencesIdentifier = (text, identifier) => {
+  const escaped = identifier.replace(/\$/g, "\\$");
+  return new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`).test(text);
+};
+
+/**
+ * Find the story exports affected by changed lines of a CSF file
+ * Changes to the meta object, imports or unrecognised top-level code affect
+ * every story; changes to helpers (shared args, render functions) affect the
+ * stories that reference them, directly or through other helpers
+ * @param {string} content - Story file content (after the change)
+ * @param {Array<[number, number]>} lineRanges - Changed 1-based line ranges (inclusive)
+ * @returns {string[]|null} Affected story export names, or null if all stories are affected
+ */
+export const findChangedStoryExports = (content, lineRanges) => {
+  const statements = parseCsfStatements(content);
+  const changedNames = new Set();
+
+  for (const [start, end] of lineRanges) {
+    for (const statement of statements) {
+      if (statement.end < start || statement.start > end) continue;
+
+      // Blank lines and comments between statements do not change anything
+      const changedText = statement.text
+        .split("\n")
+        .slice(
+          Math.max(start, statement.start) - statement.start,
+          Math.min(end, statement.end) - statement.start + 1,
+        )
+        .join("\n");
+      if (changedText.trim() === "") continue;
+
+      if (statement.kind === "story" || statement.kind === "declaration") {
+        changedNames.add(statement.name);
+      } else if (statement.kind === "assignment") {
+        changedNames.add(statement.target);
+      } else {
+        return null;
+      }
+    }
+  }
+
+  // Propagate changes to everything referencing a changed name
+  const queue = [...changedNames];
+  while (queue.length > 0) {
+    const name = queue.shift();
+
+    for (const statement of statements) {
+      if (!referencesIdentifier(statement.text, name)) continue;
+
+      if (statement.kind === "meta") {
+        return null;
+      }
+      const dependent =
+        statement.kind === "assignment" ? statement.target : statement.name;
+      if (dependent && !changedNames.has(dependent)) {
+        changedNames.add(dependent);
+        queue.push(dependent);
+      }
+    }
+  }
+
+  const storyNames = new Set(getStoryExports(content));
+  return [...changedNames].filter((name) => storyNames.has(name));
+};
+
+/**
+ * Convert an export name to its default story name, like Storybook's storyNameFromExport
+ * @param {string} exportName - Story export name (e.g. "PrimaryButton")
+ * @returns {string} Story name (e.g. "Primary Button")
+ */
+export const storyNameFromExport = (exportName) => {
+  return exportName
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .replace(/([a-zA-Z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-zA-Z])/g, "$1 $2")
+    .replace(/[_\s-]+/g, " ")
+    .trim()
+    .replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase());
+};
+
+/**
+ * Sanitize a title or story name into a story ID segment, like Storybook's sanitize
+ * @param {string} value - Title or story name
+ * @returns {string} ID segment
+ */
+export const sanitizeStoryIdPart = (value) => {
+  return value
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+};
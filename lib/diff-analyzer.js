@@ -6,70 +6,116 @@
 import { execSync } from "child_process";
 import fs from "fs";
 import path from "path";
+import {
+  SOURCE_EXTENSIONS,
+  buildReverseImportGraph,
+  findDependents,
+} from "./import-graph.js";
+import {
+  findChangedStoryExports,
+  getStoryExports,
+  sanitizeStoryIdPart,
+  storyNameFromExport,
+} from "./csf-parser.js";
+import {
+  DEFAULT_IMPORT_GRAPH_ROOTS,
+  DEFAULT_COMPONENT_EXTENSIONS,
+  DEFAULT_STORY_EXTENSIONS,
+  DEFAULT_STORY_COLOCATION,
+  DEFAULT_GLOBAL_TRIGGERS,
+  DEFAULT_DIFF_FETCH_DEPTH,
+  DEFAULT_DIFF_MAX_FETCH_ATTEMPTS,
+} from "../visual-test-config.js";
 
 /**
  * Check if a file is a story file
  * @param {string} filePath - File path
+ * @param {string[]} storyExtensions - Story file extensions (after `.stories` / `.story`)
  * @returns {boolean} True if file is a story file
  */
-export const isStoryFile = (filePath) => {
-  return filePath.includes(".stories.") || filePath.includes(".story.");
+export const isStoryFile = (
+  filePath,
+  storyExtensions = DEFAULT_STORY_EXTENSIONS,
+) => {
+  const basename = path.basename(filePath);
+  return storyExtensions.some(
+    (ext) =>
+      basename.endsWith(`.stories${ext}`) || basename.endsWith(`.story${ext}`),
+  );
+};
+
+/**
+ * Get the component name of a file by removing its component extension
+ * @param {string} filePath - File path
+ * @param {string[]} componentExtensions - Component file suffixes
+ * @returns {string|null} Name without extension (e.g. "Button" for Button.module.css), or null if no extension matches
+ */
+const getComponentName = (filePath, componentExtensions) => {
+  const basename = path.basename(filePath);
+  // Longest suffix first, so ".module.css" wins over ".css"
+  const ext = [...componentExtensions]
+    .sort((a, b) => b.length - a.length)
+    .find((suffix) => basename.endsWith(suffix));
+
+  return ext ? basename.slice(0, -ext.length) : null;
 };
 
 /**
  * Check if a file is a component file
  * @param {string} filePath - File path
  * @param {string[]} componentPaths - Component directory paths
+ * @param {string[]} componentExtensions - Component file suffixes
  * @returns {boolean} True if file is a component file
  */
 export const isComponentFile = (
   filePath,
   componentPaths = ["src/components/"],
+  componentExtensions = DEFAULT_COMPONENT_EXTENSIONS,
 ) => {
   // Must be in one of the component directories
   if (!componentPaths.some((dir) => filePath.includes(dir))) {
     return false;
   }
 
-  // Must be .tsx file
-  if (!filePath.endsWith(".tsx")) {
+  // Must have one of the component extensions
+  const name = getComponentName(filePath, componentExtensions);
+  if (!name) {
     return false;
   }
 
   // Exclude test files
   if (
-    filePath.endsWith(".spec.tsx") ||
-    filePath.endsWith(".test.tsx") ||
-    filePath.endsWith(".stories.tsx") ||
-    filePath.endsWith(".story.tsx")
+    name.endsWith(".spec") ||
+    name.endsWith(".test") ||
+    name.endsWith(".stories") ||
+    name.endsWith(".story")
   ) {
     return false;
   }
 
   // Exclude utility and special files
-  const basename = path.basename(filePath);
   if (
-    basename.endsWith(".utils.tsx") ||
-    basename.endsWith("Utils.tsx") ||
-    basename.endsWith(".slice.tsx") ||
-    basename.endsWith(".styles.tsx") ||
-    basename.endsWith(".constants.tsx") ||
-    basename.endsWith(".types.tsx") ||
-    basename.endsWith("Props.tsx") ||
-    basename.endsWith("Context.tsx") ||
-    basename.endsWith("Provider.tsx") ||
-    basename.endsWith("Type.tsx") ||
-    basename.endsWith("Types.tsx") ||
-    basename.includes("Context") ||
-    (basename.startsWith("use") &&
-      basename.charAt(3) === basename.charAt(3).toUpperCase()) ||
-    basename === "index.tsx" ||
-    basename === "types.tsx" ||
-    basename === "App.tsx" ||
-    basename === "main.tsx" ||
-    basename === "router.tsx" ||
-    basename === "routes.tsx" ||
-    basename.startsWith("_")
+    name.endsWith(".utils") ||
+    name.endsWith("Utils") ||
+    name.endsWith(".slice") ||
+    name.endsWith(".styles") ||
+    name.endsWith(".constants") ||
+    name.endsWith(".types") ||
+    name.endsWith("Props") ||
+    name.endsWith("Context") ||
+    name.endsWith("Provider") ||
+    name.endsWith("Type") ||
+    name.endsWith("Types") ||
+    name.includes("Context") ||
+    (name.startsWith("use") &&
+      name.charAt(3) === name.charAt(3).toUpperCase()) ||
+    name === "index" ||
+    name === "types" ||
+    name === "App" ||
+    name === "main" ||
+    name === "router" ||
+    name === "routes" ||
+    name.startsWith("_")
   ) {
     return false;
   }
@@ -77,61 +123,384 @@ export const isComponentFile = (
   return true;
 };
 
+/**
+ * Get the directories that may hold the stories of a component
+ * @param {string} componentDir - Absolute directory of the component
+ * @param {string} projectRoot - Project root directory
+ * @param {object} colocation - Co-location configuration (strategies, folderName, sourceRoot, mirrorRoot)
+ * @returns {string[]} Absolute directories, in strategy order
+ */
+const getStoryDirectories = (componentDir, projectRoot, colocation) => {
+  const strategies = colocation.strategies || DEFAULT_STORY_COLOCATION;
+  const directories = [];
+
+  for (const strategy of strategies) {
+    if (strategy === "sibling") {
+      directories.push(componentDir);
+    } else if (strategy === "folder") {
+      directories.push(
+        path.join(componentDir, colocation.folderName || "__stories__"),
+      );
+    } else if (strategy === "mirror") {
+      // src/components/forms -> stories/components/forms
+      const sourceRoot = (colocation.sourceRoot || "src/").replace(/\/+$/, "");
+      const relativeDir = path
+        .relative(projectRoot, componentDir)
+        .split(path.sep)
+        .join("/");
+
+      if (
+        relativeDir === sourceRoot ||
+        relativeDir.startsWith(`${sourceRoot}/`)
+      ) {
+        directories.push(
+          path.join(
+            projectRoot,
+            colocation.mirrorRoot || "stories/",
+            relativeDir.slice(sourceRoot.length),
+          ),
+        );
+      }
+    }
+  }
+
+  return directories;
+};
+
 /**
  * Find story files for a component
  * @param {string} componentPath - Component file path
  * @param {string} projectRoot - Project root directory
+ * @param {object} [options] - Story mapping options
+ * @param {string[]} [options.componentExtensions] - Component file suffixes
+ * @param {string[]} [options.storyExtensions] - Story file extensions
+ * @param {object} [options.colocation] - Co-location configuration
  * @returns {string[]} Array of story file paths
  */
 export const findStoryFilesForComponent = (
   componentPath,
   projectRoot = process.cwd(),
+  options = {},
 ) => {
-  const dir = path.dirname(componentPath);
-  const basename = path.basename(componentPath, ".tsx");
+  const {
+    componentExtensions = DEFAULT_COMPONENT_EXTENSIONS,
+    storyExtensions = DEFAULT_STORY_EXTENSIONS,
+    colocation = {},
+  } = options;
+  const basename =
+    getComponentName(componentPath, componentExtensions) ??
+    path.basename(componentPath, path.extname(componentPath));
   const storyFiles = [];
 
-  // Check for various story file patterns
-  const possibleStoryFiles = [
-    path.join(dir, `${basename}.stories.tsx`),
-    path.join(dir, `${basename}.stories.ts`),
-    path.join(dir, `${basename}.story.tsx`),
-    path.join(dir, `${basename}.story.ts`),
-  ];
-
-  for (const storyPath of possibleStoryFiles) {
-    // Convert to relative path from project root for consistency
-    const relativePath = path.relative(projectRoot, storyPath);
-    if (fs.existsSync(storyPath)) {
-      storyFiles.push(relativePath);
+  // Check for various story file patterns in every co-location directory
+  for (const dir of getStoryDirectories(
+    path.dirname(componentPath),
+    projectRoot,
+    colocation,
+  )) {
+    for (const kind of ["stories", "story"]) {
+      for (const ext of storyExtensions) {
+        const storyPath = path.join(dir, `${basename}.${kind}${ext}`);
+        // Convert to relative path from project root for consistency
+        const relativePath = path.relative(projectRoot, storyPath);
+        if (fs.existsSync(storyPath) && !storyFiles.includes(relativePath)) {
+          storyFiles.push(relativePath);
+        }
+      }
     }
   }
 
   return storyFiles;
 };
 
+/**
+ * Convert a glob pattern to a regular expression source
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternatives
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Regular expression source (unanchored)
+ */
+const globToRegExpSource = (pattern) => {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i++;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && pattern.indexOf("}", i) !== -1) {
+      const end = pattern.indexOf("}", i);
+      const alternatives = pattern.slice(i + 1, end).split(",");
+      source += `(?:${alternatives.map(globToRegExpSource).join("|")})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Check if a file path matches a glob pattern
+ * Patterns without a slash match the file name in any directory (like .gitignore);
+ * patterns ending with a slash match everything inside that directory
+ * @param {string} filePath - File path relative to the project root
+ * @param {string} pattern - Glob pattern (e.g. ".storybook/**", "src/theme/*.ts", "package-lock.json")
+ * @returns {boolean} True if the file matches
+ */
+export const matchesGlob = (filePath, pattern) => {
+  const normalizedPath = filePath
+    .split(path.sep)
+    .join("/")
+    .replace(/^\.\//, "");
+  let normalizedPattern = pattern.replace(/^\.\//, "");
+
+  if (normalizedPattern.endsWith("/")) {
+    normalizedPattern += "**";
+  }
+
+  const regex = new RegExp(`^${globToRegExpSource(normalizedPattern)}$`);
+  return normalizedPattern.includes("/")
+    ? regex.test(normalizedPath)
+    : regex.test(path.posix.basename(normalizedPath));
+};
+
+/**
+ * Supported diff modes
+ * - committed: commits on HEAD since the merge base with the target branch
+ * - staged: committed changes plus changes staged in the index
+ * - working-tree: committed, staged and unstaged changes plus untracked story files
+ */
+export const DIFF_MODES = ["committed", "staged", "working-tree"];
+
+/**
+ * Build the git diff arguments selecting the changes of a diff mode
+ * @param {string} targetBranch - Target branch (or commit) compared against
+ * @param {string} mode - Diff mode (see DIFF_MODES)
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} git diff revision arguments
+ */
+const getDiffRevisionArgs = (targetBranch, mode, projectRoot) => {
+  if (!DIFF_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid diff mode: ${mode}. Supported: ${DIFF_MODES.join(", ")}`,
+    );
+  }
+
+  if (mode === "committed") {
+    return `${targetBranch}...HEAD`;
+  }
+
+  // The index and the working tree are compared against the merge base,
+  // so they include everything committed on HEAD as well
+  const mergeBase = execSync(`git merge-base ${targetBranch} HEAD`, {
+    encoding: "utf8",
+    cwd: projectRoot,
+  }).trim();
+
+  return mode === "staged" ? `--cached ${mergeBase}` : mergeBase;
+};
+
+// Byte values of the single-character escapes in C-style quoted git paths
+const GIT_PATH_ESCAPES = {
+  a: 7,
+  b: 8,
+  t: 9,
+  n: 10,
+  v: 11,
+  f: 12,
+  r: 13,
+  '"': 34,
+  "\\": 92,
+};
+
+/**
+ * Quote a path as a double-quoted shell argument
+ * @param {string} filePath - File path
+ * @returns {string} Quoted path
+ */
+const quoteShellPath = (filePath) =>
+  `"${filePath.replace(/["\\$`]/g, "\\$&")}"`;
+
+/**
+ * Unquote a path git printed in C-style quotes
+ * Git quotes paths with special characters (and non-ASCII bytes unless
+ * core.quotePath is false), escaping bytes as octal sequences
+ * @param {string} value - Path as printed by git
+ * @returns {string} Unquoted path
+ */
+const unquoteGitPath = (value) => {
+  if (!value.startsWith('"') || !value.endsWith('"') || value.length < 2) {
+    return value;
+  }
+
+  const bytes = [];
+  const inner = value.slice(1, -1);
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] !== "\\") {
+      bytes.push(...Buffer.from(inner[i], "utf8"));
+      continue;
+    }
+
+    const octal = inner.slice(i + 1, i + 4);
+    if (/^[0-7]{3}$/.test(octal)) {
+      bytes.push(parseInt(octal, 8));
+      i += 3;
+    } else {
+      const next = inner[i + 1];
+      bytes.push(GIT_PATH_ESCAPES[next] ?? next.charCodeAt(0));
+      i += 1;
+    }
+  }
+
+  return Buffer.from(bytes).toString("utf8");
+};
+
 /**
  * Get changed files between target branch and HEAD
- * @param {string} targetBranch - Target branch name
+ * @param {string} targetBranch - Target branch name (or commit)
  * @param {string} projectRoot - Project root directory
+ * @param {object} [options] - Diff options
+ * @param {string} [options.mode] - Diff mode: "committed" (default), "staged" or "working-tree"
+ * @param {string[]} [options.storyExtensions] - Story file extensions, for untracked story files
  * @returns {string[]} Array of changed file paths
  */
-export const getChangedFiles = (targetBranch, projectRoot = process.cwd()) => {
+export const getChangedFiles = (
+  targetBranch,
+  projectRoot = process.cwd(),
+  options = {},
+) => {
+  const { mode = "committed", storyExtensions = DEFAULT_STORY_EXTENSIONS } =
+    options;
+
   try {
-    const output = execSync(`git diff --name-only ${targetBranch}...HEAD`, {
-      encoding: "utf8",
-      cwd: projectRoot,
-    });
+    const output = execSync(
+      `git diff --name-only ${getDiffRevisionArgs(targetBranch, mode, projectRoot)}`,
+      {
+        encoding: "utf8",
+        cwd: projectRoot,
+      },
+    );
 
-    return output
+    const files = output
       .split("\n")
       .filter(Boolean)
-      .map((file) => file.trim());
+      .map((file) => unquoteGitPath(file.trim()));
+
+    if (mode === "working-tree") {
+      // New story files are not known to git diff until they are added
+      const untracked = execSync("git ls-files --others --exclude-standard", {
+        encoding: "utf8",
+        cwd: projectRoot,
+      })
+        .split("\n")
+        .map((file) => unquoteGitPath(file.trim()))
+        .filter((file) => file && isStoryFile(file, storyExtensions));
+
+      return [...new Set([...files, ...untracked])];
+    }
+
+    return files;
   } catch (error) {
     throw new Error(`Failed to get changed files: ${error.message}`);
   }
 };
 
+/**
+ * Get changed line ranges per file between target branch and HEAD
+ * Line numbers refer to the new side of the diff (HEAD, the index or the working
+ * tree, depending on the mode); a pure deletion marks the line before it
+ * Untracked files have no ranges, so all of their stories are selected
+ * @param {string} targetBranch - Target branch name (or commit)
+ * @param {string[]} files - Files to diff
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [mode] - Diff mode: "committed" (default), "staged" or "working-tree"
+ * @returns {Map<string, Array<[number, number]>>} Map of file path to changed line ranges (inclusive)
+ */
+export const getChangedLineRanges = (
+  targetBranch,
+  files,
+  projectRoot = process.cwd(),
+  mode = "committed",
+) => {
+  const ranges = new Map();
+  if (files.length === 0) {
+    return ranges;
+  }
+
+  let output;
+  try {
+    output = execSync(
+      `git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ ${getDiffRevisionArgs(targetBranch, mode, projectRoot)} -- ${files.map(quoteShellPath).join(" ")}`,
+      { encoding: "utf8", cwd: projectRoot },
+    );
+  } catch (error) {
+    throw new Error(`Failed to get changed lines: ${error.message}`);
+  }
+
+  let currentFile = null;
+  for (const line of output.split("\n")) {
+    if (line.startsWith("+++ ")) {
+      // Explicit prefixes override diff.noprefix and diff.mnemonicPrefix;
+      // names containing spaces end with a tab
+      const name = unquoteGitPath(line.slice(4).replace(/\t$/, ""));
+      currentFile = name === "/dev/null" ? null : name.replace(/^b\//, "");
+      if (currentFile && !ranges.has(currentFile)) {
+        ranges.set(currentFile, []);
+      }
+      continue;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk && currentFile) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      ranges
+        .get(currentFile)
+        .push(count === 0 ? [start, start] : [start, start + count - 1]);
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Read a file as it is on the new side of a diff mode
+ * Committed changes are read from HEAD and staged changes from the index, so
+ * line numbers match getChangedLineRanges; only the working-tree mode reads
+ * the file on disk
+ * @param {string} filePath - File path relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [mode] - Diff mode: "committed" (default), "staged" or "working-tree"
+ * @returns {string} File content
+ */
+const readFileAtRevision = (
+  filePath,
+  projectRoot = process.cwd(),
+  mode = "committed",
+) => {
+  if (mode === "working-tree") {
+    return fs.readFileSync(path.join(projectRoot, filePath), "utf8");
+  }
+
+  const revision = mode === "staged" ? "" : "HEAD";
+  return execSync(`git show ${quoteShellPath(`${revision}:${filePath}`)}`, {
+    encoding: "utf8",
+    cwd: projectRoot,
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+};
+
 /**
  * Check if branch exists locally
  * @param {string} branchName - Branch name
@@ -191,21 +560,148 @@ export const getDefaultRemote = (projectRoot = process.cwd()) => {
   }
 };
 
+/**
+ * Run a git command, returning its output or null if it fails
+ * @param {string} command - git command
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Trimmed output or null on failure
+ */
+const tryGit = (command, projectRoot) => {
+  try {
+    return execSync(command, {
+      encoding: "utf8",
+      cwd: projectRoot,
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Resolve the ref diff mode compares against
+ * Tries the local branch, then the remote-tracking branch, then fetches the
+ * branch from the remote. Shallow clones are deepened step by step until a
+ * merge base with HEAD exists. If no usable ref or merge base can be found,
+ * the result asks for a full run instead of failing.
+ * @param {string} targetBranch - Target branch (or commit)
+ * @param {string} projectRoot - Project root directory
+ * @param {object} [options] - Resolution options
+ * @param {boolean} [options.autoFetch=true] - Fetch the branch and deepen shallow clones when needed
+ * @param {number} [options.fetchDepth] - Commits fetched per fetch/deepen step
+ * @param {number} [options.maxFetchAttempts] - Maximum number of deepen steps
+ * @returns {{ref: string|null, mergeBase: string|null, source: string|null, fullRun: boolean, reason: string|null, steps: string[]}} Resolution, with the steps taken
+ */
+export const resolveTargetRef = (
+  targetBranch,
+  projectRoot = process.cwd(),
+  options = {},
+) => {
+  const {
+    autoFetch = true,
+    fetchDepth = DEFAULT_DIFF_FETCH_DEPTH,
+    maxFetchAttempts = DEFAULT_DIFF_MAX_FETCH_ATTEMPTS,
+  } = options;
+  const steps = [];
+  const remote = getDefaultRemote(projectRoot);
+  const remoteRef = `${remote}/${targetBranch}`;
+  const refspec = `+refs/heads/${targetBranch}:refs/remotes/${remoteRef}`;
+
+  const fallback = (reason) => ({
+    ref: null,
+    mergeBase: null,
+    source: null,
+    fullRun: true,
+    reason,
+    steps,
+  });
+
+  let ref = null;
+  let source = null;
+
+  if (branchExists(targetBranch, projectRoot)) {
+    ref = targetBranch;
+    source = "local";
+  } else if (branchExists(remoteRef, projectRoot)) {
+    ref = remoteRef;
+    source = "remote";
+    steps.push(`${targetBranch} not found locally, using ${remoteRef}`);
+  } else if (autoFetch) {
+    steps.push(`${targetBranch} not found locally, fetching from ${remote}`);
+    if (
+      tryGit(
+        `git fetch --no-tags --depth=${fetchDepth} ${remote} ${refspec}`,
+        projectRoot,
+      ) !== null
+    ) {
+      ref = remoteRef;
+      source = "fetched";
+      steps.push(`Fetched ${remoteRef} (depth ${fetchDepth})`);
+    }
+  }
+
+  if (!ref) {
+    return fallback(`${targetBranch} was not found locally or on ${remote}`);
+  }
+
+  const findMergeBase = () =>
+    tryGit(`git merge-base ${ref} HEAD`, projectRoot) || null;
+
+  let mergeBase = findMergeBase();
+
+  // Shallow clones may not contain the common ancestor yet
+  for (
+    let attempt = 1;
+    !mergeBase &&
+    autoFetch &&
+    attempt <= maxFetchAttempts &&
+    tryGit("git rev-parse --is-shallow-repository", projectRoot) === "true";
+    attempt++
+  ) {
+    steps.push(
+      `No merge base with ${ref} in shallow history, deepening by ${fetchDepth} commits (${attempt}/${maxFetchAttempts})`,
+    );
+    const fetchTarget = source === "local" ? "" : ` ${refspec}`;
+    if (
+      tryGit(
+        `git fetch --no-tags --deepen=${fetchDepth} ${remote}${fetchTarget}`,
+        projectRoot,
+      ) === null
+    ) {
+      steps.push(`Fetching from ${remote} failed`);
+      break;
+    }
+    mergeBase = findMergeBase();
+  }
+
+  if (!mergeBase) {
+    return fallback(`No merge base between HEAD and ${ref}`);
+  }
+
+  return { ref, mergeBase, source, fullRun: false, reason: null, steps };
+};
+
 /**
  * Map component files to their story files
  * @param {string[]} componentFiles - Array of component file paths
  * @param {string} projectRoot - Project root directory
+ * @param {object} [options] - Story mapping options (see findStoryFilesForComponent)
  * @returns {Map<string, string[]>} Map of component path to story paths
  */
 export const mapComponentsToStories = (
   componentFiles,
   projectRoot = process.cwd(),
+  options = {},
 ) => {
   const componentToStoryMap = new Map();
 
   for (const componentFile of componentFiles) {
     const componentPath = path.join(projectRoot, componentFile);
-    const stories = findStoryFilesForComponent(componentPath, projectRoot);
+    const stories = findStoryFilesForComponent(
+      componentPath,
+      projectRoot,
+      options,
+    );
 
     if (stories.length > 0) {
       componentToStoryMap.set(componentFile, stories);
@@ -217,29 +713,55 @@ export const mapComponentsToStories = (
 
 /**
  * Find affected stories from changed files
+ * Besides sibling story files of changed components, every story file that
+ * transitively imports a changed module is selected (reverse import graph).
+ * When changed line ranges are given, story files that only changed
+ * themselves are narrowed down to the story exports those lines affect.
+ * Changes matching `globalTriggers` request a full run, and changes matching
+ * a `triggerMappings` glob select the story files mapped to it.
  * @param {string[]} changedFiles - Array of changed file paths
  * @param {object} config - Configuration object
+ * @param {string} projectRoot - Project root directory
+ * @param {Map<string, Array<[number, number]>>} [changedLineRanges] - Result of getChangedLineRanges
+ * @param {string} [mode] - Diff mode the line ranges were taken in; story files are read at its revision
  * @returns {object} Object with story files, component files, and mapping
  */
-export const findAffectedStories = (changedFiles, config) => {
+export const findAffectedStories = (
+  changedFiles,
+  config,
+  projectRoot = process.cwd(),
+  changedLineRanges = null,
+  mode = "committed",
+) => {
   const storyFiles = [];
   const componentFiles = [];
   const otherFiles = [];
 
+  const componentPaths = config.snapshot.paths.componentPaths;
+  const {
+    componentExtensions = DEFAULT_COMPONENT_EXTENSIONS,
+    storyExtensions = DEFAULT_STORY_EXTENSIONS,
+    colocation = {},
+  } = config.snapshot.diff || {};
+  const isStory = (file) => isStoryFile(file, storyExtensions);
+
+  // Stories in a mirror tree live outside the component paths
+  const storyPaths = (
+    colocation.strategies || DEFAULT_STORY_COLOCATION
+  ).includes("mirror")
+    ? [...componentPaths, colocation.mirrorRoot || "stories/"]
+    : componentPaths;
+
   for (const file of changedFiles) {
     // Only process files in src/ directory (or other configured paths)
-    const inComponentPath = config.snapshot.paths.componentPaths.some((dir) =>
-      file.startsWith(dir),
-    );
+    const inComponentPath = componentPaths.some((dir) => file.startsWith(dir));
 
-    if (!inComponentPath) {
-      otherFiles.push(file);
-      continue;
-    }
-
-    if (isStoryFile(file)) {
+    if (isStory(file) && storyPaths.some((dir) => file.startsWith(dir))) {
       storyFiles.push(file);
-    } else if (isComponentFile(file, config.snapshot.paths.componentPaths)) {
+    } else if (
+      inComponentPath &&
+      isComponentFile(file, componentPaths, componentExtensions)
+    ) {
       componentFiles.push(file);
     } else {
       otherFiles.push(file);
@@ -247,62 +769,170 @@ export const findAffectedStories = (changedFiles, config) => {
   }
 
   // Find story files for changed components
-  const componentToStoryMap = mapComponentsToStories(componentFiles);
+  const componentToStoryMap = mapComponentsToStories(
+    componentFiles,
+    projectRoot,
+    { componentExtensions, storyExtensions, colocation },
+  );
   const storyFilesFromComponents = [];
 
   for (const stories of componentToStoryMap.values()) {
     storyFilesFromComponents.push(...stories);
   }
 
+  // Find story files depending on any changed module through imports
+  const importGraphConfig = config.snapshot.diff?.importGraph || {};
+  let dependencyChains = new Map();
+
+  if (importGraphConfig.enabled !== false) {
+    const graph = buildReverseImportGraph(
+      importGraphConfig.roots || DEFAULT_IMPORT_GRAPH_ROOTS,
+      projectRoot,
+    );
+    dependencyChains = findDependents(changedFiles, graph, isStory);
+  }
+
   // Combine all story files and get unique paths
   const allStoryFiles = [
-    ...new Set([...storyFiles, ...storyFilesFromComponents]),
+    ...new Set([
+      ...storyFiles,
+      ...storyFilesFromComponents,
+      ...dependencyChains.keys(),
+    ]),
   ];
 
+  // Files with a global impact escalate to a full run, or to the story
+  // files mapped to them
+  const { globalTriggers = DEFAULT_GLOBAL_TRIGGERS, triggerMappings = {} } =
+    config.snapshot.diff || {};
+  const globalTriggerFiles = changedFiles.filter((file) =>
+    globalTriggers.some((pattern) => matchesGlob(file, pattern)),
+  );
+  const triggeredStoryPatterns = new Map();
+
+  for (const file of changedFiles) {
+    const patterns = Object.entries(triggerMappings)
+      .filter(([trigger]) => matchesGlob(file, trigger))
+      .flatMap(([, storyPatterns]) => storyPatterns);
+    if (patterns.length > 0) {
+      triggeredStoryPatterns.set(file, [...new Set(patterns)]);
+    }
+  }
+
+  // Narrow directly changed story files to the story exports that changed
+  const storyExports = new Map();
+
+  if (changedLineRanges && config.snapshot.diff?.storyLevel !== false) {
+    const selectedAsWhole = new Set([
+      ...storyFilesFromComponents,
+      ...dependencyChains.keys(),
+    ]);
+
+    for (const storyFile of storyFiles) {
+      const lineRanges = changedLineRanges.get(storyFile);
+      // Only JavaScript/TypeScript CSF files can be parsed (not MDX, Vue or Svelte)
+      if (
+        !lineRanges ||
+        selectedAsWhole.has(storyFile) ||
+        !SOURCE_EXTENSIONS.includes(path.extname(storyFile))
+      ) {
+        continue;
+      }
+
+      try {
+        const exportNames = findChangedStoryExports(
+          readFileAtRevision(storyFile, projectRoot, mode),
+          lineRanges,
+        );
+        if (exportNames) {
+          storyExports.set(storyFile, exportNames);
+        }
+      } catch {
+        // Unreadable files keep all of their stories
+      }
+    }
+  }
+
   return {
     storyFiles,
     componentFiles,
     otherFiles,
     componentToStoryMap,
+    dependencyChains,
+    storyExports,
+    globalTriggerFiles,
+    triggeredStoryPatterns,
+    fullRun: globalTriggerFiles.length > 0,
     allStoryFiles,
   };
 };
 
 /**
- * Estimate number of story exports in a file
+ * Check if a Storybook index entry belongs to one of the given story exports
+ * @param {object} story - Story index entry
+ * @param {string[]} exportNames - Story export names
+ * @returns {boolean} True if the story is one of the exports
+ */
+const isStoryForExports = (story, exportNames) => {
+  if (story.exportName) {
+    return exportNames.includes(story.exportName);
+  }
+
+  // Story IDs end with the sanitized default name of the export
+  return exportNames.some((exportName) =>
+    story.id.endsWith(
+      `--${sanitizeStoryIdPart(storyNameFromExport(exportName))}`,
+    ),
+  );
+};
+
+/**
+ * Select the stories affected by a change
+ * @param {object[]} stories - Stories from the Storybook index
+ * @param {object} affected - Result of findAffectedStories
+ * @returns {object[]} Stories in affected story files, narrowed to changed exports where known
+ */
+export const filterStoriesByChanges = (stories, affected) => {
+  if (affected.fullRun) {
+    return stories;
+  }
+
+  const storyFiles = new Set(affected.allStoryFiles);
+  const storyExports = affected.storyExports || new Map();
+  const storyPatterns = [
+    ...(affected.triggeredStoryPatterns || new Map()).values(),
+  ].flat();
+
+  return stories.filter((story) => {
+    const importPath = (story.importPath || "").replace(/^\.\//, "");
+    if (storyPatterns.some((pattern) => matchesGlob(importPath, pattern))) {
+      return true;
+    }
+    if (!storyFiles.has(importPath)) {
+      return false;
+    }
+
+    const exportNames = storyExports.get(importPath);
+    return !exportNames || isStoryForExports(story, exportNames);
+  });
+};
+
+/**
+ * Count the story exports in a file
  * @param {string} storyFilePath - Story file path
  * @param {string} projectRoot - Project root directory
+ * @param {string} [mode] - Diff mode whose revision is read; defaults to the working tree
  * @returns {number} Estimated number of story exports
  */
 export const estimateStoryExports = (
   storyFilePath,
   projectRoot = process.cwd(),
+  mode = "working-tree",
 ) => {
   try {
-    const fullPath = path.join(projectRoot, storyFilePath);
-    const content = fs.readFileSync(fullPath, "utf8");
-
-    const lines = content.split("\n");
-    let count = 0;
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-
-      // Skip meta and default exports
-      if (
-        trimmed.includes("export default") ||
-        trimmed.includes("export const meta")
-      ) {
-        continue;
-      }
-
-      // Count export const/function declarations
-      if (trimmed.match(/^export\s+(const|function)\s+\w+/)) {
-        count++;
-      }
-    }
+    const content = readFileAtRevision(storyFilePath, projectRoot, mode);
 
-    return Math.max(1, count); // At least 1 story per file
+    return Math.max(1, getStoryExports(content).length); // At least 1 story per file
   } catch {
     return 1; // Default to 1 if we can't read the file
   }
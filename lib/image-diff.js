@@ -0,0 +1,148 @@
+/**
+ * Image Diff Module
+ * Computes pixel diffs between a reference snapshot and a new screenshot
+ * and writes the expected/actual/diff images used by the HTML report
+ */
+
+import fs from "fs";
+import path from "path";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+
+/**
+ * Name of the test attachment carrying diff details from Playwright to result processing
+ */
+export const DIFF_ATTACHMENT_NAME = "visual-diff";
+
+/**
+ * Read a PNG image
+ * @param {Buffer|string} source - PNG buffer or path to a PNG file
+ * @returns {PNG} Decoded image
+ */
+export const readPng = (source) =>
+  PNG.sync.read(Buffer.isBuffer(source) ? source : fs.readFileSync(source));
+
+/**
+ * Place an image on a transparent canvas of the given size
+ * Used to compare images whose dimensions differ
+ * @param {PNG} image - Decoded image
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {PNG} Image of the requested size
+ */
+const padImage = (image, width, height) => {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+};
+
+/**
+ * Compare two PNG images pixel by pixel
+ * Images of different sizes are compared on a canvas large enough for both;
+ * the area only one image covers counts as changed
+ * @param {Buffer|string} expected - Reference image (buffer or path)
+ * @param {Buffer|string} actual - New image (buffer or path)
+ * @param {object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Color threshold (0-1), same meaning as Playwright's threshold
+ * @returns {object} Result with width, height, diffPixels, diffRatio, dimensionsMatch and diffImage (PNG buffer)
+ */
+export const compareImages = (expected, actual, options = {}) => {
+  const expectedImage = readPng(expected);
+  const actualImage = readPng(actual);
+
+  const width = Math.max(expectedImage.width, actualImage.width);
+  const height = Math.max(expectedImage.height, actualImage.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padImage(expectedImage, width, height).data,
+    padImage(actualImage, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold: options.threshold ?? 0.1 },
+  );
+
+  return {
+    width,
+    height,
+    diffPixels,
+    diffRatio: width * height > 0 ? diffPixels / (width * height) : 0,
+    dimensionsMatch:
+      expectedImage.width === actualImage.width &&
+      expectedImage.height === actualImage.height,
+    diffImage: PNG.sync.write(diff),
+  };
+};
+
+/**
+ * Compare two images and save the expected/actual/diff triplet
+ * @param {object} options - Options
+ * @param {Buffer|string} options.expected - Reference image (buffer or path)
+ * @param {Buffer|string} options.actual - New image (buffer or path)
+ * @param {string} options.outputDir - Directory the images are written to
+ * @param {string} options.name - Base file name (e.g. sanitized story ID)
+ * @param {number} [options.threshold] - Color threshold (0-1)
+ * @returns {object} Paths of the written images plus diff statistics
+ */
+export const writeDiffTriplet = ({
+  expected,
+  actual,
+  outputDir,
+  name,
+  threshold,
+}) => {
+  const result = compareImages(expected, actual, { threshold });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const expectedPath = path.join(outputDir, `${name}-expected.png`);
+  const actualPath = path.join(outputDir, `${name}-actual.png`);
+  const diffPath = path.join(outputDir, `${name}-diff.png`);
+
+  fs.writeFileSync(
+    expectedPath,
+    Buffer.isBuffer(expected) ? expected : fs.readFileSync(expected),
+  );
+  fs.writeFileSync(
+    actualPath,
+    Buffer.isBuffer(actual) ? actual : fs.readFileSync(actual),
+  );
+  fs.writeFileSync(diffPath, result.diffImage);
+
+  return {
+    expectedPath,
+    actualPath,
+    diffPath,
+    width: result.width,
+    height: result.height,
+    diffPixels: result.diffPixels,
+    diffRatio: result.diffRatio,
+    dimensionsMatch: result.dimensionsMatch,
+  };
+};
+
+/**
+ * Read diff details attached to a Playwright test result
+ * @param {object} result - Test result from the Playwright JSON report
+ * @returns {object|null} Diff details or null if none were attached
+ */
+export const readDiffAttachment = (result) => {
+  const attachment = (result?.attachments || []).find(
+    (a) => a.name === DIFF_ATTACHMENT_NAME && a.body,
+  );
+
+  if (!attachment) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(attachment.body, "base64").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,387 @@
+/**
+ * Import Graph Module
+ * Builds a reverse import graph of the source tree so changes to shared
+ * modules (hooks, contexts, styles, tokens, utilities) can be traced to
+ * the story files that depend on them
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Extensions of source files whose imports are followed
+ */
+export const SOURCE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+];
+
+/**
+ * TypeScript files may be imported with the extension of their compiled output
+ */
+const COMPILED_EXTENSION_SOURCES = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+/**
+ * Directories never scanned for source files
+ */
+const IGNORED_DIRECTORIES = new Set(["node_modules", ".git", "dist", "build"]);
+
+/**
+ * Module specifiers in import/export statements, dynamic imports and require calls
+ */
+const IMPORT_PATTERNS = [
+  /\b(?:import|export)\s+(?:type\s+)?[^'"`;]*?\bfrom\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+];
+
+/**
+ * Extract module specifiers imported by a source file
+ * @param {string} content - Source file content
+ * @returns {string[]} Unique module specifiers
+ */
+export const parseImports = (content) => {
+  const specifiers = new Set();
+
+  for (const pattern of IMPORT_PATTERNS) {
+    for (const match of content.matchAll(pattern)) {
+      specifiers.add(match[1]);
+    }
+  }
+
+  return [...specifiers];
+};
+
+/**
+ * Remove comments and trailing commas from JSONC (tsconfig.json) content
+ * @param {string} content - JSONC content
+ * @returns {string} Plain JSON content
+ */
+const stripJsonComments = (content) => {
+  let result = "";
+  let inString = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += next ?? "";
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === "/" && next === "/") {
+      // Line comment: skip to the end of the line
+      const end = content.indexOf("\n", i);
+      i = end === -1 ? content.length : end - 1;
+    } else if (char === "/" && next === "*") {
+      // Block comment: skip past the closing */
+      const end = content.indexOf("*/", i + 2);
+      i = end === -1 ? content.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result.replace(/,(\s*[}\]])/g, "$1");
+};
+
+/**
+ * Read compilerOptions from a tsconfig/jsconfig file, following relative `extends`
+ * @param {string} configPath - Absolute path to the config file
+ * @param {Set<string>} [seen] - Config files already read (guards against cycles)
+ * @returns {{baseUrl?: string, paths?: object}} compilerOptions with baseUrl resolved to an absolute path
+ */
+const readCompilerOptions = (configPath, seen = new Set()) => {
+  if (seen.has(configPath) || !fs.existsSync(configPath)) {
+    return {};
+  }
+  seen.add(configPath);
+
+  let tsconfig;
+  try {
+    tsconfig = JSON.parse(
+      stripJsonComments(fs.readFileSync(configPath, "utf8")),
+    );
+  } catch {
+    return {};
+  }
+
+  const configDir = path.dirname(configPath);
+  let inherited = {};
+
+  if (
+    typeof tsconfig.extends === "string" &&
+    tsconfig.extends.startsWith(".")
+  ) {
+    const parentPath = path.resolve(configDir, tsconfig.extends);
+    inherited = readCompilerOptions(
+      parentPath.endsWith(".json") ? parentPath : `${parentPath}.json`,
+      seen,
+    );
+  }
+
+  const options = tsconfig.compilerOptions || {};
+  const own = {};
+
+  if (options.baseUrl !== undefined) {
+    own.baseUrl = path.resolve(configDir, options.baseUrl);
+  }
+  if (options.paths) {
+    own.paths = options.paths;
+    // Without baseUrl, paths are relative to the config file
+    own.pathsBase = own.baseUrl || configDir;
+  }
+
+  return { ...inherited, ...own };
+};
+
+/**
+ * Load path aliases from tsconfig.json (or jsconfig.json)
+ * @param {string} projectRoot - Project root directory
+ * @returns {{baseUrl: string|null, aliases: Array<{pattern: string, targets: string[]}>}} Alias configuration
+ */
+export const loadPathAliases = (projectRoot = process.cwd()) => {
+  const configPath = ["tsconfig.json", "jsconfig.json"]
+    .map((name) => path.join(projectRoot, name))
+    .find((candidate) => fs.existsSync(candidate));
+
+  if (!configPath) {
+    return { baseUrl: null, aliases: [] };
+  }
+
+  const options = readCompilerOptions(configPath);
+  const pathsBase = options.pathsBase || options.baseUrl || projectRoot;
+
+  return {
+    baseUrl: options.baseUrl || null,
+    aliases: Object.entries(options.paths || {}).map(([pattern, targets]) => ({
+      pattern,
+      targets: targets.map((target) => path.resolve(pathsBase, target)),
+    })),
+  };
+};
+
+/**
+ * Check if a path is an existing file
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} True if the file exists
+ */
+const isFile = (filePath) => {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Resolve an import target to a file, trying extensions and index barrels
+ * @param {string} basePath - Absolute path without (or with) extension
+ * @returns {string|null} Absolute file path or null if not found
+ */
+const resolveFile = (basePath) => {
+  if (isFile(basePath)) {
+    return basePath;
+  }
+
+  const ext = path.extname(basePath);
+  for (const sourceExt of COMPILED_EXTENSION_SOURCES[ext] || []) {
+    const candidate = basePath.slice(0, -ext.length) + sourceExt;
+    if (isFile(candidate)) {
+      return candidate;
+    }
+  }
+
+  for (const sourceExt of SOURCE_EXTENSIONS) {
+    if (isFile(basePath + sourceExt)) {
+      return basePath + sourceExt;
+    }
+  }
+
+  for (const sourceExt of SOURCE_EXTENSIONS) {
+    const indexFile = path.join(basePath, `index${sourceExt}`);
+    if (isFile(indexFile)) {
+      return indexFile;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a module specifier to a project file
+ * Package imports (anything not relative, aliased or under baseUrl) resolve to null
+ * @param {string} specifier - Module specifier
+ * @param {string} fromFile - Absolute path of the importing file
+ * @param {object} [pathAliases] - Result of loadPathAliases
+ * @returns {string|null} Absolute file path or null
+ */
+export const resolveImport = (
+  specifier,
+  fromFile,
+  pathAliases = { baseUrl: null, aliases: [] },
+) => {
+  if (specifier.startsWith(".") || specifier.startsWith("/")) {
+    return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+
+  for (const { pattern, targets } of pathAliases.aliases) {
+    const starIndex = pattern.indexOf("*");
+    let wildcard = null;
+
+    if (starIndex === -1) {
+      if (specifier !== pattern) continue;
+    } else {
+      const prefix = pattern.slice(0, starIndex);
+      const suffix = pattern.slice(starIndex + 1);
+      if (
+        !specifier.startsWith(prefix) ||
+        !specifier.endsWith(suffix) ||
+        specifier.length < prefix.length + suffix.length
+      ) {
+        continue;
+      }
+      wildcard = specifier.slice(
+        prefix.length,
+        specifier.length - suffix.length,
+      );
+    }
+
+    for (const target of targets) {
+      const resolved = resolveFile(
+        wildcard === null ? target : target.replace("*", wildcard),
+      );
+      if (resolved) {
+        return resolved;
+      }
+    }
+  }
+
+  if (pathAliases.baseUrl) {
+    return resolveFile(path.join(pathAliases.baseUrl, specifier));
+  }
+
+  return null;
+};
+
+/**
+ * Recursively list source files under the given directories
+ * @param {string[]} roots - Directories relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {string[]} Absolute file paths
+ */
+export const findSourceFiles = (roots, projectRoot = process.cwd()) => {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          walk(fullPath);
+        }
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  for (const root of roots) {
+    const rootPath = path.resolve(projectRoot, root);
+    if (fs.existsSync(rootPath)) {
+      walk(rootPath);
+    }
+  }
+
+  return [...new Set(files)];
+};
+
+/**
+ * Build the reverse import graph of the source tree
+ * @param {string[]} roots - Directories to scan, relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {Map<string, Set<string>>} Map of module path to the files importing it (paths relative to the project root)
+ */
+export const buildReverseImportGraph = (roots, projectRoot = process.cwd()) => {
+  const pathAliases = loadPathAliases(projectRoot);
+  const graph = new Map();
+  const toRelative = (filePath) =>
+    path.relative(projectRoot, filePath).split(path.sep).join("/");
+
+  for (const file of findSourceFiles(roots, projectRoot)) {
+    let content;
+    try {
+      content = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+
+    const importer = toRelative(file);
+
+    for (const specifier of parseImports(content)) {
+      const resolved = resolveImport(specifier, file, pathAliases);
+      if (!resolved) continue;
+
+      const imported = toRelative(resolved);
+      if (!graph.has(imported)) {
+        graph.set(imported, new Set());
+      }
+      graph.get(imported).add(importer);
+    }
+  }
+
+  return graph;
+};
+
+/**
+ * Find files that transitively import any of the changed files
+ * @param {string[]} changedFiles - Changed file paths relative to the project root
+ * @param {Map<string, Set<string>>} graph - Reverse import graph
+ * @param {Function} [include] - Predicate selecting the dependents to return (e.g. story files)
+ * @returns {Map<string, string[]>} Map of dependent file to its dependency chain (changed file first, dependent last)
+ */
+export const findDependents = (changedFiles, graph, include = () => true) => {
+  // Breadth-first search from all changed files, so each chain is a shortest one
+  const parents = new Map(changedFiles.map((file) => [file, null]));
+  const queue = [...changedFiles];
+  const dependents = new Map();
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const importer of graph.get(current) || []) {
+      if (parents.has(importer)) continue;
+      parents.set(importer, current);
+      queue.push(importer);
+
+      if (include(importer)) {
+        const chain = [importer];
+        for (let node = current; node !== null; node = parents.get(node)) {
+          chain.unshift(node);
+        }
+        dependents.set(importer, chain);
+      }
+    }
+  }
+
+  return dependents;
+};
@@ -0,0 +1,66 @@
+/**
+ * Index Cache Module
+ * Keeps the last parsed index of each Storybook on disk, fingerprinted by its hash,
+ * so every command shares it and stories can be discovered while Storybook is down
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Fingerprint a Storybook index
+ * @param {object} indexJson - Parsed index.json or stories.json
+ * @returns {string} SHA-256 hash of the index
+ */
+export const getIndexHash = (indexJson) =>
+  crypto.createHash("sha256").update(JSON.stringify(indexJson)).digest("hex");
+
+/**
+ * Get the cache file of a Storybook
+ * @param {object} config - Configuration object
+ * @param {string} source - URL of the Storybook
+ * @returns {string|null} Absolute cache file path (null when `snapshot.paths.cacheDir` is not set)
+ */
+export const getIndexCacheFile = (config, source) => {
+  const cacheDir = config.snapshot?.paths?.cacheDir;
+  if (!cacheDir) return null;
+
+  const name = source
+    .replace(/^[a-z]+:\/\//i, "")
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return path.resolve(process.cwd(), cacheDir, `storybook-index-${name}.json`);
+};
+
+/**
+ * Read a cached index
+ * @param {string} cacheFile - Cache file path
+ * @returns {object|null} Cached index ({source, hash, cachedAt, version, entries}),
+ *   or null if there is no readable cache
+ */
+export const readIndexCache = (cacheFile) => {
+  try {
+    const cached = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    return Array.isArray(cached?.entries) ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Write an index to the cache
+ * The file is replaced atomically, so concurrent runs never read a partial cache
+ * @param {string} cacheFile - Cache file path
+ * @param {object} cached - Cached index ({source, hash, version, entries})
+ */
+export const writeIndexCache = (cacheFile, cached) => {
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+
+  const tempFile = `${cacheFile}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    tempFile,
+    JSON.stringify({ ...cached, cachedAt: new Date().toISOString() }),
+  );
+  fs.renameSync(tempFile, cacheFile);
+};
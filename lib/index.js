@@ -4,11 +4,26 @@
  */
 
 // Configuration
-export { loadConfig, getConfigValue } from "../config-loader.js";
+export {
+  loadConfig,
+  resolveConfig,
+  getConfigValue,
+  validateConfigFile,
+  defineConfig,
+} from "../config-loader.js";
 export * from "../visual-test-config.js";
+export {
+  CONFIG_SCHEMA,
+  DEPRECATED_CONFIG_KEYS,
+  validateConfigSchema,
+} from "./config-schema.js";
 
 // Story Discovery
 export {
+  detectStorybookVersion,
+  parseStorybookIndex,
+  fetchStorybookIndex,
+  getStoryRootSelector,
   fetchStoriesFromStorybook,
   filterStoriesByPaths,
   filterStoriesByExclusions,
@@ -18,11 +33,63 @@ export {
   matchesStoryIdFilters,
   snapshotExists,
   sanitizeSnapshotName,
+  getActiveViewports,
+  getStoryViewports,
+  getStoryViewportOverrides,
 } from "./story-discovery.js";
 
 // Result Processing
 export * from "./result-processor.js";
 
+// Browser Matrix
+export {
+  SUPPORTED_BROWSERS,
+  parseBrowsers,
+  getBrowserSnapshotDir,
+  buildBrowserProjects,
+} from "./browser-matrix.js";
+
+// Workspaces
+export {
+  getWorkspaceStorybooks,
+  getPackageSlug,
+  getPackageLogsDir,
+  getPackageSnapshotsDir,
+  parseStorybookUrl,
+  getWorkspacePackageConfig,
+} from "./workspace.js";
+
+// Story Index Cache
+export {
+  getIndexHash,
+  getIndexCacheFile,
+  readIndexCache,
+  writeIndexCache,
+} from "./index-cache.js";
+
+// Static Storybook Builds
+export {
+  getStaticDir,
+  createStaticServer,
+  startStaticStorybook,
+  withStaticStorybook,
+} from "./static-server.js";
+
+// Shared Storybook Server
+export {
+  getStorybookUrl,
+  isStorybookReachable,
+  startStorybook,
+  withStorybook,
+} from "./storybook-server.js";
+
+// Image Diff
+export {
+  compareImages,
+  writeDiffTriplet,
+  readDiffAttachment,
+} from "./image-diff.js";
+
 // Report Generation
 export {
   generateJsonReport,
@@ -30,16 +97,46 @@ export {
   generateLogReport,
 } from "./report-generator.js";
 
+// Review
+export {
+  loadReviewItems,
+  approveReviewItem,
+  createReviewServer,
+} from "./review-server.js";
+
 // Diff Analysis
 export {
   isStoryFile,
   isComponentFile,
   findStoryFilesForComponent,
+  matchesGlob,
+  DIFF_MODES,
   getChangedFiles,
+  getChangedLineRanges,
   branchExists,
   remoteBranchExists,
   getDefaultRemote,
+  resolveTargetRef,
   mapComponentsToStories,
   findAffectedStories,
+  filterStoriesByChanges,
   estimateStoryExports,
 } from "./diff-analyzer.js";
+
+// CSF Parsing
+export {
+  parseCsfStatements,
+  getStoryExports,
+  findChangedStoryExports,
+  storyNameFromExport,
+  sanitizeStoryIdPart,
+} from "./csf-parser.js";
+
+// Import Graph
+export {
+  parseImports,
+  loadPathAliases,
+  resolveImport,
+  buildReverseImportGraph,
+  findDependents,
+} from "./import-graph.js";
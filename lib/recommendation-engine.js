@@ -70,6 +70,7 @@ export const findRecommendations = async (config) => {
   const excludeTags =
     config.snapshot?.mobile?.discovery?.excludeTags ||
     DEFAULT_MOBILE_DISCOVERY_EXCLUDE_TAGS;
+  const viewports = config.snapshot?.mobile?.viewports || [];
 
   for (const file of desktopSnapshots) {
     const filePath = path.join(snapshotDir, file);
@@ -103,11 +104,21 @@ export const findRecommendations = async (config) => {
       const buffer = fs.readFileSync(filePath);
       const dimensions = imageSize(buffer);
       if (dimensions && dimensions.width > minWidth) {
-        // 5. Check if covered by mobile snapshot
+        // 5. Check if covered by mobile snapshots
         // Mobile snapshots follow pattern: sanitizedId-widthxheight.png
-        const hasMobileSnapshot = mobileSnapshots.some((mobileFile) =>
-          mobileFile.startsWith(`${storyIdFromFilename}-`),
+        // With configured viewports, every viewport needs its own snapshot
+        const missingViewports = viewports.filter(
+          (viewport) =>
+            !mobileSnapshots.includes(
+              `${storyIdFromFilename}-${viewport.width}x${viewport.height}.png`,
+            ),
         );
+        const hasMobileSnapshot =
+          viewports.length > 0
+            ? missingViewports.length === 0
+            : mobileSnapshots.some((mobileFile) =>
+                mobileFile.startsWith(`${storyIdFromFilename}-`),
+              );
 
         if (!hasMobileSnapshot) {
           recommendations.push({
@@ -117,6 +128,7 @@ export const findRecommendations = async (config) => {
             height: dimensions.height,
             filePath: filePath,
             reason: `Width ${dimensions.width}px > ${minWidth}px`,
+            missingViewports,
           });
         }
       }
@@ -7,6 +7,14 @@ import fs from "fs";
 import path from "path";
 import { promises as fsPromises } from "fs";
 import { sanitizeSnapshotName } from "./story-discovery.js";
+import {
+  getResultKey,
+  groupResultsByViewport,
+  groupResultsByBrowser,
+  groupResultsByPackage,
+} from "./result-processor.js";
+import { getBrowserSnapshotDir } from "./browser-matrix.js";
+import { getPackageSnapshotsDir } from "./workspace.js";
 
 /**
  * Escape HTML special characters
@@ -24,6 +32,61 @@ export const escapeHtml = (text) => {
   return text.replace(/[&<>"']/g, (m) => map[m]);
 };
 
+/**
+ * Summarize failures and passes per group (viewport or browser)
+ * @param {object} results - Test results object
+ * @param {Function} groupResults - Grouping function (groupResultsByViewport/groupResultsByBrowser)
+ * @param {number} [minGroups=1] - Minimum number of real groups required for a summary
+ * @returns {object|null} Map of group to counts, or null when there is nothing to group
+ */
+const summarizeResults = (results, groupResults, minGroups = 1) => {
+  const entries = [
+    ...(results.failures || []).map((f) => ({ ...f, status: "failed" })),
+    ...(results.passed || [])
+      .filter((p) => typeof p === "object")
+      .map((p) => ({ ...p, status: "passed" })),
+  ];
+
+  const groups = groupResults(entries);
+  const realGroups = [...groups.keys()].filter((key) => key !== "default");
+  if (realGroups.length < minGroups) {
+    return null;
+  }
+
+  const summary = {};
+  for (const [key, group] of groups) {
+    summary[key] = {
+      failures: group.filter((e) => e.status === "failed").length,
+      passed: group.filter((e) => e.status === "passed").length,
+    };
+  }
+  return summary;
+};
+
+/**
+ * Summarize failures and passes per viewport
+ * @param {object} results - Test results object
+ * @returns {object|null} Map of viewport to counts, or null when no result has a viewport
+ */
+const summarizeByViewport = (results) =>
+  summarizeResults(results, groupResultsByViewport);
+
+/**
+ * Summarize failures and passes per browser
+ * @param {object} results - Test results object
+ * @returns {object|null} Map of browser to counts, or null unless several browsers ran
+ */
+const summarizeByBrowser = (results) =>
+  summarizeResults(results, groupResultsByBrowser, 2);
+
+/**
+ * Summarize failures and passes per workspace package
+ * @param {object} results - Test results object
+ * @returns {object|null} Map of package to counts, or null when no result has a package
+ */
+const summarizeByPackage = (results) =>
+  summarizeResults(results, groupResultsByPackage);
+
 /**
  * Generate JSON report
  * @param {object} results - Test results object
@@ -41,9 +104,13 @@ export const generateJsonReport = async (results, config) => {
       failures: results.failures.map((f) => ({
         id: f.id,
         importPath: f.importPath,
+        viewport: f.viewport,
+        browser: f.browser,
+        package: f.package,
         message: f.message,
         screenshotPath: f.screenshotPath,
         positionDiffs: f.positionDiffs,
+        diff: f.diff,
       })),
       passed: results.passed,
       ignored: results.ignored.map((i) => ({
@@ -60,6 +127,24 @@ export const generateJsonReport = async (results, config) => {
       })),
     };
 
+    // Per-viewport summary (mobile mode runs every configured viewport)
+    const viewportSummary = summarizeByViewport(results);
+    if (viewportSummary) {
+      jsonData.viewports = viewportSummary;
+    }
+
+    // Per-browser summary (browser matrix runs)
+    const browserSummary = summarizeByBrowser(results);
+    if (browserSummary) {
+      jsonData.browsers = browserSummary;
+    }
+
+    // Per-package summary (workspace runs)
+    const packageSummary = summarizeByPackage(results);
+    if (packageSummary) {
+      jsonData.packages = packageSummary;
+    }
+
     const jsonPath = path.join(logDir, "visual-test-results.json");
     await fsPromises.writeFile(jsonPath, JSON.stringify(jsonData, null, 2), {
       encoding: "utf8",
@@ -88,19 +173,19 @@ export const generateHtmlReport = async (results, config) => {
 
   try {
     const logDir = path.join(process.cwd(), config.snapshot.paths.logsDir);
-    const snapshotDir = path.join(
-      process.cwd(),
-      config.snapshot.paths.snapshotsDir,
-    );
 
     const reportPath = path.join(logDir, "visual-test-report.html");
 
     // Deduplicate and combine
     const uniqueFailures = Array.from(
-      new Map(failures.map((f) => [f.id, { ...f, status: "failed" }])).values(),
+      new Map(
+        failures.map((f) => [getResultKey(f), { ...f, status: "failed" }]),
+      ).values(),
     );
     const uniquePassed = Array.from(
-      new Map(passed.map((p) => [p.id, { ...p, status: "passed" }])).values(),
+      new Map(
+        passed.map((p) => [getResultKey(p), { ...p, status: "passed" }]),
+      ).values(),
     );
 
     const allentries = [...uniqueFailures, ...uniquePassed];
@@ -112,10 +197,26 @@ export const generateHtmlReport = async (results, config) => {
 
     const rows = allentries.map((entry) => {
       const sanitizedId = sanitizeSnapshotName(entry.id);
-      const referenceSnapshotPath = path.join(
-        snapshotDir,
-        `${sanitizedId}.png`,
+      // Workspace entries are compared against the baselines of their package
+      const snapshotDir = path.join(
+        process.cwd(),
+        getPackageSnapshotsDir(config, entry.package),
       );
+      // Viewport entries come from mobile runs, stored under mobile/ with a -WxH suffix
+      // Non-default browsers keep their baselines in a browser subdirectory
+      const referenceSnapshotPath = entry.viewport
+        ? path.join(
+            getBrowserSnapshotDir(
+              path.join(snapshotDir, "mobile"),
+              entry.browser,
+              config,
+            ),
+            `${sanitizedId}-${entry.viewport}.png`,
+          )
+        : path.join(
+            getBrowserSnapshotDir(snapshotDir, entry.browser, config),
+            `${sanitizedId}.png`,
+          );
       const referenceSnapshotExists = fs.existsSync(referenceSnapshotPath);
 
       // Get relative paths for HTML
@@ -127,6 +228,25 @@ export const generateHtmlReport = async (results, config) => {
         ? path.relative(logDir, entry.screenshotPath).replace(/\\/g, "/")
         : null;
 
+      // Expected/actual/diff triplet computed for image mismatches
+      const diff =
+        entry.diff && fs.existsSync(entry.diff.diffPath)
+          ? {
+              expected: path
+                .relative(logDir, entry.diff.expectedPath)
+                .replace(/\\/g, "/"),
+              actual: path
+                .relative(logDir, entry.diff.actualPath)
+                .replace(/\\/g, "/"),
+              diff: path
+                .relative(logDir, entry.diff.diffPath)
+                .replace(/\\/g, "/"),
+              diffPixels: entry.diff.diffPixels,
+              diffRatio: entry.diff.diffRatio,
+              dimensionsMatch: entry.diff.dimensionsMatch,
+            }
+          : null;
+
       return {
         storyId: entry.id,
         importPath: entry.importPath || "unknown",
@@ -138,6 +258,10 @@ export const generateHtmlReport = async (results, config) => {
         hasError: !!errorScreenshotRelative,
         positionDiffs: entry.positionDiffs || [],
         status: entry.status,
+        viewport: entry.viewport || null,
+        browser: entry.browser || null,
+        package: entry.package || null,
+        diff,
       };
     });
 
@@ -255,6 +379,22 @@ export const generateHtmlContent = (
       grid-template-columns: 1fr 1fr;
       gap: 0;
     }
+    .comparison.triplet {
+      grid-template-columns: 1fr 1fr 1fr;
+    }
+    .triplet .image-container {
+      border-right: 1px solid #e0e0e0;
+    }
+    .triplet .image-container:last-child {
+      border-right: none;
+    }
+    .diff-stats {
+      padding: 10px 20px;
+      font-size: 13px;
+      color: #d32f2f;
+      background: #fff5f5;
+      border-bottom: 1px solid #e0e0e0;
+    }
     .image-container {
       padding: 20px;
       text-align: center;
@@ -321,6 +461,36 @@ export const generateHtmlContent = (
       color: #d32f2f;
       font-weight: 600;
     }
+    .package-section {
+      margin-bottom: 50px;
+    }
+    .package-title {
+      font-size: 24px;
+      margin-bottom: 20px;
+      color: #111;
+    }
+    .browser-section {
+      margin-bottom: 40px;
+    }
+    .browser-title {
+      font-size: 22px;
+      margin-bottom: 20px;
+      color: #222;
+    }
+    .viewport-section {
+      margin-bottom: 30px;
+    }
+    .viewport-title {
+      font-size: 18px;
+      margin-bottom: 15px;
+      color: #333;
+    }
+    .viewport-summary {
+      font-size: 13px;
+      font-weight: normal;
+      color: #666;
+      margin-left: 10px;
+    }
   </style>
 </head>
 <body>
@@ -334,11 +504,108 @@ export const generateHtmlContent = (
     </div>
   </div>
 
-  ${rows.map((row) => generateFailureRow(row)).join("")}
+  ${
+    rows.some((row) => row.package)
+      ? generatePackageSections(rows)
+      : generateRowsContent(rows)
+  }
 </body>
 </html>`;
 };
 
+/**
+ * Generate HTML for rows, grouped by browser or viewport when they differ
+ * @param {Array} rows - Array of row data objects
+ * @returns {string} HTML content for the rows
+ */
+const generateRowsContent = (rows) =>
+  new Set(rows.map((row) => row.browser).filter(Boolean)).size > 1
+    ? generateBrowserSections(rows)
+    : rows.some((row) => row.viewport)
+      ? generateViewportSections(rows)
+      : rows.map((row) => generateFailureRow(row)).join("");
+
+/**
+ * Generate HTML sections grouping rows by workspace package
+ * Browser and viewport sections are nested inside each package
+ * @param {Array} rows - Array of row data objects
+ * @returns {string} HTML content for all package sections
+ */
+export const generatePackageSections = (rows) => {
+  const groups = groupResultsByPackage(rows);
+
+  return Array.from(groups.entries())
+    .map(([name, packageRows]) => {
+      const failed = packageRows.filter((r) => r.status === "failed").length;
+      const passed = packageRows.filter((r) => r.status === "passed").length;
+
+      return `
+  <div class="package-section">
+    <h2 class="package-title">
+      Package ${escapeHtml(name)}
+      <span class="viewport-summary">Failed: ${failed} | Passed: ${passed}</span>
+    </h2>
+    ${generateRowsContent(packageRows)}
+  </div>`;
+    })
+    .join("");
+};
+
+/**
+ * Generate HTML sections grouping rows by viewport
+ * @param {Array} rows - Array of row data objects
+ * @returns {string} HTML content for all viewport sections
+ */
+export const generateViewportSections = (rows) => {
+  const groups = groupResultsByViewport(rows);
+
+  return Array.from(groups.entries())
+    .map(([viewport, viewportRows]) => {
+      const failed = viewportRows.filter((r) => r.status === "failed").length;
+      const passed = viewportRows.filter((r) => r.status === "passed").length;
+
+      return `
+  <div class="viewport-section">
+    <h2 class="viewport-title">
+      Viewport ${escapeHtml(viewport)}
+      <span class="viewport-summary">Failed: ${failed} | Passed: ${passed}</span>
+    </h2>
+    ${viewportRows.map((row) => generateFailureRow(row)).join("")}
+  </div>`;
+    })
+    .join("");
+};
+
+/**
+ * Generate HTML sections grouping rows by browser
+ * Viewport sections are nested inside each browser for mobile runs
+ * @param {Array} rows - Array of row data objects
+ * @returns {string} HTML content for all browser sections
+ */
+export const generateBrowserSections = (rows) => {
+  const groups = groupResultsByBrowser(rows);
+
+  return Array.from(groups.entries())
+    .map(([browser, browserRows]) => {
+      const failed = browserRows.filter((r) => r.status === "failed").length;
+      const passed = browserRows.filter((r) => r.status === "passed").length;
+
+      return `
+  <div class="browser-section">
+    <h2 class="browser-title">
+      Browser ${escapeHtml(browser)}
+      <span class="viewport-summary">Failed: ${failed} | Passed: ${passed}</span>
+    </h2>
+    ${
+      browserRows.some((row) => row.viewport)
+        ? generateViewportSections(browserRows)
+        : browserRows.map((row) => generateFailureRow(row)).join("")
+    }
+  </div>`;
+    })
+    .join("");
+};
+
 /**
  * Generate HTML for a single failure row
  * @param {object} row - Row data object
@@ -352,6 +619,51 @@ export const generateFailureRow = (row) => {
         <div class="failure-path">${escapeHtml(row.importPath)}</div>
         <div class="failure-message">${escapeHtml(row.message)}</div>
       </div>
+      ${row.diff ? generateDiffTriplet(row.diff) : generateComparison(row)}
+      ${row.positionDiffs && row.positionDiffs.length > 0 ? generatePositionDiffsTable(row.positionDiffs) : ""}
+    </div>
+  `;
+};
+
+/**
+ * Generate HTML for the expected/actual/diff images of an image mismatch
+ * @param {object} diff - Diff data (relative image paths and statistics)
+ * @returns {string} HTML content for the triplet
+ */
+export const generateDiffTriplet = (diff) => {
+  const percentage = (diff.diffRatio * 100).toFixed(2);
+  const images = [
+    ["Expected", diff.expected],
+    ["Actual", diff.actual],
+    ["Diff", diff.diff],
+  ];
+
+  return `
+      <div class="diff-stats">
+        ${diff.diffPixels.toLocaleString("en-US")} pixels differ (${percentage}%)${
+          diff.dimensionsMatch === false ? " · dimensions changed" : ""
+        }
+      </div>
+      <div class="comparison triplet">
+        ${images
+          .map(
+            ([label, src]) => `
+        <div class="image-container">
+          <div class="image-label">${label}</div>
+          <img src="${escapeHtml(src)}" alt="${label} image" />
+        </div>`,
+          )
+          .join("")}
+      </div>`;
+};
+
+/**
+ * Generate HTML comparing the reference snapshot with the error screenshot
+ * @param {object} row - Row data object
+ * @returns {string} HTML content for the comparison
+ */
+const generateComparison = (row) => {
+  return `
       <div class="comparison ${!row.hasReference || !row.hasError ? "single-image" : ""}">
         <div class="image-container">
           <div class="image-label">Reference Snapshot</div>
@@ -382,10 +694,7 @@ export const generateFailureRow = (row) => {
         `
               : ""
         }
-      </div>
-      ${row.positionDiffs && row.positionDiffs.length > 0 ? generatePositionDiffsTable(row.positionDiffs) : ""}
-    </div>
-  `;
+      </div>`;
 };
 
 /**
@@ -470,11 +779,20 @@ export const generateLogReport = async (results, config) => {
     );
     lines.push("");
 
+    // Passed entries may be plain IDs or result objects (with viewport/browser)
+    const formatId = (entry) => {
+      if (typeof entry !== "object") {
+        return entry;
+      }
+      const tags = [entry.viewport, entry.browser].filter(Boolean);
+      return tags.length > 0 ? `${entry.id} [${tags.join(", ")}]` : entry.id;
+    };
+
     // Log passed stories
     if (results.passed && results.passed.length > 0) {
       lines.push("PASSED:");
-      results.passed.forEach((id) => {
-        lines.push(`  ✓ ${id}`);
+      results.passed.forEach((entry) => {
+        lines.push(`  ✓ ${formatId(entry)}`);
       });
       lines.push("");
     }
@@ -483,7 +801,7 @@ export const generateLogReport = async (results, config) => {
     if (results.failures && results.failures.length > 0) {
       lines.push("FAILED:");
       results.failures.forEach((failure) => {
-        lines.push(`  ✗ ${failure.id}: ${failure.message}`);
+        lines.push(`  ✗ ${formatId(failure)}: ${failure.message}`);
       });
       lines.push("");
     }
@@ -516,6 +834,30 @@ export const generateLogReport = async (results, config) => {
     lines.push(`  Ignored: ${results.ignored?.length || 0}`);
     lines.push(`  Skipped: ${results.skipped?.length || 0}`);
 
+    // Per-viewport summary (mobile mode)
+    const viewportSummary = summarizeByViewport(results);
+    if (viewportSummary) {
+      lines.push("");
+      lines.push("VIEWPORTS:");
+      for (const [viewport, counts] of Object.entries(viewportSummary)) {
+        lines.push(
+          `  ${viewport}: ${counts.passed} passed, ${counts.failures} failed`,
+        );
+      }
+    }
+
+    // Per-browser summary (browser matrix)
+    const browserSummary = summarizeByBrowser(results);
+    if (browserSummary) {
+      lines.push("");
+      lines.push("BROWSERS:");
+      for (const [browser, counts] of Object.entries(browserSummary)) {
+        lines.push(
+          `  ${browser}: ${counts.passed} passed, ${counts.failures} failed`,
+        );
+      }
+    }
+
     await fsPromises.writeFile(logPath, lines.join("\n"), { encoding: "utf8" });
     return logPath;
   } catch (error) {
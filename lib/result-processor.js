@@ -6,6 +6,7 @@
 import fs from "fs";
 import path from "path";
 import { promises as fsPromises } from "fs";
+import { readDiffAttachment } from "./image-diff.js";
 
 /**
  * Check if error is a snapshot mismatch (should never be ignored)
@@ -93,6 +94,71 @@ export const parseFailures = async (logFile, config) => {
   return failures;
 };
 
+/**
+ * Build the key used to deduplicate result entries
+ * Entries from different viewports, browsers, locales or packages of the same story are kept apart
+ * @param {object} entry - Result entry
+ * @returns {string} Deduplication key
+ */
+export const getResultKey = (entry) =>
+  [entry.id, entry.viewport, entry.browser, entry.locale, entry.package]
+    .filter(Boolean)
+    .join("@");
+
+/**
+ * Extract viewport dimensions from a viewport suite title
+ * @param {string} title - Suite title (e.g. "viewport 375x667 (iPhone SE)")
+ * @returns {string|null} Viewport dimensions (e.g. "375x667") or null
+ */
+export const parseViewportFromSuiteTitle = (title) => {
+  const match = /^viewport (\d+x\d+)/.exec(title || "");
+  return match ? match[1] : null;
+};
+
+/**
+ * Group result entries by a field
+ * @param {Array} entries - Result entries
+ * @param {string} field - Entry field to group by
+ * @returns {Map<string, Array>} Map of field value (or "default") to entries
+ */
+const groupResultsBy = (entries, field) => {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = entry[field] || "default";
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  return groups;
+};
+
+/**
+ * Group result entries by viewport
+ * @param {Array} entries - Result entries
+ * @returns {Map<string, Array>} Map of viewport (or "default") to entries
+ */
+export const groupResultsByViewport = (entries) =>
+  groupResultsBy(entries, "viewport");
+
+/**
+ * Group result entries by browser (Playwright project)
+ * @param {Array} entries - Result entries
+ * @returns {Map<string, Array>} Map of browser (or "default") to entries
+ */
+export const groupResultsByBrowser = (entries) =>
+  groupResultsBy(entries, "browser");
+
+/**
+ * Group result entries by workspace package
+ * @param {Array} entries - Result entries
+ * @returns {Map<string, Array>} Map of package (or "default") to entries
+ */
+export const groupResultsByPackage = (entries) =>
+  groupResultsBy(entries, "package");
+
 /**
  * Read failures from JSONL file
  * @param {string} failuresFile - Path to failures JSONL file
@@ -108,8 +174,10 @@ export const readFailuresFromJsonl = async (failuresFile) => {
     const lines = content.split("\n").filter(Boolean);
     const failures = lines.map((line) => JSON.parse(line));
 
-    // Deduplicate by story ID
-    return Array.from(new Map(failures.map((f) => [f.id, f])).values());
+    // Deduplicate by story ID (per viewport)
+    return Array.from(
+      new Map(failures.map((f) => [getResultKey(f), f])).values(),
+    );
   } catch (error) {
     console.warn(
       `Failed to read failures from ${failuresFile}: ${error.message}`,
@@ -133,8 +201,10 @@ export const readPassedFromJsonl = async (passedFile) => {
     const lines = content.split("\n").filter(Boolean);
     const passed = lines.map((line) => JSON.parse(line));
 
-    // Deduplicate by story ID and return objects
-    return Array.from(new Map(passed.map((p) => [p.id, p])).values());
+    // Deduplicate by story ID (per viewport) and return objects
+    return Array.from(
+      new Map(passed.map((p) => [getResultKey(p), p])).values(),
+    );
   } catch (error) {
     return [];
   }
@@ -155,8 +225,10 @@ export const readIgnoredFromJsonl = async (ignoredFile) => {
     const lines = content.split("\n").filter(Boolean);
     const ignored = lines.map((line) => JSON.parse(line));
 
-    // Deduplicate by story ID
-    return Array.from(new Map(ignored.map((i) => [i.id, i])).values());
+    // Deduplicate by story ID (per viewport)
+    return Array.from(
+      new Map(ignored.map((i) => [getResultKey(i), i])).values(),
+    );
   } catch (error) {
     return [];
   }
@@ -177,8 +249,10 @@ export const readSkippedFromJsonl = async (skippedFile) => {
     const lines = content.split("\n").filter(Boolean);
     const skipped = lines.map((line) => JSON.parse(line));
 
-    // Deduplicate by story ID
-    return Array.from(new Map(skipped.map((s) => [s.id, s])).values());
+    // Deduplicate by story ID (per viewport)
+    return Array.from(
+      new Map(skipped.map((s) => [getResultKey(s), s])).values(),
+    );
   } catch (error) {
     return [];
   }
@@ -266,7 +340,11 @@ export const processTestResults = async (jsonReportPath, logsDir) => {
     const skipped = [];
 
     // Recursive function to traverse suites
-    const extractResults = (suite) => {
+    // Viewport suites (mobile mode) tag every result below them
+    const extractResults = (suite, viewport = null) => {
+      const suiteViewport =
+        parseViewportFromSuiteTitle(suite.title) || viewport;
+
       if (suite.specs) {
         for (const spec of suite.specs) {
           for (const test of spec.tests) {
@@ -286,6 +364,15 @@ export const processTestResults = async (jsonReportPath, logsDir) => {
               importPath: spec.file,
             };
 
+            if (suiteViewport) {
+              entry.viewport = suiteViewport;
+            }
+
+            // Playwright project the test ran in (browser matrix)
+            if (test.projectName) {
+              entry.browser = test.projectName;
+            }
+
             if (lastResult.status === "passed") {
               passed.push(entry);
             } else if (lastResult.status === "skipped") {
@@ -298,10 +385,18 @@ export const processTestResults = async (jsonReportPath, logsDir) => {
               const errorMessage = lastResult.error
                 ? lastResult.error.message
                 : "Unknown error";
-              failures.push({
+              const failure = {
                 ...entry,
                 message: errorMessage,
-              });
+              };
+
+              // Expected/actual/diff images written by the test generator
+              const diff = readDiffAttachment(lastResult);
+              if (diff) {
+                failure.diff = diff;
+              }
+
+              failures.push(failure);
             }
           }
         }
@@ -309,7 +404,7 @@ export const processTestResults = async (jsonReportPath, logsDir) => {
 
       if (suite.suites) {
         for (const childSuite of suite.suites) {
-          extractResults(childSuite);
+          extractResults(childSuite, suiteViewport);
         }
       }
     };
@@ -343,17 +438,148 @@ export const processTestResults = async (jsonReportPath, logsDir) => {
       skipped.map((s) => JSON.stringify(s)).join("\n"),
     );
 
-    return {
+    const summary = {
       failures: failures.length,
       passed: passed.length,
       skipped: skipped.length,
     };
+
+    // Count results per value of a field (viewport, browser)
+    const countBy = (field) => {
+      const values = new Set(
+        [...failures, ...passed, ...skipped]
+          .map((entry) => entry[field])
+          .filter(Boolean),
+      );
+      const counts = {};
+      for (const value of values) {
+        const matches = (entry) => entry[field] === value;
+        counts[value] = {
+          failures: failures.filter(matches).length,
+          passed: passed.filter(matches).length,
+          skipped: skipped.filter(matches).length,
+        };
+      }
+      return counts;
+    };
+
+    // Per-viewport breakdown (only when tests were grouped by viewport)
+    const viewports = countBy("viewport");
+    if (Object.keys(viewports).length > 0) {
+      summary.viewports = viewports;
+    }
+
+    // Per-browser breakdown (only when more than one browser ran)
+    const browsers = countBy("browser");
+    if (Object.keys(browsers).length > 1) {
+      summary.browsers = browsers;
+    }
+
+    return summary;
   } catch (error) {
     console.error(`Error processing results: ${error.message}`);
     return { failures: 0, passed: 0, skipped: 0 };
   }
 };
 
+/**
+ * Merge results of separate runs into one set of JSONL files
+ * Every merged entry is tagged with the name of its run
+ * @param {Array<{name: string, dir: string}>} runs - Logs directory of each run
+ * @param {string} logsDir - Directory the merged JSONL files are written to
+ * @param {string} field - Entry field holding the run name ("locale" or "package")
+ * @returns {Promise<object>} Merged summary with per-run counts in `runs`
+ */
+const mergeRunResults = async (runs, logsDir, field) => {
+  const failures = [];
+  const passed = [];
+  const skipped = [];
+  const counts = {};
+
+  for (const { name, dir } of runs) {
+    const tag = (entry) => ({ ...entry, [field]: name });
+    const runFailures = (
+      await readFailuresFromJsonl(path.join(dir, "visual-test-failures.jsonl"))
+    ).map(tag);
+    const runPassed = (
+      await readPassedFromJsonl(path.join(dir, "visual-test-passed.jsonl"))
+    ).map(tag);
+    const runSkipped = (
+      await readSkippedFromJsonl(path.join(dir, "visual-test-skipped.jsonl"))
+    ).map(tag);
+
+    failures.push(...runFailures);
+    passed.push(...runPassed);
+    skipped.push(...runSkipped);
+
+    counts[name] = {
+      failures: runFailures.length,
+      passed: runPassed.length,
+      skipped: runSkipped.length,
+    };
+  }
+
+  try {
+    if (!fs.existsSync(logsDir)) {
+      await fsPromises.mkdir(logsDir, { recursive: true });
+    }
+
+    await fsPromises.writeFile(
+      path.join(logsDir, "visual-test-failures.jsonl"),
+      failures.map((f) => JSON.stringify(f)).join("\n"),
+    );
+    await fsPromises.writeFile(
+      path.join(logsDir, "visual-test-passed.jsonl"),
+      passed.map((p) => JSON.stringify(p)).join("\n"),
+    );
+    await fsPromises.writeFile(
+      path.join(logsDir, "visual-test-skipped.jsonl"),
+      skipped.map((s) => JSON.stringify(s)).join("\n"),
+    );
+  } catch (error) {
+    console.error(`Error merging ${field} results: ${error.message}`);
+  }
+
+  return {
+    failures: failures.length,
+    passed: passed.length,
+    skipped: skipped.length,
+    runs: counts,
+  };
+};
+
+/**
+ * Merge results of separate locale runs into one set of JSONL files
+ * Every merged entry is tagged with its locale
+ * @param {Array<{locale: string, dir: string}>} localeDirs - Logs directory of each locale run
+ * @param {string} logsDir - Directory the merged JSONL files are written to
+ * @returns {Promise<object>} Merged summary with per-locale counts
+ */
+export const mergeLocaleResults = async (localeDirs, logsDir) => {
+  const { runs, ...summary } = await mergeRunResults(
+    localeDirs.map(({ locale, dir }) => ({ name: locale, dir })),
+    logsDir,
+    "locale",
+  );
+  return { ...summary, locales: runs };
+};
+
+/**
+ * Merge results of workspace package runs into one set of JSONL files
+ * Every merged entry is tagged with its package
+ * @param {Array<{package: string, dir: string}>} packageDirs - Logs directory of each package run
+ * @param {string} logsDir - Directory the merged JSONL files are written to
+ * @returns {Promise<object>} Merged summary with per-package counts
+ */
+export const mergePackageResults = async (packageDirs, logsDir) => {
+  const { runs, ...summary } = await mergeRunResults(
+    packageDirs.map((run) => ({ name: run.package, dir: run.dir })),
+    logsDir,
+    "package",
+  );
+  return { ...summary, packages: runs };
+};
+
 /**
  * @deprecated Use processTestResults instead
  */
@@ -0,0 +1,380 @@
+/**
+ * Review Server Module
+ * Serves a local web page to review failing snapshots and approve new baselines
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { promises as fsPromises } from "fs";
+import { escapeHtml } from "./report-generator.js";
+import { getResultKey, readFailuresFromJsonl } from "./result-processor.js";
+
+const IMAGE_KINDS = ["baseline", "actual", "diff"];
+
+/**
+ * Load the failures that can be reviewed
+ * @param {string} logsDir - Logs directory containing visual-test-failures.jsonl
+ * @returns {Promise<Array>} Review items (one per failure)
+ */
+export const loadReviewItems = async (logsDir) => {
+  const failures = await readFailuresFromJsonl(
+    path.join(logsDir, "visual-test-failures.jsonl"),
+  );
+
+  return failures.map((failure) => {
+    const diff = failure.diff || {};
+    const actualPath = diff.actualPath || null;
+
+    return {
+      key: getResultKey(failure),
+      id: failure.id,
+      importPath: failure.importPath || null,
+      viewport: failure.viewport || null,
+      browser: failure.browser || null,
+      locale: failure.locale || null,
+      message: failure.message || failure.errorMessage || "",
+      diffPixels: diff.diffPixels ?? null,
+      diffRatio: diff.diffRatio ?? null,
+      actualPath,
+      diffPath: diff.diffPath || null,
+      baselinePath: diff.baselinePath || null,
+      actualPositionsPath: diff.actualPositionsPath || null,
+      baselinePositionsPath: diff.baselinePositionsPath || null,
+      actualAriaPath: diff.actualAriaPath || null,
+      baselineAriaPath: diff.baselineAriaPath || null,
+      canApprove:
+        !!actualPath && !!diff.baselinePath && fs.existsSync(actualPath),
+      status: "pending",
+    };
+  });
+};
+
+/**
+ * Approve a review item: copy the actual image, positions and ARIA snapshot
+ * over the baseline
+ * @param {object} item - Review item
+ * @returns {Promise<string[]>} Baseline files written
+ */
+export const approveReviewItem = async (item) => {
+  if (!item.canApprove) {
+    throw new Error(`No actual snapshot available for ${item.id}`);
+  }
+
+  const pairs = [
+    [item.actualPath, item.baselinePath],
+    [item.actualPositionsPath, item.baselinePositionsPath],
+    [item.actualAriaPath, item.baselineAriaPath],
+  ].filter(([actual, baseline]) => actual && baseline && fs.existsSync(actual));
+
+  const written = [];
+
+  for (const [actual, baseline] of pairs) {
+    await fsPromises.mkdir(path.dirname(baseline), { recursive: true });
+    await fsPromises.copyFile(actual, baseline);
+    written.push(baseline);
+  }
+
+  return written;
+};
+
+/**
+ * Remove approved failures from the failures log so they are not reviewed again
+ * @param {string} logsDir - Logs directory
+ * @param {string[]} keys - Result keys of approved items
+ * @returns {Promise<void>}
+ */
+const removeApprovedFailures = async (logsDir, keys) => {
+  const failuresFile = path.join(logsDir, "visual-test-failures.jsonl");
+  const failures = await readFailuresFromJsonl(failuresFile);
+  const remaining = failures.filter((f) => !keys.includes(getResultKey(f)));
+
+  await fsPromises.writeFile(
+    failuresFile,
+    remaining.map((f) => JSON.stringify(f)).join("\n"),
+  );
+};
+
+/**
+ * Generate the review page HTML
+ * Views: side-by-side, slider and onion skin (baseline vs actual)
+ * @param {Array} items - Review items
+ * @returns {string} HTML content
+ */
+export const generateReviewPage = (items) => {
+  const cards = items
+    .map((item, index) => {
+      const labels = [item.viewport, item.browser, item.locale].filter(Boolean);
+      const stats =
+        item.diffPixels !== null
+          ? `${item.diffPixels.toLocaleString("en-US")} pixels differ (${(item.diffRatio * 100).toFixed(2)}%)`
+          : "";
+
+      return `
+  <div class="card" data-key="${escapeHtml(item.key)}">
+    <div class="card-header">
+      <div>
+        <div class="story-id">${escapeHtml(item.id)}${labels.length > 0 ? ` <span class="labels">[${escapeHtml(labels.join(", "))}]</span>` : ""}</div>
+        <div class="story-path">${escapeHtml(item.importPath || "")}</div>
+        <div class="story-message">${escapeHtml(item.message)}</div>
+        ${stats ? `<div class="story-stats">${stats}</div>` : ""}
+      </div>
+      <div class="actions">
+        <span class="status"></span>
+        ${
+          item.canApprove
+            ? `<button class="approve" onclick="decide(this, 'approve')">Approve</button>`
+            : `<span class="missing">No actual snapshot</span>`
+        }
+        <button class="reject" onclick="decide(this, 'reject')">Reject</button>
+      </div>
+    </div>
+    ${
+      item.canApprove
+        ? `
+    <div class="modes">
+      <label><input type="radio" name="mode-${index}" value="side" checked onchange="setMode(this)"> Side by side</label>
+      <label><input type="radio" name="mode-${index}" value="slider" onchange="setMode(this)"> Slider</label>
+      <label><input type="radio" name="mode-${index}" value="onion" onchange="setMode(this)"> Onion skin</label>
+      <input class="range" type="range" min="0" max="100" value="50" oninput="setAmount(this)">
+    </div>
+    <div class="viewer mode-side">
+      <div class="side">
+        <figure><figcaption>Baseline</figcaption><img src="/image?key=${encodeURIComponent(item.key)}&amp;kind=baseline" alt="Baseline"></figure>
+        <figure><figcaption>Actual</figcaption><img src="/image?key=${encodeURIComponent(item.key)}&amp;kind=actual" alt="Actual"></figure>
+        ${item.diffPath ? `<figure><figcaption>Diff</figcaption><img src="/image?key=${encodeURIComponent(item.key)}&amp;kind=diff" alt="Diff"></figure>` : ""}
+      </div>
+      <div class="stack">
+        <img class="bottom" src="/image?key=${encodeURIComponent(item.key)}&amp;kind=baseline" alt="Baseline">
+        <img class="top" src="/image?key=${encodeURIComponent(item.key)}&amp;kind=actual" alt="Actual">
+      </div>
+    </div>`
+        : ""
+    }
+  </div>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Visual Test Review</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+    h1 { margin: 0 0 5px; }
+    .summary { color: #666; margin-bottom: 20px; }
+    .card { background: white; margin-bottom: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); overflow: hidden; }
+    .card.approved { opacity: 0.6; border-left: 4px solid #2e7d32; }
+    .card.rejected { opacity: 0.6; border-left: 4px solid #d32f2f; }
+    .card-header { display: flex; justify-content: space-between; gap: 20px; padding: 15px 20px; background: #fff3cd; }
+    .story-id { font-weight: 600; font-size: 16px; }
+    .labels { color: #666; font-weight: normal; }
+    .story-path { font-family: monospace; font-size: 12px; color: #856404; }
+    .story-message { font-size: 13px; margin-top: 5px; white-space: pre-wrap; }
+    .story-stats { font-size: 13px; color: #d32f2f; margin-top: 5px; }
+    .actions { display: flex; align-items: flex-start; gap: 8px; }
+    .actions button { padding: 6px 14px; border: none; border-radius: 4px; cursor: pointer; color: white; }
+    .approve { background: #2e7d32; }
+    .reject { background: #d32f2f; }
+    .missing { font-size: 12px; color: #666; }
+    .status { font-size: 13px; font-weight: 600; }
+    .modes { display: flex; gap: 15px; align-items: center; padding: 10px 20px; font-size: 13px; border-bottom: 1px solid #e0e0e0; }
+    .range { display: none; width: 200px; }
+    .viewer { padding: 20px; background: #fafafa; }
+    .side { display: flex; gap: 20px; }
+    .side figure { margin: 0; flex: 1; text-align: center; }
+    .side figcaption { font-weight: 600; font-size: 14px; margin-bottom: 10px; }
+    .viewer img { max-width: 100%; border: 1px solid #ddd; }
+    .stack { display: none; position: relative; width: fit-content; }
+    .stack .top { position: absolute; top: 0; left: 0; }
+    .mode-side .side { display: flex; }
+    .mode-slider .side, .mode-onion .side { display: none; }
+    .mode-slider .stack, .mode-onion .stack { display: block; }
+  </style>
+</head>
+<body>
+  <h1>Visual Test Review</h1>
+  <div class="summary">${items.length} failing snapshot(s). Approving copies the actual image, positions and ARIA snapshot over the baseline.</div>
+  ${cards || "<p>No failures to review.</p>"}
+  <script>
+    function card(el) { return el.closest(".card"); }
+    function setMode(input) {
+      var c = card(input);
+      var viewer = c.querySelector(".viewer");
+      viewer.className = "viewer mode-" + input.value;
+      c.querySelector(".range").style.display = input.value === "side" ? "none" : "inline-block";
+      setAmount(c.querySelector(".range"));
+    }
+    function setAmount(range) {
+      var c = card(range);
+      var mode = c.querySelector(".viewer").className.replace("viewer mode-", "");
+      var top = c.querySelector(".stack .top");
+      top.style.opacity = mode === "onion" ? range.value / 100 : 1;
+      top.style.clipPath = mode === "slider" ? "inset(0 0 0 " + range.value + "%)" : "none";
+    }
+    function decide(button, action) {
+      var c = card(button);
+      fetch("/api/" + action, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ key: c.dataset.key })
+      })
+        .then(function (res) { return res.json(); })
+        .then(function (data) {
+          if (data.error) { alert(data.error); return; }
+          c.className = "card " + (action === "approve" ? "approved" : "rejected");
+          c.querySelector(".status").textContent = action === "approve" ? "Approved" : "Rejected";
+          c.querySelectorAll("button").forEach(function (b) { b.disabled = true; });
+        });
+    }
+  </script>
+</body>
+</html>`;
+};
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body
+ */
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Check that a request comes from the review page itself
+ * Host must be the address of the server, and Origin (sent by browsers on cross-site requests) must match it,
+ * so other web pages cannot approve or reject snapshots
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} Whether the request is same-origin
+ */
+const isSameOrigin = (req) => {
+  const { localAddress, localPort } = req.socket;
+  const address = localAddress.replace(/^::ffff:/, "");
+  const allowedHosts = [
+    address.includes(":") ? `[${address}]` : address,
+    "localhost",
+  ].map((name) => `${name}:${localPort}`);
+
+  const { host, origin } = req.headers;
+  if (!allowedHosts.includes(host)) return false;
+  return !origin || origin === `http://${host}`;
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {object} data - Response data
+ */
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Create the review HTTP server
+ * Only images belonging to a review item are served
+ * @param {object} options - Options
+ * @param {string} options.logsDir - Logs directory containing the failures log
+ * @param {Array} [options.items] - Review items (loaded from logsDir if omitted)
+ * @returns {Promise<http.Server>} HTTP server (not yet listening)
+ */
+export const createReviewServer = async ({ logsDir, items }) => {
+  const reviewItems = items || (await loadReviewItems(logsDir));
+  const findItem = (key) => reviewItems.find((item) => item.key === key);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "GET" && url.pathname === "/") {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(generateReviewPage(reviewItems));
+        return;
+      }
+
+      if (req.method === "GET" && url.pathname === "/api/items") {
+        sendJson(res, 200, reviewItems);
+        return;
+      }
+
+      if (req.method === "GET" && url.pathname === "/image") {
+        const item = findItem(url.searchParams.get("key"));
+        const kind = url.searchParams.get("kind");
+        const filePath = IMAGE_KINDS.includes(kind)
+          ? item?.[`${kind}Path`]
+          : null;
+
+        if (!filePath || !fs.existsSync(filePath)) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+
+        res.writeHead(200, { "Content-Type": "image/png" });
+        fs.createReadStream(filePath).pipe(res);
+        return;
+      }
+
+      if (
+        req.method === "POST" &&
+        (url.pathname === "/api/approve" || url.pathname === "/api/reject")
+      ) {
+        if (!isSameOrigin(req)) {
+          sendJson(res, 403, {
+            error: "Cross-origin requests are not allowed",
+          });
+          return;
+        }
+
+        const contentType = (req.headers["content-type"] || "")
+          .split(";")[0]
+          .trim()
+          .toLowerCase();
+        if (contentType !== "application/json") {
+          sendJson(res, 415, { error: "Expected an application/json body" });
+          return;
+        }
+
+        const { key } = await readJsonBody(req);
+        const item = findItem(key);
+
+        if (!item) {
+          sendJson(res, 404, { error: `Unknown story: ${key}` });
+          return;
+        }
+
+        if (url.pathname === "/api/approve") {
+          const written = await approveReviewItem(item);
+          await removeApprovedFailures(logsDir, [item.key]);
+          item.status = "approved";
+          sendJson(res, 200, { status: item.status, written });
+        } else {
+          item.status = "rejected";
+          sendJson(res, 200, { status: item.status });
+        }
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+};
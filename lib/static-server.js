@@ -0,0 +1,169 @@
+/**
+ * Static Server Module
+ * Serves a static Storybook build (`storybook build`) so tests run without a dev server
+ */
+
+import chalk from "chalk";
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".wasm": "application/wasm",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+/**
+ * Get the absolute directory of a static Storybook build
+ * @param {object} config - Configuration object
+ * @returns {string|null} Build directory (null unless `storybook.staticDir` is set)
+ */
+export const getStaticDir = (config) =>
+  config.storybook?.staticDir
+    ? path.resolve(process.cwd(), config.storybook.staticDir)
+    : null;
+
+/**
+ * Resolve a request path to a file of the build
+ * Paths outside the build directory are never served
+ * @param {string} rootDir - Absolute build directory
+ * @param {string} pathname - URL path
+ * @returns {string|null} File path, or null if there is no such file
+ */
+const resolveFile = (rootDir, pathname) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+
+  const filePath = path.join(rootDir, decoded);
+  if (filePath !== rootDir && !filePath.startsWith(`${rootDir}${path.sep}`)) {
+    return null;
+  }
+
+  const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (stats?.isDirectory()) {
+    return resolveFile(rootDir, path.posix.join(pathname, "index.html"));
+  }
+  return stats?.isFile() ? filePath : null;
+};
+
+/**
+ * Create an HTTP server for a directory of static files
+ * @param {string} rootDir - Directory to serve
+ * @returns {http.Server} HTTP server (not yet listening)
+ */
+export const createStaticServer = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  return http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const filePath = resolveFile(root, url.pathname);
+
+    if (!filePath) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream",
+    });
+
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+};
+
+/**
+ * Serve the static Storybook build of a config on a free local port
+ * @param {object} config - Configuration with `storybook.staticDir`
+ * @returns {Promise<{config: object, url: string, close: Function}>} The config
+ *   pointing at the served build, its URL and a function stopping the server
+ * @throws {Error} If the directory does not contain a Storybook build
+ */
+export const startStaticStorybook = async (config) => {
+  const staticDir = getStaticDir(config);
+
+  if (!fs.existsSync(path.join(staticDir, "iframe.html"))) {
+    throw new Error(
+      `Static Storybook build not found in ${staticDir}. Run \`storybook build\` first`,
+    );
+  }
+
+  const host = "127.0.0.1";
+  const server = createStaticServer(staticDir);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, host, resolve);
+  });
+
+  const port = String(server.address().port);
+
+  return {
+    config: { ...config, storybook: { ...config.storybook, host, port } },
+    url: `http://${host}:${port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+};
+
+/**
+ * Run a callback against the Storybook of a config
+ * A static build is served for the duration of the callback; other configs are passed through
+ * @param {object} config - Configuration object
+ * @param {Function} callback - Receives the config to test against and the URL of a served build (or null)
+ * @returns {Promise<*>} Result of the callback
+ */
+export const withStaticStorybook = async (config, callback) => {
+  if (!getStaticDir(config)) {
+    return callback(config, null);
+  }
+
+  const staticStorybook = await startStaticStorybook(config);
+  console.log(
+    chalk.gray(`  Serving static Storybook at ${staticStorybook.url}`),
+  );
+
+  try {
+    return await callback(staticStorybook.config, staticStorybook.url);
+  } finally {
+    await staticStorybook.close();
+  }
+};
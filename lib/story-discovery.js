@@ -5,6 +5,14 @@
 
 import fs from "fs";
 import path from "path";
+import { getStaticDir } from "./static-server.js";
+import { getAriaSnapshotPath } from "../playwright/accessibility-tracker.js";
+import {
+  getIndexHash,
+  getIndexCacheFile,
+  readIndexCache,
+  writeIndexCache,
+} from "./index-cache.js";
 
 /**
  * Parse comma-separated list from string
@@ -39,29 +47,126 @@ export const sanitizeSnapshotName = (storyId, viewport = null) => {
   return sanitized;
 };
 
+/**
+ * Get the viewports snapshots are taken at for the active configuration
+ * Mobile mode tests every configured viewport; other modes use a single
+ * entry (null when no viewport applies to the snapshot name)
+ * @param {object} config - Configuration object
+ * @returns {Array<object|null>} Array of viewports
+ */
+export const getActiveViewports = (config) => {
+  if (config.activeViewports && config.activeViewports.length > 0) {
+    return config.activeViewports;
+  }
+  return [config.activeViewport || null];
+};
+
+/**
+ * Check if a value is a usable viewport ({ width, height } with positive numbers)
+ * @param {*} viewport - Value to check
+ * @returns {boolean} True if value is a valid viewport
+ */
+const isValidViewport = (viewport) =>
+  !!viewport &&
+  typeof viewport === "object" &&
+  Number(viewport.width) > 0 &&
+  Number(viewport.height) > 0;
+
+/**
+ * Read per-story viewport overrides from Storybook parameters
+ * - parameters.mobileViewports: viewports tested in mobile mode
+ * - parameters.desktopViewport: viewport used outside mobile mode
+ * @param {object} entry - Story entry
+ * @returns {{mobile?: Array<object>, desktop?: object}|null} Overrides or null if none
+ */
+export const getStoryViewportOverrides = (entry) => {
+  const parameters = entry.parameters || {};
+  const overrides = {};
+
+  if (Array.isArray(parameters.mobileViewports)) {
+    const mobile = parameters.mobileViewports
+      .filter(isValidViewport)
+      .map((v) => ({
+        width: Number(v.width),
+        height: Number(v.height),
+        ...(v.name ? { name: v.name } : {}),
+      }));
+    if (mobile.length > 0) {
+      overrides.mobile = mobile;
+    }
+  }
+
+  if (isValidViewport(parameters.desktopViewport)) {
+    overrides.desktop = {
+      width: Number(parameters.desktopViewport.width),
+      height: Number(parameters.desktopViewport.height),
+    };
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+};
+
+/**
+ * Get the viewports a story is snapshotted at, honouring per-story overrides
+ * @param {object} story - Story entry (with optional _viewports overrides)
+ * @param {object} config - Configuration object
+ * @returns {Array<object|null>} Array of viewports
+ */
+export const getStoryViewports = (story, config) => {
+  const overrides = story._viewports || {};
+
+  if (config.activeViewports && config.activeViewports.length > 0) {
+    return overrides.mobile || config.activeViewports;
+  }
+
+  if (overrides.desktop) {
+    return [overrides.desktop];
+  }
+
+  return getActiveViewports(config);
+};
+
 /**
  * Check if a snapshot exists for a story
  * @param {string} storyId - Story ID
  * @param {object} config - Configuration object
+ * @param {Array<object|null>} [viewports] - Viewports to check (defaults to the active viewports)
  * @returns {boolean} True if snapshot exists
  */
-export const snapshotExists = (storyId, config) => {
-  const baseName = sanitizeSnapshotName(storyId, config.activeViewport);
+export const snapshotExists = (
+  storyId,
+  config,
+  viewports = getActiveViewports(config),
+) => {
   const snapshotDir = path.join(
     process.cwd(),
     config.snapshot.paths.snapshotsDir,
   );
 
-  const imageSnapshotPath = path.join(snapshotDir, `${baseName}.png`);
-  const positionSnapshotPath = path.join(
-    snapshotDir,
-    `${baseName}.positions.json`,
-  );
+  const accessibility = config.snapshot.accessibility;
 
-  // Story is considered to have a snapshot if either image or position snapshot exists
-  return (
-    fs.existsSync(imageSnapshotPath) || fs.existsSync(positionSnapshotPath)
-  );
+  // Story is considered to have a snapshot if an image, position or (when
+  // enabled) accessibility snapshot exists for any of the given viewports
+  return viewports.some((viewport) => {
+    const baseName = sanitizeSnapshotName(storyId, viewport);
+    const imageSnapshotPath = path.join(snapshotDir, `${baseName}.png`);
+    const positionSnapshotPath = path.join(
+      snapshotDir,
+      `${baseName}.positions.json`,
+    );
+
+    return (
+      fs.existsSync(imageSnapshotPath) ||
+      fs.existsSync(positionSnapshotPath) ||
+      (!!accessibility?.enabled &&
+        fs.existsSync(
+          path.resolve(
+            process.cwd(),
+            getAriaSnapshotPath(imageSnapshotPath, accessibility.snapshotDir),
+          ),
+        ))
+    );
+  });
 };
 
 /**
@@ -200,41 +305,259 @@ export const matchesStoryIdFilters = (entry, storyIds) => {
 };
 
 /**
- * Fetch stories from Storybook
- * @param {object} config - Configuration object
- * @param {boolean} [includeAllMatching=false] - Include all matching stories regardless of snapshot existence
- * @returns {Promise<Array>} Array of story entries
+ * Index file of Storybook 6 (`features.buildStoriesJson`), used when there is no index.json
  */
-export const fetchStoriesFromStorybook = async (
-  config,
-  includeAllMatching = false,
-) => {
-  const indexUrl = `http://${config.storybook.host}:${config.storybook.port}${config.storybook.indexPath}`;
+const LEGACY_INDEX_FILE = "stories.json";
+
+/**
+ * Detect the major Storybook version from the format of its index
+ * @param {object} indexJson - Parsed index.json or stories.json
+ * @returns {number|null} 6 (stories.json), 7 (index.json v4), 8 (index.json v5, also
+ *   written by later versions) or null if the format is unknown
+ */
+export const detectStorybookVersion = (indexJson) => {
+  if (indexJson?.entries) return Number(indexJson.v) >= 5 ? 8 : 7;
+  if (indexJson?.stories) return 6;
+  return null;
+};
 
+/**
+ * Turn a Storybook 6 stories.json entry into an index.json entry
+ * @param {object} entry - stories.json entry (kind, story, parameters.fileName)
+ * @returns {object} Story entry
+ */
+const normalizeLegacyEntry = (entry) => ({
+  ...entry,
+  type: entry.parameters?.docsOnly ? "docs" : "story",
+  title: entry.title ?? entry.kind,
+  name: entry.name ?? entry.story,
+  importPath: entry.importPath ?? entry.parameters?.fileName,
+  tags: entry.tags ?? [],
+});
+
+/**
+ * Get the entries of an index.json or a Storybook 6 stories.json
+ * @param {object} indexJson - Parsed index
+ * @returns {{version: number|null, entries: Array<object>}} Detected major version and entries
+ */
+export const parseStorybookIndex = (indexJson) => {
+  const version = detectStorybookVersion(indexJson);
+  const entries =
+    version === 6
+      ? Object.values(indexJson.stories).map(normalizeLegacyEntry)
+      : Object.values(indexJson?.entries ?? {});
+
+  return { version, entries };
+};
+
+/**
+ * Fetch a JSON file from a running Storybook
+ * @param {string} url - File URL
+ * @returns {Promise<object|null>} Parsed JSON, or null if the Storybook has no such file
+ */
+const fetchStorybookJson = async (url) => {
   // Add timeout to prevent hanging indefinitely
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
 
   let response;
   try {
-    response = await fetch(indexUrl, { signal: controller.signal });
+    response = await fetch(url, { signal: controller.signal });
   } catch (error) {
     if (error.name === "AbortError") {
-      throw new Error(`Timeout connecting to Storybook at ${indexUrl}`);
+      throw new Error(`Timeout connecting to Storybook at ${url}`);
     }
     throw error;
   } finally {
     clearTimeout(timeoutId);
   }
 
+  if (response.status === 404) {
+    return null;
+  }
+
   if (!response.ok) {
     throw new Error(
       `Unable to load Storybook index (${response.status} ${response.statusText})`,
     );
   }
 
-  const indexJson = await response.json();
-  const entries = Object.values(indexJson.entries ?? {});
+  return response.json();
+};
+
+/**
+ * Read a JSON file of a static Storybook build
+ * @param {string} filePath - File path
+ * @returns {Promise<object|null>} Parsed JSON, or null if the build has no such file
+ */
+const readStorybookJson = async (filePath) =>
+  fs.existsSync(filePath)
+    ? JSON.parse(await fs.promises.readFile(filePath, "utf8"))
+    : null;
+
+/**
+ * Load index.json, falling back to the stories.json of Storybook 6 next to it
+ * @param {string} indexPath - Path of index.json (e.g. "/index.json")
+ * @param {Function} load - Loads a path, resolving to null if it does not exist
+ * @returns {Promise<object|null>} Parsed index, or null if there is neither file
+ */
+const loadIndexWithFallback = async (indexPath, load) =>
+  (await load(indexPath)) ??
+  (await load(
+    path.posix.join(path.posix.dirname(indexPath), LEGACY_INDEX_FILE),
+  ));
+
+/**
+ * Load the index of a running Storybook through the index cache
+ * An unchanged index (same hash) reuses the cached entries, and offline runs
+ * (`--offline`) use the cache without contacting Storybook
+ * @param {object} config - Configuration object
+ * @param {string} storybookUrl - URL the Storybook is served from
+ * @param {string} indexPath - Path of index.json
+ * @returns {Promise<{version: number|null, entries: Array<object>}>} Detected major version and entries
+ */
+const loadCachedIndex = async (config, storybookUrl, indexPath) => {
+  const cacheFile = getIndexCacheFile(config, storybookUrl);
+  const cached = cacheFile ? readIndexCache(cacheFile) : null;
+
+  if (config.offline) {
+    if (!cached) {
+      throw new Error(
+        `No cached Storybook index for ${storybookUrl}. Run a command while Storybook is up to cache it`,
+      );
+    }
+    return { version: cached.version, entries: cached.entries };
+  }
+
+  const indexJson = await loadIndexWithFallback(indexPath, (urlPath) =>
+    fetchStorybookJson(`${storybookUrl}${urlPath}`),
+  );
+  if (!indexJson) {
+    throw new Error(
+      `Storybook index not found at ${storybookUrl}${indexPath} (nor ${LEGACY_INDEX_FILE})`,
+    );
+  }
+
+  const hash = getIndexHash(indexJson);
+  if (cached?.hash === hash) {
+    return { version: cached.version, entries: cached.entries };
+  }
+
+  const { version, entries } = parseStorybookIndex(indexJson);
+  if (cacheFile) {
+    writeIndexCache(cacheFile, {
+      source: storybookUrl,
+      hash,
+      version,
+      entries,
+    });
+  }
+  return { version, entries };
+};
+
+/**
+ * Load the Storybook index
+ * A static build (`storybook.staticDir`) is read from disk, without a server or cache
+ * @param {object} config - Configuration object
+ * @returns {Promise<{version: number|null, entries: Array<object>}>} Detected major version and entries
+ */
+const loadStorybookIndex = async (config) => {
+  const { indexPath } = config.storybook;
+  const staticDir = getStaticDir(config);
+
+  if (staticDir) {
+    const indexJson = await loadIndexWithFallback(indexPath, (filePath) =>
+      readStorybookJson(path.join(staticDir, filePath)),
+    );
+    if (!indexJson) {
+      throw new Error(
+        `Storybook index not found in static build: ${path.join(staticDir, indexPath)}. Run \`storybook build\` first`,
+      );
+    }
+    return parseStorybookIndex(indexJson);
+  }
+
+  return loadCachedIndex(
+    config,
+    `http://${config.storybook.host}:${config.storybook.port}`,
+    indexPath,
+  );
+};
+
+/**
+ * Load the stories of the composed Storybooks in `storybook.refs`
+ * Ids get the ref id as prefix (like in the Storybook UI) and each entry keeps
+ * the Storybook it is served from in `_ref`
+ * @param {object} config - Configuration object
+ * @returns {Promise<Array<object>>} Story entries of every enabled ref
+ */
+const loadRefEntries = async (config) => {
+  const entries = [];
+
+  for (const [refId, ref] of Object.entries(config.storybook.refs || {})) {
+    if (ref?.disable) continue;
+
+    const url = (typeof ref === "string" ? ref : ref.url).replace(/\/+$/, "");
+    let index;
+    try {
+      index = await loadCachedIndex(config, url, "/index.json");
+    } catch (error) {
+      throw new Error(
+        `Unable to load Storybook ref ${refId}: ${error.message}`,
+      );
+    }
+
+    entries.push(
+      ...index.entries.map((entry) => ({
+        ...entry,
+        id: `${refId}_${entry.id}`,
+        _storybookVersion: index.version,
+        _ref: { id: refId, url, storyId: entry.id },
+      })),
+    );
+  }
+
+  return entries;
+};
+
+/**
+ * Load the entries of a Storybook and of its composed refs
+ * @param {object} config - Configuration object
+ * @returns {Promise<{version: number|null, entries: Array<object>}>} Major version of
+ *   the Storybook and every entry, tagged with the version of its Storybook
+ */
+export const fetchStorybookIndex = async (config) => {
+  const { version, entries } = await loadStorybookIndex(config);
+
+  return {
+    version,
+    entries: [
+      ...entries.map((entry) => ({ ...entry, _storybookVersion: version })),
+      ...(await loadRefEntries(config)),
+    ],
+  };
+};
+
+/**
+ * Get the element a story renders into
+ * Storybook 6 renders into #root, later versions into #storybook-root
+ * @param {object} story - Story entry
+ * @returns {string} CSS selector
+ */
+export const getStoryRootSelector = (story) =>
+  story._storybookVersion === 6 ? "#root" : "#storybook-root";
+
+/**
+ * Fetch stories from Storybook
+ * @param {object} config - Configuration object
+ * @param {boolean} [includeAllMatching=false] - Include all matching stories regardless of snapshot existence
+ * @returns {Promise<Array>} Array of story entries
+ */
+export const fetchStoriesFromStorybook = async (
+  config,
+  includeAllMatching = false,
+) => {
+  const { entries } = await fetchStorybookIndex(config);
 
   // Apply filters in order
   let filtered = entries
@@ -249,22 +572,39 @@ export const fetchStoriesFromStorybook = async (
   const imageMatcher = config.snapshot?.image?.testMatcher || globalMatcher;
   const positionMatcher =
     config.snapshot?.position?.testMatcher || globalMatcher;
+  const accessibilityMatcher =
+    config.snapshot?.accessibility?.testMatcher || globalMatcher;
 
   // Apply visual criteria and attach test options
   filtered = filtered
     .map((entry) => {
       const matchImage = matchesVisualCriteria(entry, imageMatcher);
       const matchPosition = matchesVisualCriteria(entry, positionMatcher);
+      const accessibilityEnabled = !!config.snapshot?.accessibility?.enabled;
+      const matchAccessibility =
+        accessibilityEnabled &&
+        matchesVisualCriteria(entry, accessibilityMatcher);
 
       // If matches, attach options
-      if (matchImage || matchPosition) {
-        return {
+      if (matchImage || matchPosition || matchAccessibility) {
+        const story = {
           ...entry,
           _testOptions: {
             image: matchImage,
             position: matchPosition,
+            ...(accessibilityEnabled
+              ? { accessibility: matchAccessibility }
+              : {}),
           },
         };
+
+        // Per-story viewport overrides from Storybook parameters
+        const viewports = getStoryViewportOverrides(entry);
+        if (viewports) {
+          story._viewports = viewports;
+        }
+
+        return story;
       }
       return null;
     })
@@ -278,7 +618,9 @@ export const fetchStoriesFromStorybook = async (
 
   // If not including all matching, filter to only stories with snapshots
   if (!includeAllMatching) {
-    filtered = filtered.filter((entry) => snapshotExists(entry.id, config));
+    filtered = filtered.filter((entry) =>
+      snapshotExists(entry.id, config, getStoryViewports(entry, config)),
+    );
   }
 
   return filtered.sort((a, b) => a.id.localeCompare(b.id));
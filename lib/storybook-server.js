@@ -0,0 +1,145 @@
+/**
+ * Storybook Server Module
+ * Starts the Storybook of a config once so several Playwright runs can share it
+ */
+
+import chalk from "chalk";
+import { spawn } from "child_process";
+import { getStaticDir, startStaticStorybook } from "./static-server.js";
+import { pipeWithPrefix } from "./test-runner-utils.js";
+
+/**
+ * Get the URL of the Storybook of a config
+ * @param {object} config - Configuration object
+ * @returns {string} Storybook origin
+ */
+export const getStorybookUrl = (config) =>
+  `http://${config.storybook?.host || "localhost"}:${config.storybook?.port || "6006"}`;
+
+/**
+ * Check whether a server answers at a URL
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>} Whether any response was received
+ */
+export const isStorybookReachable = async (url) => {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(2000) });
+    await response.body?.cancel();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Stop a process started by startStorybook along with its children
+ * @param {import("child_process").ChildProcess} child - Storybook process
+ * @returns {Promise<void>} Resolves once the process has exited
+ */
+const stopProcess = (child) =>
+  new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+
+    child.once("exit", () => resolve());
+    try {
+      // The command runs in its own process group (see startStorybook)
+      if (process.platform === "win32") {
+        child.kill();
+      } else {
+        process.kill(-child.pid, "SIGTERM");
+      }
+    } catch {
+      resolve();
+    }
+  });
+
+/**
+ * Start the Storybook of a config unless it is already running
+ * A static build is served; otherwise `storybook.command` is started and awaited,
+ * following the webServer settings `reuseExistingServer` and `timeout`
+ * @param {object} config - Configuration object
+ * @returns {Promise<{config: object, url: string, close: Function}>} The config
+ *   pointing at the Storybook, its URL and a function stopping what was started
+ * @throws {Error} If Storybook is already running and may not be reused, or does not come up in time
+ */
+export const startStorybook = async (config) => {
+  if (getStaticDir(config)) {
+    return startStaticStorybook(config);
+  }
+
+  const url = getStorybookUrl(config);
+  const {
+    command,
+    reuseExistingServer = true,
+    timeout = 120000,
+  } = config.storybook || {};
+  const running = { config, url, close: async () => {} };
+
+  if (await isStorybookReachable(url)) {
+    if (!reuseExistingServer) {
+      throw new Error(
+        `Storybook is already running at ${url}. Stop it or set storybook.reuseExistingServer to true`,
+      );
+    }
+    return running;
+  }
+
+  // Without a command, the runs report the unreachable Storybook themselves
+  if (!command) {
+    return running;
+  }
+
+  const child = spawn(command, {
+    shell: true,
+    stdio: ["ignore", "ignore", "pipe"],
+    detached: process.platform !== "win32",
+  });
+  pipeWithPrefix(child.stderr, process.stderr, chalk.gray("[storybook]"));
+
+  let exitCode = null;
+  child.once("exit", (code) => {
+    exitCode = code ?? 1;
+  });
+  child.once("error", () => {
+    exitCode = exitCode ?? 1;
+  });
+
+  const deadline = Date.now() + timeout;
+  while (!(await isStorybookReachable(url))) {
+    if (exitCode !== null) {
+      throw new Error(
+        `Storybook command "${command}" exited with code ${exitCode} before ${url} was reachable`,
+      );
+    }
+    if (Date.now() > deadline) {
+      await stopProcess(child);
+      throw new Error(
+        `Timed out after ${timeout}ms waiting for Storybook at ${url}`,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+
+  return { config, url, close: () => stopProcess(child) };
+};
+
+/**
+ * Run a callback with the Storybook of a config started once
+ * What was started (a static build server or `storybook.command`) is stopped afterwards
+ * @param {object} config - Configuration object
+ * @param {Function} callback - Receives the config to test against and the Storybook URL
+ * @returns {Promise<*>} Result of the callback
+ */
+export const withStorybook = async (config, callback) => {
+  const storybook = await startStorybook(config);
+  console.log(chalk.gray(`  Using Storybook at ${storybook.url}`));
+
+  try {
+    return await callback(storybook.config, storybook.url);
+  } finally {
+    await storybook.close();
+  }
+};
@@ -5,27 +5,35 @@
 
 import fs from "fs";
 import path from "path";
+import readline from "readline";
+import { getPackageSlug } from "./workspace.js";
 
 /**
  * Generate temporary test files (data and spec)
  * @param {object} config - Configuration object
  * @param {Array} stories - Array of stories to test
+ * @param {string} [suffix] - Optional file name suffix (keeps concurrent runs apart)
  * @returns {object} Object containing paths to generated files { dataFile, specFile }
  */
-export const generateTestFiles = (config, stories) => {
+export const generateTestFiles = (config, stories, suffix = "") => {
   const logsDir = path.resolve(process.cwd(), config.snapshot.paths.logsDir);
   if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
   }
 
+  const fileSuffix = suffix ? `.${suffix}` : "";
+
   // 1. Generate Data File
-  const dataFile = path.join(logsDir, "visual-tests-data.json");
+  const dataFile = path.join(logsDir, `visual-tests-data${fileSuffix}.json`);
   fs.writeFileSync(dataFile, JSON.stringify({ config, stories }, null, 2));
 
   // 2. Generate Spec File
   // This ensures @playwright/test is resolved from the consumer's dependencies
   // to avoid Dual Package Hazard
-  const specFile = path.join(logsDir, "visual-tests.generated.spec.js");
+  const specFile = path.join(
+    logsDir,
+    `visual-tests.generated${fileSuffix}.spec.js`,
+  );
   const specContent = `
     import { test, expect } from '@playwright/test';
     import { generateVisualTestsFromData, readVisualTestsData } from 'ui-snapshot-testing/playwright';
@@ -60,3 +68,91 @@ export const cleanupTestFiles = (files) => {
     // Ignore cleanup errors
   }
 };
+
+/**
+ * Resolve the JSON and HTML report locations for a run
+ * Workspace package and locale runs get their own report file and folder so they never overwrite each other
+ * @param {object} config - Configuration object
+ * @param {string} [localeCode] - Locale code (optional)
+ * @returns {object} Object containing { jsonReportPath, htmlReportDir } (htmlReportDir may be null)
+ */
+export const getReportPaths = (config, localeCode = null) => {
+  const reporters = config.playwright?.reporter
+    ? Array.isArray(config.playwright.reporter)
+      ? config.playwright.reporter
+      : [config.playwright.reporter]
+    : [];
+
+  const findOptions = (name) => {
+    const reporter = reporters.find(
+      (r) => (Array.isArray(r) && r[0] === name) || r === name,
+    );
+    return Array.isArray(reporter) ? reporter[1] || {} : {};
+  };
+
+  // Default fallback
+  let jsonReportPath = path.resolve(
+    process.cwd(),
+    findOptions("json").outputFile || "test-results.json",
+  );
+  let htmlReportDir = findOptions("html").outputFolder
+    ? path.resolve(process.cwd(), findOptions("html").outputFolder)
+    : null;
+
+  const runNames = [
+    config.package && getPackageSlug(config.package),
+    localeCode,
+  ].filter(Boolean);
+
+  if (runNames.length > 0) {
+    const parsed = path.parse(jsonReportPath);
+    jsonReportPath = path.join(
+      parsed.dir,
+      `${parsed.name}-${runNames.join("-")}${parsed.ext}`,
+    );
+    if (htmlReportDir) {
+      htmlReportDir = path.join(htmlReportDir, ...runNames);
+    }
+  }
+
+  return { jsonReportPath, htmlReportDir };
+};
+
+/**
+ * Run async tasks with a bounded number running at the same time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export const runWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Copy a stream line by line, prefixing every line
+ * Keeps the output of concurrent child processes apart
+ * @param {import("stream").Readable} input - Stream to read (e.g. child stdout)
+ * @param {import("stream").Writable} output - Stream to write to
+ * @param {string} prefix - Line prefix (e.g. "[de-DE]")
+ * @returns {Promise<void>} Resolves once the input has ended
+ */
+export const pipeWithPrefix = (input, output, prefix) =>
+  new Promise((resolve) => {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    lines.on("line", (line) => output.write(`${prefix} ${line}\n`));
+    lines.on("close", resolve);
+  });
@@ -0,0 +1,111 @@
+/**
+ * Workspace Module
+ * Handles monorepos with several Storybooks: package selection, per-package settings and result locations
+ */
+
+import path from "path";
+
+/**
+ * Get the Storybooks of a workspace config
+ * @param {object} config - Configuration object
+ * @returns {Array<object>} Workspace Storybooks (empty unless the config is a workspace)
+ */
+export const getWorkspaceStorybooks = (config) =>
+  config?.workspace?.storybooks || [];
+
+/**
+ * Turn a package name into a directory name (e.g. "@acme/ui" -> "acme-ui")
+ * @param {string} name - Package name
+ * @returns {string} File system safe name
+ */
+export const getPackageSlug = (name) =>
+  String(name)
+    .replace(/^@/, "")
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Get the logs directory of a package run
+ * Package runs keep their results apart and are merged into the workspace logs directory
+ * @param {string} logsDir - Workspace logs directory
+ * @param {string} name - Package name
+ * @returns {string} Logs directory of the package
+ */
+export const getPackageLogsDir = (logsDir, name) =>
+  path.join(logsDir, "packages", getPackageSlug(name));
+
+/**
+ * Get the snapshot directory of a package
+ * Packages without their own `snapshotsDir` use a subdirectory of the workspace one
+ * @param {object} config - Workspace configuration
+ * @param {string} [name] - Package name (null for results outside a package)
+ * @returns {string} Snapshot directory relative to the working directory
+ */
+export const getPackageSnapshotsDir = (config, name = null) => {
+  const { snapshotsDir } = config.snapshot.paths;
+  if (!name) return snapshotsDir;
+
+  const storybook = getWorkspaceStorybooks(config).find(
+    (entry) => entry.name === name,
+  );
+  return (
+    storybook?.snapshotsDir || path.join(snapshotsDir, getPackageSlug(name))
+  );
+};
+
+/**
+ * Parse the URL of a running Storybook into storybook settings
+ * @param {string} url - Storybook origin (e.g. "http://localhost:6007")
+ * @returns {{host: string, port: string}} Storybook host and port
+ * @throws {Error} If the URL is not an http:// origin
+ */
+export const parseStorybookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid Storybook URL: ${url}`);
+  }
+
+  if (parsed.protocol !== "http:" || parsed.pathname !== "/") {
+    throw new Error(
+      `Unsupported Storybook URL: ${url}. Use the http:// origin of the Storybook (e.g. http://localhost:6006)`,
+    );
+  }
+
+  return { host: parsed.hostname, port: parsed.port || "80" };
+};
+
+/**
+ * Get the settings a workspace package applies over the config
+ * @param {object} config - Configuration merged so far (defaults, config file, profile)
+ * @param {string} name - Package name
+ * @returns {object} Config layer with the package's Storybook (running or static build), snapshot directory, test matcher and logs directory
+ * @throws {Error} If the package is not part of the workspace
+ */
+export const getWorkspacePackageConfig = (config, name) => {
+  const storybooks = getWorkspaceStorybooks(config);
+  const storybook = storybooks.find((entry) => entry.name === name);
+
+  if (!storybook) {
+    const availablePackages = storybooks.map((entry) => entry.name).join(", ");
+    throw new Error(
+      `Unknown workspace package: ${name}. Available packages: ${availablePackages || "none configured"}`,
+    );
+  }
+
+  return {
+    storybook: {
+      ...storybook.storybook,
+      ...(storybook.url ? parseStorybookUrl(storybook.url) : {}),
+      ...(storybook.staticDir ? { staticDir: storybook.staticDir } : {}),
+    },
+    snapshot: {
+      testMatcher: storybook.testMatcher,
+      paths: {
+        snapshotsDir: getPackageSnapshotsDir(config, name),
+        logsDir: getPackageLogsDir(config.snapshot.paths.logsDir, name),
+      },
+    },
+  };
+};
@@ -6,6 +6,7 @@
  */
 
 import { loadConfig } from "./config-loader.js";
+import { buildBrowserProjects } from "./lib/browser-matrix.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -13,14 +14,47 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Load the consumer's visual-tests.config.js
-// Check for mobile mode environment variable
+// Check for mobile mode, locale, profile and workspace package environment variables
 const isMobile = process.env.VISUAL_TEST_MOBILE === "true";
 const localeCode = process.env.VISUAL_TEST_LOCALE || "";
+const profile = process.env.VISUAL_TEST_PROFILE || "";
+const workspacePackage = process.env.VISUAL_TEST_PACKAGE || "";
 const visualTestConfig = await loadConfig({
   mobile: isMobile,
   locale: localeCode || undefined,
+  profile: profile || undefined,
+  package: workspacePackage || undefined,
 });
 
+// Browser matrix (--browsers) - one project per browser with its own baselines
+const browsers = (process.env.VISUAL_TEST_BROWSERS || "")
+  .split(",")
+  .filter(Boolean);
+
+const snapshotDir = path.resolve(
+  process.cwd(),
+  visualTestConfig.snapshot?.paths?.snapshotsDir ||
+    "./playwright/__visual_snapshots__",
+  isMobile ? "mobile" : "",
+  localeCode && !visualTestConfig.locale?.default ? localeCode : "",
+);
+
+// Per-run report locations set by the CLI
+const jsonReportPath = process.env.VISUAL_TEST_JSON_REPORT || "";
+const htmlReportDir = process.env.VISUAL_TEST_HTML_REPORT || "";
+
+// Storybook under test; the CLI serves a static build (storybook.staticDir)
+// on a free port and passes its URL
+const storybookUrl =
+  process.env.VISUAL_TEST_STORYBOOK_URL ||
+  `http://${visualTestConfig.storybook?.host || "localhost"}:${visualTestConfig.storybook?.port || "6006"}`;
+
+// Result processing needs a JSON report; add one when the CLI asks for it
+const withJsonReporter = (reporters) =>
+  jsonReportPath && !reporters.some(([name]) => name === "json")
+    ? [...reporters, ["json", { outputFile: jsonReportPath }]]
+    : reporters;
+
 // Build Playwright configuration from visual test config
 const config = {
   // Test file - points to library's spec file or generated spec
@@ -28,15 +62,14 @@ const config = {
   testMatch: /visual-tests.*\.spec\.js/,
 
   // Snapshot configuration
-  snapshotDir: path.resolve(
-    process.cwd(),
-    visualTestConfig.snapshot?.paths?.snapshotsDir ||
-      "./playwright/__visual_snapshots__",
-    isMobile ? "mobile" : "",
-    localeCode && !visualTestConfig.locale?.default ? localeCode : "",
-  ),
+  snapshotDir,
   snapshotPathTemplate: "{snapshotDir}/{arg}{ext}",
 
+  // Concurrent (locale) runs each get their own output directory
+  ...(process.env.VISUAL_TEST_OUTPUT_DIR
+    ? { outputDir: process.env.VISUAL_TEST_OUTPUT_DIR }
+    : {}),
+
   // Update snapshots configuration
   // Default to 'none' to prevent accidental creation of new snapshots
   // Only allow 'missing' if explicitly authorized via env var
@@ -54,53 +87,65 @@ const config = {
   expect: visualTestConfig.playwright?.expect ?? { timeout: 5000 },
 
   // Reporter configuration
-  // Reporter configuration
-  reporter: (
-    visualTestConfig.playwright?.reporter ?? [
-      ["html", { outputFolder: "playwright-report" }],
-      ["list"],
-    ]
-  ).map(([name, options]) => {
-    if (name === "html" && options?.outputFolder) {
-      return [
-        name,
-        {
-          ...options,
-          outputFolder: path.resolve(process.cwd(), options.outputFolder),
-        },
-      ];
-    }
-    if (name === "json" && options?.outputFile) {
-      return [
-        name,
-        {
-          ...options,
-          outputFile: path.resolve(process.cwd(), options.outputFile),
-        },
-      ];
-    }
-    return [name, options];
-  }),
+  // The CLI passes per-run report locations (e.g. one per locale) via env vars
+  reporter: withJsonReporter(
+    (
+      visualTestConfig.playwright?.reporter ?? [
+        ["html", { outputFolder: "playwright-report" }],
+        ["list"],
+      ]
+    ).map(([name, options]) => {
+      if (name === "html" && (htmlReportDir || options?.outputFolder)) {
+        return [
+          name,
+          {
+            ...options,
+            outputFolder:
+              htmlReportDir ||
+              path.resolve(process.cwd(), options.outputFolder),
+          },
+        ];
+      }
+      if (name === "json" && (jsonReportPath || options?.outputFile)) {
+        return [
+          name,
+          {
+            ...options,
+            outputFile:
+              jsonReportPath || path.resolve(process.cwd(), options.outputFile),
+          },
+        ];
+      }
+      return [name, options];
+    }),
+  ),
 
   // Shared settings
   use: {
-    baseURL: `http://${visualTestConfig.storybook?.host || "localhost"}:${visualTestConfig.storybook?.port || "6006"}`,
+    baseURL: storybookUrl,
     ...(visualTestConfig.playwright?.use || {}),
   },
 
   // Projects configuration
-  projects: visualTestConfig.playwright?.projects ?? [
-    {
-      name: "chromium",
-    },
-  ],
+  projects:
+    browsers.length > 0
+      ? buildBrowserProjects(browsers, visualTestConfig, snapshotDir)
+      : (visualTestConfig.playwright?.projects ?? [
+          {
+            name: "chromium",
+          },
+        ]),
 };
 
 // Add webServer configuration if storybook.command is provided
-if (visualTestConfig.storybook?.command) {
+// A static build served by the CLI needs no dev server
+if (
+  visualTestConfig.storybook?.command &&
+  !process.env.VISUAL_TEST_STORYBOOK_URL
+) {
   config.webServer = {
     command: visualTestConfig.storybook.command,
-    url: `http://${visualTestConfig.storybook?.host || "localhost"}:${visualTestConfig.storybook?.port || "6006"}`,
+    url: storybookUrl,
     reuseExistingServer: visualTestConfig.storybook.reuseExistingServer ?? true,
     timeout: visualTestConfig.storybook.timeout ?? 120000,
   };
@@ -0,0 +1,218 @@
+/**
+ * Accessibility Tracking Module
+ *
+ * Captures and compares the ARIA snapshot (roles, names and states) of the story root.
+ * Catches role/name regressions that look identical in pixels.
+ */
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+
+/**
+ * Maximum number of changed lines listed in a failure message
+ */
+const MAX_REPORTED_LINES = 20;
+
+/**
+ * Captures the ARIA snapshot of the story root
+ * Requires Playwright 1.49+ (locator.ariaSnapshot); older versions fail with
+ * an error instead of a missing snapshot
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} targetSelector - CSS selector for the container
+ * @returns {Promise<string|null>} ARIA snapshot (YAML) or null if it could not be captured
+ */
+export async function captureAriaSnapshot(page, targetSelector = "body") {
+  const locator = page.locator(targetSelector).first();
+  if (typeof locator.ariaSnapshot !== "function") {
+    throw new Error(
+      "Accessibility snapshots require @playwright/test 1.49 or later. Upgrade Playwright or disable snapshot.accessibility.",
+    );
+  }
+
+  try {
+    return await locator.ariaSnapshot();
+  } catch (error) {
+    console.error("Failed to capture ARIA snapshot:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Gets the path of the ARIA snapshot belonging to an image snapshot
+ * @param {string} snapshotPath - Path to the image snapshot
+ * @param {string} [ariaDir] - Optional directory ARIA snapshots are stored in
+ * @returns {string} Path to the ARIA snapshot file
+ */
+export function getAriaSnapshotPath(snapshotPath, ariaDir) {
+  if (ariaDir) {
+    const snapshotName = path.basename(snapshotPath, ".png");
+    return path.join(ariaDir, `${snapshotName}.aria.yml`);
+  }
+
+  return snapshotPath.replace(/\.png$/, ".aria.yml");
+}
+
+/**
+ * Saves an ARIA snapshot
+ * @param {string} ariaSnapshot - ARIA snapshot (YAML)
+ * @param {string} snapshotPath - Path to the image snapshot
+ * @param {string} [ariaDir] - Optional directory to save ARIA snapshots in
+ * @returns {Promise<void>}
+ */
+export async function saveAriaSnapshot(ariaSnapshot, snapshotPath, ariaDir) {
+  const ariaPath = getAriaSnapshotPath(snapshotPath, ariaDir);
+
+  try {
+    await mkdir(path.dirname(ariaPath), { recursive: true });
+    await writeFile(ariaPath, `${ariaSnapshot.trimEnd()}\n`, "utf-8");
+  } catch (error) {
+    console.error(
+      `Failed to save ARIA snapshot to ${ariaPath}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Loads an ARIA snapshot
+ * @param {string} snapshotPath - Path to the image snapshot
+ * @param {string} [ariaDir] - Optional directory ARIA snapshots are stored in
+ * @returns {Promise<string|null>} ARIA snapshot or null if not found
+ */
+export async function loadAriaSnapshot(snapshotPath, ariaDir) {
+  const ariaPath = getAriaSnapshotPath(snapshotPath, ariaDir);
+
+  if (!existsSync(ariaPath)) {
+    return null;
+  }
+
+  try {
+    return await readFile(ariaPath, "utf-8");
+  } catch (error) {
+    console.error(
+      `Failed to load ARIA snapshot from ${ariaPath}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Compares two ARIA snapshots line by line
+ * Reports removed lines with "-" and added lines with "+"
+ * @param {string} expected - Baseline ARIA snapshot
+ * @param {string} actual - Current ARIA snapshot
+ * @returns {{passed: boolean, differences: Array<string>}}
+ */
+export function compareAriaSnapshots(expected, actual) {
+  const toLines = (snapshot) =>
+    (snapshot || "").split("\n").filter((line) => line.trim() !== "");
+
+  const expectedLines = toLines(expected);
+  const actualLines = toLines(actual);
+
+  // Longest common subsequence table, so only changed lines are reported
+  const lcs = Array.from({ length: expectedLines.length + 1 }, () =>
+    new Array(actualLines.length + 1).fill(0),
+  );
+  for (let i = expectedLines.length - 1; i >= 0; i--) {
+    for (let j = actualLines.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        expectedLines[i] === actualLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < expectedLines.length || j < actualLines.length) {
+    if (
+      i < expectedLines.length &&
+      j < actualLines.length &&
+      expectedLines[i] === actualLines[j]
+    ) {
+      i++;
+      j++;
+    } else if (
+      j < actualLines.length &&
+      (i === expectedLines.length || lcs[i][j + 1] >= lcs[i + 1][j])
+    ) {
+      changes.push(`+ ${actualLines[j++].trim()}`);
+    } else {
+      changes.push(`- ${expectedLines[i++].trim()}`);
+    }
+  }
+
+  const differences = changes.slice(0, MAX_REPORTED_LINES);
+  if (changes.length > MAX_REPORTED_LINES) {
+    differences.push(
+      `... ${changes.length - MAX_REPORTED_LINES} more changed line(s)`,
+    );
+  }
+
+  return {
+    passed: changes.length === 0,
+    differences,
+  };
+}
+
+/**
+ * Captures and saves the ARIA snapshot for a story
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} snapshotPath - Path where the image snapshot will be saved
+ * @param {string} targetSelector - CSS selector for the container
+ * @param {object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+export async function captureAndSaveAriaSnapshot(
+  page,
+  snapshotPath,
+  targetSelector = "body",
+  config = {},
+) {
+  const ariaSnapshot = await captureAriaSnapshot(page, targetSelector);
+  if (ariaSnapshot !== null) {
+    await saveAriaSnapshot(
+      ariaSnapshot,
+      snapshotPath,
+      config.snapshot?.accessibility?.snapshotDir,
+    );
+  }
+}
+
+/**
+ * Loads and compares the ARIA snapshot for a story
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} snapshotPath - Path to the image snapshot
+ * @param {string} targetSelector - CSS selector for the container
+ * @param {object} config - Configuration object
+ * @returns {Promise<{passed: boolean, differences: Array<string>}>}
+ */
+export async function loadAndCompareAriaSnapshot(
+  page,
+  snapshotPath,
+  targetSelector = "body",
+  config = {},
+) {
+  const expected = await loadAriaSnapshot(
+    snapshotPath,
+    config.snapshot?.accessibility?.snapshotDir,
+  );
+  if (expected === null) {
+    // No baseline ARIA snapshot exists yet
+    return { passed: true, differences: [] };
+  }
+
+  const actual = await captureAriaSnapshot(page, targetSelector);
+  if (actual === null) {
+    return {
+      passed: false,
+      differences: ["ARIA snapshot could not be captured"],
+    };
+  }
+
+  return compareAriaSnapshots(expected, actual);
+}
@@ -51,13 +51,14 @@ export async function maskTimestampElements(page) {
  * Navigates to a Storybook story
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {string} storyId - Story ID
- * @param {object} config - Configuration object
+ * @param {object} config - Configuration object (`storybookUrl` overrides the configured host and port, e.g. for composed Storybooks)
  * @returns {Promise<void>}
  */
 export async function navigateToStory(page, storyId, config = {}) {
   const host = config.storybook?.host || "localhost";
   const port = config.storybook?.port || "6006";
-  let url = `http://${host}:${port}/iframe.html?id=${storyId}&viewMode=story`;
+  const storybookUrl = config.storybookUrl || `http://${host}:${port}`;
+  let url = `${storybookUrl}/iframe.html?id=${storyId}&viewMode=story`;
 
   // Inject locale parameter if locale is configured
   if (config.locale?.code) {
@@ -3,7 +3,7 @@
  */
 
 import type { Page, TestInfo } from "@playwright/test";
-import type { VisualTestConfig } from "../types/index.js";
+import type { VisualTestConfig, PositionThresholds } from "../types/index.js";
 
 // ============================================================================
 // Test Generator Types
@@ -13,7 +13,7 @@ export interface GenerateVisualTestsOptions {
   /** Full configuration object (from loadConfig) */
   config?: VisualTestConfig;
 
-  /** CSS selector for screenshot target (default: '#storybook-root') */
+  /** CSS selector for screenshot target (default: '#storybook-root', or '#root' for Storybook 6 stories) */
   targetSelector?: string;
 
   /** Hook to run before each test */
@@ -73,6 +73,15 @@ export function generateVisualTestsForStories(
   options?: GenerateVisualTestsForStoriesOptions,
 ): Promise<void>;
 
+/**
+ * Builds the describe-block title used to group tests by viewport
+ */
+export function getViewportSuiteTitle(viewport: {
+  width: number;
+  height: number;
+  name?: string;
+}): string;
+
 /**
  * Helper to create a test suite with custom configuration
  */
@@ -112,7 +121,10 @@ export function maskTimestampElements(page: Page): Promise<void>;
 export function navigateToStory(
   page: Page,
   storyId: string,
-  config?: VisualTestConfig,
+  config?: VisualTestConfig & {
+    /** Storybook to load the story from instead of the configured host and port */
+    storybookUrl?: string;
+  },
 ): Promise<void>;
 
 /**
@@ -145,7 +157,11 @@ export function prepareStoryForScreenshot(
 /**
  * Gets the sanitized snapshot name for a story
  */
-export function getSnapshotName(storyId: string): string;
+export function getSnapshotName(
+  storyId: string,
+  config?: VisualTestConfig,
+  viewport?: { width: number; height: number } | null,
+): string;
 
 /**
  * Checks if an error should be ignored based on patterns
@@ -175,11 +191,19 @@ export function warmupStorybook(config?: VisualTestConfig): Promise<boolean>;
 
 export interface ElementPosition {
   testId: string;
+  /** testId, plus the occurrence index for repeated test IDs (e.g. `row[1]`) */
+  key?: string;
   order: number;
   x: number;
   y: number;
   width: number;
   height: number;
+  /** Computed styles (when `styleCheck` is enabled) */
+  styles?: Record<string, string>;
+  /** Whether the element is rendered visibly (when `visibilityCheck` is enabled) */
+  visible?: boolean;
+  /** Hash of the normalized text content (when `textCheck` is enabled) */
+  textHash?: string;
 }
 
 export interface PositionComparisonResult {
@@ -196,6 +220,21 @@ export function captureElementPositions(
   config?: VisualTestConfig,
 ): Promise<ElementPosition[]>;
 
+/**
+ * Adds a stable key to each position so repeated test IDs can be told apart
+ */
+export function assignElementKeys(
+  positions: ElementPosition[],
+): ElementPosition[];
+
+/**
+ * Gets the path of the positions file belonging to an image snapshot
+ */
+export function getPositionsPath(
+  snapshotPath: string,
+  positionsDir?: string,
+): string;
+
 /**
  * Saves element positions to a JSON file
  */
@@ -220,6 +259,15 @@ export function comparePositions(
   config?: VisualTestConfig,
 ): PositionComparisonResult;
 
+/**
+ * Resolves the x/y/width/height thresholds for an element,
+ * applying per-testId overrides
+ */
+export function getElementThresholds(
+  testId: string,
+  thresholds?: PositionThresholds,
+): { x: number; y: number; width: number; height: number };
+
 /**
  * Captures and saves element positions for a story
  */
@@ -239,3 +287,74 @@ export function loadAndComparePositions(
   targetSelector?: string,
   config?: VisualTestConfig,
 ): Promise<PositionComparisonResult>;
+
+// ============================================================================
+// Accessibility Tracker Types
+// ============================================================================
+
+export interface AriaComparisonResult {
+  passed: boolean;
+  /** Changed lines, prefixed with "-" (removed) or "+" (added) */
+  differences: string[];
+}
+
+/**
+ * Captures the ARIA snapshot (YAML) of the story root
+ */
+export function captureAriaSnapshot(
+  page: Page,
+  targetSelector?: string,
+): Promise<string | null>;
+
+/**
+ * Gets the path of the ARIA snapshot belonging to an image snapshot
+ */
+export function getAriaSnapshotPath(
+  snapshotPath: string,
+  ariaDir?: string,
+): string;
+
+/**
+ * Saves an ARIA snapshot next to the image snapshot
+ */
+export function saveAriaSnapshot(
+  ariaSnapshot: string,
+  snapshotPath: string,
+  ariaDir?: string,
+): Promise<void>;
+
+/**
+ * Loads an ARIA snapshot
+ */
+export function loadAriaSnapshot(
+  snapshotPath: string,
+  ariaDir?: string,
+): Promise<string | null>;
+
+/**
+ * Compares two ARIA snapshots line by line
+ */
+export function compareAriaSnapshots(
+  expected: string,
+  actual: string,
+): AriaComparisonResult;
+
+/**
+ * Captures and saves the ARIA snapshot for a story
+ */
+export function captureAndSaveAriaSnapshot(
+  page: Page,
+  snapshotPath: string,
+  targetSelector?: string,
+  config?: VisualTestConfig,
+): Promise<void>;
+
+/**
+ * Loads and compares the ARIA snapshot for a story
+ */
+export function loadAndCompareAriaSnapshot(
+  page: Page,
+  snapshotPath: string,
+  targetSelector?: string,
+  config?: VisualTestConfig,
+): Promise<AriaComparisonResult>;
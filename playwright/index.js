@@ -12,6 +12,7 @@ export {
   generateVisualTestsWithFilter,
   generateVisualTestsForStories,
   createTestSuite,
+  getViewportSuiteTitle,
 } from "./test-generator.js";
 
 export {
@@ -30,9 +31,22 @@ export {
 
 export {
   captureElementPositions,
+  assignElementKeys,
+  getPositionsPath,
   savePositions,
   loadPositions,
   comparePositions,
+  getElementThresholds,
   captureAndSavePositions,
   loadAndComparePositions,
 } from "./position-tracker.js";
+
+export {
+  captureAriaSnapshot,
+  getAriaSnapshotPath,
+  saveAriaSnapshot,
+  loadAriaSnapshot,
+  compareAriaSnapshots,
+  captureAndSaveAriaSnapshot,
+  loadAndCompareAriaSnapshot,
+} from "./accessibility-tracker.js";
@@ -8,59 +8,134 @@
 import { readFile, writeFile } from "fs/promises";
 import { existsSync } from "fs";
 import path from "path";
+import {
+  DEFAULT_POSITION_THRESHOLD,
+  DEFAULT_SIZE_THRESHOLD,
+  DEFAULT_TRACKED_STYLE_PROPERTIES,
+} from "../visual-test-config.js";
 
 /**
  * Captures element positions from a Playwright page
+ * Computed styles, visibility and a text content hash are added when the
+ * corresponding checks are enabled
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {string} targetSelector - CSS selector for the container to track elements within
  * @param {object} config - Configuration object
- * @returns {Promise<Array<{testId: string, order: number, x: number, y: number, width: number, height: number}>>}
+ * @returns {Promise<Array<{testId: string, order: number, x: number, y: number, width: number, height: number, styles?: object, visible?: boolean, textHash?: string}>>}
  */
 export async function captureElementPositions(
   page,
   targetSelector = "body",
   config = {},
 ) {
-  const enabled = config.snapshot?.position?.enabled !== false;
+  const positionConfig = config.snapshot?.position || {};
+  const enabled = positionConfig.enabled !== false;
 
   if (!enabled) {
     return [];
   }
 
-  try {
-    const positions = await page.evaluate((selector) => {
-      const container = document.querySelector(selector);
-      if (!container) {
-        return [];
-      }
-
-      const elements = container.querySelectorAll("[data-testid]");
-      const positions = [];
-
-      elements.forEach((element, index) => {
-        const testId = element.getAttribute("data-testid");
-        const rect = element.getBoundingClientRect();
+  const options = {
+    selector: targetSelector,
+    styleProperties: positionConfig.styleCheck
+      ? positionConfig.styleProperties || DEFAULT_TRACKED_STYLE_PROPERTIES
+      : null,
+    visibility: !!positionConfig.visibilityCheck,
+    text: !!positionConfig.textCheck,
+  };
 
-        positions.push({
-          testId,
-          order: index,
-          x: Math.round(rect.x),
-          y: Math.round(rect.y),
-          width: Math.round(rect.width),
-          height: Math.round(rect.height),
+  try {
+    const positions = await page.evaluate(
+      ({ selector, styleProperties, visibility, text }) => {
+        const container = document.querySelector(selector);
+        if (!container) {
+          return [];
+        }
+
+        // FNV-1a hash keeps snapshots small and free of copy text
+        const hashText = (value) => {
+          let hash = 0x811c9dc5;
+          for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+          }
+          return (hash >>> 0).toString(16).padStart(8, "0");
+        };
+
+        const elements = container.querySelectorAll("[data-testid]");
+        const positions = [];
+
+        elements.forEach((element, index) => {
+          const testId = element.getAttribute("data-testid");
+          const rect = element.getBoundingClientRect();
+
+          const position = {
+            testId,
+            order: index,
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          };
+
+          if (styleProperties || visibility) {
+            const computed = window.getComputedStyle(element);
+
+            if (styleProperties) {
+              position.styles = {};
+              styleProperties.forEach((property) => {
+                position.styles[property] = computed.getPropertyValue(property);
+              });
+            }
+
+            if (visibility) {
+              position.visible =
+                rect.width > 0 &&
+                rect.height > 0 &&
+                computed.visibility !== "hidden" &&
+                computed.display !== "none" &&
+                computed.opacity !== "0";
+            }
+          }
+
+          if (text) {
+            position.textHash = hashText(
+              (element.textContent || "").replace(/\s+/g, " ").trim(),
+            );
+          }
+
+          positions.push(position);
         });
-      });
 
-      return positions;
-    }, targetSelector);
+        return positions;
+      },
+      options,
+    );
 
-    return positions;
+    return assignElementKeys(positions);
   } catch (error) {
     console.error("Failed to capture element positions:", error.message);
     return [];
   }
 }
 
+/**
+ * Gets the path of the positions file belonging to an image snapshot
+ * @param {string} snapshotPath - Path to the image snapshot
+ * @param {string} [positionsDir] - Optional directory positions are stored in
+ * @returns {string} Path to the positions JSON file
+ */
+export function getPositionsPath(snapshotPath, positionsDir) {
+  if (positionsDir) {
+    // Separate directory: derive the filename from the snapshot name
+    const snapshotName = path.basename(snapshotPath, ".png");
+    return path.join(positionsDir, `${snapshotName}.positions.json`);
+  }
+
+  // Default: stored alongside the image
+  return snapshotPath.replace(/\.png$/, ".positions.json");
+}
+
 /**
  * Saves element positions to a JSON file
  * @param {Array} positions - Array of position objects
@@ -73,28 +148,19 @@ export async function savePositions(positions, snapshotPath, positionsDir) {
     return;
   }
 
-  let positionsPath;
-
-  if (positionsDir) {
-    // If a separate directory is configured, use it
-    // We need to construct the path based on the snapshot filename
-    const snapshotName = path.basename(snapshotPath, ".png");
-    // Ensure directory exists
-    if (!existsSync(positionsDir)) {
-      try {
-        await import("fs/promises").then((fs) =>
-          fs.mkdir(positionsDir, { recursive: true }),
-        );
-      } catch (e) {
-        // Ignore if already exists (race condition)
-      }
+  // Ensure a separately configured directory exists
+  if (positionsDir && !existsSync(positionsDir)) {
+    try {
+      await import("fs/promises").then((fs) =>
+        fs.mkdir(positionsDir, { recursive: true }),
+      );
+    } catch (e) {
+      // Ignore if already exists (race condition)
     }
-    positionsPath = path.join(positionsDir, `${snapshotName}.positions.json`);
-  } else {
-    // Default: save alongside image
-    positionsPath = snapshotPath.replace(/\.png$/, ".positions.json");
   }
 
+  const positionsPath = getPositionsPath(snapshotPath, positionsDir);
+
   try {
     await writeFile(positionsPath, JSON.stringify(positions, null, 2), "utf-8");
   } catch (error) {
@@ -112,14 +178,7 @@ export async function savePositions(positions, snapshotPath, positionsDir) {
  * @returns {Promise<Array|null>} - Array of position objects or null if not found
  */
 export async function loadPositions(snapshotPath, positionsDir) {
-  let positionsPath;
-
-  if (positionsDir) {
-    const snapshotName = path.basename(snapshotPath, ".png");
-    positionsPath = path.join(positionsDir, `${snapshotName}.positions.json`);
-  } else {
-    positionsPath = snapshotPath.replace(/\.png$/, ".positions.json");
-  }
+  const positionsPath = getPositionsPath(snapshotPath, positionsDir);
 
   if (!existsSync(positionsPath)) {
     return null;
@@ -137,6 +196,82 @@ export async function loadPositions(snapshotPath, positionsDir) {
   }
 }
 
+/**
+ * Gives every position a stable key so repeated test IDs (table rows,
+ * menu items) can be told apart: the first occurrence keeps the plain
+ * testId, later ones get their occurrence index (e.g. `row[1]`, `row[2]`)
+ * @param {Array} positions - Positions in DOM order
+ * @returns {Array} Positions with a `key` property
+ */
+export function assignElementKeys(positions) {
+  const occurrences = new Map();
+
+  return positions.map((position) => {
+    const occurrence = occurrences.get(position.testId) || 0;
+    occurrences.set(position.testId, occurrence + 1);
+
+    return {
+      ...position,
+      key:
+        occurrence === 0
+          ? position.testId
+          : `${position.testId}[${occurrence}]`,
+    };
+  });
+}
+
+/**
+ * Counts positions per test ID
+ * @param {Array} positions - Positions
+ * @returns {Map<string, number>} Occurrences per test ID
+ */
+function countByTestId(positions) {
+  const counts = new Map();
+  positions.forEach(({ testId }) =>
+    counts.set(testId, (counts.get(testId) || 0) + 1),
+  );
+  return counts;
+}
+
+/**
+ * Resolves the pixel threshold of one axis
+ * @param {number|object} threshold - Threshold for all axes or per axis
+ * @param {string} axis - Axis key (x, y, width or height)
+ * @param {number} fallback - Value used when the axis is not configured
+ * @returns {number} Threshold in pixels
+ */
+function getAxisThreshold(threshold, axis, fallback) {
+  if (typeof threshold === "number") return threshold;
+  if (threshold && typeof threshold[axis] === "number") return threshold[axis];
+  return fallback;
+}
+
+/**
+ * Resolves the position and size thresholds for an element
+ * Per-testId overrides take precedence over the global thresholds
+ * @param {string} testId - Element test ID
+ * @param {object} thresholds - `snapshot.position.thresholds` config
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getElementThresholds(testId, thresholds = {}) {
+  const override = thresholds.overrides?.[testId] || {};
+  const { position, size } = thresholds;
+
+  const resolve = (axis, globalThreshold, overrideThreshold, fallback) =>
+    getAxisThreshold(
+      overrideThreshold,
+      axis,
+      getAxisThreshold(globalThreshold, axis, fallback),
+    );
+
+  return {
+    x: resolve("x", position, override.position, DEFAULT_POSITION_THRESHOLD),
+    y: resolve("y", position, override.position, DEFAULT_POSITION_THRESHOLD),
+    width: resolve("width", size, override.size, DEFAULT_SIZE_THRESHOLD),
+    height: resolve("height", size, override.size, DEFAULT_SIZE_THRESHOLD),
+  };
+}
+
 /**
  * Compares two sets of element positions
  * @param {Array} expected - Expected positions
@@ -145,14 +280,14 @@ export async function loadPositions(snapshotPath, positionsDir) {
  * @returns {{passed: boolean, differences: Array<string>}}
  */
 export function comparePositions(expected, actual, config = {}) {
-  const orderCheckEnabled = config.snapshot?.position?.orderCheck !== false;
-  const positionThreshold = config.snapshot?.position?.positionThreshold || 5;
-  const sizeThreshold = config.snapshot?.position?.sizeThreshold || 5;
-
-  // Currently only order checking is enabled by default
-  // Position and size checks are disabled to reduce false positives
-  const checkPosition = false; // Can be enabled via config if needed
-  const checkSize = false; // Can be enabled via config if needed
+  const positionConfig = config.snapshot?.position || {};
+  const orderCheckEnabled = positionConfig.orderCheck !== false;
+  const checkPosition = positionConfig.positionCheck === true;
+  const checkSize = positionConfig.sizeCheck === true;
+  const checkStyles = !!positionConfig.styleCheck;
+  const checkVisibility = !!positionConfig.visibilityCheck;
+  const checkText = !!positionConfig.textCheck;
+  const thresholds = positionConfig.thresholds || {};
 
   const differences = [];
 
@@ -165,48 +300,84 @@ export function comparePositions(expected, actual, config = {}) {
     return { passed: false, differences };
   }
 
+  // Baselines saved before keys existed get them here
+  const expectedElements = assignElementKeys(expected);
+  const actualElements = assignElementKeys(actual);
+  const actualByKey = new Map(actualElements.map((a) => [a.key, a]));
+
   // Check for order differences
   if (orderCheckEnabled) {
-    const expectedOrder = expected.map((e) => e.testId);
-    const actualOrder = actual.map((a) => a.testId);
+    const expectedCounts = countByTestId(expectedElements);
+    const actualCounts = countByTestId(actualElements);
+
+    // Repeated test IDs are lists: report added/removed items by count
+    const isList = (testId) =>
+      (expectedCounts.get(testId) || 0) > 1 ||
+      (actualCounts.get(testId) || 0) > 1;
 
     // Check for missing elements
-    const missingElements = expectedOrder.filter(
-      (id) => !actualOrder.includes(id),
+    const missingElements = [...expectedCounts.keys()].filter(
+      (testId) => !actualCounts.has(testId) && !isList(testId),
     );
     if (missingElements.length > 0) {
       differences.push(`Missing elements: ${missingElements.join(", ")}`);
     }
 
     // Check for new elements
-    const newElements = actualOrder.filter((id) => !expectedOrder.includes(id));
+    const newElements = [...actualCounts.keys()].filter(
+      (testId) => !expectedCounts.has(testId) && !isList(testId),
+    );
     if (newElements.length > 0) {
       differences.push(`New elements: ${newElements.join(", ")}`);
     }
 
-    // Check for order changes
-    expectedOrder.forEach((testId, expectedIndex) => {
-      const actualIndex = actualOrder.indexOf(testId);
-      if (actualIndex !== -1 && actualIndex !== expectedIndex) {
+    // Check for list items added or removed
+    new Set([...expectedCounts.keys(), ...actualCounts.keys()]).forEach(
+      (testId) => {
+        const expectedCount = expectedCounts.get(testId) || 0;
+        const actualCount = actualCounts.get(testId) || 0;
+        if (!isList(testId) || expectedCount === actualCount) return;
+
+        const change = actualCount - expectedCount;
+        differences.push(
+          `List '${testId}': ${Math.abs(change)} item(s) ${change > 0 ? "added" : "removed"} (${expectedCount} → ${actualCount})`,
+        );
+      },
+    );
+
+    // Check for order changes among elements present in both snapshots,
+    // so an added or removed element does not shift everything after it
+    const expectedOrder = expectedElements
+      .map((e) => e.key)
+      .filter((key) => actualByKey.has(key));
+    const commonKeys = new Set(expectedOrder);
+    const actualOrder = actualElements
+      .map((a) => a.key)
+      .filter((key) => commonKeys.has(key));
+
+    expectedOrder.forEach((key, expectedIndex) => {
+      const actualIndex = actualOrder.indexOf(key);
+      if (actualIndex !== expectedIndex) {
         differences.push(
-          `Element '${testId}' order changed from position ${expectedIndex} to ${actualIndex}`,
+          `Element '${key}' order changed from position ${expectedIndex} to ${actualIndex}`,
         );
       }
     });
   }
 
-  // Check for position differences (disabled by default)
+  // Check for position differences
   if (checkPosition) {
-    expected.forEach((expectedPos) => {
-      const actualPos = actual.find((a) => a.testId === expectedPos.testId);
+    expectedElements.forEach((expectedPos) => {
+      const actualPos = actualByKey.get(expectedPos.key);
       if (!actualPos) return;
 
+      const threshold = getElementThresholds(expectedPos.testId, thresholds);
       const xDiff = Math.abs(expectedPos.x - actualPos.x);
       const yDiff = Math.abs(expectedPos.y - actualPos.y);
 
-      if (xDiff > positionThreshold || yDiff > positionThreshold) {
+      if (xDiff > threshold.x || yDiff > threshold.y) {
         differences.push(
-          `Element '${expectedPos.testId}' position changed: ` +
+          `Element '${expectedPos.key}' position changed: ` +
             `x: ${expectedPos.x} → ${actualPos.x} (diff: ${xDiff}), ` +
             `y: ${expectedPos.y} → ${actualPos.y} (diff: ${yDiff})`,
         );
@@ -214,18 +385,19 @@ export function comparePositions(expected, actual, config = {}) {
     });
   }
 
-  // Check for size differences (disabled by default)
+  // Check for size differences
   if (checkSize) {
-    expected.forEach((expectedPos) => {
-      const actualPos = actual.find((a) => a.testId === expectedPos.testId);
+    expectedElements.forEach((expectedPos) => {
+      const actualPos = actualByKey.get(expectedPos.key);
       if (!actualPos) return;
 
+      const threshold = getElementThresholds(expectedPos.testId, thresholds);
       const widthDiff = Math.abs(expectedPos.width - actualPos.width);
       const heightDiff = Math.abs(expectedPos.height - actualPos.height);
 
-      if (widthDiff > sizeThreshold || heightDiff > sizeThreshold) {
+      if (widthDiff > threshold.width || heightDiff > threshold.height) {
         differences.push(
-          `Element '${expectedPos.testId}' size changed: ` +
+          `Element '${expectedPos.key}' size changed: ` +
             `width: ${expectedPos.width} → ${actualPos.width} (diff: ${widthDiff}), ` +
             `height: ${expectedPos.height} → ${actualPos.height} (diff: ${heightDiff})`,
         );
@@ -233,6 +405,56 @@ export function comparePositions(expected, actual, config = {}) {
     });
   }
 
+  // Check for computed style, visibility and text changes
+  // Baselines captured before a check was enabled have no data and are skipped
+  if (checkStyles || checkVisibility || checkText) {
+    expectedElements.forEach((expectedPos) => {
+      const actualPos = actualByKey.get(expectedPos.key);
+      if (!actualPos) return;
+
+      if (checkStyles && expectedPos.styles && actualPos.styles) {
+        const styleChanges = Object.keys(expectedPos.styles)
+          .filter(
+            (property) =>
+              property in actualPos.styles &&
+              expectedPos.styles[property] !== actualPos.styles[property],
+          )
+          .map(
+            (property) =>
+              `${property}: ${expectedPos.styles[property]} → ${actualPos.styles[property]}`,
+          );
+
+        if (styleChanges.length > 0) {
+          differences.push(
+            `Element '${expectedPos.key}' style changed: ${styleChanges.join(", ")}`,
+          );
+        }
+      }
+
+      if (
+        checkVisibility &&
+        typeof expectedPos.visible === "boolean" &&
+        typeof actualPos.visible === "boolean" &&
+        expectedPos.visible !== actualPos.visible
+      ) {
+        const label = (visible) => (visible ? "visible" : "hidden");
+        differences.push(
+          `Element '${expectedPos.key}' visibility changed: ` +
+            `${label(expectedPos.visible)} → ${label(actualPos.visible)}`,
+        );
+      }
+
+      if (
+        checkText &&
+        expectedPos.textHash &&
+        actualPos.textHash &&
+        expectedPos.textHash !== actualPos.textHash
+      ) {
+        differences.push(`Element '${expectedPos.key}' text changed`);
+      }
+    });
+  }
+
   return {
     passed: differences.length === 0,
     differences,
@@ -6,6 +6,7 @@
  */
 
 import fs from "fs";
+import path from "path";
 import {
   prepareStoryForScreenshot,
   captureStoryScreenshot,
@@ -15,7 +16,21 @@ import {
 import {
   captureAndSavePositions,
   loadAndComparePositions,
+  captureElementPositions,
+  getPositionsPath,
 } from "./position-tracker.js";
+import {
+  captureAndSaveAriaSnapshot,
+  loadAndCompareAriaSnapshot,
+  captureAriaSnapshot,
+  getAriaSnapshotPath,
+} from "./accessibility-tracker.js";
+import {
+  getStoryViewports,
+  getStoryRootSelector,
+} from "../lib/story-discovery.js";
+import { getDefaultBrowser } from "../lib/browser-matrix.js";
+import { writeDiffTriplet, DIFF_ATTACHMENT_NAME } from "../lib/image-diff.js";
 
 /**
  * Generates visual regression tests for Storybook stories
@@ -43,7 +58,7 @@ import {
  * @param {object} options - Options object
  * @param {Array} options.stories - Array of story objects
  * @param {object} options.config - Configuration object
- * @param {string} options.targetSelector - CSS selector for screenshot target
+ * @param {string} [options.targetSelector] - CSS selector for screenshot target (default: the story root of its Storybook version)
  * @param {Function} options.beforeEach - Optional hook
  * @param {Function} options.afterEach - Optional hook
  * @param {Function} options.beforeAll - Optional hook
@@ -55,7 +70,7 @@ export function generateVisualTestsFromData(options = {}) {
     config,
     test,
     expect,
-    targetSelector = "#storybook-root",
+    targetSelector: customTargetSelector,
     beforeEach,
     afterEach,
     beforeAll,
@@ -90,26 +105,134 @@ export function generateVisualTestsFromData(options = {}) {
     test.afterEach(afterEach);
   }
 
-  // Generate a test for each story
-  for (const story of stories) {
+  // Define the test for a story at a given viewport
+  // A null viewport keeps the browser's configured viewport (desktop mode)
+  const defineStoryTest = (story, activeViewport = null) => {
     const testTitle = story.importPath
       ? `${story.importPath} › ${story.id}`
       : `${story.id}`;
 
+    // Storybook 6 stories render into #root instead of #storybook-root
+    const targetSelector = customTargetSelector || getStoryRootSelector(story);
+
     test(testTitle, async ({ page }, testInfo) => {
       const storyId = story.id;
-      // Get viewport from config if available (for mobile mode)
-      const viewport = config.playwright?.use?.viewport;
+      // Snapshot name carries the viewport dimensions (-WxH suffix)
+      const viewport = activeViewport || config.playwright?.use?.viewport;
       const snapshotName = getSnapshotName(storyId, config, viewport);
 
+      // Set while the test runs; used to save review artifacts on failure
+      let snapshotPath = null;
+      let isUpdateMode = false;
+      let screenshot = null;
+
+      // Save the actual screenshot, positions and ARIA snapshot of a failing
+      // story under <logsDir>/diffs (plus a diff image when a baseline exists)
+      // and attach their details, with the baseline paths, to the test result
+      const attachFailureArtifacts = async () => {
+        const browser = testInfo.project?.name;
+        const diffName = [
+          snapshotName,
+          browser && browser !== getDefaultBrowser(config) ? browser : null,
+          config.locale?.code,
+        ]
+          .filter(Boolean)
+          .join("-");
+        const outputDir = path.resolve(
+          process.cwd(),
+          config.snapshot?.paths?.logsDir || "logs",
+          "diffs",
+        );
+
+        try {
+          const actual =
+            screenshot || (await captureStoryScreenshot(page, targetSelector));
+
+          const details = fs.existsSync(snapshotPath)
+            ? writeDiffTriplet({
+                expected: snapshotPath,
+                actual,
+                outputDir,
+                name: diffName,
+                threshold: config.snapshot?.image?.threshold,
+              })
+            : { actualPath: path.join(outputDir, `${diffName}-actual.png`) };
+
+          if (!details.diffPath) {
+            fs.mkdirSync(outputDir, { recursive: true });
+            fs.writeFileSync(details.actualPath, actual);
+          }
+
+          details.baselinePath = snapshotPath;
+
+          if (config.snapshot?.position?.enabled !== false) {
+            const positions = await captureElementPositions(
+              page,
+              targetSelector,
+              config,
+            );
+            if (positions.length > 0) {
+              details.actualPositionsPath = path.join(
+                outputDir,
+                `${diffName}-actual.positions.json`,
+              );
+              fs.writeFileSync(
+                details.actualPositionsPath,
+                JSON.stringify(positions, null, 2),
+              );
+              details.baselinePositionsPath = getPositionsPath(
+                snapshotPath,
+                config.snapshot?.position?.snapshotDir,
+              );
+            }
+          }
+
+          if (config.snapshot?.accessibility?.enabled) {
+            const ariaSnapshot = await captureAriaSnapshot(
+              page,
+              targetSelector,
+            );
+            if (ariaSnapshot !== null) {
+              details.actualAriaPath = path.join(
+                outputDir,
+                `${diffName}-actual.aria.yml`,
+              );
+              fs.writeFileSync(details.actualAriaPath, ariaSnapshot);
+              details.baselineAriaPath = getAriaSnapshotPath(
+                snapshotPath,
+                config.snapshot.accessibility.snapshotDir,
+              );
+            }
+          }
+
+          await testInfo.attach(DIFF_ATTACHMENT_NAME, {
+            body: JSON.stringify(details),
+            contentType: "application/json",
+          });
+        } catch (artifactError) {
+          console.warn(
+            `⚠️  Could not save review artifacts for ${storyId}: ${artifactError.message}`,
+          );
+        }
+      };
+
       try {
+        if (activeViewport) {
+          await page.setViewportSize({
+            width: activeViewport.width,
+            height: activeViewport.height,
+          });
+        }
+
         // Prepare story for screenshot
+        // Stories of composed Storybooks (refs) load from their own Storybook
         const { ready, error } = await prepareStoryForScreenshot(
           page,
-          storyId,
+          story._ref?.storyId ?? storyId,
           {
             ...config,
             targetSelector,
+            ...(story._ref ? { storybookUrl: story._ref.url } : {}),
           },
         );
 
@@ -118,10 +241,10 @@ export function generateVisualTestsFromData(options = {}) {
         }
 
         // Get snapshot path
-        const snapshotPath = testInfo.snapshotPath(`${snapshotName}.png`);
+        snapshotPath = testInfo.snapshotPath(`${snapshotName}.png`);
 
         // Check if we're in update mode
-        const isUpdateMode =
+        isUpdateMode =
           testInfo.config.updateSnapshots === "all" ||
           testInfo.config.updateSnapshots === "missing";
 
@@ -181,9 +304,44 @@ export function generateVisualTestsFromData(options = {}) {
           }
         }
 
+        // Check if the accessibility (ARIA) snapshot should run (opt-in)
+        if (
+          config.snapshot?.accessibility?.enabled &&
+          shouldRunFeature(
+            "accessibility",
+            config.snapshot.accessibility,
+            storyTags,
+          )
+        ) {
+          if (isUpdateMode) {
+            await captureAndSaveAriaSnapshot(
+              page,
+              snapshotPath,
+              targetSelector,
+              config,
+            );
+          } else {
+            const ariaResult = await loadAndCompareAriaSnapshot(
+              page,
+              snapshotPath,
+              targetSelector,
+              config,
+            );
+
+            if (!ariaResult.passed) {
+              const errorMessage = [
+                "Accessibility tree differences detected:",
+                ...ariaResult.differences,
+              ].join("\n  ");
+
+              throw new Error(errorMessage);
+            }
+          }
+        }
+
         // Take screenshot and compare
         if (shouldRunFeature("image", config.snapshot?.image, storyTags)) {
-          const screenshot = await captureStoryScreenshot(page, targetSelector);
+          screenshot = await captureStoryScreenshot(page, targetSelector);
 
           if (isUpdateMode) {
             // Update mode: save snapshot directly
@@ -252,13 +410,61 @@ export function generateVisualTestsFromData(options = {}) {
           return;
         }
 
+        // Keep what the story looks like now, for the report and review UI
+        if (snapshotPath && !isUpdateMode) {
+          await attachFailureArtifacts();
+        }
+
         // Re-throw error to fail the test
         throw error;
       }
     });
+  };
+
+  // Mobile mode: group tests per viewport so results can be reported per viewport
+  // Stories may narrow or replace the configured list via parameters.mobileViewports
+  if (config.activeViewports && config.activeViewports.length > 0) {
+    const groups = new Map();
+
+    for (const story of stories) {
+      for (const viewport of getStoryViewports(story, config)) {
+        const key = `${viewport.width}x${viewport.height}`;
+        if (!groups.has(key)) {
+          groups.set(key, { viewport, stories: [] });
+        }
+        groups.get(key).stories.push(story);
+      }
+    }
+
+    for (const { viewport, stories: viewportStories } of groups.values()) {
+      test.describe(getViewportSuiteTitle(viewport), () => {
+        for (const story of viewportStories) {
+          defineStoryTest(story, viewport);
+        }
+      });
+    }
+    return;
+  }
+
+  // Generate a test for each story (honouring parameters.desktopViewport)
+  for (const story of stories) {
+    defineStoryTest(story, story._viewports?.desktop || null);
   }
 }
 
+/**
+ * Builds the describe-block title used to group tests by viewport
+ * Result processing reads the dimensions back from this title
+ * @param {{width: number, height: number, name?: string}} viewport - Viewport
+ * @returns {string} Suite title (e.g. "viewport 375x667 (iPhone SE)")
+ */
+export function getViewportSuiteTitle(viewport) {
+  const size = `${viewport.width}x${viewport.height}`;
+  return viewport.name
+    ? `viewport ${size} (${viewport.name})`
+    : `viewport ${size}`;
+}
+
 /**
  * @deprecated Use generateVisualTestsFromData instead. Async test generation is not supported by Playwright.
  */
@@ -6,14 +6,72 @@
 export * from "../config-loader.js";
 export * from "../visual-test-config.js";
 
+// Config Schema
+export interface ConfigSchemaNode {
+  type:
+    | "string"
+    | "boolean"
+    | "number"
+    | "list"
+    | "enum"
+    | "array"
+    | "record"
+    | "anyOf"
+    | "any"
+    | "object";
+  [key: string]: any;
+}
+
+/** Schema of the visual-tests config file (.js, .mjs, .cjs, .ts, .mts or .json) */
+export const CONFIG_SCHEMA: ConfigSchemaNode;
+
+/** Deprecated key paths with their migration notes */
+export const DEPRECATED_CONFIG_KEYS: Record<string, string>;
+
+export function validateConfigSchema(
+  config: unknown,
+  schema?: ConfigSchemaNode,
+): {
+  errors: import("../config-loader.js").ConfigIssue[];
+  warnings: import("../config-loader.js").ConfigIssue[];
+};
+
 // Story Discovery Types
 export interface StoryEntry {
   id: string;
   type?: string;
   name?: string;
   importPath?: string;
+  title?: string;
+  tags?: string[];
+  /** Per-story viewport overrides read from Storybook parameters */
+  _viewports?: StoryViewportOverrides;
+  /** Major version of the Storybook serving the story (6, 7 or 8 for 8 and later) */
+  _storybookVersion?: number | null;
+  /** Composed Storybook (ref) serving the story */
+  _ref?: { id: string; url: string; storyId: string };
 }
 
+export interface StoryViewportOverrides {
+  /** From parameters.mobileViewports (mobile mode) */
+  mobile?: Array<{ width: number; height: number; name?: string }>;
+  /** From parameters.desktopViewport */
+  desktop?: { width: number; height: number };
+}
+
+export function detectStorybookVersion(indexJson: unknown): number | null;
+
+export function parseStorybookIndex(indexJson: unknown): {
+  version: number | null;
+  entries: StoryEntry[];
+};
+
+export function fetchStorybookIndex(
+  config: import("../config-loader.js").VisualTestConfig,
+): Promise<{ version: number | null; entries: StoryEntry[] }>;
+
+export function getStoryRootSelector(story: StoryEntry): string;
+
 export function fetchStoriesFromStorybook(
   config: import("../config-loader.js").VisualTestConfig,
   includeAllMatching?: boolean,
@@ -59,19 +117,65 @@ export function matchesStoryIdFilters(
 export function snapshotExists(
   storyId: string,
   config: import("../config-loader.js").VisualTestConfig,
+  viewports?: Array<{ width: number; height: number } | null>,
 ): boolean;
 
-export function sanitizeSnapshotName(storyId: string): string;
+export function sanitizeSnapshotName(
+  storyId: string,
+  viewport?: { width: number; height: number } | null,
+): string;
+
+export function getActiveViewports(
+  config: import("../config-loader.js").VisualTestConfig,
+): Array<{ width: number; height: number; name?: string } | null>;
+
+export function getStoryViewportOverrides(
+  entry: StoryEntry & { parameters?: Record<string, any> },
+): StoryViewportOverrides | null;
+
+export function getStoryViewports(
+  story: StoryEntry,
+  config: import("../config-loader.js").VisualTestConfig,
+): Array<{ width: number; height: number; name?: string } | null>;
 
 // Failure Handling Types
 export interface FailureEntry {
   id: string;
   storyId?: string;
   importPath?: string | null;
+  /** Viewport dimensions (e.g. "375x667") for mobile runs */
+  viewport?: string;
+  /** Playwright project (browser) the test ran in */
+  browser?: string;
+  /** Locale code for results merged from an all-locales run */
+  locale?: string;
+  /** Workspace package for results merged from a workspace run */
+  package?: string;
   message?: string;
   errorMessage?: string;
   screenshotPath?: string;
   positionDiffs?: PositionDiff[];
+  /** Expected/actual/diff images computed for an image mismatch */
+  diff?: DiffTriplet;
+}
+
+export interface DiffTriplet {
+  /** Absent when the story had no baseline yet */
+  expectedPath?: string;
+  actualPath: string;
+  diffPath?: string;
+  width?: number;
+  height?: number;
+  diffPixels?: number;
+  /** Changed pixels divided by total pixels (0-1) */
+  diffRatio?: number;
+  dimensionsMatch?: boolean;
+  /** Baseline the actual screenshot replaces when approved */
+  baselinePath?: string;
+  actualPositionsPath?: string;
+  baselinePositionsPath?: string;
+  actualAriaPath?: string;
+  baselineAriaPath?: string;
 }
 
 export interface PositionDiff {
@@ -140,6 +244,32 @@ export function readSkippedFromJsonl(
   skippedFile: string,
 ): Promise<SkippedEntry[]>;
 
+export function mergeLocaleResults(
+  localeDirs: Array<{ locale: string; dir: string }>,
+  logsDir: string,
+): Promise<{
+  failures: number;
+  passed: number;
+  skipped: number;
+  locales: Record<
+    string,
+    { failures: number; passed: number; skipped: number }
+  >;
+}>;
+
+export function mergePackageResults(
+  packageDirs: Array<{ package: string; dir: string }>,
+  logsDir: string,
+): Promise<{
+  failures: number;
+  passed: number;
+  skipped: number;
+  packages: Record<
+    string,
+    { failures: number; passed: number; skipped: number }
+  >;
+}>;
+
 export function categorizeFailures(
   failures: FailureEntry[],
   config: import("../config-loader.js").VisualTestConfig,
@@ -158,6 +288,145 @@ export function getFailureSummary(
   config: import("../config-loader.js").VisualTestConfig,
 ): FailureSummary;
 
+// Browser Matrix Types
+export const SUPPORTED_BROWSERS: string[];
+
+export function parseBrowsers(
+  value: string | string[],
+  config?: import("../config-loader.js").VisualTestConfig,
+): string[];
+
+export function getBrowserSnapshotDir(
+  snapshotDir: string,
+  browser: string | null,
+  config: import("../config-loader.js").VisualTestConfig,
+): string;
+
+export function buildBrowserProjects(
+  browsers: string[],
+  config: import("../config-loader.js").VisualTestConfig,
+  snapshotDir: string,
+): Array<Record<string, any>>;
+
+// Workspace Types
+export function getWorkspaceStorybooks(
+  config: import("../config-loader.js").VisualTestConfig,
+): import("../config-loader.js").WorkspaceStorybook[];
+
+export function getPackageSlug(name: string): string;
+
+export function getPackageLogsDir(logsDir: string, name: string): string;
+
+export function getPackageSnapshotsDir(
+  config: import("../config-loader.js").VisualTestConfig,
+  name?: string | null,
+): string;
+
+export function parseStorybookUrl(url: string): { host: string; port: string };
+
+export function getWorkspacePackageConfig(
+  config: import("../config-loader.js").VisualTestConfig,
+  name: string,
+): Record<string, any>;
+
+// Index Cache Types
+export function getIndexHash(indexJson: unknown): string;
+
+export function getIndexCacheFile(
+  config: import("../config-loader.js").VisualTestConfig,
+  source: string,
+): string | null;
+
+export interface CachedStorybookIndex {
+  /** URL of the Storybook */
+  source: string;
+  /** Hash of the index the entries were parsed from */
+  hash: string;
+  version: number | null;
+  entries: StoryEntry[];
+  /** ISO date the index was cached */
+  cachedAt: string;
+}
+
+export function readIndexCache(cacheFile: string): CachedStorybookIndex | null;
+
+export function writeIndexCache(
+  cacheFile: string,
+  cached: Omit<CachedStorybookIndex, "cachedAt">,
+): void;
+
+// Static Server Types
+export function getStaticDir(
+  config: import("../config-loader.js").VisualTestConfig,
+): string | null;
+
+export function createStaticServer(rootDir: string): import("http").Server;
+
+export function startStaticStorybook(
+  config: import("../config-loader.js").VisualTestConfig,
+): Promise<{
+  config: import("../config-loader.js").VisualTestConfig;
+  url: string;
+  close: () => Promise<void>;
+}>;
+
+export function withStaticStorybook<T>(
+  config: import("../config-loader.js").VisualTestConfig,
+  callback: (
+    config: import("../config-loader.js").VisualTestConfig,
+    url: string | null,
+  ) => Promise<T>,
+): Promise<T>;
+
+// Storybook Server Types
+export function getStorybookUrl(
+  config: import("../config-loader.js").VisualTestConfig,
+): string;
+
+export function isStorybookReachable(url: string): Promise<boolean>;
+
+export function startStorybook(
+  config: import("../config-loader.js").VisualTestConfig,
+): Promise<{
+  config: import("../config-loader.js").VisualTestConfig;
+  url: string;
+  close: () => Promise<void>;
+}>;
+
+export function withStorybook<T>(
+  config: import("../config-loader.js").VisualTestConfig,
+  callback: (
+    config: import("../config-loader.js").VisualTestConfig,
+    url: string,
+  ) => Promise<T>,
+): Promise<T>;
+
+// Image Diff Types
+export function compareImages(
+  expected: Buffer | string,
+  actual: Buffer | string,
+  options?: { threshold?: number },
+): {
+  width: number;
+  height: number;
+  diffPixels: number;
+  diffRatio: number;
+  dimensionsMatch: boolean;
+  diffImage: Buffer;
+};
+
+export function writeDiffTriplet(options: {
+  expected: Buffer | string;
+  actual: Buffer | string;
+  outputDir: string;
+  name: string;
+  threshold?: number;
+}): DiffTriplet;
+
+export function readDiffAttachment(result: {
+  attachments?: Array<{ name: string; body?: string }>;
+}): DiffTriplet | null;
+
 // Report Generation Types
 export interface TestResults {
   totalStories: number;
@@ -182,32 +451,108 @@ export function generateLogReport(
   config: import("../config-loader.js").VisualTestConfig,
 ): Promise<string | null>;
 
+// Review Types
+export interface ReviewItem {
+  /** Result key (story ID plus viewport/browser/locale) */
+  key: string;
+  id: string;
+  importPath: string | null;
+  viewport: string | null;
+  browser: string | null;
+  locale: string | null;
+  message: string;
+  diffPixels: number | null;
+  diffRatio: number | null;
+  actualPath: string | null;
+  diffPath: string | null;
+  baselinePath: string | null;
+  actualPositionsPath: string | null;
+  baselinePositionsPath: string | null;
+  actualAriaPath: string | null;
+  baselineAriaPath: string | null;
+  /** Whether an actual screenshot exists to replace the baseline */
+  canApprove: boolean;
+  status: "pending" | "approved" | "rejected";
+}
+
+export function loadReviewItems(logsDir: string): Promise<ReviewItem[]>;
+
+export function approveReviewItem(item: ReviewItem): Promise<string[]>;
+
+export function createReviewServer(options: {
+  logsDir: string;
+  items?: ReviewItem[];
+}): Promise<import("http").Server>;
+
 // Diff Analysis Types
 export interface AffectedStories {
   storyFiles: string[];
   componentFiles: string[];
   otherFiles: string[];
   componentToStoryMap: Map<string, string[]>;
+  /** Story files reached through imports, with the chain from the changed module to the story */
+  dependencyChains: Map<string, string[]>;
+  /** Story files narrowed to the story exports affected by their changed lines */
+  storyExports: Map<string, string[]>;
+  /** Changed files matching `snapshot.diff.globalTriggers` */
+  globalTriggerFiles: string[];
+  /** Changed files matching `snapshot.diff.triggerMappings`, with the story file globs they select */
+  triggeredStoryPatterns: Map<string, string[]>;
+  /** True if a global trigger changed and every story should run */
+  fullRun: boolean;
   allStoryFiles: string[];
 }
 
-export function isStoryFile(filePath: string): boolean;
+export interface StoryMappingOptions {
+  /** Component file suffixes (e.g. ".tsx", ".vue", ".module.css") */
+  componentExtensions?: string[];
+  /** Story file extensions after `.stories` / `.story` */
+  storyExtensions?: string[];
+  /** Where the stories of a component are located */
+  colocation?: {
+    strategies?: Array<"sibling" | "folder" | "mirror">;
+    folderName?: string;
+    sourceRoot?: string;
+    mirrorRoot?: string;
+  };
+}
+
+export function isStoryFile(
+  filePath: string,
+  storyExtensions?: string[],
+): boolean;
 
 export function isComponentFile(
   filePath: string,
   componentPaths?: string[],
+  componentExtensions?: string[],
 ): boolean;
 
 export function findStoryFilesForComponent(
   componentPath: string,
   projectRoot?: string,
+  options?: StoryMappingOptions,
 ): string[];
 
+export type DiffMode = "committed" | "staged" | "working-tree";
+
+export const DIFF_MODES: DiffMode[];
+
 export function getChangedFiles(
   targetBranch: string,
   projectRoot?: string,
+  options?: { mode?: DiffMode; storyExtensions?: string[] },
 ): string[];
 
+export function matchesGlob(filePath: string, pattern: string): boolean;
+
+export function getChangedLineRanges(
+  targetBranch: string,
+  files: string[],
+  projectRoot?: string,
+  mode?: DiffMode,
+): Map<string, Array<[number, number]>>;
+
 export function branchExists(branchName: string, projectRoot?: string): boolean;
 
 export function remoteBranchExists(
@@ -218,17 +563,97 @@ export function remoteBranchExists(
 
 export function getDefaultRemote(projectRoot?: string): string;
 
+export interface TargetRefResolution {
+  /** Ref to diff against, or null when falling back to a full run */
+  ref: string | null;
+  mergeBase: string | null;
+  source: "local" | "remote" | "fetched" | null;
+  fullRun: boolean;
+  reason: string | null;
+  /** Human readable steps taken while resolving */
+  steps: string[];
+}
+
+export function resolveTargetRef(
+  targetBranch: string,
+  projectRoot?: string,
+  options?: {
+    autoFetch?: boolean;
+    fetchDepth?: number;
+    maxFetchAttempts?: number;
+  },
+): TargetRefResolution;
+
 export function mapComponentsToStories(
   componentFiles: string[],
   projectRoot?: string,
+  options?: StoryMappingOptions,
 ): Map<string, string[]>;
 
 export function findAffectedStories(
   changedFiles: string[],
   config: import("../config-loader.js").VisualTestConfig,
+  projectRoot?: string,
+  changedLineRanges?: Map<string, Array<[number, number]>> | null,
+  mode?: DiffMode,
 ): AffectedStories;
 
+export function filterStoriesByChanges<
+  T extends { id: string; importPath?: string; exportName?: string },
+>(stories: T[], affected: AffectedStories): T[];
+
+// CSF Parser Types
+export interface CsfStatement {
+  kind: "import" | "meta" | "story" | "declaration" | "assignment" | "other";
+  name?: string;
+  target?: string;
+  start: number;
+  end: number;
+  text: string;
+}
+
+export function parseCsfStatements(content: string): CsfStatement[];
+
+export function getStoryExports(content: string): string[];
+
+export function findChangedStoryExports(
+  content: string,
+  lineRanges: Array<[number, number]>,
+): string[] | null;
+
+export function storyNameFromExport(exportName: string): string;
+
+export function sanitizeStoryIdPart(value: string): string;
+
+// Import Graph Types
+export interface PathAliases {
+  baseUrl: string | null;
+  aliases: Array<{ pattern: string; targets: string[] }>;
+}
+
+export function parseImports(content: string): string[];
+
+export function loadPathAliases(projectRoot?: string): PathAliases;
+
+export function resolveImport(
+  specifier: string,
+  fromFile: string,
+  pathAliases?: PathAliases,
+): string | null;
+
+export function buildReverseImportGraph(
+  roots: string[],
+  projectRoot?: string,
+): Map<string, Set<string>>;
+
+export function findDependents(
+  changedFiles: string[],
+  graph: Map<string, Set<string>>,
+  include?: (filePath: string) => boolean,
+): Map<string, string[]>;
+
 export function estimateStoryExports(
   storyFilePath: string,
   projectRoot?: string,
+  mode?: DiffMode,
 ): number;
@@ -14,7 +14,7 @@ export const DEFAULT_VISUAL_KEYWORDS: string;
 /**
  * Default visual test mode
  */
-export const DEFAULT_VISUAL_TEST_MODE: 'lite' | 'full';
+export const DEFAULT_VISUAL_TEST_MODE: "lite" | "full";
 
 /**
  * Default exclusion patterns for visual tests
@@ -50,6 +50,11 @@ export const DEFAULT_SNAPSHOTS_DIR: string;
  */
 export const DEFAULT_SCREENSHOTS_DIR: string;
 
+/**
+ * Default directory of the Storybook index cache
+ */
+export const DEFAULT_CACHE_DIR: string;
+
 /**
  * Default component paths to scan for components
  */
@@ -98,16 +103,94 @@ export const DEFAULT_SIZE_THRESHOLD: number;
  */
 export const DEFAULT_ENABLE_POSITION_TRACKING: boolean;
 
+/**
+ * Default: enable accessibility (ARIA) snapshots
+ */
+export const DEFAULT_ENABLE_ACCESSIBILITY_SNAPSHOTS: boolean;
+
 /**
  * Default: enable order checking
  */
 export const DEFAULT_ENABLE_ORDER_CHECK: boolean;
 
+/**
+ * Default: skip x/y position checking unless a position threshold is configured
+ */
+export const DEFAULT_ENABLE_POSITION_CHECK: boolean;
+
+/**
+ * Default: skip width/height checking unless a size threshold is configured
+ */
+export const DEFAULT_ENABLE_SIZE_CHECK: boolean;
+
+/**
+ * Default: enable computed style checking
+ */
+export const DEFAULT_ENABLE_STYLE_CHECK: boolean;
+
+/**
+ * Default computed style properties captured for style checking
+ */
+export const DEFAULT_TRACKED_STYLE_PROPERTIES: string[];
+
+/**
+ * Default: enable visibility checking
+ */
+export const DEFAULT_ENABLE_VISIBILITY_CHECK: boolean;
+
+/**
+ * Default: enable text content hash checking
+ */
+export const DEFAULT_ENABLE_TEXT_CHECK: boolean;
+
 /**
  * Default target branch for diff-based testing
  */
 export const DEFAULT_TARGET_BRANCH: string;
 
+/**
+ * Default directories scanned for the import graph used by diff-based testing
+ */
+export const DEFAULT_IMPORT_GRAPH_ROOTS: string[];
+
+/**
+ * Default number of commits fetched per step when diff mode fetches the
+ * target branch or deepens a shallow clone
+ */
+export const DEFAULT_DIFF_FETCH_DEPTH: number;
+
+/**
+ * Default maximum number of deepening steps before diff mode falls back to a full run
+ */
+export const DEFAULT_DIFF_MAX_FETCH_ATTEMPTS: number;
+
+/**
+ * Default files whose changes affect every story in diff-based testing
+ */
+export const DEFAULT_GLOBAL_TRIGGERS: string[];
+
+/**
+ * Default extensions of component source files mapped to stories in diff-based testing
+ */
+export const DEFAULT_COMPONENT_EXTENSIONS: string[];
+
+/**
+ * Default extensions of story files (after `.stories` / `.story`)
+ */
+export const DEFAULT_STORY_EXTENSIONS: string[];
+
+/**
+ * Supported strategies for locating the stories of a component
+ */
+export const STORY_COLOCATION_STRATEGIES: Array<
+  "sibling" | "folder" | "mirror"
+>;
+
+/**
+ * Default strategies for locating the stories of a component
+ */
+export const DEFAULT_STORY_COLOCATION: Array<"sibling" | "folder" | "mirror">;
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -117,7 +200,7 @@ export const DEFAULT_TARGET_BRANCH: string;
  * @param mode - 'lite' or 'full'
  * @returns Default keywords (empty string for lite mode)
  */
-export function getDefaultKeywordsForMode(mode: 'lite' | 'full'): string;
+export function getDefaultKeywordsForMode(mode: "lite" | "full"): string;
 
 /**
  * Get the default exclusion patterns
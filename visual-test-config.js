@@ -24,6 +24,11 @@ export const DEFAULT_ENABLE_IMAGE_SNAPSHOTS = true;
  */
 export const DEFAULT_ENABLE_POSITION_SNAPSHOTS = true;
 
+/**
+ * Default: enable accessibility (ARIA) snapshots
+ */
+export const DEFAULT_ENABLE_ACCESSIBILITY_SNAPSHOTS = false;
+
 /**
  * Default exclusion patterns for visual tests
  * Stories containing any of these patterns (case-insensitive) are excluded from visual tests
@@ -62,6 +67,11 @@ export const DEFAULT_SNAPSHOTS_DIR =
  */
 export const DEFAULT_SCREENSHOTS_DIR = "screenshots";
 
+/**
+ * Default directory of the Storybook index cache
+ */
+export const DEFAULT_CACHE_DIR = "node_modules/.cache/ui-snapshot-testing";
+
 /**
  * Default component paths to scan for components
  */
@@ -115,6 +125,43 @@ export const DEFAULT_ENABLE_POSITION_TRACKING = true;
  */
 export const DEFAULT_ENABLE_ORDER_CHECK = true;
 
+/**
+ * Default: skip x/y position checking unless a position threshold is configured (reduces false positives)
+ */
+export const DEFAULT_ENABLE_POSITION_CHECK = false;
+
+/**
+ * Default: skip width/height checking unless a size threshold is configured (reduces false positives)
+ */
+export const DEFAULT_ENABLE_SIZE_CHECK = false;
+
+/**
+ * Default: capture and compare computed styles of tracked elements
+ */
+export const DEFAULT_ENABLE_STYLE_CHECK = false;
+
+/**
+ * Default computed style properties captured when style checking is enabled
+ */
+export const DEFAULT_TRACKED_STYLE_PROPERTIES = [
+  "color",
+  "font-size",
+  "font-weight",
+  "display",
+  "z-index",
+  "opacity",
+];
+
+/**
+ * Default: capture and compare element visibility
+ */
+export const DEFAULT_ENABLE_VISIBILITY_CHECK = false;
+
+/**
+ * Default: capture and compare a hash of element text content
+ */
+export const DEFAULT_ENABLE_TEXT_CHECK = false;
+
 /**
  * Default minimum width for mobile recommendation discovery (pixels)
  */
@@ -130,6 +177,72 @@ export const DEFAULT_MOBILE_DISCOVERY_EXCLUDE_TAGS = [];
  */
 export const DEFAULT_TARGET_BRANCH = "Sprint16";
 
+/**
+ * Default directories scanned for the import graph used by diff-based testing
+ */
+export const DEFAULT_IMPORT_GRAPH_ROOTS = ["src/"];
+
+/**
+ * Default number of commits fetched per step when diff mode fetches the
+ * target branch or deepens a shallow clone
+ */
+export const DEFAULT_DIFF_FETCH_DEPTH = 50;
+
+/**
+ * Default maximum number of deepening steps before diff mode falls back to a full run
+ */
+export const DEFAULT_DIFF_MAX_FETCH_ATTEMPTS = 5;
+
+/**
+ * Default files whose changes affect every story in diff-based testing
+ */
+export const DEFAULT_GLOBAL_TRIGGERS = [
+  ".storybook/**",
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+];
+
+/**
+ * Default extensions of component source files mapped to stories in diff-based testing
+ * Suffixes may span several dots, e.g. CSS modules map `Button.module.css` to `Button`
+ */
+export const DEFAULT_COMPONENT_EXTENSIONS = [
+  ".tsx",
+  ".jsx",
+  ".vue",
+  ".svelte",
+  ".module.css",
+  ".module.scss",
+  ".module.less",
+];
+
+/**
+ * Default extensions of story files (after `.stories` / `.story`)
+ */
+export const DEFAULT_STORY_EXTENSIONS = [
+  ".tsx",
+  ".ts",
+  ".jsx",
+  ".js",
+  ".mdx",
+  ".svelte",
+  ".vue",
+];
+
+/**
+ * Supported strategies for locating the stories of a component
+ * - sibling: next to the component (`Button.stories.tsx`)
+ * - folder: in a folder next to the component (`__stories__/Button.stories.tsx`)
+ * - mirror: in a separate tree mirroring the source tree (`stories/components/Button.stories.tsx`)
+ */
+export const STORY_COLOCATION_STRATEGIES = ["sibling", "folder", "mirror"];
+
+/**
+ * Default strategies for locating the stories of a component
+ */
+export const DEFAULT_STORY_COLOCATION = ["sibling"];
+
 // ============================================================================
 // Helper Functions
 // ============================================================================